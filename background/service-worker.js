@@ -1,6 +1,8 @@
 // Enhanced background service worker for Task 2.3
 // Handles dynamic context menu creation and currency conversion logic with improved UX
 
+/* global URL */
+
 // Phase 3, Task 3.3: Import Settings Manager
 import { settingsManager } from '/utils/settings-manager.js';
 // Import API services
@@ -16,6 +18,13 @@ import {
 import { conversionHistory } from '/utils/conversion-history.js';
 // Phase 6, Task 6.3: Import Rate Alerts Manager
 import { rateAlertsManager } from '/utils/rate-alerts-manager.js';
+import {
+  parseOmniboxQuery,
+  formatOmniboxAmount,
+  escapeOmniboxText,
+  OMNIBOX_PREFILL_KEY
+} from '/utils/omnibox-query.js';
+import { formatShortDate } from '/utils/date-detection.js';
 
 // Global state management
 let currentCurrencyInfo = null;
@@ -23,6 +32,29 @@ let currentSettings = null;
 let contextMenusCreated = false;
 const errorLog = [];
 const createdMenuItems = new Set(); // Track created menu items to avoid duplicates
+// Tab and frame whose selection the context menu currently reflects
+let selectionFrame = null;
+// settings.enableKeyboardShortcuts for the open-converter command, which has
+// to act synchronously (see chrome.commands.onCommand below). Mirrored in
+// session storage so a worker woken by the key press has it before settings
+// finish loading.
+const KEYBOARD_SHORTCUTS_SESSION_KEY = 'keyboardShortcutsEnabled';
+let keyboardShortcutsEnabled = true;
+chrome.storage.session
+  .get(KEYBOARD_SHORTCUTS_SESSION_KEY)
+  .then(stored => {
+    if (typeof stored?.[KEYBOARD_SHORTCUTS_SESSION_KEY] === 'boolean') {
+      keyboardShortcutsEnabled = stored[KEYBOARD_SHORTCUTS_SESSION_KEY];
+    }
+  })
+  .catch(() => {});
+
+function rememberKeyboardShortcutsSetting(settings) {
+  keyboardShortcutsEnabled = settings.enableKeyboardShortcuts !== false;
+  chrome.storage.session
+    .set({ [KEYBOARD_SHORTCUTS_SESSION_KEY]: keyboardShortcutsEnabled })
+    .catch(error => logError(error, 'rememberKeyboardShortcutsSetting'));
+}
 
 // v1.1.1: Retired background-refresh alarm. The v1.1.0 background refresh
 // caused heavy API over-consumption (every install refetched cached tables
@@ -74,6 +106,7 @@ chrome.runtime.onInstalled.addListener(async () => {
   try {
     await settingsManager.initialize();
     currentSettings = await settingsManager.getSettings();
+    rememberKeyboardShortcutsSetting(currentSettings);
   } catch (error) {
     logError(error, 'settingsManagerInit');
   }
@@ -117,6 +150,7 @@ async function initializeExtension() {
   try {
     await settingsManager.initialize();
     currentSettings = await settingsManager.getSettings();
+    rememberKeyboardShortcutsSetting(currentSettings);
   } catch (error) {
     logError(error, 'startupSettingsInit');
   }
@@ -149,6 +183,7 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
     const newSettings = changes.userSettings.newValue;
     if (newSettings) {
       currentSettings = newSettings;
+      rememberKeyboardShortcutsSetting(newSettings);
       await updateContextMenuCurrencies();
     }
   }
@@ -190,12 +225,24 @@ async function initializeContextMenus() {
       documentUrlPatterns: ['http://*/*', 'https://*/*']
     });
 
+    // Product pages: convert the price declared in structured data, no selection needed
+    chrome.contextMenus.create({
+      id: 'convertPageProduct',
+      title: "Convert this page's product price",
+      contexts: ['page'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+
     contextMenusCreated = true;
   } catch (error) {
     logError(error, 'initializeContextMenus');
   }
 }
 
+function isSameFrame(a, b) {
+  return a.tabId === b.tabId && a.frameId === b.frameId;
+}
+
 // Load user settings with fallbacks
 async function loadUserSettings() {
   try {
@@ -207,7 +254,8 @@ async function loadUserSettings() {
       baseCurrency: settings.baseCurrency || 'USD',
       secondaryCurrency: settings.secondaryCurrency || 'EUR',
       additionalCurrencies: settings.additionalCurrencies || ['GBP', 'JPY'],
-      showConfidence: settings.showConfidence !== false // Default to true
+      showConfidence: settings.showConfidence !== false, // Default to true
+      enableKeyboardShortcuts: settings.enableKeyboardShortcuts !== false
     };
   } catch (error) {
     logError(error, 'loadUserSettings');
@@ -215,7 +263,8 @@ async function loadUserSettings() {
       baseCurrency: 'USD',
       secondaryCurrency: 'EUR',
       additionalCurrencies: ['GBP', 'JPY'],
-      showConfidence: true
+      showConfidence: true,
+      enableKeyboardShortcuts: true
     };
   }
 }
@@ -287,6 +336,41 @@ async function buildDirectConversionTitle(
   }
 }
 
+// Format detected amounts for menu titles: "$10.00 – $20.00" or "€5.00, €8.00"
+function formatAmountList(amounts, isRange) {
+  const parts = amounts.map(entry =>
+    formatConvertedAmount(entry.amount, entry.currency)
+  );
+  return parts.join(isRange ? ' – ' : ', ');
+}
+
+// Range titles convert both ends: "$10.00 – $20.00 → €9.20 – €18.40".
+// Cache-first like buildDirectConversionTitle; not recorded as a preview in
+// history since the two ends aren't separate conversions.
+async function buildRangeConversionTitle(amounts, targetCurrency) {
+  const sourceRange = formatAmountList(amounts, true);
+  try {
+    const [low, high] = await Promise.all(
+      [amounts[0], amounts[amounts.length - 1]].map(entry =>
+        exchangeRateService.convertCurrency(
+          entry.amount,
+          entry.currency,
+          targetCurrency
+        )
+      )
+    );
+    return `${sourceRange} → ${formatConvertedAmount(low.convertedAmount, targetCurrency)} – ${formatConvertedAmount(high.convertedAmount, targetCurrency)}`;
+  } catch {
+    return `Convert ${sourceRange} → ${targetCurrency}`;
+  }
+}
+
+// Content scripts run in every frame (all_frames), so replies must go to the
+// frame the selection came from; the context menu click reports its frameId.
+function sendToFrame(tabId, message, frameId) {
+  return chrome.tabs.sendMessage(tabId, message, { frameId: frameId ?? 0 });
+}
+
 // Enhanced context menu click handler with dynamic conversion options
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   try {
@@ -296,17 +380,44 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       // Phase 5, Task 5.1: Show immediate loading feedback
       if (tab?.id) {
         try {
-          await chrome.tabs.sendMessage(tab.id, {
-            action: 'showLoadingFeedback',
-            targetCurrency,
-            originalText: info.selectionText
-          });
+          await sendToFrame(
+            tab.id,
+            {
+              action: 'showLoadingFeedback',
+              targetCurrency,
+              originalText: info.selectionText
+            },
+            info.frameId
+          );
         } catch {
           // Failed to show loading feedback - non-critical
         }
       }
 
       await handleCurrencyConversion(info, tab, targetCurrency);
+    } else if (info.menuItemId.startsWith('convertOnDate_')) {
+      // Converted at the rate of the date found next to the selection
+      const targetCurrency = info.menuItemId.replace('convertOnDate_', '');
+      await handleCurrencyConversion(info, tab, targetCurrency, {
+        rateDate: currentCurrencyInfo?.nearbyDate
+      });
+    } else if (info.menuItemId.startsWith('convertTable_')) {
+      await handleTableConversion(
+        info,
+        tab,
+        info.menuItemId.replace('convertTable_', '')
+      );
+    } else if (info.menuItemId === 'convertPageProduct') {
+      await handlePageProductConversion(tab);
+    } else if (
+      info.menuItemId === 'currencyConverter' &&
+      currentCurrencyInfo?.tableConversionTarget
+    ) {
+      await handleTableConversion(
+        info,
+        tab,
+        currentCurrencyInfo.tableConversionTarget
+      );
     } else if (info.menuItemId === 'currencyConverter') {
       // Handle main menu click
       // Check if this is a direct conversion (base/secondary currency)
@@ -317,11 +428,15 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         // Phase 5, Task 5.1: Show immediate loading feedback
         if (tab?.id) {
           try {
-            await chrome.tabs.sendMessage(tab.id, {
-              action: 'showLoadingFeedback',
-              targetCurrency,
-              originalText: info.selectionText
-            });
+            await sendToFrame(
+              tab.id,
+              {
+                action: 'showLoadingFeedback',
+                targetCurrency,
+                originalText: info.selectionText
+              },
+              info.frameId
+            );
           } catch {
             // Failed to show loading feedback - non-critical
           }
@@ -342,10 +457,14 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     // Phase 5, Task 5.1: Show error feedback
     if (tab?.id) {
       try {
-        await chrome.tabs.sendMessage(tab.id, {
-          action: 'showErrorFeedback',
-          error: error.message || 'Conversion failed'
-        });
+        await sendToFrame(
+          tab.id,
+          {
+            action: 'showErrorFeedback',
+            error: error.message || 'Conversion failed'
+          },
+          info.frameId
+        );
       } catch {
         // Failed to show error feedback - non-critical
       }
@@ -353,8 +472,41 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+// Selected table: the content script converts every cell with one
+// cache-first rate table (getRateTable) and shows its own toolbar
+async function handleTableConversion(info, tab, targetCurrency) {
+  if (!tab?.id) {
+    return;
+  }
+  const response = await sendToFrame(
+    tab.id,
+    { action: 'convertSelectedTable', targetCurrency },
+    info.frameId
+  );
+  if (!response?.success) {
+    throw new Error(response?.error || 'Table conversion failed');
+  }
+
+  // One conversion for the whole table, like a single selection
+  try {
+    const { getSubscriptionManager } = await import(
+      '/utils/subscription-manager-v2.js'
+    );
+    const subscriptionManager = await getSubscriptionManager();
+    await subscriptionManager.trackUsage('dailyConversions', 1);
+  } catch {
+    // Usage tracking is non-critical
+  }
+}
+
 // Enhanced currency conversion handler with target currency support
-async function handleCurrencyConversion(info, tab, targetCurrency = null) {
+// (rateDate: convert at that past day's rates instead of the latest)
+async function handleCurrencyConversion(
+  info,
+  tab,
+  targetCurrency = null,
+  { rateDate = null } = {}
+) {
   const selectedText = info.selectionText;
 
   try {
@@ -379,32 +531,36 @@ async function handleCurrencyConversion(info, tab, targetCurrency = null) {
 
     // Send loading message to content script
     if (tab?.id) {
-      await chrome.tabs.sendMessage(tab.id, {
-        action: 'showConversionResult',
-        ...loadingData
-      });
+      await sendToFrame(
+        tab.id,
+        {
+          action: 'showConversionResult',
+          ...loadingData
+        },
+        info.frameId
+      );
     }
 
     // Now perform the actual currency conversion
     if (currentCurrencyInfo?.currency && currentCurrencyInfo?.amount) {
-      const currencyData = {
-        currency: currentCurrencyInfo.currency,
-        amount: currentCurrencyInfo.amount,
-        confidence: currentCurrencyInfo.confidence || 0.8
-      };
-
-      const conversionResult = await performCurrencyConversion(
-        currencyData,
-        finalTargetCurrency
+      const conversionResult = await convertForTooltip(
+        currentCurrencyInfo,
+        finalTargetCurrency,
+        currentSettings,
+        { rateDate }
       );
 
       // Send the actual result to content script
       if (tab?.id) {
-        await chrome.tabs.sendMessage(tab.id, {
-          action: 'showConversionResult',
-          ...loadingData,
-          result: conversionResult
-        });
+        await sendToFrame(
+          tab.id,
+          {
+            action: 'showConversionResult',
+            ...loadingData,
+            result: conversionResult
+          },
+          info.frameId
+        );
       }
     }
   } catch (error) {
@@ -417,15 +573,19 @@ async function handleCurrencyConversion(info, tab, targetCurrency = null) {
     // Send error message to content script
     if (tab?.id) {
       try {
-        await chrome.tabs.sendMessage(tab.id, {
-          action: 'showConversionResult',
-          originalText: selectedText,
-          currencyInfo: currentCurrencyInfo,
-          result: {
-            error: true,
-            errorMessage: error.message || 'Conversion failed'
-          }
-        });
+        await sendToFrame(
+          tab.id,
+          {
+            action: 'showConversionResult',
+            originalText: selectedText,
+            currencyInfo: currentCurrencyInfo,
+            result: {
+              error: true,
+              errorMessage: error.message || 'Conversion failed'
+            }
+          },
+          info.frameId
+        );
       } catch {
         // Failed to send error message - non-critical
       }
@@ -433,12 +593,452 @@ async function handleCurrencyConversion(info, tab, targetCurrency = null) {
   }
 }
 
+// Convert the product price the page declares in JSON-LD, microdata or
+// OpenGraph tags. The content script reads the markup; the result goes back
+// through the regular showConversionResult tooltip. Product markup lives in
+// the top frame, so both messages go to frame 0.
+async function handlePageProductConversion(tab) {
+  if (!tab?.id) {
+    return;
+  }
+
+  let price = null;
+  try {
+    const response = await sendToFrame(tab.id, {
+      action: 'getPageProductPrice'
+    });
+    price = response?.price || null;
+  } catch (error) {
+    logError(error, 'getPageProductPrice', { tabId: tab.id });
+  }
+
+  if (!price) {
+    await sendToFrame(tab.id, {
+      action: 'showConversionResult',
+      originalText: tab.title || '',
+      currencyInfo: null,
+      result: {
+        error: true,
+        errorMessage: 'No product price found on this page'
+      }
+    });
+    return;
+  }
+
+  currentSettings = await loadUserSettings();
+  const targetCurrency =
+    price.currency === currentSettings.secondaryCurrency
+      ? currentSettings.baseCurrency
+      : currentSettings.secondaryCurrency;
+
+  // AggregateOffer low/high prices convert like a selected range
+  const amounts = price.highAmount
+    ? [
+        { amount: price.amount, currency: price.currency },
+        { amount: price.highAmount, currency: price.currency }
+      ]
+    : null;
+  const currencyInfo = {
+    amount: price.amount,
+    currency: price.currency,
+    originalText: price.name || formatAmountList([price], false),
+    confidence: 1,
+    type: 'structured',
+    format: price.source,
+    amounts,
+    isRange: !!amounts
+  };
+
+  const result = await convertForTooltip(
+    currencyInfo,
+    targetCurrency,
+    currentSettings
+  );
+
+  await sendToFrame(tab.id, {
+    action: 'showConversionResult',
+    originalText: currencyInfo.originalText,
+    currencyInfo,
+    targetCurrency,
+    result
+  });
+}
+
+// Pinned conversions panel (content/pinned-panel.js): entries and panel
+// position live per tab in session storage until the panel or the tab is
+// closed. The tab's top frame renders the panel, so pins made in iframes are
+// relayed there.
+const PINNED_PANEL_KEY_PREFIX = 'pinnedPanel_';
+const MAX_PINNED_ENTRIES = 50;
+
+async function getPinnedPanelState(tabId) {
+  const key = `${PINNED_PANEL_KEY_PREFIX}${tabId}`;
+  const stored = await chrome.storage.session.get(key);
+  return stored[key] || null;
+}
+
+async function setPinnedPanelState(tabId, state) {
+  const key = `${PINNED_PANEL_KEY_PREFIX}${tabId}`;
+  if (!state?.entries?.length) {
+    await chrome.storage.session.remove(key);
+    return null;
+  }
+  const trimmed = {
+    entries: state.entries.slice(-MAX_PINNED_ENTRIES),
+    position: state.position || null
+  };
+  await chrome.storage.session.set({ [key]: trimmed });
+  return trimmed;
+}
+
+async function pinConversions(entries, sender) {
+  const tabId = sender.tab?.id;
+  if (!tabId) {
+    throw new Error('Pinning needs a tab');
+  }
+  const fromSubframe = sender.frameId !== 0;
+  const pinned = entries.map((entry, index) => ({
+    ...entry,
+    id: `${Date.now().toString(36)}-${index}-${Math.random().toString(36).slice(2, 6)}`,
+    // A subframe's URL and scroll offset mean nothing to the top frame,
+    // which fills in its own page (tab.url needs the tabs permission)
+    url: fromSubframe ? null : entry.url,
+    pageTitle: fromSubframe ? null : entry.pageTitle,
+    scrollY: fromSubframe ? null : entry.scrollY,
+    pinnedAt: Date.now()
+  }));
+
+  const current = (await getPinnedPanelState(tabId)) || {
+    entries: [],
+    position: null
+  };
+  const state = await setPinnedPanelState(tabId, {
+    ...current,
+    entries: [...current.entries, ...pinned]
+  });
+  await sendToFrame(tabId, { action: 'showPinnedPanel', state }, 0).catch(
+    () => {
+      // Top frame has no content script (e.g. restricted page)
+    }
+  );
+  return state;
+}
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  chrome.storage.session
+    .remove(`${PINNED_PANEL_KEY_PREFIX}${tabId}`)
+    .catch(() => {});
+});
+
+// Omnibox keyword "cc" (utils/omnibox-query.js): "cc 100 usd to eur, gbp"
+// lists one cache-first conversion per target while typing. Enter records
+// the conversions and opens the popup with them filled in and copied (the
+// service worker has no clipboard); a notification is the fallback when the
+// popup can't open.
+const OMNIBOX_HELP =
+  'Convert currencies, e.g. <match>100 usd to eur</match> or <match>€50 in gbp, jpy</match>';
+let omniboxRequest = 0;
+
+async function convertOmniboxQuery(text) {
+  const query = parseOmniboxQuery(text, await loadUserSettings());
+  if (!query) {
+    return null;
+  }
+  const conversions = await Promise.all(
+    query.targets.map(toCurrency =>
+      exchangeRateService
+        .convertCurrency(query.amount, query.fromCurrency, toCurrency)
+        .catch(error => ({ toCurrency, error }))
+    )
+  );
+  return { ...query, conversions };
+}
+
+// "100 USD = 92.31 EUR"
+function describeOmniboxConversion(amount, fromCurrency, conversion) {
+  return `${formatOmniboxAmount(amount)} ${fromCurrency} = ${formatOmniboxAmount(conversion.convertedAmount)} ${conversion.toCurrency}`;
+}
+
+// Why nothing converted, for the default suggestion and the notification
+function describeOmniboxFailure(result) {
+  if (!result) {
+    return 'Type an amount, e.g. 100 usd to eur';
+  }
+  if (result.unknownTargets.length && !result.targets.length) {
+    return `Unknown currency: ${result.unknownTargets.join(', ')}`;
+  }
+  return `No rate available for ${result.fromCurrency}`;
+}
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HELP });
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  const request = ++omniboxRequest;
+  convertOmniboxQuery(text)
+    .then(result => {
+      // A newer keystroke owns the dropdown
+      if (request !== omniboxRequest) {
+        return;
+      }
+      const converted = result?.conversions.filter(c => !c.error) || [];
+      if (converted.length === 0) {
+        chrome.omnibox.setDefaultSuggestion({
+          description: text.trim()
+            ? escapeOmniboxText(describeOmniboxFailure(result))
+            : OMNIBOX_HELP
+        });
+        suggest([]);
+        return;
+      }
+
+      const { amount, fromCurrency } = result;
+      const lines = converted.map(conversion =>
+        describeOmniboxConversion(amount, fromCurrency, conversion)
+      );
+      chrome.omnibox.setDefaultSuggestion({
+        description: `<match>${escapeOmniboxText(lines.join(' · '))}</match> <dim>- Enter to copy</dim>`
+      });
+      // One row per target so a single result can be picked; with one
+      // target the default suggestion already covers it
+      suggest(
+        converted.length > 1
+          ? converted.map((conversion, index) => ({
+              content: `${amount} ${fromCurrency} to ${conversion.toCurrency}`,
+              description: `${escapeOmniboxText(lines[index])} <dim>${escapeOmniboxText(
+                formatExchangeRate(
+                  conversion.rate,
+                  fromCurrency,
+                  conversion.toCurrency
+                )
+              )}</dim>`
+            }))
+          : []
+      );
+    })
+    .catch(error => {
+      logError(error, 'omniboxInputChanged', { text });
+    });
+});
+
+chrome.omnibox.onInputEntered.addListener(text => {
+  handleOmniboxEntered(text).catch(error => {
+    logError(error, 'omniboxInputEntered', { text });
+  });
+});
+
+async function handleOmniboxEntered(text) {
+  const result = await convertOmniboxQuery(text);
+  const converted = result?.conversions.filter(c => !c.error) || [];
+  if (converted.length === 0) {
+    await showOmniboxNotification(
+      'Currency conversion failed',
+      describeOmniboxFailure(result)
+    );
+    return;
+  }
+
+  const { amount, fromCurrency } = result;
+  for (const conversion of converted) {
+    try {
+      await conversionHistory.addConversion({
+        fromCurrency,
+        toCurrency: conversion.toCurrency,
+        originalAmount: amount,
+        convertedAmount: conversion.convertedAmount,
+        exchangeRate: conversion.rate,
+        timestamp: Date.now(),
+        source: 'omnibox',
+        confidence: 1.0,
+        webpage: null
+      });
+    } catch {
+      // Don't fail the conversion if history saving fails
+    }
+  }
+
+  try {
+    const { getSubscriptionManager } = await import(
+      '/utils/subscription-manager-v2.js'
+    );
+    const subscriptionManager = await getSubscriptionManager();
+    await subscriptionManager.trackUsage('dailyConversions', converted.length);
+  } catch {
+    // Usage tracking is non-critical
+  }
+
+  const lines = converted.map(conversion =>
+    describeOmniboxConversion(amount, fromCurrency, conversion)
+  );
+  await chrome.storage.session.set({
+    [OMNIBOX_PREFILL_KEY]: {
+      amount,
+      fromCurrency,
+      conversions: converted.map(conversion => ({
+        toCurrency: conversion.toCurrency,
+        convertedAmount: conversion.convertedAmount,
+        rate: conversion.rate,
+        cached: !!conversion.cached,
+        offline: !!conversion.offline
+      })),
+      text: lines.join('\n'),
+      createdAt: Date.now()
+    }
+  });
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // No focused browser window to anchor the popup; clicking the
+    // notification opens it with the same conversion
+    logError(error, 'omniboxOpenPopup');
+    await showOmniboxNotification('Currency conversion', lines.join('\n'));
+  }
+}
+
+async function showOmniboxNotification(title, message) {
+  try {
+    await chrome.notifications.create(`omnibox_${Date.now()}`, {
+      type: 'basic',
+      iconUrl: '../assets/icons/icon-48.png',
+      title,
+      message
+    });
+  } catch (error) {
+    logError(error, 'omniboxNotification');
+  }
+}
+
+// Global keyboard commands (manifest "commands", rebindable at
+// chrome://extensions/shortcuts). Each acts on the active tab and does
+// nothing while settings.enableKeyboardShortcuts is off; the tab gets a short
+// notice so the key press doesn't go unanswered.
+chrome.commands.onCommand.addListener((command, tab) => {
+  // sidePanel.open only accepts the key press as a user gesture while the
+  // listener is still running, so it can't wait for the settings
+  if (command === 'open-converter') {
+    if (keyboardShortcutsEnabled) {
+      openConverter(tab);
+    }
+    return;
+  }
+  handleKeyboardCommand(command, tab).catch(error => {
+    logError(error, 'keyboardCommand', { command, tabId: tab?.id });
+  });
+});
+
+async function handleKeyboardCommand(command, tab) {
+  // The key press may have woken the worker before initializeExtension()
+  // read the settings
+  const { enableKeyboardShortcuts } = await loadUserSettings();
+  if (!enableKeyboardShortcuts) {
+    return;
+  }
+  if (command === 'convert-selection') {
+    await convertSelectionInTab(tab);
+  } else if (command === 'swap-currencies') {
+    await swapBaseAndSecondaryCurrency(tab);
+  } else if (command === 'toggle-annotation') {
+    await togglePageAnnotation(tab);
+  }
+}
+
+function openConverter(tab) {
+  const openPopup = () =>
+    chrome.action.openPopup().catch(error => {
+      logError(error, 'openConverterPopup');
+    });
+  if (!chrome.sidePanel?.open || tab?.windowId === undefined) {
+    openPopup();
+    return;
+  }
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => {
+    logError(error, 'openConverterSidePanel');
+    openPopup();
+  });
+}
+
+function showShortcutNotice(tab, message) {
+  if (!tab?.id) {
+    return Promise.resolve();
+  }
+  return sendToFrame(
+    tab.id,
+    { action: 'showShortcutNotice', message },
+    0
+  ).catch(() => {
+    // No content script on this page (e.g. chrome:// or the web store)
+  });
+}
+
+// Sent to every frame; only the focused frame with a price selected answers
+// (the others stay silent), so selections inside iframes work too
+async function convertSelectionInTab(tab) {
+  if (!tab?.id) {
+    return;
+  }
+  const response = await chrome.tabs
+    .sendMessage(tab.id, { action: 'convertSelectionCommand' })
+    .catch(() => null);
+  if (!response?.converting) {
+    await showShortcutNotice(tab, 'Select a price to convert it');
+  }
+}
+
+async function swapBaseAndSecondaryCurrency(tab) {
+  await settingsManager.loadSettings();
+  const { baseCurrency, secondaryCurrency } = settingsManager.getSettings();
+  await settingsManager.updateSettings({
+    baseCurrency: secondaryCurrency,
+    secondaryCurrency: baseCurrency
+  });
+  await showShortcutNotice(
+    tab,
+    `Base currency: ${secondaryCurrency} · Secondary: ${baseCurrency}`
+  );
+}
+
+// Same per-site list as the popup's "Annotate prices on this site" toggle;
+// the command grants activeTab, so the tab's URL is readable here
+async function togglePageAnnotation(tab) {
+  let hostname = null;
+  try {
+    const url = new URL(tab?.url || '');
+    hostname = /^https?:$/.test(url.protocol) ? url.hostname : null;
+  } catch {
+    // No URL (restricted page)
+  }
+  if (!hostname) {
+    await showShortcutNotice(tab, 'Prices cannot be annotated on this page');
+    return;
+  }
+
+  await settingsManager.loadSettings();
+  const sites = new Set(
+    settingsManager.getSettings().pageAnnotationSites || []
+  );
+  const enabled = !sites.has(hostname);
+  if (enabled) {
+    sites.add(hostname);
+  } else {
+    sites.delete(hostname);
+  }
+  await settingsManager.updateSetting('pageAnnotationSites', [...sites]);
+  await showShortcutNotice(
+    tab,
+    enabled
+      ? `Annotating prices on ${hostname}`
+      : `Price annotation off for ${hostname}`
+  );
+}
+
 // Enhanced message listener with async context menu updates
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   try {
     if (request.action === 'updateContextMenu') {
       // Handle async context menu update
-      updateContextMenu(request.hasCurrency, request.currencyInfo)
+      updateContextMenu(request.hasCurrency, request.currencyInfo, sender)
         .then(() => sendResponse({ success: true }))
         .catch(error => {
           logError(error, 'updateContextMenu', request);
@@ -458,6 +1058,75 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       return true; // Will respond asynchronously
     }
 
+    // Tooltip target dropdown: convert the same selection to another currency
+    // (no target: base ↔ secondary, as for the convert-selection command).
+    // The dropdown sends record: false, its selection was already counted.
+    if (request.action === 'convertTooltipTarget') {
+      loadUserSettings()
+        .then(settings =>
+          convertForTooltip(
+            request.currencyInfo,
+            request.targetCurrency ||
+              (request.currencyInfo.currency === settings.baseCurrency
+                ? settings.secondaryCurrency
+                : settings.baseCurrency),
+            settings,
+            { record: request.record !== false }
+          )
+        )
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => {
+          logError(error, 'convertTooltipTarget', {
+            targetCurrency: request.targetCurrency
+          });
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Will respond asynchronously
+    }
+
+    // Pinned conversions panel
+    if (request.action === 'pinConversion') {
+      pinConversions(request.entries || [], sender)
+        .then(state => sendResponse({ success: true, state }))
+        .catch(error => {
+          logError(error, 'pinConversion');
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Will respond asynchronously
+    }
+
+    if (request.action === 'getPinnedConversions') {
+      getPinnedPanelState(sender.tab?.id)
+        .then(state => sendResponse({ success: true, state }))
+        .catch(error => {
+          logError(error, 'getPinnedConversions');
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Will respond asynchronously
+    }
+
+    if (request.action === 'updatePinnedConversions') {
+      setPinnedPanelState(sender.tab?.id, request.state)
+        .then(state => sendResponse({ success: true, state }))
+        .catch(error => {
+          logError(error, 'updatePinnedConversions');
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Will respond asynchronously
+    }
+
+    // Page annotation: one cache-first rate table per base serves every badge
+    if (request.action === 'getRateTable') {
+      exchangeRateService
+        .getRateTable(request.base)
+        .then(table => sendResponse({ success: true, table }))
+        .catch(error => {
+          logError(error, 'getRateTable', { base: request.base });
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Will respond asynchronously
+    }
+
     if (request.action === 'reportError') {
       logError(request.error, request.error.context, request.error);
       sendResponse({ success: true });
@@ -592,13 +1261,23 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
 });
 
 // Enhanced context menu update with dynamic conversion options
-async function updateContextMenu(hasCurrency, currencyInfo) {
+async function updateContextMenu(hasCurrency, currencyInfo, sender = null) {
   try {
     if (!contextMenusCreated) {
       await initializeContextMenus();
     }
 
+    // Selecting text in one frame clears the selection in the others, which
+    // report "no currency" too; only the frame that owns the menu may hide it.
+    const frame = sender?.tab
+      ? { tabId: sender.tab.id, frameId: sender.frameId ?? 0 }
+      : null;
     if (!hasCurrency || !currencyInfo) {
+      if (frame && selectionFrame && !isSameFrame(frame, selectionFrame)) {
+        return;
+      }
+      selectionFrame = null;
+
       // Hide all menus when no currency detected
       await chrome.contextMenus.update('currencyConverter', {
         visible: false
@@ -608,6 +1287,20 @@ async function updateContextMenu(hasCurrency, currencyInfo) {
 
     // Store current currency info
     currentCurrencyInfo = currencyInfo;
+    if (frame) {
+      selectionFrame = frame;
+    }
+
+    // Live detections for the side panel's converter tab (if it is open)
+    chrome.runtime
+      .sendMessage({
+        action: 'selectionDetected',
+        currencyInfo,
+        tabId: frame?.tabId ?? null
+      })
+      .catch(() => {
+        // No side panel or popup open
+      });
 
     // Reload settings to get latest preferences
     currentSettings = await loadUserSettings();
@@ -626,7 +1319,59 @@ async function updateContextMenu(hasCurrency, currencyInfo) {
     const isSecondaryCurrency =
       sourceCurrency === currentSettings.secondaryCurrency;
 
-    if (isBaseCurrency || isSecondaryCurrency) {
+    // Ranges ("$10 – $20") and lists ("€5 / €8 / €12") get their own titles
+    const amounts =
+      currencyInfo.amounts?.length > 1 ? currencyInfo.amounts : null;
+
+    if (currencyInfo.table) {
+      // A selected table converts as a whole, into the base currency unless
+      // it is mostly in the base currency already
+      const targetCurrency = isBaseCurrency
+        ? currentSettings.secondaryCurrency
+        : currentSettings.baseCurrency;
+      const { amountCount } = currencyInfo.table;
+
+      await chrome.contextMenus.update('currencyConverter', {
+        visible: true,
+        title: `Convert table to ${targetCurrency} (${amountCount} amount${amountCount === 1 ? '' : 's'})`
+      });
+
+      currentCurrencyInfo.tableConversionTarget = targetCurrency;
+      await createConversionOptions(sourceCurrency, formattedAmount, {
+        table: true
+      });
+    } else if (amounts) {
+      const targetCurrency = isBaseCurrency
+        ? currentSettings.secondaryCurrency
+        : isSecondaryCurrency
+          ? currentSettings.baseCurrency
+          : null;
+
+      let title;
+      if (currencyInfo.isRange) {
+        title = targetCurrency
+          ? await buildRangeConversionTitle(amounts, targetCurrency)
+          : `Convert ${formatAmountList(amounts, true)}`;
+      } else {
+        title = `Convert ${amounts.length} amounts (${formatAmountList(amounts, false)})`;
+        if (targetCurrency) {
+          title += ` → ${targetCurrency}`;
+        }
+      }
+
+      await chrome.contextMenus.update('currencyConverter', {
+        visible: true,
+        title
+      });
+
+      if (targetCurrency) {
+        currentCurrencyInfo.directConversionTarget = targetCurrency;
+      }
+
+      await createConversionOptions(sourceCurrency, formattedAmount, {
+        nearbyDate: currencyInfo.nearbyDate
+      });
+    } else if (isBaseCurrency || isSecondaryCurrency) {
       // Show direct conversion with formatted display
       const targetCurrency = isBaseCurrency
         ? currentSettings.secondaryCurrency
@@ -650,7 +1395,9 @@ async function updateContextMenu(hasCurrency, currencyInfo) {
       currentCurrencyInfo.directConversionTarget = targetCurrency;
 
       // Still create conversion options submenu for Quick Convert currencies and settings
-      await createConversionOptions(sourceCurrency, formattedAmount);
+      await createConversionOptions(sourceCurrency, formattedAmount, {
+        nearbyDate: currencyInfo.nearbyDate
+      });
     } else {
       // Build base title with confidence indicator for non-base/secondary currencies
       let baseTitle = `Convert ${formattedAmount} ${sourceCurrency}`;
@@ -666,7 +1413,9 @@ async function updateContextMenu(hasCurrency, currencyInfo) {
       });
 
       // Create conversion options for different target currencies
-      await createConversionOptions(sourceCurrency, formattedAmount);
+      await createConversionOptions(sourceCurrency, formattedAmount, {
+        nearbyDate: currencyInfo.nearbyDate
+      });
     }
   } catch (error) {
     logError(error, 'updateContextMenu', { hasCurrency, currencyInfo });
@@ -674,7 +1423,13 @@ async function updateContextMenu(hasCurrency, currencyInfo) {
 }
 
 // Create dynamic conversion menu items based on user preferences
-async function createConversionOptions(sourceCurrency, formattedAmount) {
+// (table: "Convert table to X" items instead of single conversions;
+// nearbyDate: an extra item converting at the rate of that date)
+async function createConversionOptions(
+  sourceCurrency,
+  formattedAmount,
+  { table = false, nearbyDate = null } = {}
+) {
   try {
     const targetCurrencies = new Set();
 
@@ -694,12 +1449,16 @@ async function createConversionOptions(sourceCurrency, formattedAmount) {
         break; // Limit to 3 options (free user limit)
       }
 
-      const menuId = `convert_${targetCurrency}`;
+      const menuId = table
+        ? `convertTable_${targetCurrency}`
+        : `convert_${targetCurrency}`;
       try {
         await chrome.contextMenus.create({
           id: menuId,
           parentId: 'currencyConverter',
-          title: `→ ${targetCurrency}`,
+          title: table
+            ? `Convert table to ${targetCurrency}`
+            : `→ ${targetCurrency}`,
           contexts: ['selection']
         });
         createdMenuItems.add(menuId); // Track the created menu item
@@ -710,6 +1469,26 @@ async function createConversionOptions(sourceCurrency, formattedAmount) {
       index++;
     }
 
+    if (nearbyDate) {
+      const dateTarget =
+        currentCurrencyInfo?.directConversionTarget ||
+        (sourceCurrency === currentSettings.secondaryCurrency
+          ? currentSettings.baseCurrency
+          : currentSettings.secondaryCurrency);
+      const menuId = `convertOnDate_${dateTarget}`;
+      try {
+        await chrome.contextMenus.create({
+          id: menuId,
+          parentId: 'currencyConverter',
+          title: `→ ${dateTarget} at the rate of ${formatShortDate(nearbyDate)}`,
+          contexts: ['selection']
+        });
+        createdMenuItems.add(menuId);
+      } catch {
+        // Menu item already exists or failed to create - non-critical
+      }
+    }
+
     // Add separator and additional options
     if (targetCurrencies.size > 0) {
       try {
@@ -753,8 +1532,72 @@ async function removeConversionMenuItems() {
   }
 }
 
+// Display shape of a conversion, shared by single and multi-amount results
+function describeConversion(conversionResult, confidence) {
+  return {
+    originalAmount: conversionResult.originalAmount,
+    fromCurrency: conversionResult.fromCurrency,
+    convertedAmount: conversionResult.convertedAmount,
+    toCurrency: conversionResult.toCurrency,
+    exchangeRate: conversionResult.rate,
+    timestamp: conversionResult.timestamp,
+    confidence,
+    source: conversionResult.source,
+    cached: conversionResult.cached || false,
+    offline: conversionResult.offline || false,
+    rateDate: conversionResult.rateDate || null,
+    precision: conversionResult.precision || 2,
+    formattedAmount: formatConvertedAmount(
+      conversionResult.convertedAmount,
+      conversionResult.toCurrency
+    ),
+    formattedRate: formatExchangeRate(
+      conversionResult.rate,
+      conversionResult.fromCurrency,
+      conversionResult.toCurrency
+    ),
+    conversionTime: formatConversionTimestamp(conversionResult.timestamp)
+  };
+}
+
+// One history entry and one daily-conversion tick for a user conversion
+async function recordConversion(result) {
+  // Phase 6, Task 6.2: Save successful conversion to history
+  try {
+    await conversionHistory.addConversion({
+      fromCurrency: result.fromCurrency,
+      toCurrency: result.toCurrency,
+      originalAmount: result.originalAmount,
+      convertedAmount: result.convertedAmount,
+      exchangeRate: result.exchangeRate,
+      timestamp: Date.now(),
+      source: 'context-menu',
+      confidence: result.confidence,
+      webpage: null // Could be enhanced to capture current webpage URL
+    });
+  } catch {
+    // Don't fail the conversion if history saving fails
+  }
+
+  // Track usage for subscription management
+  try {
+    // Get subscription manager and track daily conversion usage
+    const { getSubscriptionManager } = await import(
+      '/utils/subscription-manager-v2.js'
+    );
+    const subscriptionManager = await getSubscriptionManager();
+    await subscriptionManager.trackUsage('dailyConversions', 1);
+  } catch {
+    // Don't fail the conversion if usage tracking fails
+  }
+}
+
 // Enhanced conversion logic and utility functions for Task 4.3: Conversion Logic
-async function performCurrencyConversion(currencyData, targetCurrency = null) {
+async function performCurrencyConversion(
+  currencyData,
+  targetCurrency = null,
+  { rateDate = null, record = true } = {}
+) {
   try {
     // Get user settings to determine target currency if not provided
     const settings = await loadUserSettings();
@@ -762,66 +1605,27 @@ async function performCurrencyConversion(currencyData, targetCurrency = null) {
       targetCurrency || settings.secondaryCurrency || 'EUR';
 
     // Use the singleton ExchangeRateService instance
-    const conversionResult = await exchangeRateService.convertCurrency(
-      currencyData.amount,
-      currencyData.currency,
-      finalTargetCurrency
-    );
+    const conversionResult = rateDate
+      ? await exchangeRateService.convertCurrencyOnDate(
+          currencyData.amount,
+          currencyData.currency,
+          finalTargetCurrency,
+          rateDate
+        )
+      : await exchangeRateService.convertCurrency(
+          currencyData.amount,
+          currencyData.currency,
+          finalTargetCurrency
+        );
 
     // Format the conversion result with enhanced structure
-    const result = {
-      originalAmount: conversionResult.originalAmount,
-      fromCurrency: conversionResult.fromCurrency,
-      convertedAmount: conversionResult.convertedAmount,
-      toCurrency: conversionResult.toCurrency,
-      exchangeRate: conversionResult.rate,
-      timestamp: conversionResult.timestamp,
-      confidence: currencyData.confidence || 0.8,
-      source: conversionResult.source,
-      cached: conversionResult.cached || false,
-      offline: conversionResult.offline || false,
-      precision: conversionResult.precision || 2,
-      formattedAmount: formatConvertedAmount(
-        conversionResult.convertedAmount,
-        conversionResult.toCurrency
-      ),
-      formattedRate: formatExchangeRate(
-        conversionResult.rate,
-        conversionResult.fromCurrency,
-        conversionResult.toCurrency
-      ),
-      conversionTime: formatConversionTimestamp(conversionResult.timestamp)
-    };
-
-    // Phase 6, Task 6.2: Save successful conversion to history
-    try {
-      await conversionHistory.addConversion({
-        fromCurrency: result.fromCurrency,
-        toCurrency: result.toCurrency,
-        originalAmount: result.originalAmount,
-        convertedAmount: result.convertedAmount,
-        exchangeRate: result.exchangeRate,
-        timestamp: Date.now(),
-        source: 'context-menu',
-        confidence: result.confidence,
-        webpage: null // Could be enhanced to capture current webpage URL
-      });
-    } catch {
-      // Don't fail the conversion if history saving fails
-    }
-
-    // Track usage for subscription management
-    try {
-      // Get subscription manager and track daily conversion usage
-      const { getSubscriptionManager } = await import(
-        '/utils/subscription-manager-v2.js'
-      );
-      const subscriptionManager = await getSubscriptionManager();
-      await subscriptionManager.trackUsage('dailyConversions', 1);
-    } catch {
-      // Don't fail the conversion if usage tracking fails
+    const result = describeConversion(
+      conversionResult,
+      currencyData.confidence || 0.8
+    );
+    if (record) {
+      await recordConversion(result);
     }
-
     return result;
   } catch (conversionError) {
     logError(conversionError, 'performCurrencyConversion', currencyData);
@@ -838,6 +1642,178 @@ async function performCurrencyConversion(currencyData, targetCurrency = null) {
   }
 }
 
+// Convert every amount of a range or multi-amount selection to one target.
+// Each amount is read from the cache-first rate table of its currency (one
+// table per source currency), and the selection as a whole counts as one
+// conversion: one history entry (its first amount) and one usage tick, unless
+// record is false. The first successful result carries the items plus the
+// converted range "X – Y".
+async function performMultiAmountConversion(
+  currencyInfo,
+  targetCurrency,
+  { rateDate = null, record = true } = {}
+) {
+  const settings = await loadUserSettings();
+  const toCurrency = (
+    targetCurrency ||
+    settings.secondaryCurrency ||
+    'EUR'
+  ).toUpperCase();
+  const confidence = currencyInfo.confidence || 0.8;
+  const tables = new Map();
+
+  const items = [];
+  for (const entry of currencyInfo.amounts) {
+    try {
+      const fromCurrency = String(entry.currency).toUpperCase();
+      if (!tables.has(fromCurrency)) {
+        tables.set(
+          fromCurrency,
+          rateDate
+            ? exchangeRateService.getHistoricalRateTable(fromCurrency, rateDate)
+            : exchangeRateService.getRateTable(fromCurrency)
+        );
+      }
+      const table = await tables.get(fromCurrency);
+      const rate = fromCurrency === toCurrency ? 1 : table.rates[toCurrency];
+      if (typeof rate !== 'number') {
+        throw new Error(
+          `Rate not available for ${fromCurrency} → ${toCurrency}`
+        );
+      }
+      const convertedAmount = exchangeRateService.calculateConversion(
+        entry.amount,
+        rate
+      );
+      items.push(
+        describeConversion(
+          {
+            originalAmount: entry.amount,
+            convertedAmount,
+            rate,
+            fromCurrency,
+            toCurrency,
+            source: table.source,
+            timestamp: new Date(table.fetchedAt).toISOString(),
+            rateDate: table.date || null,
+            cached: table.cached,
+            offline: table.stale,
+            precision: exchangeRateService.getDecimalPlaces(convertedAmount)
+          },
+          confidence
+        )
+      );
+    } catch (conversionError) {
+      logError(conversionError, 'performMultiAmountConversion', entry);
+      items.push({
+        originalAmount: entry.amount,
+        originalCurrency: entry.currency,
+        error: true,
+        errorMessage: conversionError.message,
+        timestamp: new Date().toISOString(),
+        confidence
+      });
+    }
+  }
+
+  const converted = items.filter(item => !item.error);
+  if (converted.length === 0) {
+    return items[0];
+  }
+  if (record) {
+    await recordConversion(converted[0]);
+  }
+
+  const result = {
+    ...converted[0],
+    items,
+    isRange: !!currencyInfo.isRange && converted.length === items.length
+  };
+  if (result.isRange) {
+    result.formattedRange = `${converted[0].formattedAmount} – ${converted[converted.length - 1].formattedAmount}`;
+  }
+  return result;
+}
+
+// Conversion for the selection tooltip. Ranges and multi-amount selections
+// convert every detected amount; single amounts also get the other configured
+// targets (secondary + additionalCurrencies), all read from the one
+// cache-first rate table of the source currency so the extra rows cost no
+// extra API calls. The table's fetchedAt/stale tell the user how old the
+// rates are, and targetOptions feed the tooltip's target dropdown.
+// A rateDate conversion shows that day's rate only: the extra rows and the
+// dropdown work from the latest table. record: false skips the history entry
+// and usage tick (switching the target of an already counted conversion).
+async function convertForTooltip(
+  currencyInfo,
+  targetCurrency,
+  settings,
+  { rateDate = null, record = true } = {}
+) {
+  const result =
+    currencyInfo.amounts?.length > 1
+      ? await performMultiAmountConversion(currencyInfo, targetCurrency, {
+          rateDate,
+          record
+        })
+      : await performCurrencyConversion(
+          {
+            currency: currencyInfo.currency,
+            amount: currencyInfo.amount,
+            confidence: currencyInfo.confidence || 0.8
+          },
+          targetCurrency,
+          { rateDate, record }
+        );
+  if (result.error || rateDate) {
+    return result;
+  }
+
+  const fromCurrency = result.fromCurrency;
+  const configured = [
+    ...new Set([
+      settings.baseCurrency,
+      settings.secondaryCurrency,
+      ...(settings.additionalCurrencies || [])
+    ])
+  ].filter(Boolean);
+  result.targetOptions = configured.filter(code => code !== fromCurrency);
+
+  try {
+    const table = await exchangeRateService.getRateTable(fromCurrency);
+    result.fetchedAt = table.fetchedAt;
+    result.stale = !!table.stale;
+
+    if (!result.items) {
+      const others = new Set([
+        settings.secondaryCurrency,
+        ...(settings.additionalCurrencies || [])
+      ]);
+      result.otherConversions = [...others]
+        .filter(
+          code =>
+            code !== fromCurrency &&
+            code !== result.toCurrency &&
+            typeof table.rates[code] === 'number'
+        )
+        .map(code => {
+          const convertedAmount = result.originalAmount * table.rates[code];
+          return {
+            currency: code,
+            convertedAmount,
+            exchangeRate: table.rates[code],
+            formattedAmount: formatConvertedAmount(convertedAmount, code)
+          };
+        });
+    }
+  } catch (error) {
+    // The main conversion succeeded - show it without the extra rows
+    logError(error, 'convertForTooltip', { fromCurrency });
+  }
+
+  return result;
+}
+
 // Enhanced utility function to get extension statistics
 function getExtensionStats() {
   return {
@@ -882,6 +1858,8 @@ async function updateContextMenuCurrencies() {
   try {
     // Remove all existing dynamic currency menus
     await chrome.contextMenus.removeAll();
+    createdMenuItems.clear();
+    contextMenusCreated = false;
 
     // Recreate context menus with updated settings
     await initializeContextMenus();
@@ -897,8 +1875,12 @@ chrome.notifications.onClicked.addListener(async notificationId => {
     await chrome.notifications.clear(notificationId);
 
     // Handle different notification types
-    if (notificationId.startsWith('alert_')) {
-      // Rate alert notification - open popup to manage alerts
+    if (
+      notificationId.startsWith('alert_') ||
+      notificationId.startsWith('omnibox_')
+    ) {
+      // Rate alert notification - open popup to manage alerts; omnibox
+      // result - the popup shows the stored conversion
       await chrome.action.openPopup();
     } else if (
       notificationId.startsWith('daily-summary') ||
@@ -11,6 +11,41 @@
 import { securityManager } from '../utils/security-manager.js';
 import { AccessibilityManager } from '../utils/accessibility-manager.js';
 import { smartCurrencyDetector } from '../utils/smart-currency-detector.js';
+import { settingsManager } from '../utils/settings-manager.js';
+import { siteRules } from '../utils/site-rules.js';
+import {
+  detectionPipeline,
+  groupDetectedAmounts
+} from '../utils/detection-pipeline.js';
+import { formatConvertedAmount } from '../utils/conversion-utils.js';
+import {
+  findNearestDate,
+  isPastDate,
+  formatShortDate
+} from '../utils/date-detection.js';
+import {
+  readStructuredPrices,
+  pickProductPrice,
+  getDeclaredCurrencies
+} from '../utils/structured-data.js';
+import { PageAnnotator } from './page-annotator.js';
+import {
+  getSelectionSnapshot,
+  isIgnoredField,
+  readSelectionContext
+} from './selection-reader.js';
+import { HoverConverter } from './hover-converter.js';
+import { PinnedPanel } from './pinned-panel.js';
+import {
+  TableConverter,
+  findSelectedTable,
+  detectTableCurrencies
+} from './table-converter.js';
+import {
+  TOOLTIP_HOST_ID,
+  createTooltipHost,
+  placeTooltip
+} from './tooltip-host.js';
 
 // Initialize modules
 let accessibilityManager = null;
@@ -38,125 +73,13 @@ function initializeModules() {
 // Initialize on script load
 initializeModules();
 
-// Currency patterns for detection - Enhanced for Task 2.1
-const CURRENCY_PATTERNS = {
-  // Symbol patterns: $100, €50, £75, ¥1000, A$50, C$75, HK$100
-  symbols:
-    /([A-Z]{0,2}\$|€|£|¥|₹|₽|¢|₩|₦|₪|₨|₫|₱|₡|₲|₴|₵|₸|₺|₾|₿|kr|zł|Kč|Ft|₪|฿|RM|R\$|R|NZ\$|S\$|HK\$)\s*([\d]{1,3}(?:[,.\s]\d{3})*(?:[,.]\d{1,4})?)\b/gi,
-
-  // Suffix symbol patterns: 100$, 50€
-  symbolsSuffix:
-    /([\d]{1,3}(?:[,.\s]\d{3})*(?:[,.]\d{1,4})?)\s*(\$|€|£|¥|₹|₽|¢|₩|₦|₪|₨|₫|₱|₡|₲|₴|₵|₸|₺|₾|₿|kr|zł|Kč|Ft|₪|฿|RM|R\$|R)\b/gi,
-
-  // Amount with currency code: 100 USD, 50 EUR, 75 GBP, 1,000.50 USD
-  codes:
-    /([\d]{1,3}(?:[,.\s]\d{3})*(?:[,.]\d{1,4})?)\s*(USD|EUR|GBP|JPY|AUD|CAD|CHF|CNY|SEK|NZD|MXN|SGD|HKD|NOK|TRY|ZAR|BRL|INR|KRW|RUB|PLN|CZK|HUF|ILS|THB|PHP|MYR|IDR|VND|DKK|BGN|RON|HRK|UAH|EGP|AED|SAR|QAR|KWD|BHD|OMR|JOD|LBP)\b/gi,
-
-  // Currency code with amount: USD 100, EUR 50, GBP 75
-  codesFirst:
-    /\b(USD|EUR|GBP|JPY|AUD|CAD|CHF|CNY|SEK|NZD|MXN|SGD|HKD|NOK|TRY|ZAR|BRL|INR|KRW|RUB|PLN|CZK|HUF|ILS|THB|PHP|MYR|IDR|VND|DKK|BGN|RON|HRK|UAH|EGP|AED|SAR|QAR|KWD|BHD|OMR|JOD|LBP)\s*([\d]{1,3}(?:[,.\s]\d{3})*(?:[,.]\d{1,4})?)\b/gi,
-
-  // Formatted amounts with currency words: 100 dollars, 50 euros, 75 pounds
-  words:
-    /([\d]{1,3}(?:[,.\s]\d{3})*(?:[,.]\d{1,4})?)\s*(dollars?|euros?|pounds?|yen|yuan|pesos?|rupees?|won|rubles?|francs?|krona|krone|zloty|shekel|baht|ringgit|rand)\b/gi,
-
-  // Currency words with amounts: dollars 100, euros 50
-  wordsFirst:
-    /\b(dollars?|euros?|pounds?|yen|yuan|pesos?|rupees?|won|rubles?|francs?|krona|krone|zloty|shekel|baht|ringgit|rand)\s*([\d]{1,3}(?:[,.\s]\d{3})*(?:[,.]\d{1,4})?)\b/gi
-};
-
-// Currency symbol to code mapping - Enhanced for Task 2.1
-const SYMBOL_TO_CODE = {
-  // USD variants
-  $: 'USD',
-  US$: 'USD',
-  // Australian Dollar
-  A$: 'AUD',
-  AU$: 'AUD',
-  // Canadian Dollar
-  C$: 'CAD',
-  CA$: 'CAD',
-  // New Zealand Dollar
-  NZ$: 'NZD',
-  // Singapore Dollar
-  S$: 'SGD',
-  // Hong Kong Dollar
-  HK$: 'HKD',
-  // European currencies
-  '€': 'EUR',
-  '£': 'GBP',
-  '¥': 'JPY', // Default to JPY, but could be CNY
-  // Swiss Franc
-  CHF: 'CHF',
-  // Nordic currencies
-  kr: 'SEK', // Default to SEK, could also be NOK or DKK
-  // Other major currencies
-  '₹': 'INR',
-  '₽': 'RUB',
-  '¢': 'USD', // Cents
-  '₩': 'KRW',
-  '₦': 'NGN',
-  '₪': 'ILS',
-  '₨': 'PKR',
-  '₫': 'VND',
-  '₱': 'PHP',
-  '₡': 'CRC',
-  '₲': 'PYG',
-  '₴': 'UAH',
-  '₵': 'GHS',
-  '₸': 'KZT',
-  '₺': 'TRY',
-  '₾': 'GEL',
-  '₿': 'BTC',
-  // Polish Zloty
-  zł: 'PLN',
-  // Czech Koruna
-  Kč: 'CZK',
-  // Hungarian Forint
-  Ft: 'HUF',
-  // Thai Baht
-  '฿': 'THB',
-  // Malaysian Ringgit
-  RM: 'MYR',
-  // Brazilian Real
-  R$: 'BRL',
-  // South African Rand
-  R: 'ZAR'
-};
-
-// Currency word to code mapping
-const WORD_TO_CODE = {
-  dollars: 'USD',
-  dollar: 'USD',
-  euros: 'EUR',
-  euro: 'EUR',
-  pounds: 'GBP',
-  pound: 'GBP',
-  yen: 'JPY',
-  yuan: 'CNY',
-  pesos: 'MXN', // Default to MXN, could be other peso currencies
-  peso: 'MXN',
-  rupees: 'INR',
-  rupee: 'INR',
-  won: 'KRW',
-  rubles: 'RUB',
-  ruble: 'RUB',
-  francs: 'CHF', // Default to CHF
-  franc: 'CHF',
-  krona: 'SEK',
-  krone: 'NOK',
-  zloty: 'PLN',
-  shekel: 'ILS',
-  baht: 'THB',
-  ringgit: 'MYR',
-  rand: 'ZAR'
-};
-
 // Enhanced selection tracking and performance optimization - Task 2.2 & Task 5.2
 let currentSelection = null;
 let lastDetectedCurrency = null;
 let selectionTimeout = null;
 let isProcessingSelection = false;
+// Innermost mouseup target, so selections inside open shadow roots are found
+let lastSelectionOrigin = null;
 
 // Phase 5, Task 5.2: Enhanced debouncing for rapid selections
 const SELECTION_DEBOUNCE_MS = 100; // Reduced for faster response
@@ -240,12 +163,22 @@ function cleanup() {
 
   // Remove event listeners
   document.removeEventListener('selectionchange', handleSelectionChange);
+  document.removeEventListener('select', handleSelectionChange, true);
   document.removeEventListener('mouseup', handleMouseUp);
   document.removeEventListener('keyup', handleKeyUp);
 
   // Remove any existing tooltips
   removeExistingTooltip();
 
+  // Stop page annotation (removes injected badges and the observer)
+  if (pageAnnotator) {
+    pageAnnotator.stop();
+  }
+
+  if (hoverConverter) {
+    hoverConverter.stop();
+  }
+
   debugLog('Content script cleaned up');
 }
 
@@ -272,15 +205,265 @@ function initialize() {
 // Initialize when script loads
 initialize();
 
+// Page annotation mode - opt-in per site (settings.pageAnnotationSites)
+let pageAnnotator = null;
+// Site is on the deny list (settings.deniedSites) - no detection or annotation
+let siteDormant = false;
+
+// Ask the service worker for the cache-first rate table of a base currency
+async function requestRateTable(base) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'getRateTable',
+    base
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Rate table unavailable');
+  }
+  return response.table;
+}
+
+function isPageAnnotationEnabled(settings) {
+  if (siteDormant) {
+    return false;
+  }
+  const sites = settings?.pageAnnotationSites || [];
+  return sites.includes(siteRules.hostname);
+}
+
+// Start, restart (base currency changed) or stop annotation to match settings
+async function syncPageAnnotation(settings) {
+  try {
+    if (!isPageAnnotationEnabled(settings)) {
+      // Also cancels a start still waiting for its rate table
+      if (pageAnnotator?.active || pageAnnotator?.starting) {
+        pageAnnotator.stop();
+      }
+      return;
+    }
+
+    if (!pageAnnotator) {
+      pageAnnotator = new PageAnnotator({
+        detector: smartCurrencyDetector,
+        requestRateTable,
+        formatAmount: formatConvertedAmount
+      });
+    }
+    await pageAnnotator.start(settings.baseCurrency || 'USD');
+  } catch (error) {
+    handleError(error, 'syncPageAnnotation');
+  }
+}
+
+// Tooltip look (settings.theme, settings.animationSpeed)
+let tooltipAppearance = { theme: 'light', animationSpeed: 'normal' };
+
+// Table conversion: the table the current selection spans, and the
+// converter that changed (and can restore) one
+let selectedTable = null;
+let tableConverter = null;
+
+async function convertSelectedTable(targetCurrency) {
+  const table = findSelectedTable(window.getSelection()) || selectedTable;
+  if (!table || !table.isConnected) {
+    throw new Error('Select the table again to convert it');
+  }
+  if (!tableConverter) {
+    tableConverter = new TableConverter({
+      requestRateTable,
+      formatAmount: formatConvertedAmount,
+      getAppearance: () => tooltipAppearance
+    });
+  }
+  removeExistingTooltip();
+  return tableConverter.convert(table, targetCurrency);
+}
+
+// Pinned conversions panel - rendered by the top frame only; the service
+// worker keeps its entries per tab
+let pinnedPanel = null;
+let pinnedPanelSettings = { baseCurrency: 'USD', theme: 'light' };
+const isTopFrame = window === window.top;
+
+function showPinnedPanel(state) {
+  if (!isTopFrame || siteDormant) {
+    return;
+  }
+  if (!pinnedPanel) {
+    pinnedPanel = new PinnedPanel({
+      requestRateTable,
+      formatAmount: formatConvertedAmount,
+      onChange: panelState =>
+        sendMessageSafely({
+          action: 'updatePinnedConversions',
+          state: panelState
+        })
+    });
+  }
+  pinnedPanel.setBaseCurrency(pinnedPanelSettings.baseCurrency);
+  pinnedPanel.setAppearance({ theme: pinnedPanelSettings.theme });
+  pinnedPanel.update(state);
+}
+
+function syncPinnedPanel(settings) {
+  pinnedPanelSettings = {
+    baseCurrency: settings.baseCurrency || 'USD',
+    theme: settings.theme
+  };
+  if (siteDormant) {
+    pinnedPanel?.remove();
+  } else if (pinnedPanel) {
+    pinnedPanel.setBaseCurrency(pinnedPanelSettings.baseCurrency);
+    pinnedPanel.setAppearance({ theme: pinnedPanelSettings.theme });
+  }
+}
+
+// Bring back the tab's pinned conversions after a reload or navigation
+async function restorePinnedPanel() {
+  if (!isTopFrame) {
+    return;
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getPinnedConversions'
+    });
+    if (response?.state?.entries?.length) {
+      showPinnedPanel(response.state);
+    }
+  } catch {
+    // Service worker unavailable - nothing pinned to show
+  }
+}
+
+// Pinned entries for a tooltip result: one per converted amount, with a
+// text-fragment link and scroll offset to find the price again
+function buildPinnedEntries(originalText, result) {
+  const items =
+    result.items?.length > 1
+      ? result.items.filter(item => !item.error)
+      : [result];
+  const pageUrl = window.location.href.split('#')[0];
+  const fragment = String(originalText || '')
+    .trim()
+    .slice(0, 80);
+  return items.map(item => ({
+    sourceText: formatConvertedAmount(item.originalAmount, item.fromCurrency),
+    amount: item.originalAmount,
+    currency: item.fromCurrency,
+    convertedAmount: item.convertedAmount,
+    toCurrency: item.toCurrency,
+    formattedAmount: item.formattedAmount,
+    url: fragment
+      ? `${pageUrl}#:~:text=${encodeURIComponent(fragment)}`
+      : pageUrl,
+    pageTitle: document.title,
+    scrollY: Math.round(window.scrollY)
+  }));
+}
+
+// Hover-to-convert mode (settings.autoConvert)
+let hoverConverter = null;
+
+function syncHoverConverter(settings) {
+  if (!settings?.autoConvert && !hoverConverter) {
+    return;
+  }
+  if (!hoverConverter) {
+    hoverConverter = new HoverConverter({
+      detect: text =>
+        detectionPipeline.detect(text, {
+          minConfidence: smartCurrencyDetector.confidenceThreshold
+        }),
+      requestRateTable,
+      formatAmount: formatConvertedAmount,
+      showTooltip: (originalText, currencyInfo, result, anchorRect) =>
+        displayConversionTooltip(originalText, currencyInfo, result, null, {
+          anchorRect,
+          passive: true
+        }),
+      hideTooltip: removeExistingTooltip,
+      isBlocked: () => siteDormant
+    });
+  }
+  hoverConverter.configure(siteDormant ? {} : settings);
+}
+
+// Apply site detection rules, the deny list and annotation mode from settings
+async function applySiteSettings(settings) {
+  siteRules.configure(settings);
+  siteDormant = siteRules.isDenied();
+  tooltipAppearance = {
+    theme: settings.theme,
+    animationSpeed: settings.animationSpeed
+  };
+  if (siteDormant) {
+    currentSelection = null;
+    lastDetectedCurrency = null;
+    removeExistingTooltip();
+  }
+  syncHoverConverter(settings);
+  syncPinnedPanel(settings);
+  await syncPageAnnotation(settings);
+}
+
+// Structured product data (JSON-LD, microdata, OpenGraph): the declared
+// currency disambiguates `$`, `kr`, `¥`... and backs "convert this page's
+// product price". Re-read on demand since shops render prices late.
+function refreshStructuredPrices() {
+  try {
+    const prices = readStructuredPrices(document);
+    siteRules.setPageCurrencies(getDeclaredCurrencies(prices));
+    return prices;
+  } catch (error) {
+    handleError(error, 'refreshStructuredPrices');
+    return [];
+  }
+}
+
+async function initializeSiteSettings() {
+  if (!siteRules.hostname) {
+    // An about:blank frame whose embedder can't be seen (cross-origin top,
+    // sandboxed parent) can't be checked against the deny list: stay off
+    if (window.location.protocol === 'about:') {
+      siteDormant = true;
+    }
+    return;
+  }
+
+  refreshStructuredPrices();
+
+  try {
+    await settingsManager.loadSettings();
+    await applySiteSettings(settingsManager.getSettings());
+  } catch {
+    // Settings unavailable - default rules, annotation stays off
+  }
+
+  restorePinnedPanel();
+
+  // React to rule, deny list, per-site toggle and base currency changes
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.userSettings?.newValue) {
+      applySiteSettings(changes.userSettings.newValue);
+    }
+  });
+}
+
+initializeSiteSettings();
+
+window.getPageAnnotationStats = () =>
+  pageAnnotator ? pageAnnotator.getStats() : { active: false };
+
 // Listen for text selection changes with enhanced handling
 document.addEventListener('selectionchange', handleSelectionChange);
+// Text fields fire "select" on the field itself; capture it document-wide
+document.addEventListener('select', handleSelectionChange, true);
 document.addEventListener('mouseup', handleMouseUp);
 document.addEventListener('keyup', handleKeyUp);
 
 // Enhanced selection change handler with improved debouncing - Task 5.2
 function handleSelectionChange() {
-  // Prevent multiple simultaneous processing
-  if (isProcessingSelection) {
+  // Prevent multiple simultaneous processing; stay dormant on denied sites
+  if (isProcessingSelection || siteDormant) {
     return;
   }
 
@@ -318,8 +501,35 @@ function processSelectionChange() {
   try {
     isProcessingSelection = true;
 
-    const selection = window.getSelection();
-    const selectedText = selection.toString().trim();
+    // Document, text field or open shadow root selection
+    const snapshot = getSelectionSnapshot({ origin: lastSelectionOrigin });
+    const selectedText = snapshot ? snapshot.text : '';
+
+    // A selection across table cells offers to convert the whole table
+    const table =
+      snapshot?.source === 'document'
+        ? findSelectedTable(window.getSelection())
+        : null;
+    if (table) {
+      if (table === selectedTable && selectedText === currentSelection) {
+        return;
+      }
+      const tableInfo = detectTableSelection(table, selectedText);
+      if (tableInfo) {
+        detected = true;
+        currentSelection = selectedText;
+        selectedTable = table;
+        lastDetectedCurrency = tableInfo;
+        sendMessageSafely({
+          action: 'updateContextMenu',
+          hasCurrency: true,
+          currencyInfo: tableInfo,
+          selectedText
+        });
+        return;
+      }
+    }
+    selectedTable = null;
 
     debugLog('Processing selection', {
       text: selectedText,
@@ -345,6 +555,9 @@ function processSelectionChange() {
 
     if (currencyInfo) {
       detected = true;
+      if (snapshot.source === 'document') {
+        currencyInfo.nearbyDate = detectNearbyDate(window.getSelection());
+      }
       lastDetectedCurrency = currencyInfo;
 
       debugLog('Currency detected', currencyInfo);
@@ -369,6 +582,20 @@ function processSelectionChange() {
   }
 }
 
+// A past date written next to the price (an invoice or order date) lets the
+// context menu offer that day's rate. US pages write 03/01/2024 month first.
+function detectNearbyDate(selection) {
+  const context = readSelectionContext(selection);
+  if (!context) {
+    return null;
+  }
+  const lang = document.documentElement.lang || window.navigator.language;
+  const found = findNearestDate(context.text, context, {
+    monthFirst: /^en-US$/i.test(lang || '')
+  });
+  return found && isPastDate(found.date) ? found.date : null;
+}
+
 // Enhanced validation for selected text
 function isValidSelection(text) {
   if (!text || text.length === 0) {
@@ -413,10 +640,14 @@ function sendMessageSafely(message) {
 
 // Enhanced mouse up handler
 function handleMouseUp(event) {
+  // event.target is retargeted to the shadow host; the composed path is not
+  const origin = event.composedPath?.()[0] || event.target;
+  lastSelectionOrigin = origin;
+
   // Small delay to ensure selection is complete
   setTimeout(() => {
-    // Only process if not already processing and not in an input field
-    if (!isProcessingSelection && !isInputElement(event.target)) {
+    // Text fields are fine; selects, password and other inputs are not
+    if (!isProcessingSelection && !isIgnoredField(origin)) {
       handleSelectionChange();
     }
   }, 10);
@@ -430,65 +661,39 @@ function handleKeyUp(event) {
   }
 }
 
-// Check if element is an input field where we shouldn't process selections
-function isInputElement(element) {
-  const inputTypes = ['input', 'textarea', 'select'];
-  return element && inputTypes.includes(element.tagName.toLowerCase());
-}
-
 // Enhanced currency detection with validation and edge case handling - Task 2.2
-// Phase 6, Task 6.1: Enhanced with Smart Currency Detection
+// Uses the shared detection pipeline (same stages and number parser as the popup)
 function detectCurrencyWithValidation(text) {
   try {
-    // Phase 6, Task 6.1: Use smart currency detector if available
-    if (smartCurrencyDetector) {
-      const smartResults = smartCurrencyDetector.detectCurrencies(text);
-
-      if (smartResults && smartResults.length > 0) {
-        // Return the highest confidence result with additional metadata
-        const bestResult = smartResults[0];
-
-        // Convert to expected format for backward compatibility
-        const result = {
-          amount: bestResult.amount,
-          currency: bestResult.currency,
-          originalText: bestResult.originalText,
-          confidence: bestResult.confidence,
-          type: bestResult.type,
-          selectionLength: text.length,
-          hasMultipleCurrencies: smartResults.length > 1,
-          multipleCurrencies: smartResults.length > 1 ? smartResults : null,
-          format: bestResult.type || 'smart'
-        };
-
-        return result;
-      }
-    }
-
-    // Fallback to traditional detection
-
-    // Preprocess text to handle common edge cases
     const cleanedText = preprocessText(text);
-
-    // Try standard detection first
-    let result = detectCurrency(cleanedText);
-
-    // If no result, try with more aggressive cleaning
-    if (!result && text !== cleanedText) {
-      const aggressiveClean = aggressiveTextClean(text);
-      result = detectCurrency(aggressiveClean);
-    }
-
-    // Validate the detected currency
-    if (result && validateCurrencyDetection(result, text)) {
-      // Add additional metadata for better context menu display
-      result.selectionLength = text.length;
-      result.hasMultipleCurrencies = detectMultipleCurrencies(text);
-      result.confidence = calculateConfidence(result, text);
-      return result;
+    const candidates = detectMultipleCurrencies(cleanedText);
+    if (candidates.length === 0) {
+      return null;
     }
 
-    return null;
+    // Ranges ("$10 – $20", "$10-20") and lists ("€5 / €8 / €12") in reading order
+    const { amounts, isRange } = groupDetectedAmounts(cleanedText, candidates);
+
+    // Highest confidence candidate (or the low end of a range) leads
+    const best = candidates[0];
+    const primary = isRange ? amounts[0] : best;
+    return {
+      amount: primary.amount,
+      currency: primary.currency,
+      originalText: primary.originalText,
+      confidence: best.confidence,
+      type: best.type,
+      format: isRange ? 'range' : best.format,
+      range: primary.range,
+      // "$1.2M" / "twenty dollars": the tooltip shows the expanded amount
+      magnitude: primary.magnitude || null,
+      amountFormat: primary.amountFormat,
+      selectionLength: text.length,
+      hasMultipleCurrencies: amounts.length > 1,
+      multipleCurrencies: candidates.length > 1 ? candidates : null,
+      amounts: amounts.length > 1 ? amounts : null,
+      isRange
+    };
   } catch {
     // Error in currency detection
     return null;
@@ -499,13 +704,6 @@ function detectCurrencyWithValidation(text) {
 function preprocessText(text) {
   return (
     text
-      // Normalize different types of spaces
-      .replace(
-        /[\u00A0\u1680\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200A\u200B\u202F\u205F\u3000]/g,
-        ' '
-      )
-      // Normalize different types of dashes
-      .replace(/[\u2013\u2014\u2015]/g, '-')
       // Remove zero-width characters
       .replace(/\u200B/g, '')
       .replace(/\u200C/g, '')
@@ -518,236 +716,54 @@ function preprocessText(text) {
   );
 }
 
-// More aggressive text cleaning for edge cases
-function aggressiveTextClean(text) {
-  return (
-    text
-      // Remove extra whitespace
-      .replace(/\s+/g, ' ')
-      // Remove common punctuation that might interfere
-      .replace(/[()[\]{}]/g, '')
-      // Keep only currency-relevant characters
-      .replace(/[^\w\s$€£¥₹₽¢₩₦₪₨₫₱₡₲₴₵₸₺₾₿.,-]/g, ' ')
-      .trim()
-  );
-}
-
-// Validate that the detected currency makes sense in context
-function validateCurrencyDetection(detection, originalText) {
-  // Check if amount is reasonable (not too small or too large)
-  if (detection.amount < 0.01 || detection.amount > 999999999) {
-    return false;
-  }
-
-  // Check if the original text length is reasonable
-  if (originalText.length > 100) {
-    return false;
-  }
-
-  // Ensure the detected text is a reasonable portion of the selection
-  const ratio = detection.originalText.length / originalText.length;
-  if (ratio < 0.2) {
-    return false;
+// All non-overlapping currency amounts in the text, best first. With a
+// table, every amount cell instead (bare numbers take their column header's
+// currency), in reading order
+function detectMultipleCurrencies(text, { table = null } = {}) {
+  if (table) {
+    return detectTableCurrencies(table).cells.map(cell => ({
+      ...cell,
+      type: 'table',
+      format: 'table'
+    }));
   }
-
-  return true;
-}
-
-// Detect if text contains multiple currencies (affects confidence)
-function detectMultipleCurrencies(text) {
-  const currencyMatches = [];
-
-  // Count different types of currency indicators
-  Object.values(CURRENCY_PATTERNS).forEach(pattern => {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      currencyMatches.push(match[0]);
-      if (currencyMatches.length > 1) {
-        return true; // Early exit if multiple found
-      }
-    }
+  return detectionPipeline.detect(text, {
+    minConfidence: smartCurrencyDetector.confidenceThreshold
   });
-
-  return currencyMatches.length > 1;
 }
 
-// Calculate confidence score based on various factors
-function calculateConfidence(detection, originalText) {
-  let confidence = detection.confidence || 0.7;
-
-  // Boost confidence for exact matches
-  if (detection.originalText.trim() === originalText.trim()) {
-    confidence += 0.1;
-  }
-
-  // Reduce confidence for multiple currencies in selection
-  if (detection.hasMultipleCurrencies) {
-    confidence -= 0.2;
-  }
-
-  // Boost confidence for common currencies
-  const commonCurrencies = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
-  if (commonCurrencies.includes(detection.currency)) {
-    confidence += 0.05;
-  }
-
-  // Ensure confidence stays within bounds
-  return Math.max(0.1, Math.min(1.0, confidence));
-}
-
-// Enhanced currency detection function for Task 2.1 (used by detectCurrencyWithValidation)
-function detectCurrency(text) {
-  // Helper function to parse amount from string
-  function parseAmount(amountStr) {
-    // Remove spaces and handle different decimal separators
-    const cleanAmount = amountStr.replace(/\s/g, '');
-    // Handle European format (1.234,56) vs US format (1,234.56)
-    if (cleanAmount.includes(',') && cleanAmount.includes('.')) {
-      // Determine format by position of comma vs period
-      const lastComma = cleanAmount.lastIndexOf(',');
-      const lastPeriod = cleanAmount.lastIndexOf('.');
-      if (lastComma > lastPeriod) {
-        // European format: 1.234,56
-        return parseFloat(cleanAmount.replace(/\./g, '').replace(',', '.'));
-      } else {
-        // US format: 1,234.56
-        return parseFloat(cleanAmount.replace(/,/g, ''));
-      }
-    } else if (cleanAmount.includes(',')) {
-      // Could be thousands separator or decimal
-      const parts = cleanAmount.split(',');
-      if (parts.length === 2 && parts[1].length <= 2) {
-        // Decimal separator: 123,45
-        return parseFloat(cleanAmount.replace(',', '.'));
-      } else {
-        // Thousands separator: 1,234 or 1,234,567
-        return parseFloat(cleanAmount.replace(/,/g, ''));
-      }
-    } else {
-      // Simple number: 1234 or 1234.56
-      return parseFloat(cleanAmount);
-    }
-  }
-
-  // Helper function to normalize currency symbol
-  function normalizeCurrencySymbol(symbol) {
-    return symbol.trim().replace(/\s+/g, '');
-  }
-
-  // Try symbol patterns first (highest priority)
-  CURRENCY_PATTERNS.symbols.lastIndex = 0;
-  let match = CURRENCY_PATTERNS.symbols.exec(text);
-  if (match) {
-    const symbol = normalizeCurrencySymbol(match[1]);
-    const amount = parseAmount(match[2]);
-    const currency = SYMBOL_TO_CODE[symbol] || 'USD';
-
-    if (!isNaN(amount) && amount > 0) {
-      return {
-        amount: amount,
-        currency: currency,
-        originalText: match[0],
-        format: 'symbol',
-        confidence: 0.9
-      };
-    }
-  }
-
-  // Try currency code with amount: USD 100
-  CURRENCY_PATTERNS.codesFirst.lastIndex = 0;
-  match = CURRENCY_PATTERNS.codesFirst.exec(text);
-  if (match) {
-    const currency = match[1].toUpperCase();
-    const amount = parseAmount(match[2]);
-
-    if (!isNaN(amount) && amount > 0) {
-      return {
-        amount: amount,
-        currency: currency,
-        originalText: match[0],
-        format: 'codeFirst',
-        confidence: 0.85
-      };
-    }
-  }
-
-  // Try amount with currency code: 100 USD
-  CURRENCY_PATTERNS.codes.lastIndex = 0;
-  match = CURRENCY_PATTERNS.codes.exec(text);
-  if (match) {
-    const amount = parseAmount(match[1]);
-    const currency = match[2].toUpperCase();
-
-    if (!isNaN(amount) && amount > 0) {
-      return {
-        amount: amount,
-        currency: currency,
-        originalText: match[0],
-        format: 'code',
-        confidence: 0.85
-      };
-    }
-  }
-
-  // Try currency words with amount: dollars 100
-  CURRENCY_PATTERNS.wordsFirst.lastIndex = 0;
-  match = CURRENCY_PATTERNS.wordsFirst.exec(text);
-  if (match) {
-    const word = match[1].toLowerCase();
-    const currency = WORD_TO_CODE[word];
-    const amount = parseAmount(match[2]);
-
-    if (currency && !isNaN(amount) && amount > 0) {
-      return {
-        amount: amount,
-        currency: currency,
-        originalText: match[0],
-        format: 'wordFirst',
-        confidence: 0.7
-      };
-    }
+// Currency info for a selected table: the most common source currency leads
+// and `table` summarizes what a conversion would cover
+function detectTableSelection(table, text) {
+  const cells = detectMultipleCurrencies(text, { table });
+  if (cells.length === 0) {
+    return null;
   }
 
-  // Try amount with currency words: 100 dollars
-  CURRENCY_PATTERNS.words.lastIndex = 0;
-  match = CURRENCY_PATTERNS.words.exec(text);
-  if (match) {
-    const amount = parseAmount(match[1]);
-    const word = match[2].toLowerCase();
-    const currency = WORD_TO_CODE[word];
-
-    if (currency && !isNaN(amount) && amount > 0) {
-      return {
-        amount: amount,
-        currency: currency,
-        originalText: match[0],
-        format: 'word',
-        confidence: 0.7
-      };
-    }
-  }
+  const counts = new Map();
+  cells.forEach(cell =>
+    counts.set(cell.currency, (counts.get(cell.currency) || 0) + 1)
+  );
+  const [currency] = [...counts].sort((a, b) => b[1] - a[1])[0];
+  const lead = cells.find(cell => cell.currency === currency);
 
-  // Try suffix symbol patterns: 100$, 50€, 75£
-  CURRENCY_PATTERNS.symbolsSuffix.lastIndex = 0;
-  match = CURRENCY_PATTERNS.symbolsSuffix.exec(text);
-  if (match) {
-    const amount = parseAmount(match[1]);
-    const symbol = normalizeCurrencySymbol(match[2]);
-    const currency = SYMBOL_TO_CODE[symbol] || 'USD';
-
-    if (!isNaN(amount) && amount > 0) {
-      return {
-        amount: amount,
-        currency: currency,
-        originalText: match[0],
-        format: 'symbolSuffix',
-        confidence: 0.8
-      };
+  return {
+    amount: lead.amount,
+    currency,
+    originalText: lead.originalText,
+    confidence: lead.confidence,
+    type: 'table',
+    format: 'table',
+    selectionLength: text.length,
+    hasMultipleCurrencies: counts.size > 1,
+    multipleCurrencies: null,
+    amounts: null,
+    isRange: false,
+    table: {
+      amountCount: cells.length,
+      currencies: [...counts.keys()]
     }
-  }
-
-  return null;
+  };
 }
 
 // Listen for messages from background script
@@ -765,6 +781,48 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
     }
 
+    if (request.action === 'getPageProductPrice') {
+      const price = siteDormant
+        ? null
+        : pickProductPrice(refreshStructuredPrices());
+      sendResponse({ success: true, price });
+    }
+
+    if (request.action === 'convertSelectionCommand') {
+      // Keyboard command goes to every frame; only the one converting
+      // answers, the others leave the reply to it
+      if (convertSelectionFromCommand()) {
+        sendResponse({ success: true, converting: true });
+      }
+    }
+
+    // "Convert table to X" from the context menu
+    if (request.action === 'convertSelectedTable') {
+      convertSelectedTable(request.targetCurrency)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => {
+          displayConversionTooltip(
+            'Selected table',
+            lastDetectedCurrency,
+            null,
+            error.message,
+            { anchorRect: selectedTable?.getBoundingClientRect() }
+          );
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Will respond asynchronously
+    }
+
+    if (request.action === 'showShortcutNotice') {
+      showShortcutNotice(request.message);
+      sendResponse({ success: true });
+    }
+
+    if (request.action === 'showPinnedPanel') {
+      showPinnedPanel(request.state);
+      sendResponse({ success: true });
+    }
+
     if (request.action === 'showConversionResult' && request.result) {
       if (request.result.error) {
         // Show error result in popup tooltip only (toast disabled)
@@ -791,9 +849,85 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// "Convert selection" keyboard command: convert the focused frame's
+// selection like the context menu would (base ↔ secondary)
+function convertSelectionFromCommand() {
+  if (siteDormant || !document.hasFocus()) {
+    return false;
+  }
+  const snapshot = getSelectionSnapshot({ origin: lastSelectionOrigin });
+  const currencyInfo =
+    snapshot && isValidSelection(snapshot.text)
+      ? detectCurrencyWithValidation(snapshot.text)
+      : null;
+  if (!currencyInfo) {
+    return false;
+  }
+
+  const options = { anchorRect: snapshot.rect };
+  chrome.runtime
+    .sendMessage({ action: 'convertTooltipTarget', currencyInfo })
+    .then(response => {
+      if (!response?.success || response.result?.error) {
+        throw new Error(
+          response?.error ||
+            response?.result?.errorMessage ||
+            'Conversion failed'
+        );
+      }
+      displayConversionTooltip(
+        snapshot.text,
+        currencyInfo,
+        response.result,
+        null,
+        options
+      );
+    })
+    .catch(error => {
+      displayConversionTooltip(
+        snapshot.text,
+        currencyInfo,
+        null,
+        error.message,
+        options
+      );
+    });
+  return true;
+}
+
+// Short confirmation for keyboard commands, at the top of the viewport
+function showShortcutNotice(message) {
+  if (!isTopFrame || !message) {
+    return;
+  }
+  removeExistingTooltip();
+  const { host, tooltip, duration } = createTooltipHost(tooltipAppearance);
+  tooltip.setAttribute('role', 'status');
+  tooltip.textContent = message;
+  document.body.appendChild(host);
+  // A zero-height strip along the top edge places the notice just below it
+  placeTooltip(tooltip, {
+    left: 0,
+    right: window.innerWidth,
+    width: window.innerWidth,
+    top: 0,
+    bottom: 0,
+    height: 0
+  });
+  requestAnimationFrame(() => {
+    tooltip.classList.add('cc-visible');
+  });
+  accessibilityManager?.announceToScreenReader(message);
+
+  setTimeout(() => {
+    tooltip.classList.remove('cc-visible');
+    setTimeout(() => host.remove(), duration);
+  }, 2500);
+}
+
 // Helper function to remove existing tooltips
 function removeExistingTooltip() {
-  const existing = document.getElementById('currency-converter-tooltip');
+  const existing = document.getElementById(TOOLTIP_HOST_ID);
   if (existing && existing.parentNode) {
     existing.parentNode.removeChild(existing);
   }
@@ -802,38 +936,145 @@ function removeExistingTooltip() {
 // v1.1.0: Build a small freshness badge from the conversion result flags.
 function buildRateSourceBadge(result) {
   let label;
-  let bg;
-  let color;
+  let variant;
 
-  if (result?.offline) {
+  if (result?.offline || result?.stale) {
     label = '📴 Offline rate';
-    bg = '#fef3c7';
-    color = '#92400e';
+    variant = 'offline';
   } else if (result?.cached) {
     label = '⚡ Cached';
-    bg = '#dbeafe';
-    color = '#1e40af';
+    variant = 'cached';
   } else {
     label = '🟢 Live';
-    bg = '#dcfce7';
-    color = '#166534';
+    variant = 'live';
   }
 
-  return `<span style="display: inline-block; padding: 2px 8px; border-radius: 9999px; font-size: 11px; font-weight: 600; background: ${bg}; color: ${color};">${label}</span>`;
+  return `<span class="cc-badge cc-badge-${variant}">${label}</span>`;
+}
+
+// Escape selection/page text before it goes into tooltip markup
+function escapeTooltipText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "$1.2M = $1,200,000.00": spell out magnitudes and written numbers so the
+// user can check what was actually converted
+function describeSourceAmount(currencyInfo, result, fromCurrency) {
+  const amount = currencyInfo?.amount || result.originalAmount;
+  const isExpanded =
+    currencyInfo?.magnitude || currencyInfo?.amountFormat === 'spelled';
+  if (!isExpanded) {
+    return `${amount} ${fromCurrency}`;
+  }
+  return `${escapeTooltipText(currencyInfo.originalText)} = ${escapeTooltipText(formatConvertedAmount(amount, fromCurrency))}`;
+}
+
+// "Rates from 14:05 (3 min ago)": when the rate table was fetched, from
+// RateCache's fetchedAt; falls back to the conversion timestamp
+function describeRateAge(result) {
+  if (!result.fetchedAt) {
+    return escapeTooltipText(result.timestamp || new Date().toLocaleString());
+  }
+  const minutes = Math.round((Date.now() - result.fetchedAt) / 60000);
+  let age;
+  if (minutes < 1) {
+    age = 'just now';
+  } else if (minutes < 60) {
+    age = `${minutes} min ago`;
+  } else if (minutes < 48 * 60) {
+    age = `${Math.round(minutes / 60)} h ago`;
+  } else {
+    age = `${Math.round(minutes / (24 * 60))} days ago`;
+  }
+  const time = new Date(result.fetchedAt).toLocaleString();
+  return `${escapeTooltipText(time)} (${age}${result.stale ? ', outdated' : ''})`;
+}
+
+// Secondary and additional currencies next to the main conversion
+function buildOtherConversionRows(result) {
+  if (!result.otherConversions?.length) {
+    return '';
+  }
+  const rows = result.otherConversions
+    .map(
+      other =>
+        `<div class="cc-row"><span>${escapeTooltipText(other.currency)}</span><span class="cc-other-amount">${escapeTooltipText(other.formattedAmount)}</span></div>`
+    )
+    .join('');
+  return `<div id="tooltipOtherConversions" class="cc-others">${rows}</div>`;
+}
+
+// Target currency dropdown; changing it re-converts without the context menu
+function buildTargetSelect(result) {
+  const options = result.targetOptions || [];
+  if (options.length < 2) {
+    return '';
+  }
+  const optionMarkup = options
+    .map(
+      code =>
+        `<option value="${escapeTooltipText(code)}"${code === result.toCurrency ? ' selected' : ''}>${escapeTooltipText(code)}</option>`
+    )
+    .join('');
+  return `<label class="cc-target">Convert to<select id="tooltipTargetCurrency">${optionMarkup}</select></label>`;
+}
+
+// Ranges and multi-amount selections: one converted row per detected amount
+function buildMultiConversionRows(result) {
+  return result.items
+    .map(item => {
+      const from = formatConvertedAmount(
+        item.originalAmount,
+        item.fromCurrency || item.originalCurrency
+      );
+      const to = item.error
+        ? `<span class="cc-row-error">${escapeTooltipText(item.errorMessage || 'Failed')}</span>`
+        : escapeTooltipText(item.formattedAmount);
+      return `<div class="cc-row"><span>${escapeTooltipText(from)}</span><span>→ ${to}</span></div>`;
+    })
+    .join('');
+}
+
+// Headline and copy text for a range ("X – Y") or list of conversions
+function summarizeMultiConversion(result) {
+  const converted = result.items.filter(item => !item.error);
+  const numeric = item => item.formattedAmount.replace(/[^\d,.-]/g, '').trim();
+
+  // Every row failed: the rows show the errors, nothing to copy
+  if (converted.length === 0) {
+    return { headline: 'No amounts converted', copyText: '' };
+  }
+  if (result.isRange) {
+    return {
+      headline: result.formattedRange,
+      copyText: `${numeric(converted[0])} – ${numeric(converted[converted.length - 1])}`
+    };
+  }
+  return {
+    headline: `${converted.length} amounts`,
+    copyText: converted.map(numeric).join('\n')
+  };
 }
 
 // Phase 5, Task 5.1: Display conversion tooltip with visual feedback
+// options.anchorRect positions it over something other than the selection
+// (hover mode); options.passive leaves keyboard focus where it is.
 function displayConversionTooltip(
   originalText,
   currencyInfo,
   result,
-  errorMessage = null
+  errorMessage = null,
+  options = {}
 ) {
   // Remove any existing tooltips
   removeExistingTooltip();
 
   // Show tooltip with conversion result
-  createBasicTooltip(originalText, currencyInfo, result, errorMessage);
+  createBasicTooltip(originalText, currencyInfo, result, errorMessage, options);
 }
 
 // Basic tooltip implementation as fallback
@@ -841,26 +1082,17 @@ function createBasicTooltip(
   originalText,
   currencyInfo,
   result,
-  errorMessage = null
+  errorMessage = null,
+  { anchorRect = null, passive = false } = {}
 ) {
-  // Get the current mouse position or text selection
-  let x = window.innerWidth / 2;
-  let y = window.innerHeight / 2;
-
-  // Try to get selection position
-  const selection = window.getSelection();
-  if (selection.rangeCount > 0) {
-    const range = selection.getRangeAt(0);
-    const rect = range.getBoundingClientRect();
-    if (rect.width > 0 && rect.height > 0) {
-      x = rect.left + rect.width / 2;
-      y = rect.top - 10;
-    }
-  }
-
-  // Create tooltip element with accessibility features
-  const tooltip = document.createElement('div');
-  tooltip.id = 'currency-converter-tooltip';
+  // Anchor to the selection (text fields use the field's box); centered
+  // in the viewport when there is none
+  const rect =
+    anchorRect || getSelectionSnapshot({ origin: lastSelectionOrigin })?.rect;
+
+  // Closed shadow root: page CSS can't reach the tooltip's markup
+  const { host, root, tooltip, duration } =
+    createTooltipHost(tooltipAppearance);
   tooltip.setAttribute('role', 'dialog');
   tooltip.setAttribute('aria-modal', 'true');
   tooltip.setAttribute('aria-live', 'polite');
@@ -872,6 +1104,17 @@ function createBasicTooltip(
       'aria-label',
       `Currency conversion error: ${errorMessage}`
     );
+  } else if (result?.items?.length > 1) {
+    tooltip.setAttribute(
+      'aria-label',
+      `Currency conversion result: ${result.items
+        .filter(item => !item.error)
+        .map(
+          item =>
+            `${item.originalAmount} ${item.fromCurrency} equals ${item.formattedAmount}`
+        )
+        .join(', ')}`
+    );
   } else if (result) {
     tooltip.setAttribute(
       'aria-label',
@@ -881,42 +1124,20 @@ function createBasicTooltip(
     tooltip.setAttribute('aria-label', 'Currency conversion in progress');
   }
 
-  tooltip.style.cssText = `
-    position: fixed;
-    z-index: 10000;
-    background: white;
-    border: 1px solid #e5e7eb;
-    border-radius: 12px;
-    padding: 16px;
-    box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    font-size: 14px;
-    line-height: 1.4;
-    max-width: 320px;
-    min-width: 200px;
-    opacity: 0;
-    transform: scale(0.9);
-    transition: all 0.3s ease;
-    left: ${Math.max(10, Math.min(x, window.innerWidth - 330))}px;
-    top: ${Math.max(10, y)}px;
-    transform-origin: center bottom;
-    backdrop-filter: blur(8px);
-  `;
-
   if (errorMessage) {
     // Error state
     tooltip.innerHTML = `
-      <div style="color: #ef4444; font-weight: 600; margin-bottom: 8px; display: flex; align-items: center; gap: 8px;">
-        <span style="font-size: 18px;">❌</span>
+      <div class="cc-header cc-header-error">
+        <span class="cc-icon">❌</span>
         Conversion Failed
       </div>
-      <div style="color: #6b7280; margin-bottom: 8px;">
-        <strong>Original:</strong> ${originalText}
+      <div class="cc-original">
+        <strong>Original:</strong> ${escapeTooltipText(originalText)}
       </div>
-      <div style="color: #ef4444; font-size: 13px; background: #fef2f2; padding: 8px; border-radius: 6px; border-left: 3px solid #ef4444;">
-        ${errorMessage}
+      <div class="cc-error-message">
+        ${escapeTooltipText(errorMessage)}
       </div>
-      <div style="margin-top: 8px; font-size: 11px; opacity: 0.6; text-align: center;">
+      <div class="cc-hint">
         Click anywhere to close
       </div>
     `;
@@ -928,57 +1149,80 @@ function createBasicTooltip(
     // from the local cache, or a stale offline fallback.
     const sourceBadge = buildRateSourceBadge(result);
 
+    // Ranges and multi-amount selections list every conversion
+    const isMulti = result.items?.length > 1;
+    const multiSummary = isMulti ? summarizeMultiConversion(result) : null;
+    const headline = isMulti
+      ? multiSummary.headline
+      : result.formattedAmount || result.convertedAmount;
+    const detail = isMulti
+      ? buildMultiConversionRows(result)
+      : `${describeSourceAmount(currencyInfo, result, fromCurrency)} → ${result.formattedAmount || result.convertedAmount}`;
+    const mixedCurrencies =
+      isMulti && new Set(result.items.map(item => item.fromCurrency)).size > 1;
+
     tooltip.innerHTML = `
-      <div style="color: #10b981; font-weight: 600; margin-bottom: 8px; display: flex; align-items: center; gap: 8px;">
-        <span style="font-size: 18px;">✅</span>
+      <div class="cc-header cc-header-success">
+        <span class="cc-icon">✅</span>
         Currency Conversion
       </div>
-      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px; border-radius: 8px; margin-bottom: 8px;">
-        <div style="font-size: 18px; font-weight: bold; margin-bottom: 4px;">
-          ${result.formattedAmount || result.convertedAmount}
+      <div class="cc-result">
+        <div class="cc-headline">
+          ${headline}
         </div>
-        <div style="font-size: 12px; opacity: 0.9;">
-          ${currencyInfo?.amount || result.originalAmount} ${fromCurrency} → ${result.formattedAmount || result.convertedAmount}
+        <div class="cc-detail">
+          ${detail}
         </div>
       </div>
-      <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">
-        <div><strong>Rate:</strong> ${result.exchangeRate}</div>
-        <div><strong>Updated:</strong> ${result.timestamp || new Date().toLocaleString()}</div>
-        <div style="margin-top: 4px;">${sourceBadge}</div>
+      ${buildOtherConversionRows(result)}
+      ${buildTargetSelect(result)}
+      <div class="cc-meta">
+        ${mixedCurrencies ? '' : `<div><strong>Rate:</strong> ${escapeTooltipText(result.formattedRate || result.exchangeRate)}</div>`}
+        ${
+          result.rateDate
+            ? `<div><strong>Rate of:</strong> ${escapeTooltipText(formatShortDate(result.rateDate))}</div>`
+            : `<div><strong>Updated:</strong> ${describeRateAge(result)}</div>`
+        }
+        <div>${sourceBadge}</div>
       </div>
-      <div style="text-align: center; margin-top: 12px;">
-        <button id="copyConversionResult" style="background: #3b82f6; color: white; border: none; padding: 6px 12px; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 500;">
+      <div class="cc-actions">
+        <button id="copyConversionResult" class="cc-copy">
           📋 Copy Result
         </button>
+        <button id="pinConversionResult" class="cc-copy cc-pin-button">
+          📌 Pin
+        </button>
       </div>
-      <div style="margin-top: 8px; font-size: 11px; opacity: 0.6; text-align: center;">
+      <div class="cc-hint">
         Click anywhere to close
       </div>
     `;
   } else {
     // Loading state (fallback)
     tooltip.innerHTML = `
-      <div style="display: flex; align-items: center; gap: 8px; color: #3b82f6;">
-        <div class="vf-loading-spinner"></div>
+      <div class="cc-loading">
+        <div class="cc-spinner"></div>
         <span>Converting currency...</span>
       </div>
-      <div style="margin-top: 8px; font-size: 12px; color: #6b7280;">
-        <strong>Original:</strong> ${originalText}
+      <div class="cc-original cc-original-small">
+        <strong>Original:</strong> ${escapeTooltipText(originalText)}
       </div>
     `;
   }
 
-  document.body.appendChild(tooltip);
+  document.body.appendChild(host);
+  placeTooltip(tooltip, rect);
 
-  // Focus the tooltip for screen readers
-  setTimeout(() => {
-    tooltip.focus();
-  }, 100);
+  // Focus the tooltip for screen readers (hover tooltips must not steal focus)
+  if (!passive) {
+    setTimeout(() => {
+      tooltip.focus();
+    }, 100);
+  }
 
   // Animate in
   requestAnimationFrame(() => {
-    tooltip.style.opacity = '1';
-    tooltip.style.transform = 'scale(1)';
+    tooltip.classList.add('cc-visible');
   });
 
   // Announce tooltip to screen reader
@@ -1029,15 +1273,19 @@ function createBasicTooltip(
             );
           })();
 
-        // Extract numeric value for copying (remove currency symbols and letters)
-        const numericValue = formattedAmount.replace(/[^\d,.-]/g, '').trim();
+        // Extract numeric value for copying (remove currency symbols and letters);
+        // ranges copy as "X – Y", lists one value per line
+        const numericValue =
+          result.items?.length > 1
+            ? summarizeMultiConversion(result).copyText
+            : formattedAmount.replace(/[^\d,.-]/g, '').trim();
 
         // Copy to clipboard
         if (window.navigator && window.navigator.clipboard) {
           window.navigator.clipboard.writeText(numericValue).catch(() => {});
         }
         copyButton.textContent = '✅ Copied!';
-        copyButton.style.background = '#10b981';
+        copyButton.classList.add('cc-copied');
         copyButton.setAttribute(
           'aria-label',
           'Conversion result copied to clipboard'
@@ -1057,9 +1305,74 @@ function createBasicTooltip(
     }
   }
 
+  // Pin to the floating panel (the service worker relays it to the top frame)
+  const pinButton = tooltip.querySelector('#pinConversionResult');
+  if (pinButton && result && !errorMessage) {
+    pinButton.setAttribute('type', 'button');
+    pinButton.setAttribute('aria-label', 'Pin conversion to the page panel');
+    pinButton.addEventListener('click', e => {
+      e.stopPropagation();
+      sendMessageSafely({
+        action: 'pinConversion',
+        entries: buildPinnedEntries(
+          currencyInfo?.originalText || originalText,
+          result
+        )
+      });
+      pinButton.textContent = '📌 Pinned';
+      pinButton.disabled = true;
+      if (accessibilityManager) {
+        accessibilityManager.announceToScreenReader(
+          'Conversion pinned to the page panel'
+        );
+      }
+    });
+  }
+
+  // Inline target switching: ask the service worker for the same amount in
+  // the picked currency and redraw the tooltip in place
+  const targetSelect = tooltip.querySelector('#tooltipTargetCurrency');
+  if (targetSelect && currencyInfo) {
+    targetSelect.addEventListener('change', async () => {
+      const targetCurrency = targetSelect.value;
+      targetSelect.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'convertTooltipTarget',
+          currencyInfo,
+          targetCurrency,
+          // Same selection, already counted when the tooltip opened
+          record: false
+        });
+        if (!response?.success || response.result?.error) {
+          throw new Error(
+            response?.error ||
+              response?.result?.errorMessage ||
+              'Conversion failed'
+          );
+        }
+        displayConversionTooltip(
+          originalText,
+          currencyInfo,
+          response.result,
+          null,
+          { anchorRect: rect, passive }
+        );
+      } catch (error) {
+        displayConversionTooltip(
+          originalText,
+          currencyInfo,
+          null,
+          error.message,
+          { anchorRect: rect, passive }
+        );
+      }
+    });
+  }
+
   // Enhanced removal logic with accessibility
   const removeTooltip = () => {
-    if (tooltip.parentNode) {
+    if (host.parentNode) {
       // Announce closure to screen reader
       if (accessibilityManager) {
         accessibilityManager.announceToScreenReader(
@@ -1067,18 +1380,24 @@ function createBasicTooltip(
         );
       }
 
-      tooltip.style.opacity = '0';
-      tooltip.style.transform = 'scale(0.9)';
+      tooltip.classList.remove('cc-visible');
       setTimeout(() => {
-        if (tooltip.parentNode) {
-          tooltip.parentNode.removeChild(tooltip);
+        if (host.parentNode) {
+          host.parentNode.removeChild(host);
         }
-      }, 300);
+      }, duration);
     }
-    document.removeEventListener('click', removeTooltip);
+    document.removeEventListener('click', handleOutsideClick);
     document.removeEventListener('keydown', handleKeyDown);
   };
 
+  // Clicks inside the shadow root are retargeted to the host
+  const handleOutsideClick = event => {
+    if (!host.contains(event.target)) {
+      removeTooltip();
+    }
+  };
+
   // Enhanced keyboard support
   const handleKeyDown = event => {
     if (event.key === 'Escape') {
@@ -1090,16 +1409,17 @@ function createBasicTooltip(
     } else if (event.key === 'Tab') {
       // Keep focus within tooltip if it has focusable elements
       const focusableElements = tooltip.querySelectorAll(
-        'button, [tabindex]:not([tabindex="-1"])'
+        'button, select, [tabindex]:not([tabindex="-1"])'
       );
       if (focusableElements.length > 0) {
         const firstElement = focusableElements[0];
         const lastElement = focusableElements[focusableElements.length - 1];
 
-        if (event.shiftKey && document.activeElement === firstElement) {
+        // Focus inside the closed shadow root is only visible from the root
+        if (event.shiftKey && root.activeElement === firstElement) {
           event.preventDefault();
           lastElement.focus();
-        } else if (!event.shiftKey && document.activeElement === lastElement) {
+        } else if (!event.shiftKey && root.activeElement === lastElement) {
           event.preventDefault();
           firstElement.focus();
         }
@@ -1113,13 +1433,13 @@ function createBasicTooltip(
   // Auto-remove after 10 seconds for better accessibility (longer for users with disabilities)
   setTimeout(removeTooltip, 10000);
 
-  // Remove on click outside tooltip
+  // Remove on click outside tooltip (skipped if it already closed, e.g.
+  // replaced by the next hover tooltip)
   setTimeout(() => {
-    document.addEventListener('click', event => {
-      if (!tooltip.contains(event.target)) {
-        removeTooltip();
-      }
-    });
+    if (!host.isConnected) {
+      return;
+    }
+    document.addEventListener('click', handleOutsideClick);
     document.addEventListener('keydown', handleKeyDown);
   }, 100);
 }
@@ -1163,15 +1483,14 @@ function handleContentKeydown(event) {
   // Alt+C - Convert selected text
   if (altKey && key === 'c') {
     event.preventDefault();
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0 && !selection.isCollapsed) {
-      const selectedText = selection.toString().trim();
-      if (selectedText) {
-        convertSelectedCurrency(selectedText);
-        accessibilityManager.announceToScreenReader(
-          `Converting selected currency: ${selectedText}`
-        );
-      }
+    const selectedText = getSelectionSnapshot({
+      origin: lastSelectionOrigin
+    })?.text;
+    if (selectedText) {
+      convertSelectedCurrency(selectedText);
+      accessibilityManager.announceToScreenReader(
+        `Converting selected currency: ${selectedText}`
+      );
     } else {
       accessibilityManager.announceToScreenReader(
         'Please select currency amount text first'
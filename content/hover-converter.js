@@ -0,0 +1,378 @@
+/**
+ * Hover Converter for Currency Converter Extension
+ * Hover-to-convert mode (settings.autoConvert): resting the pointer on a price,
+ * optionally with a modifier key held, shows the conversion tooltip after a
+ * short delay - no selection or context menu needed.
+ *
+ * - Hit-testing uses document.caretPositionFromPoint (caretRangeFromPoint on
+ *   older Chrome) to find the text node and offset under the pointer, then
+ *   runs detection on that node only.
+ * - Conversions use the cache-first rate table from the service worker, kept
+ *   in memory per base currency, so tooltips appear instantly and hovering a
+ *   whole catalog costs at most one API call.
+ */
+
+/* global Node */
+
+import { ANCHOR_GAP, TOOLTIP_HOST_ID } from './tooltip-host.js';
+
+export const HOVER_MODIFIERS = ['none', 'alt', 'ctrl', 'shift', 'meta'];
+
+// Only strong detections; context-inferred numbers are too noisy on hover
+const MIN_CONFIDENCE = 0.8;
+// Characters around the pointer handed to detection for long text nodes
+const TEXT_WINDOW = 120;
+// Hit box slack so the tooltip doesn't flicker at glyph edges
+const HIT_SLOP_PX = 4;
+// Leaving the price: slack that spans the gap to the tooltip, then a grace
+// period to reach a tooltip pushed further away by the viewport edges
+const LEAVE_SLOP_PX = ANCHOR_GAP;
+const LEAVE_GRACE_MS = 300;
+// In-memory rate tables are re-requested after this long
+const RATE_TABLE_TTL_MS = 10 * 60 * 1000;
+
+const SKIP_SELECTOR =
+  'input, textarea, select, [contenteditable=""], [contenteditable="true"], #currency-converter-tooltip';
+
+/**
+ * Find the text node and offset under a viewport point.
+ * @param {number} x - clientX
+ * @param {number} y - clientY
+ * @returns {{node: Node, offset: number}|null}
+ */
+export function textPositionFromPoint(x, y) {
+  if (typeof document.caretPositionFromPoint === 'function') {
+    const position = document.caretPositionFromPoint(x, y);
+    return position
+      ? { node: position.offsetNode, offset: position.offset }
+      : null;
+  }
+  if (typeof document.caretRangeFromPoint === 'function') {
+    const range = document.caretRangeFromPoint(x, y);
+    return range
+      ? { node: range.startContainer, offset: range.startOffset }
+      : null;
+  }
+  return null;
+}
+
+function rectContains(rect, x, y, slop = 0) {
+  return (
+    x >= rect.left - slop &&
+    x <= rect.right + slop &&
+    y >= rect.top - slop &&
+    y <= rect.bottom + slop
+  );
+}
+
+/**
+ * Shows conversion tooltips for prices under the pointer.
+ */
+export class HoverConverter {
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.detect - (text) => ranked candidates with ranges
+   * @param {Function} deps.requestRateTable - async (base) => rate table ({rates, fetchedAt, stale})
+   * @param {Function} deps.formatAmount - (amount, currency) => display string
+   * @param {Function} deps.showTooltip - (originalText, currencyInfo, result, anchorRect) => void
+   * @param {Function} deps.hideTooltip - () => void
+   * @param {Function} [deps.isBlocked] - () => boolean, e.g. site is denied
+   */
+  constructor({
+    detect,
+    requestRateTable,
+    formatAmount,
+    showTooltip,
+    hideTooltip,
+    isBlocked = () => false
+  }) {
+    this.detect = detect;
+    this.requestRateTable = requestRateTable;
+    this.formatAmount = formatAmount;
+    this.showTooltip = showTooltip;
+    this.hideTooltip = hideTooltip;
+    this.isBlocked = isBlocked;
+
+    this.options = {
+      modifier: 'none',
+      delay: 400,
+      baseCurrency: 'USD',
+      secondaryCurrency: 'EUR'
+    };
+    this.running = false;
+    this.hoverTimeout = null;
+    this.leaveTimeout = null;
+    this.lastPointer = null;
+    this.active = null; // { key, rect } of the price whose tooltip is shown
+    this.rateTables = new Map();
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  /**
+   * Apply hover settings; starts or stops listening as needed.
+   * @param {Object} settings - User settings (autoConvert, hoverModifier,
+   *   hoverDelay, baseCurrency, secondaryCurrency)
+   */
+  configure(settings = {}) {
+    const baseChanged =
+      settings.baseCurrency &&
+      settings.baseCurrency !== this.options.baseCurrency;
+    this.options = {
+      modifier: HOVER_MODIFIERS.includes(settings.hoverModifier)
+        ? settings.hoverModifier
+        : 'none',
+      delay: Number.isFinite(settings.hoverDelay) ? settings.hoverDelay : 400,
+      baseCurrency: settings.baseCurrency || 'USD',
+      secondaryCurrency: settings.secondaryCurrency || 'EUR'
+    };
+    if (baseChanged) {
+      this.rateTables.clear();
+    }
+
+    if (settings.autoConvert) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    document.addEventListener('mousemove', this.handleMouseMove, {
+      passive: true
+    });
+    document.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('scroll', this.handleScroll, {
+      passive: true,
+      capture: true
+    });
+  }
+
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('scroll', this.handleScroll, { capture: true });
+    this.cancelPending();
+    this.dismiss();
+  }
+
+  cancelPending() {
+    if (this.hoverTimeout) {
+      clearTimeout(this.hoverTimeout);
+      this.hoverTimeout = null;
+    }
+  }
+
+  cancelLeave() {
+    if (this.leaveTimeout) {
+      clearTimeout(this.leaveTimeout);
+      this.leaveTimeout = null;
+    }
+  }
+
+  dismiss() {
+    this.cancelLeave();
+    if (this.active) {
+      this.active = null;
+      this.hideTooltip();
+    }
+  }
+
+  isModifierHeld(event) {
+    const { modifier } = this.options;
+    return modifier === 'none' || !!event[`${modifier}Key`];
+  }
+
+  handleMouseMove(event) {
+    this.lastPointer = { x: event.clientX, y: event.clientY };
+
+    // Leaving the price (and not moving onto the tooltip) closes it
+    if (this.active) {
+      const staying =
+        rectContains(
+          this.active.rect,
+          event.clientX,
+          event.clientY,
+          LEAVE_SLOP_PX
+        ) || !!event.target?.closest?.(`#${TOOLTIP_HOST_ID}`);
+      if (staying) {
+        this.cancelLeave();
+      } else if (!this.leaveTimeout) {
+        this.leaveTimeout = setTimeout(() => {
+          this.leaveTimeout = null;
+          this.dismiss();
+        }, LEAVE_GRACE_MS);
+      }
+    }
+
+    this.cancelPending();
+    // No hover while dragging a selection or without the modifier
+    if (event.buttons !== 0 || !this.isModifierHeld(event)) {
+      return;
+    }
+    this.schedule();
+  }
+
+  handleKeyDown(event) {
+    const { modifier } = this.options;
+    if (modifier === 'none' || !this.lastPointer) {
+      return;
+    }
+    // Pressing the modifier while resting on a price converts it right away
+    if (event[`${modifier}Key`] && !event.repeat) {
+      this.cancelPending();
+      this.schedule(0);
+    }
+  }
+
+  handleScroll() {
+    this.cancelPending();
+    this.dismiss();
+  }
+
+  schedule(delay = this.options.delay) {
+    const { x, y } = this.lastPointer;
+    this.hoverTimeout = setTimeout(() => {
+      this.hoverTimeout = null;
+      this.convertAt(x, y).catch(() => {
+        // Rate table unavailable - hover stays silent
+      });
+    }, delay);
+  }
+
+  /**
+   * Find the detected price under a point.
+   * @param {number} x - clientX
+   * @param {number} y - clientY
+   * @returns {{candidate: Object, rect: DOMRect, key: string}|null}
+   */
+  findPriceAt(x, y) {
+    const position = textPositionFromPoint(x, y);
+    const node = position?.node;
+    if (!node || node.nodeType !== Node.TEXT_NODE || !/\d/.test(node.data)) {
+      return null;
+    }
+    if (!node.parentElement || node.parentElement.closest(SKIP_SELECTOR)) {
+      return null;
+    }
+
+    // Long text nodes: only look at the stretch around the pointer
+    const windowStart = Math.max(0, position.offset - TEXT_WINDOW);
+    const text = node.data.slice(windowStart, position.offset + TEXT_WINDOW);
+    const offset = position.offset - windowStart;
+
+    const candidate = this.detect(text).find(
+      c =>
+        c.confidence >= MIN_CONFIDENCE &&
+        c.range.start <= offset &&
+        offset <= c.range.end
+    );
+    if (!candidate) {
+      return null;
+    }
+
+    // caretPositionFromPoint snaps to the nearest caret even past the end of
+    // a line, so confirm the pointer is really over the price's glyphs
+    const range = document.createRange();
+    range.setStart(node, windowStart + candidate.range.start);
+    range.setEnd(node, windowStart + candidate.range.end);
+    const rects = [...range.getClientRects()];
+    if (!rects.some(rect => rectContains(rect, x, y, HIT_SLOP_PX))) {
+      return null;
+    }
+
+    return {
+      candidate,
+      rect: range.getBoundingClientRect(),
+      key: `${windowStart + candidate.range.start}:${candidate.originalText}`
+    };
+  }
+
+  async getRateTable(base) {
+    const entry = this.rateTables.get(base);
+    if (entry && Date.now() - entry.loadedAt < RATE_TABLE_TTL_MS) {
+      return entry.table;
+    }
+    const table = await this.requestRateTable(base);
+    if (!table?.rates) {
+      throw new Error(`No rate table available for ${base}`);
+    }
+    this.rateTables.set(base, { table, loadedAt: Date.now() });
+    return table;
+  }
+
+  /**
+   * Convert the price under a point and show the tooltip.
+   * @param {number} x - clientX
+   * @param {number} y - clientY
+   */
+  async convertAt(x, y) {
+    if (!this.running || this.isBlocked()) {
+      return;
+    }
+
+    const hit = this.findPriceAt(x, y);
+    if (!hit) {
+      return;
+    }
+    if (this.active?.key === hit.key) {
+      return;
+    }
+
+    const { candidate } = hit;
+    const { baseCurrency, secondaryCurrency } = this.options;
+    const target =
+      candidate.currency === baseCurrency ? secondaryCurrency : baseCurrency;
+
+    // rates[X] = units of X per 1 base
+    const table = await this.getRateTable(baseCurrency);
+    const sourceRate =
+      candidate.currency === baseCurrency ? 1 : table.rates[candidate.currency];
+    const targetRate = target === baseCurrency ? 1 : table.rates[target];
+    if (typeof sourceRate !== 'number' || typeof targetRate !== 'number') {
+      return;
+    }
+
+    const exchangeRate = targetRate / sourceRate;
+    const convertedAmount = candidate.amount * exchangeRate;
+    const result = {
+      originalAmount: candidate.amount,
+      fromCurrency: candidate.currency,
+      toCurrency: target,
+      convertedAmount,
+      exchangeRate: Number(exchangeRate.toPrecision(6)),
+      formattedAmount: this.formatAmount(convertedAmount, target),
+      timestamp: new Date(table.fetchedAt || Date.now()).toLocaleString(),
+      fetchedAt: table.fetchedAt,
+      stale: !!table.stale,
+      cached: true,
+      offline: !!table.stale
+    };
+
+    this.cancelLeave();
+    this.active = { key: hit.key, rect: hit.rect };
+    this.showTooltip(
+      candidate.originalText,
+      {
+        amount: candidate.amount,
+        currency: candidate.currency,
+        originalText: candidate.originalText,
+        confidence: candidate.confidence,
+        magnitude: candidate.magnitude || null,
+        amountFormat: candidate.amountFormat
+      },
+      result,
+      hit.rect
+    );
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * Page Annotator for Currency Converter Extension
+ * Opt-in, per-site mode that walks the page's text nodes, detects prices and
+ * injects a small badge with the amount converted into the user's base currency.
+ *
+ * - One rate table (for the base currency) is fetched through the service
+ *   worker and reused for every badge, so a whole catalog page costs at most
+ *   one API call (zero when the RateCache table is fresh).
+ * - A MutationObserver annotates content added later (infinite scroll, SPAs).
+ */
+
+/* global Node, NodeFilter, MutationObserver */
+
+export const BADGE_CLASS = 'ccx-price-badge';
+
+// Only annotate strong detections (symbols, ISO codes, crypto); context-inferred
+// numbers are fine for an explicit selection but too noisy page-wide.
+const MIN_CONFIDENCE = 0.8;
+const SCAN_DEBOUNCE_MS = 250;
+const MAX_NODES_PER_PASS = 400;
+const MAX_TEXT_LENGTH = 500;
+
+const SKIP_TAGS = new Set([
+  'SCRIPT',
+  'STYLE',
+  'NOSCRIPT',
+  'TEXTAREA',
+  'INPUT',
+  'SELECT',
+  'OPTION',
+  'CODE',
+  'PRE',
+  'SVG',
+  'IFRAME'
+]);
+
+/**
+ * Annotates prices on the current page with converted-value badges.
+ */
+export class PageAnnotator {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.detector - Object exposing detectCurrencies(text)
+   * @param {Function} deps.requestRateTable - async (base) => rate table ({rates, fetchedAt, stale})
+   * @param {Function} deps.formatAmount - (amount, currency) => display string
+   */
+  constructor({ detector, requestRateTable, formatAmount }) {
+    this.detector = detector;
+    this.requestRateTable = requestRateTable;
+    this.formatAmount = formatAmount;
+
+    this.baseCurrency = null;
+    this.rateTable = null;
+    this.observer = null;
+    // In-flight start() and its token; stop() or a newer start() bumps the
+    // token so a rate table that arrives late is dropped
+    this.starting = null;
+    this.startToken = 0;
+    this.pendingRoots = new Set();
+    this.scanTimeout = null;
+    this.processedNodes = new WeakSet();
+    this.stats = { scanned: 0, annotated: 0 };
+  }
+
+  /** True while the annotator is running on this page. */
+  get active() {
+    return this.observer !== null;
+  }
+
+  /**
+   * Start annotating the page in the given base currency.
+   * Restarts cleanly if already running with a different base; overlapping
+   * calls for the same base share one start.
+   * @param {string} baseCurrency - Currency code the badges are shown in
+   * @returns {Promise<void>}
+   */
+  start(baseCurrency) {
+    if (this.baseCurrency === baseCurrency && (this.active || this.starting)) {
+      return this.starting || Promise.resolve();
+    }
+    this.stop();
+
+    const token = ++this.startToken;
+    this.baseCurrency = baseCurrency;
+    this.starting = this.attach(baseCurrency, token).finally(() => {
+      if (token === this.startToken) {
+        this.starting = null;
+      }
+    });
+    return this.starting;
+  }
+
+  /**
+   * Load the rate table, then observe the page unless the start was
+   * cancelled in the meantime.
+   * @param {string} baseCurrency
+   * @param {number} token - startToken of the start() that called this
+   */
+  async attach(baseCurrency, token) {
+    const rateTable = await this.requestRateTable(baseCurrency);
+    // stop() or a start in another currency ran while the table loaded
+    if (token !== this.startToken) {
+      return;
+    }
+    if (!rateTable || !rateTable.rates) {
+      throw new Error(`No rate table available for ${baseCurrency}`);
+    }
+    this.rateTable = rateTable;
+
+    this.observer = new MutationObserver(mutations =>
+      this.handleMutations(mutations)
+    );
+    this.observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+
+    this.queueRoot(document.body);
+  }
+
+  /**
+   * Stop observing and remove every badge this annotator injected.
+   */
+  stop() {
+    this.startToken++;
+    this.starting = null;
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.scanTimeout) {
+      clearTimeout(this.scanTimeout);
+      this.scanTimeout = null;
+    }
+    this.pendingRoots.clear();
+
+    document.querySelectorAll(`.${BADGE_CLASS}`).forEach(badge => {
+      const parent = badge.parentNode;
+      badge.remove();
+      if (parent) {
+        parent.normalize();
+      }
+    });
+
+    this.processedNodes = new WeakSet();
+    this.rateTable = null;
+    this.baseCurrency = null;
+  }
+
+  /**
+   * Queue newly added/changed content for annotation.
+   */
+  handleMutations(mutations) {
+    for (const mutation of mutations) {
+      if (mutation.type === 'characterData') {
+        const node = mutation.target;
+        if (!this.processedNodes.has(node)) {
+          this.queueRoot(node);
+        }
+        continue;
+      }
+
+      mutation.addedNodes.forEach(node => {
+        if (
+          node.nodeType === Node.ELEMENT_NODE &&
+          node.classList.contains(BADGE_CLASS)
+        ) {
+          return;
+        }
+        if (this.processedNodes.has(node)) {
+          return;
+        }
+        this.queueRoot(node);
+      });
+    }
+  }
+
+  queueRoot(node) {
+    this.pendingRoots.add(node);
+    if (this.scanTimeout) {
+      return;
+    }
+    this.scanTimeout = setTimeout(() => {
+      this.scanTimeout = null;
+      this.scanPending();
+    }, SCAN_DEBOUNCE_MS);
+  }
+
+  /**
+   * Annotate queued roots, yielding between passes so long pages don't block.
+   */
+  scanPending() {
+    if (!this.active) {
+      return;
+    }
+
+    const textNodes = [];
+    for (const root of this.pendingRoots) {
+      this.pendingRoots.delete(root);
+      if (!root.isConnected) {
+        continue;
+      }
+      this.collectTextNodes(root, textNodes);
+      if (textNodes.length >= MAX_NODES_PER_PASS) {
+        break;
+      }
+    }
+
+    textNodes
+      .slice(0, MAX_NODES_PER_PASS)
+      .forEach(node => this.annotateTextNode(node));
+
+    // Anything left over (including the tail of a large root) goes next pass.
+    if (textNodes.length > MAX_NODES_PER_PASS) {
+      textNodes
+        .slice(MAX_NODES_PER_PASS)
+        .forEach(node => this.pendingRoots.add(node));
+    }
+    if (this.pendingRoots.size > 0) {
+      this.queueRoot(this.pendingRoots.values().next().value);
+    }
+  }
+
+  collectTextNodes(root, out) {
+    if (root.nodeType === Node.TEXT_NODE) {
+      if (this.acceptTextNode(root)) {
+        out.push(root);
+      }
+      return;
+    }
+    if (root.nodeType !== Node.ELEMENT_NODE || this.isSkippedElement(root)) {
+      return;
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node =>
+        this.acceptTextNode(node)
+          ? NodeFilter.FILTER_ACCEPT
+          : NodeFilter.FILTER_REJECT
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      out.push(node);
+    }
+  }
+
+  acceptTextNode(node) {
+    if (this.processedNodes.has(node)) {
+      return false;
+    }
+    const text = node.nodeValue;
+    if (!text || text.length > MAX_TEXT_LENGTH || !/\d/.test(text)) {
+      return false;
+    }
+    const parent = node.parentElement;
+    return !!parent && !this.isSkippedElement(parent);
+  }
+
+  isSkippedElement(element) {
+    if (SKIP_TAGS.has(element.tagName.toUpperCase())) {
+      return true;
+    }
+    if (element.isContentEditable) {
+      return true;
+    }
+    return !!element.closest(
+      `.${BADGE_CLASS}, #currency-converter-tooltip, [aria-hidden="true"]`
+    );
+  }
+
+  /**
+   * Detect prices in a single text node and insert a badge after each one.
+   */
+  annotateTextNode(node) {
+    this.processedNodes.add(node);
+    this.stats.scanned++;
+
+    let results;
+    try {
+      results = this.detector.detectCurrencies(node.nodeValue);
+    } catch {
+      return;
+    }
+
+    // Results arrive best-first; keep one badge per stretch of text.
+    const claimed = [];
+    const annotatable = [];
+    for (const r of results) {
+      if (r.confidence < MIN_CONFIDENCE) {
+        continue;
+      }
+      const overlaps = claimed.some(
+        c => !(r.range.end <= c.range.start || r.range.start >= c.range.end)
+      );
+      if (overlaps) {
+        continue;
+      }
+      claimed.push(r);
+      if (
+        r.currency !== this.baseCurrency &&
+        typeof this.rateTable.rates[r.currency] === 'number'
+      ) {
+        annotatable.push(r);
+      }
+    }
+    // Split from the end so earlier offsets stay valid.
+    annotatable.sort((a, b) => b.range.end - a.range.end);
+
+    for (const result of annotatable) {
+      const converted = result.amount / this.rateTable.rates[result.currency];
+      const remainder = node.splitText(result.range.end);
+      this.processedNodes.add(remainder);
+      remainder.parentNode.insertBefore(
+        this.createBadge(result, converted),
+        remainder
+      );
+      this.stats.annotated++;
+    }
+  }
+
+  createBadge(result, converted) {
+    const badge = document.createElement('span');
+    badge.className = BADGE_CLASS;
+    badge.setAttribute('data-ccx-source', result.currency);
+    badge.setAttribute(
+      'title',
+      `${result.originalText.trim()} ≈ ${this.formatAmount(converted, this.baseCurrency)}` +
+        (this.rateTable.stale ? ' (offline rate)' : '')
+    );
+    badge.textContent = `≈ ${this.formatAmount(converted, this.baseCurrency)}`;
+    badge.style.cssText = `
+      display: inline-block;
+      margin-left: 4px;
+      padding: 0 6px;
+      border-radius: 9999px;
+      background: #eef2ff;
+      color: #3730a3;
+      font: 600 11px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      white-space: nowrap;
+      vertical-align: baseline;
+    `;
+    return badge;
+  }
+
+  getStats() {
+    return { ...this.stats, active: this.active, base: this.baseCurrency };
+  }
+}
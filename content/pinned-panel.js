@@ -0,0 +1,330 @@
+/**
+ * Pinned Panel for Currency Converter Extension
+ * A small draggable panel collecting conversions the user pins from the
+ * tooltip, for comparing several prices on a page. Unlike the tooltip it
+ * survives blur and closeAllTooltips; only its close button removes it.
+ *
+ * - The panel only renders state it is given. The service worker keeps the
+ *   state per tab (chrome.storage.session) and sends it to the top frame, so
+ *   pins from iframes land in one panel and the panel comes back after
+ *   reloads until the tab or the panel is closed.
+ * - The running total converts each entry's source amount to the base
+ *   currency with one cache-first rate table.
+ */
+
+import { PALETTE_STYLES, getThemeClass } from './tooltip-host.js';
+
+export const PINNED_PANEL_HOST_ID = 'currency-converter-pinned-panel';
+
+const PANEL_WIDTH = 280;
+const VIEWPORT_MARGIN = 10;
+
+const PANEL_STYLES = `
+  ${PALETTE_STYLES}
+  .cc-panel {
+    position: fixed;
+    box-sizing: border-box;
+    width: ${PANEL_WIDTH}px;
+    max-height: 60vh;
+    display: flex;
+    flex-direction: column;
+    background: var(--cc-bg);
+    color: var(--cc-text);
+    border: 1px solid var(--cc-border);
+    border-radius: 10px;
+    box-shadow: var(--cc-shadow);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+    line-height: 1.4;
+    text-align: left;
+  }
+  .cc-panel-header { display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px 10px; border-bottom: 1px solid var(--cc-border); cursor: move; user-select: none; touch-action: none; font-weight: 600; }
+  .cc-panel-close { font: inherit; font-size: 16px; line-height: 1; background: none; border: none; color: var(--cc-muted); cursor: pointer; padding: 0 2px; }
+  .cc-panel-list { list-style: none; margin: 0; padding: 4px 10px; overflow-y: auto; }
+  .cc-pin { padding: 6px 0; border-bottom: 1px solid var(--cc-border); }
+  .cc-pin:last-child { border-bottom: none; }
+  .cc-pin-main { display: flex; justify-content: space-between; gap: 8px; }
+  .cc-pin-converted { font-weight: 600; color: var(--cc-strong); }
+  .cc-pin-meta { display: flex; justify-content: space-between; gap: 8px; font-size: 11px; color: var(--cc-muted); }
+  .cc-pin-meta a { color: inherit; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .cc-pin-remove { font: inherit; background: none; border: none; color: var(--cc-muted); cursor: pointer; padding: 0; }
+  .cc-panel-total { display: flex; justify-content: space-between; gap: 8px; padding: 8px 10px; border-top: 1px solid var(--cc-border); font-weight: 600; }
+`;
+
+// Escape page text before it goes into panel markup
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function withoutHash(url) {
+  return String(url || '').split('#')[0];
+}
+
+/**
+ * Sum pinned source amounts in the base currency.
+ * @param {Array<{amount: number, currency: string}>} entries - Pinned entries
+ * @param {string} base - Base currency
+ * @param {Object} rates - Rate table rates (units of X per 1 base)
+ * @returns {number|null} Total, or null when a currency has no rate
+ */
+export function sumInBaseCurrency(entries, base, rates) {
+  let total = 0;
+  for (const entry of entries) {
+    if (entry.currency === base) {
+      total += entry.amount;
+    } else if (typeof rates?.[entry.currency] === 'number') {
+      total += entry.amount / rates[entry.currency];
+    } else {
+      return null;
+    }
+  }
+  return total;
+}
+
+/**
+ * Floating panel of pinned conversions.
+ */
+export class PinnedPanel {
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.requestRateTable - async (base) => rate table
+   * @param {Function} deps.formatAmount - (amount, currency) => display string
+   * @param {Function} deps.onChange - (state|null) => void; null when closed
+   */
+  constructor({ requestRateTable, formatAmount, onChange }) {
+    this.requestRateTable = requestRateTable;
+    this.formatAmount = formatAmount;
+    this.onChange = onChange;
+
+    this.state = { entries: [], position: null };
+    this.baseCurrency = 'USD';
+    this.appearance = { theme: 'light' };
+    this.host = null;
+    this.root = null;
+    this.panel = null;
+    this.totalRequest = 0;
+  }
+
+  /**
+   * Base currency for the running total.
+   * @param {string} base
+   */
+  setBaseCurrency(base) {
+    if (base && base !== this.baseCurrency) {
+      this.baseCurrency = base;
+      if (this.host) {
+        this.renderTotal();
+      }
+    }
+  }
+
+  /**
+   * @param {{theme: string}} appearance - Theme setting
+   */
+  setAppearance(appearance) {
+    this.appearance = { ...this.appearance, ...appearance };
+    if (this.panel) {
+      this.panel.className = `cc-panel cc-surface ${getThemeClass(this.appearance.theme)}`;
+    }
+  }
+
+  /**
+   * Show the given state; an empty entry list removes the panel.
+   * @param {{entries: Array<Object>, position: {left: number, top: number}|null}} state
+   */
+  update(state) {
+    // Pins made in iframes arrive without a page; they belong to this one
+    let adopted = false;
+    const entries = (state?.entries || []).map(entry => {
+      if (entry.url) {
+        return entry;
+      }
+      adopted = true;
+      return {
+        ...entry,
+        url: window.location.href,
+        pageTitle: document.title
+      };
+    });
+    this.state = {
+      entries,
+      position: state?.position || this.state.position
+    };
+    if (adopted) {
+      this.onChange(this.state);
+    }
+    if (this.state.entries.length === 0) {
+      this.remove();
+      return;
+    }
+    this.ensureHost();
+    this.renderEntries();
+    this.renderTotal();
+  }
+
+  // Close button: drop every entry for this tab
+  close() {
+    this.state = { entries: [], position: null };
+    this.remove();
+    this.onChange(null);
+  }
+
+  remove() {
+    if (this.host?.parentNode) {
+      this.host.parentNode.removeChild(this.host);
+    }
+    this.host = null;
+    this.root = null;
+    this.panel = null;
+  }
+
+  ensureHost() {
+    if (this.host) {
+      return;
+    }
+    this.host = document.createElement('div');
+    this.host.id = PINNED_PANEL_HOST_ID;
+    this.host.style.cssText =
+      'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483646;';
+    this.root = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = PANEL_STYLES;
+    this.root.appendChild(style);
+
+    this.panel = document.createElement('section');
+    this.panel.className = `cc-panel cc-surface ${getThemeClass(this.appearance.theme)}`;
+    this.panel.setAttribute('role', 'region');
+    this.panel.setAttribute('aria-label', 'Pinned conversions');
+    this.panel.innerHTML = `
+      <div class="cc-panel-header">
+        <span>📌 Pinned conversions</span>
+        <button type="button" class="cc-panel-close" aria-label="Close pinned conversions">×</button>
+      </div>
+      <ul class="cc-panel-list"></ul>
+      <div class="cc-panel-total" aria-live="polite"></div>
+    `;
+    this.root.appendChild(this.panel);
+    document.body.appendChild(this.host);
+
+    this.applyPosition(this.state.position);
+    this.panel
+      .querySelector('.cc-panel-close')
+      .addEventListener('click', () => this.close());
+    this.panel.addEventListener('click', event => this.handleListClick(event));
+    this.setupDragging(this.panel.querySelector('.cc-panel-header'));
+  }
+
+  // Default spot: top right corner
+  applyPosition(position) {
+    const maxLeft = window.innerWidth - PANEL_WIDTH - VIEWPORT_MARGIN;
+    const maxTop = window.innerHeight - 60;
+    const left = position ? position.left : maxLeft;
+    const top = position ? position.top : 80;
+    this.panel.style.left = `${Math.max(VIEWPORT_MARGIN, Math.min(left, maxLeft))}px`;
+    this.panel.style.top = `${Math.max(VIEWPORT_MARGIN, Math.min(top, maxTop))}px`;
+  }
+
+  setupDragging(handle) {
+    handle.addEventListener('pointerdown', event => {
+      if (event.button !== 0 || event.target.closest('button')) {
+        return;
+      }
+      event.preventDefault();
+      const start = this.panel.getBoundingClientRect();
+      const offsetX = event.clientX - start.left;
+      const offsetY = event.clientY - start.top;
+      handle.setPointerCapture(event.pointerId);
+
+      const move = moveEvent => {
+        this.applyPosition({
+          left: moveEvent.clientX - offsetX,
+          top: moveEvent.clientY - offsetY
+        });
+      };
+      const end = () => {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', end);
+        handle.removeEventListener('pointercancel', end);
+        const rect = this.panel.getBoundingClientRect();
+        this.state.position = { left: rect.left, top: rect.top };
+        this.onChange(this.state);
+      };
+      handle.addEventListener('pointermove', move);
+      handle.addEventListener('pointerup', end);
+      handle.addEventListener('pointercancel', end);
+    });
+  }
+
+  handleListClick(event) {
+    const removeButton = event.target.closest('[data-remove]');
+    if (removeButton) {
+      this.state.entries = this.state.entries.filter(
+        entry => entry.id !== removeButton.dataset.remove
+      );
+      this.onChange(this.state.entries.length ? this.state : null);
+      this.update(this.state);
+      return;
+    }
+
+    // Same page: scroll back to where the price was pinned instead of
+    // reloading; other pages navigate (text fragment highlights the price)
+    const link = event.target.closest('[data-entry]');
+    const entry = this.state.entries.find(e => e.id === link?.dataset.entry);
+    if (
+      entry &&
+      typeof entry.scrollY === 'number' &&
+      withoutHash(entry.url) === withoutHash(window.location.href)
+    ) {
+      event.preventDefault();
+      window.scrollTo({ top: entry.scrollY, behavior: 'smooth' });
+    }
+  }
+
+  renderEntries() {
+    const list = this.panel.querySelector('.cc-panel-list');
+    list.innerHTML = this.state.entries
+      .map(entry => {
+        const location = entry.pageTitle || withoutHash(entry.url);
+        return `
+          <li class="cc-pin">
+            <div class="cc-pin-main">
+              <span>${escapeText(entry.sourceText)}</span>
+              <span class="cc-pin-converted">${escapeText(entry.formattedAmount)}</span>
+            </div>
+            <div class="cc-pin-meta">
+              <a href="${escapeText(entry.url)}" target="_top" data-entry="${escapeText(entry.id)}" title="Go to this price">↗ ${escapeText(location)}</a>
+              <button type="button" class="cc-pin-remove" data-remove="${escapeText(entry.id)}" aria-label="Remove ${escapeText(entry.sourceText)}">Remove</button>
+            </div>
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  async renderTotal() {
+    const totalElement = this.panel?.querySelector('.cc-panel-total');
+    if (!totalElement) {
+      return;
+    }
+    const base = this.baseCurrency;
+    const request = ++this.totalRequest;
+    let text;
+    try {
+      const table = await this.requestRateTable(base);
+      const total = sumInBaseCurrency(this.state.entries, base, table.rates);
+      text = total === null ? 'Unavailable' : this.formatAmount(total, base);
+    } catch {
+      text = 'Unavailable';
+    }
+    // A newer update or a close happened while the rates loaded
+    if (request !== this.totalRequest || !this.panel) {
+      return;
+    }
+    totalElement.innerHTML = `<span>Total (${escapeText(base)})</span><span>${escapeText(text)}</span>`;
+  }
+}
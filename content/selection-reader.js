@@ -0,0 +1,181 @@
+/**
+ * Selection Reader for Currency Converter Extension
+ * Finds what the user selected wherever it lives:
+ *
+ * - Text fields: window.getSelection() does not expose the selected part of an
+ *   <input>/<textarea> value, so it is read from selectionStart/selectionEnd.
+ * - Open shadow roots (web components): the document selection is retargeted
+ *   to the shadow host; the real range comes from the shadow root.
+ * - Same-origin iframes get their own copy of the content script
+ *   (all_frames), so each frame only reads its own document.
+ */
+
+/* global ShadowRoot, Node */
+
+// Text-like input types whose value can be selected
+const TEXT_INPUT_TYPES = new Set([
+  'text',
+  'search',
+  'tel',
+  'url',
+  'email',
+  'number',
+  ''
+]);
+
+/**
+ * Whether an element is a text field we can read a selection from.
+ * Password fields are never read.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export function isTextField(element) {
+  if (!element || !element.tagName) {
+    return false;
+  }
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'textarea') {
+    return true;
+  }
+  return (
+    tag === 'input' &&
+    TEXT_INPUT_TYPES.has((element.getAttribute('type') || '').toLowerCase())
+  );
+}
+
+/**
+ * Whether selections in an element should be ignored (selects, password and
+ * other non-text inputs).
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export function isIgnoredField(element) {
+  if (!element || !element.tagName) {
+    return false;
+  }
+  const tag = element.tagName.toLowerCase();
+  return tag === 'select' || (tag === 'input' && !isTextField(element));
+}
+
+// Follow focus into open shadow roots: document.activeElement stops at the host
+function getDeepActiveElement(root = document) {
+  let active = root.activeElement;
+  while (active?.shadowRoot?.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  return active;
+}
+
+function readTextField(field) {
+  const { selectionStart, selectionEnd, value } = field;
+  if (
+    typeof selectionStart !== 'number' ||
+    typeof selectionEnd !== 'number' ||
+    selectionStart === selectionEnd
+  ) {
+    return null;
+  }
+  return {
+    text: value.substring(selectionStart, selectionEnd).trim(),
+    rect: field.getBoundingClientRect(),
+    source: 'field'
+  };
+}
+
+function readSelection(selection, source) {
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return null;
+  }
+  const text = selection.toString().trim();
+  if (!text) {
+    return null;
+  }
+  return {
+    text,
+    rect: selection.getRangeAt(0).getBoundingClientRect(),
+    source
+  };
+}
+
+// Chrome exposes a shadow root's own selection as shadowRoot.getSelection()
+function readShadowSelection(node) {
+  const root = node?.getRootNode?.();
+  if (
+    typeof ShadowRoot === 'undefined' ||
+    !(root instanceof ShadowRoot) ||
+    typeof root.getSelection !== 'function'
+  ) {
+    return null;
+  }
+  return readSelection(root.getSelection(), 'shadow');
+}
+
+/**
+ * Read the current selection.
+ * @param {Object} [options]
+ * @param {EventTarget} [options.origin] - Innermost event target (from
+ *   event.composedPath()) for selections made with the mouse in a shadow root
+ * @returns {{text: string, rect: DOMRect, source: 'field'|'shadow'|'document'}|null}
+ */
+export function getSelectionSnapshot({ origin = null } = {}) {
+  const active = getDeepActiveElement();
+
+  if (isTextField(active)) {
+    const fieldSelection = readTextField(active);
+    if (fieldSelection) {
+      return fieldSelection;
+    }
+  }
+
+  const shadowSelection =
+    readShadowSelection(origin) || readShadowSelection(active);
+  if (shadowSelection) {
+    return shadowSelection;
+  }
+
+  return readSelection(window.getSelection(), 'document');
+}
+
+/**
+ * The text around a document selection (its paragraph, table row or
+ * section), with the selection's offsets in it. Used to find an invoice or
+ * order date written next to a selected price.
+ * @param {Selection|null} selection
+ * @param {Object} [options]
+ * @param {number} [options.minLength=200] - Widen the context until this long
+ * @param {number} [options.maxLength=2000] - But never past this
+ * @returns {{text: string, start: number, end: number}|null}
+ */
+export function readSelectionContext(
+  selection,
+  { minLength = 200, maxLength = 2000 } = {}
+) {
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return null;
+  }
+  const range = selection.getRangeAt(0);
+  const common = range.commonAncestorContainer;
+  let container =
+    common.nodeType === Node.ELEMENT_NODE ? common : common.parentElement;
+  if (!container) {
+    return null;
+  }
+  while (
+    container.parentElement &&
+    container !== document.body &&
+    container.textContent.length < minLength &&
+    container.parentElement.textContent.length <= maxLength
+  ) {
+    container = container.parentElement;
+  }
+
+  const before = document.createRange();
+  before.setStart(container, 0);
+  before.setEnd(range.startContainer, range.startOffset);
+  const start = before.toString().length;
+  return {
+    text: container.textContent.slice(0, maxLength),
+    start,
+    end: start + range.toString().length
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * Table Converter for Currency Converter Extension
+ * Converts every amount in a selected <table> (invoices, price lists) into one
+ * currency, either as an extra column after each amount column or by
+ * overlaying the converted values in place.
+ *
+ * - One rate table for the target currency (cache-first, through the service
+ *   worker) converts every cell, whatever its source currency.
+ * - Only cells this converter inserted or overlaid are touched; Undo puts the
+ *   original nodes back, so the page's own listeners and markup survive.
+ * - A small toolbar switches between the two layouts and copies the converted
+ *   table as TSV or Markdown.
+ */
+
+/* global Node */
+
+import {
+  detectTableAmounts,
+  buildConvertedMatrix,
+  tableCellKey,
+  formatTableAsTsv,
+  formatTableAsMarkdown,
+  MAX_TABLE_ROWS
+} from '../utils/table-currency.js';
+import { createTooltipHost, placeTooltip } from './tooltip-host.js';
+
+export const TABLE_CELL_CLASS = 'ccx-table-cell';
+
+function cellText(cell) {
+  return (cell.innerText ?? cell.textContent).trim();
+}
+
+/**
+ * The table a selection spans. A selection inside a single cell is an
+ * ordinary price selection, not a table.
+ * @param {Selection|null} selection - Document selection
+ * @returns {HTMLTableElement|null}
+ */
+export function findSelectedTable(selection) {
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return null;
+  }
+  const range = selection.getRangeAt(0);
+  const container = range.commonAncestorContainer;
+  const element =
+    container.nodeType === Node.ELEMENT_NODE
+      ? container
+      : container.parentElement;
+  if (!element) {
+    return null;
+  }
+
+  const table = element.closest('table');
+  if (table) {
+    return element.closest('td, th') || table.rows.length < 2 ? null : table;
+  }
+
+  // The selection starts or ends outside the table but covers it
+  const covered = [...element.querySelectorAll('table')].filter(
+    candidate =>
+      range.intersectsNode(candidate) &&
+      !candidate.parentElement?.closest('table')
+  );
+  return covered.length === 1 && covered[0].rows.length > 1 ? covered[0] : null;
+}
+
+/**
+ * Header and data cells of a table, leaving out cells this converter added.
+ * The first row is the header when it sits in <thead> or is all <th>.
+ * @param {HTMLTableElement} table
+ * @returns {{headerRow: HTMLTableRowElement|null, header: string[]|null, rows: HTMLTableCellElement[][]}}
+ */
+export function readTable(table) {
+  const ownCells = row =>
+    [...row.cells].filter(cell => !cell.classList.contains(TABLE_CELL_CLASS));
+  const [first, ...rest] = [...table.rows].slice(0, MAX_TABLE_ROWS + 1);
+  const firstCells = first ? ownCells(first) : [];
+  const isHeader =
+    first &&
+    (first.parentElement?.tagName === 'THEAD' ||
+      (firstCells.length > 0 &&
+        firstCells.every(cell => cell.tagName === 'TH')));
+
+  return {
+    headerRow: isHeader ? first : null,
+    header: isHeader ? firstCells.map(cellText) : null,
+    rows: (isHeader ? rest : [first, ...rest]).filter(Boolean).map(ownCells)
+  };
+}
+
+/**
+ * Amount candidates in a table, in the detection pipeline's shape.
+ * @param {HTMLTableElement} table
+ * @returns {ReturnType<typeof detectTableAmounts>}
+ */
+export function detectTableCurrencies(table) {
+  const { header, rows } = readTable(table);
+  return detectTableAmounts(
+    rows.map(cells => cells.map(cellText)),
+    {
+      header
+    }
+  );
+}
+
+/**
+ * Converts one table at a time and keeps what it needs to undo it.
+ */
+export class TableConverter {
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.requestRateTable - async (base) => rate table ({rates, stale})
+   * @param {Function} deps.formatAmount - (amount, currency) => display string
+   * @param {Function} [deps.getAppearance] - () => {theme, animationSpeed}
+   */
+  constructor({ requestRateTable, formatAmount, getAppearance = () => ({}) }) {
+    this.requestRateTable = requestRateTable;
+    this.formatAmount = formatAmount;
+    this.getAppearance = getAppearance;
+
+    this.table = null;
+    this.state = null;
+    this.overlaid = new Map();
+    this.toolbar = null;
+  }
+
+  /** True while a converted table is on the page. */
+  get active() {
+    return this.table !== null && this.table.isConnected;
+  }
+
+  /**
+   * Convert every amount in a table. A previously converted table is
+   * restored first.
+   * @param {HTMLTableElement} table
+   * @param {string} targetCurrency - Currency code to convert into
+   * @param {Object} [options]
+   * @param {'column'|'overlay'} [options.mode='column'] - Layout
+   * @returns {Promise<{converted: number, found: number, stale: boolean}>}
+   */
+  async convert(table, targetCurrency, { mode = 'column' } = {}) {
+    this.restore();
+
+    const { headerRow, header, rows } = readTable(table);
+    const texts = rows.map(cells => cells.map(cellText));
+    const detection = detectTableAmounts(texts, { header });
+    if (detection.cells.length === 0) {
+      throw new Error('No amounts found in this table');
+    }
+
+    // rates[X] = units of X per 1 target, so amount / rate is in the target
+    const rateTable = await this.requestRateTable(targetCurrency);
+    const conversions = new Map();
+    detection.cells.forEach(({ row, column, amount, currency }) => {
+      const rate =
+        currency === targetCurrency ? 1 : rateTable?.rates?.[currency];
+      if (typeof rate === 'number' && rate > 0) {
+        conversions.set(
+          tableCellKey(row, column),
+          this.formatAmount(amount / rate, targetCurrency)
+        );
+      }
+    });
+    if (conversions.size === 0) {
+      throw new Error('No rates available to convert this table');
+    }
+
+    this.table = table;
+    this.state = {
+      targetCurrency,
+      headerRow,
+      header,
+      rows,
+      texts,
+      conversions,
+      found: detection.cells.length,
+      stale: Boolean(rateTable.stale),
+      mode
+    };
+    this.apply(mode);
+    this.showToolbar();
+
+    return {
+      converted: conversions.size,
+      found: detection.cells.length,
+      stale: this.state.stale
+    };
+  }
+
+  /**
+   * Switch between an extra column and values in place.
+   * @param {'column'|'overlay'} mode
+   */
+  apply(mode) {
+    if (!this.state) {
+      return;
+    }
+    this.undoChanges();
+    this.state.mode = mode;
+    if (mode === 'overlay') {
+      this.overlayValues();
+    } else {
+      this.addColumns();
+    }
+  }
+
+  addColumns() {
+    const { headerRow, header, rows, conversions, targetCurrency } = this.state;
+    const columns = [
+      ...new Set([...conversions.keys()].map(key => Number(key.split(':')[1])))
+    ].sort((a, b) => b - a); // right to left keeps earlier indices valid
+
+    columns.forEach(column => {
+      if (headerRow) {
+        const th = document.createElement('th');
+        th.className = TABLE_CELL_CLASS;
+        th.textContent = `${header[column] || 'Amount'} (${targetCurrency})`;
+        this.insertAfter(th, headerRow.cells[column], headerRow);
+      }
+      rows.forEach((cells, row) => {
+        if (!cells[column]) {
+          return;
+        }
+        const td = document.createElement('td');
+        td.className = TABLE_CELL_CLASS;
+        td.textContent = conversions.get(tableCellKey(row, column)) ?? '';
+        this.insertAfter(td, cells[column], cells[column].parentElement);
+      });
+    });
+  }
+
+  insertAfter(newCell, cell, row) {
+    if (cell) {
+      cell.after(newCell);
+    } else {
+      row.appendChild(newCell);
+    }
+  }
+
+  overlayValues() {
+    const { rows, texts, conversions } = this.state;
+    conversions.forEach((text, key) => {
+      const [row, column] = key.split(':').map(Number);
+      const cell = rows[row][column];
+      const original = document.createDocumentFragment();
+      while (cell.firstChild) {
+        original.appendChild(cell.firstChild);
+      }
+      this.overlaid.set(cell, original);
+
+      const value = document.createElement('span');
+      value.className = TABLE_CELL_CLASS;
+      value.title = texts[row][column];
+      value.textContent = text;
+      cell.appendChild(value);
+    });
+  }
+
+  undoChanges() {
+    this.overlaid.forEach((original, cell) => cell.replaceChildren(original));
+    this.overlaid.clear();
+    this.table
+      ?.querySelectorAll(`.${TABLE_CELL_CLASS}`)
+      .forEach(cell => cell.remove());
+  }
+
+  /**
+   * Put the table back the way the page had it and close the toolbar.
+   */
+  restore() {
+    this.undoChanges();
+    this.hideToolbar();
+    this.table = null;
+    this.state = null;
+  }
+
+  /**
+   * The converted table as text.
+   * @param {'tsv'|'markdown'} format
+   * @returns {string}
+   */
+  getConvertedText(format) {
+    if (!this.state) {
+      return '';
+    }
+    const { header, texts, conversions, mode, targetCurrency } = this.state;
+    const matrix = buildConvertedMatrix(header, texts, conversions, {
+      mode,
+      targetCurrency
+    });
+    return format === 'markdown'
+      ? formatTableAsMarkdown(matrix)
+      : formatTableAsTsv(matrix);
+  }
+
+  showToolbar() {
+    this.hideToolbar();
+    const { host, tooltip, duration } = createTooltipHost(this.getAppearance());
+    this.toolbar = { host, duration };
+
+    const { targetCurrency, found, conversions, stale } = this.state;
+    tooltip.setAttribute('role', 'dialog');
+    tooltip.setAttribute('aria-label', `Table converted to ${targetCurrency}`);
+
+    const title = document.createElement('div');
+    title.className = 'cc-header cc-header-success';
+    title.textContent = `Table converted to ${targetCurrency}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'cc-meta';
+    meta.textContent =
+      `${conversions.size} of ${found} amounts converted` +
+      (stale ? ' · offline rate' : '');
+
+    const actions = document.createElement('div');
+    actions.className = 'cc-actions';
+    actions.style.flexWrap = 'wrap';
+
+    const button = (label, onClick, secondary = false) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = secondary ? 'cc-copy cc-pin-button' : 'cc-copy';
+      element.textContent = label;
+      element.addEventListener('click', () => onClick(element));
+      actions.appendChild(element);
+      return element;
+    };
+
+    const layoutLabel = () =>
+      this.state.mode === 'overlay' ? 'Show as column' : 'Replace values';
+    button(layoutLabel(), element => {
+      this.apply(this.state.mode === 'overlay' ? 'column' : 'overlay');
+      element.textContent = layoutLabel();
+    });
+
+    const copy = (format, label) =>
+      button(label, async element => {
+        try {
+          await window.navigator.clipboard.writeText(
+            this.getConvertedText(format)
+          );
+          element.textContent = '✓ Copied';
+          element.classList.add('cc-copied');
+        } catch {
+          element.textContent = 'Copy failed';
+        }
+        setTimeout(() => {
+          element.textContent = label;
+          element.classList.remove('cc-copied');
+        }, 1500);
+      });
+    copy('tsv', 'Copy TSV');
+    copy('markdown', 'Copy Markdown');
+
+    button('Undo', () => this.restore(), true);
+    button('Done', () => this.hideToolbar(), true);
+
+    tooltip.append(title, meta, actions);
+    document.body.appendChild(host);
+    placeTooltip(tooltip, this.table.getBoundingClientRect());
+    requestAnimationFrame(() => tooltip.classList.add('cc-visible'));
+  }
+
+  hideToolbar() {
+    if (!this.toolbar) {
+      return;
+    }
+    const { host } = this.toolbar;
+    this.toolbar = null;
+    host.remove();
+  }
+}
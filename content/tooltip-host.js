@@ -0,0 +1,257 @@
+/**
+ * Tooltip Host for Currency Converter Extension
+ * Renders the conversion tooltip inside a closed shadow root so site CSS
+ * can't restyle it and sticky headers can't cover it.
+ *
+ * - Own stylesheet: light/dark palettes as CSS variables; the system theme
+ *   follows prefers-color-scheme without any script.
+ * - settings.animationSpeed sets the open/close transition length
+ *   (prefers-reduced-motion turns it off).
+ * - Positioning flips below the anchor when there's no room above, and
+ *   aligns to the anchor's right edge near the right side of the viewport.
+ */
+
+export const TOOLTIP_HOST_ID = 'currency-converter-tooltip';
+
+const ANIMATION_MS = { fast: 150, normal: 300, slow: 500 };
+// Gap between the anchor and the tooltip, and the minimum viewport margin
+export const ANCHOR_GAP = 10;
+const VIEWPORT_MARGIN = 10;
+
+const LIGHT_PALETTE = `
+  --cc-bg: #ffffff;
+  --cc-border: #e5e7eb;
+  --cc-text: #1f2937;
+  --cc-muted: #6b7280;
+  --cc-strong: #111827;
+  --cc-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
+  --cc-error-bg: #fef2f2;
+  --cc-input-bg: #ffffff;
+  --cc-input-border: #d1d5db;
+  --cc-live-bg: #dcfce7;
+  --cc-live-text: #166534;
+  --cc-cached-bg: #dbeafe;
+  --cc-cached-text: #1e40af;
+  --cc-offline-bg: #fef3c7;
+  --cc-offline-text: #92400e;
+`;
+
+const DARK_PALETTE = `
+  --cc-bg: #1f2937;
+  --cc-border: #374151;
+  --cc-text: #f3f4f6;
+  --cc-muted: #9ca3af;
+  --cc-strong: #f9fafb;
+  --cc-shadow: 0 10px 25px rgba(0, 0, 0, 0.45);
+  --cc-error-bg: #3b1d1d;
+  --cc-input-bg: #111827;
+  --cc-input-border: #4b5563;
+  --cc-live-bg: #14532d;
+  --cc-live-text: #bbf7d0;
+  --cc-cached-bg: #1e3a8a;
+  --cc-cached-text: #bfdbfe;
+  --cc-offline-bg: #78350f;
+  --cc-offline-text: #fde68a;
+`;
+
+/**
+ * Theme palette shared by the extension's shadow-root UI: put `cc-surface`
+ * and a getThemeClass() class on the root element and style with the
+ * --cc-* variables.
+ */
+export const PALETTE_STYLES = `
+  .cc-surface { ${LIGHT_PALETTE} }
+  .cc-theme-dark { ${DARK_PALETTE} }
+  @media (prefers-color-scheme: dark) {
+    .cc-theme-system { ${DARK_PALETTE} }
+  }
+`;
+
+const TOOLTIP_STYLES = `
+  ${PALETTE_STYLES}
+  .cc-tooltip {
+    position: fixed;
+    box-sizing: border-box;
+    background: var(--cc-bg);
+    color: var(--cc-text);
+    border: 1px solid var(--cc-border);
+    border-radius: 12px;
+    padding: 16px;
+    box-shadow: var(--cc-shadow);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px;
+    line-height: 1.4;
+    text-align: left;
+    max-width: 320px;
+    min-width: 200px;
+    opacity: 0;
+    transform: scale(0.9);
+    transform-origin: center bottom;
+    transition: opacity var(--cc-duration, 300ms) ease,
+      transform var(--cc-duration, 300ms) ease;
+  }
+  .cc-tooltip[data-placement='below'] { transform-origin: center top; }
+  .cc-tooltip.cc-visible { opacity: 1; transform: scale(1); }
+  .cc-tooltip:focus { outline: none; }
+  .cc-tooltip:focus-visible { outline: 2px solid #3b82f6; outline-offset: 2px; }
+
+  @media (prefers-reduced-motion: reduce) {
+    .cc-tooltip { transition: none; }
+  }
+
+  .cc-header { font-weight: 600; margin-bottom: 8px; display: flex; align-items: center; gap: 8px; }
+  .cc-header-success { color: #10b981; }
+  .cc-header-error { color: #ef4444; }
+  .cc-icon { font-size: 18px; }
+  .cc-original { color: var(--cc-muted); margin-bottom: 8px; }
+  .cc-original-small { margin: 8px 0 0; font-size: 12px; }
+  .cc-error-message { color: #ef4444; font-size: 13px; background: var(--cc-error-bg); padding: 8px; border-radius: 6px; border-left: 3px solid #ef4444; }
+  .cc-result { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; padding: 12px; border-radius: 8px; margin-bottom: 8px; }
+  .cc-headline { font-size: 18px; font-weight: bold; margin-bottom: 4px; }
+  .cc-detail { font-size: 12px; opacity: 0.9; }
+  .cc-row { display: flex; justify-content: space-between; gap: 12px; }
+  .cc-row-error { color: #fecaca; }
+  .cc-others { font-size: 13px; color: var(--cc-muted); margin-bottom: 8px; }
+  .cc-other-amount { font-weight: 600; color: var(--cc-strong); }
+  .cc-target { display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--cc-muted); margin-bottom: 8px; }
+  .cc-target select { font: inherit; padding: 2px 4px; border: 1px solid var(--cc-input-border); border-radius: 4px; background: var(--cc-input-bg); color: var(--cc-strong); }
+  .cc-meta { font-size: 12px; color: var(--cc-muted); margin-bottom: 8px; }
+  .cc-badge { display: inline-block; margin-top: 4px; padding: 2px 8px; border-radius: 9999px; font-size: 11px; font-weight: 600; }
+  .cc-badge-live { background: var(--cc-live-bg); color: var(--cc-live-text); }
+  .cc-badge-cached { background: var(--cc-cached-bg); color: var(--cc-cached-text); }
+  .cc-badge-offline { background: var(--cc-offline-bg); color: var(--cc-offline-text); }
+  .cc-actions { display: flex; justify-content: center; gap: 8px; margin-top: 12px; }
+  .cc-copy { font: inherit; font-size: 12px; font-weight: 500; background: #3b82f6; color: #ffffff; border: none; padding: 6px 12px; border-radius: 6px; cursor: pointer; }
+  .cc-copy.cc-copied { background: #10b981; }
+  .cc-pin-button { background: #6b7280; }
+  .cc-copy:disabled { opacity: 0.7; cursor: default; }
+  .cc-hint { margin-top: 8px; font-size: 11px; opacity: 0.6; text-align: center; }
+  .cc-loading { display: flex; align-items: center; gap: 8px; color: #3b82f6; }
+  .cc-spinner { width: 14px; height: 14px; border: 2px solid currentColor; border-right-color: transparent; border-radius: 50%; animation: cc-spin 0.8s linear infinite; }
+  @keyframes cc-spin { to { transform: rotate(360deg); } }
+`;
+
+/**
+ * Transition length for the animationSpeed setting.
+ * @param {string} speed - fast, normal or slow
+ * @returns {number} Milliseconds
+ */
+export function getAnimationDuration(speed) {
+  return ANIMATION_MS[speed] ?? ANIMATION_MS.normal;
+}
+
+/**
+ * Theme class for the theme setting; 'auto' and 'system' follow the OS.
+ * @param {string} theme - light, dark, auto or system
+ * @returns {string}
+ */
+export function getThemeClass(theme) {
+  if (theme === 'dark') {
+    return 'cc-theme-dark';
+  }
+  return theme === 'auto' || theme === 'system'
+    ? 'cc-theme-system'
+    : 'cc-theme-light';
+}
+
+/**
+ * Where to put a tooltip of a given size next to an anchor rect.
+ * Prefers centered above the anchor; flips below when the top would be cut
+ * off, and aligns to the anchor's left or right edge near the viewport sides.
+ * @param {DOMRect|null} anchorRect - Selection or hovered price box
+ * @param {{width: number, height: number}} size - Tooltip size
+ * @param {{width: number, height: number}} viewport - Viewport size
+ * @returns {{left: number, top: number, placement: 'above'|'below'}}
+ */
+export function computeTooltipPosition(anchorRect, size, viewport) {
+  const clampLeft = left =>
+    Math.max(
+      VIEWPORT_MARGIN,
+      Math.min(left, viewport.width - size.width - VIEWPORT_MARGIN)
+    );
+
+  if (!anchorRect || (anchorRect.width === 0 && anchorRect.height === 0)) {
+    return {
+      left: clampLeft((viewport.width - size.width) / 2),
+      top: Math.max(VIEWPORT_MARGIN, (viewport.height - size.height) / 2),
+      placement: 'above'
+    };
+  }
+
+  // Vertical: above if it fits, else below if it fits, else the roomier side
+  const roomAbove = anchorRect.top - ANCHOR_GAP - VIEWPORT_MARGIN;
+  const roomBelow =
+    viewport.height - anchorRect.bottom - ANCHOR_GAP - VIEWPORT_MARGIN;
+  const placement =
+    roomAbove >= size.height || roomAbove >= roomBelow ? 'above' : 'below';
+  const top =
+    placement === 'above'
+      ? Math.max(VIEWPORT_MARGIN, anchorRect.top - ANCHOR_GAP - size.height)
+      : Math.min(
+          anchorRect.bottom + ANCHOR_GAP,
+          Math.max(
+            VIEWPORT_MARGIN,
+            viewport.height - size.height - VIEWPORT_MARGIN
+          )
+        );
+
+  // Horizontal: centered, else start at the anchor's left edge, else end at
+  // its right edge
+  const centered = anchorRect.left + anchorRect.width / 2 - size.width / 2;
+  let left = centered;
+  if (centered < VIEWPORT_MARGIN) {
+    left = anchorRect.left;
+  } else if (centered + size.width > viewport.width - VIEWPORT_MARGIN) {
+    left = anchorRect.right - size.width;
+  }
+
+  return { left: clampLeft(left), top, placement };
+}
+
+/**
+ * Create the shadow-root host for a tooltip. The host is not attached yet.
+ * @param {Object} [options]
+ * @param {string} [options.theme] - theme setting
+ * @param {string} [options.animationSpeed] - animationSpeed setting
+ * @returns {{host: HTMLElement, root: ShadowRoot, tooltip: HTMLElement, duration: number}}
+ */
+export function createTooltipHost({ theme = 'light', animationSpeed } = {}) {
+  const host = document.createElement('div');
+  host.id = TOOLTIP_HOST_ID;
+  // The host itself must not pick up page styles either; it only provides
+  // a top-most stacking context for the fixed tooltip inside
+  host.style.cssText =
+    'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483647;';
+
+  const root = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = TOOLTIP_STYLES;
+  root.appendChild(style);
+
+  const duration = getAnimationDuration(animationSpeed);
+  const tooltip = document.createElement('div');
+  tooltip.className = `cc-tooltip cc-surface ${getThemeClass(theme)}`;
+  tooltip.style.setProperty('--cc-duration', `${duration}ms`);
+  root.appendChild(tooltip);
+
+  return { host, root, tooltip, duration };
+}
+
+/**
+ * Position an attached tooltip next to its anchor.
+ * @param {HTMLElement} tooltip - Tooltip element (already in the document)
+ * @param {DOMRect|null} anchorRect - Anchor box, or null to center it
+ */
+export function placeTooltip(tooltip, anchorRect) {
+  // offset sizes ignore the scale() of the opening animation
+  const width = tooltip.offsetWidth;
+  const height = tooltip.offsetHeight;
+  const { left, top, placement } = computeTooltipPosition(
+    anchorRect,
+    { width, height },
+    { width: window.innerWidth, height: window.innerHeight }
+  );
+  tooltip.style.left = `${left}px`;
+  tooltip.style.top = `${top}px`;
+  tooltip.dataset.placement = placement;
+}
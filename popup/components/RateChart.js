@@ -0,0 +1,264 @@
+/**
+ * RateChart Component
+ * Inline SVG sparklines and rate history charts (no chart library)
+ */
+
+import {
+  summarizeSeries,
+  createChartScale,
+  toSvgPath,
+  formatChartRate
+} from '/utils/rate-chart.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const COLORS = {
+  line: '#2563eb',
+  area: 'rgba(37, 99, 235, 0.08)',
+  rising: '#059669',
+  falling: '#dc2626',
+  overlay: '#9ca3af',
+  average: '#6b7280',
+  threshold: '#d97706',
+  text: '#6b7280'
+};
+
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) =>
+    element.setAttribute(name, String(value))
+  );
+  return element;
+}
+
+function createSvg(width, height, label) {
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width: '100%',
+    role: 'img',
+    'aria-label': label
+  });
+  const title = svgElement('title');
+  title.textContent = label;
+  svg.appendChild(title);
+  return svg;
+}
+
+function describeSeries(points, name) {
+  const summary = summarizeSeries(points);
+  if (!summary) {
+    return `${name}: no rate history`;
+  }
+  const change = summary.percentChange;
+  return `${name}: ${formatChartRate(summary.first)} to ${formatChartRate(summary.last)} (${change >= 0 ? '+' : ''}${change.toFixed(2)}%) over ${summary.count} readings`;
+}
+
+/**
+ * Create a small trend line without axes
+ * @param {Array<{time: number, rate: number}>} points - Chronological rates
+ * @param {Object} [options] - Sparkline options
+ * @param {number} [options.width] - viewBox width
+ * @param {number} [options.height] - Height in pixels
+ * @param {string} [options.label] - Pair name for screen readers
+ * @returns {SVGSVGElement} The sparkline element
+ */
+export function createSparkline(
+  points,
+  { width = 80, height = 24, label = 'Rate' } = {}
+) {
+  const svg = createSvg(width, height, describeSeries(points, label));
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.classList.add('rate-sparkline');
+  if (points.length < 2) {
+    return svg;
+  }
+
+  const scale = createChartScale({
+    points,
+    width,
+    height,
+    padding: { top: 2, right: 3, bottom: 2, left: 1 }
+  });
+  const { first, last } = summarizeSeries(points);
+  const color =
+    last > first ? COLORS.rising : last < first ? COLORS.falling : COLORS.line;
+
+  svg.appendChild(
+    svgElement('path', {
+      d: toSvgPath(points, scale),
+      fill: 'none',
+      stroke: color,
+      'stroke-width': 1.5,
+      'stroke-linejoin': 'round',
+      'vector-effect': 'non-scaling-stroke'
+    })
+  );
+  const end = points[points.length - 1];
+  svg.appendChild(
+    svgElement('circle', {
+      cx: scale.x(end.time),
+      cy: scale.y(end.rate),
+      r: 2,
+      fill: color
+    })
+  );
+  return svg;
+}
+
+function addHorizontalLine(svg, scale, { value, label, color, dash, width }) {
+  const y = scale.y(value);
+  svg.appendChild(
+    svgElement('line', {
+      x1: 0,
+      x2: width,
+      y1: y,
+      y2: y,
+      stroke: color,
+      'stroke-width': 1,
+      'stroke-dasharray': dash || 'none',
+      'vector-effect': 'non-scaling-stroke'
+    })
+  );
+  const text = svgElement('text', {
+    x: width - 2,
+    y: y - 2,
+    'text-anchor': 'end',
+    'font-size': 9,
+    fill: color
+  });
+  text.textContent = label;
+  svg.appendChild(text);
+}
+
+function formatAxisDate(time) {
+  return new Date(time).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Create a rate history chart with min/max/average overlays and alert
+ * threshold lines
+ * @param {Array<{time: number, rate: number}>} points - Chronological rates
+ * @param {Object} [options] - Chart options
+ * @param {Array<{value: number, label: string}>} [options.thresholds] - Alert lines
+ * @param {boolean} [options.overlays] - Draw min/max/average lines
+ * @param {number} [options.width] - viewBox width (the chart fills its container)
+ * @param {number} [options.height] - viewBox height
+ * @param {string} [options.label] - Pair name for screen readers
+ * @returns {SVGSVGElement} The chart element
+ */
+export function createRateChart(
+  points,
+  {
+    thresholds = [],
+    overlays = true,
+    width = 320,
+    height = 160,
+    label = 'Rate history'
+  } = {}
+) {
+  const svg = createSvg(width, height, describeSeries(points, label));
+  svg.classList.add('rate-chart');
+  if (points.length === 0) {
+    return svg;
+  }
+
+  const padding = { top: 12, right: 4, bottom: 16, left: 4 };
+  const summary = summarizeSeries(points);
+  const scale = createChartScale({
+    points,
+    values: thresholds.map(line => line.value),
+    width,
+    height,
+    padding
+  });
+  const path = toSvgPath(points, scale);
+  const baseline = height - padding.bottom;
+
+  // Shaded area under the line
+  if (points.length > 1) {
+    const firstX = scale.x(points[0].time);
+    const lastX = scale.x(points[points.length - 1].time);
+    svg.appendChild(
+      svgElement('path', {
+        d: `${path} L${lastX} ${baseline} L${firstX} ${baseline} Z`,
+        fill: COLORS.area,
+        stroke: 'none'
+      })
+    );
+  }
+
+  if (overlays) {
+    [
+      { value: summary.max, label: `Max ${formatChartRate(summary.max)}` },
+      { value: summary.min, label: `Min ${formatChartRate(summary.min)}` }
+    ].forEach(line =>
+      addHorizontalLine(svg, scale, {
+        ...line,
+        color: COLORS.overlay,
+        dash: '2 3',
+        width
+      })
+    );
+    addHorizontalLine(svg, scale, {
+      value: summary.average,
+      label: `Avg ${formatChartRate(summary.average)}`,
+      color: COLORS.average,
+      dash: '6 3',
+      width
+    });
+  }
+
+  thresholds.forEach(line =>
+    addHorizontalLine(svg, scale, {
+      value: line.value,
+      label: `🔔 ${line.label}`,
+      color: COLORS.threshold,
+      width
+    })
+  );
+
+  svg.appendChild(
+    svgElement('path', {
+      d: path,
+      fill: 'none',
+      stroke: COLORS.line,
+      'stroke-width': 2,
+      'stroke-linejoin': 'round',
+      'vector-effect': 'non-scaling-stroke'
+    })
+  );
+  points.forEach(point => {
+    const dot = svgElement('circle', {
+      cx: scale.x(point.time),
+      cy: scale.y(point.rate),
+      r: points.length > 40 ? 0 : 2,
+      fill: COLORS.line
+    });
+    const tip = svgElement('title');
+    tip.textContent = `${new Date(point.time).toLocaleString()}: ${formatChartRate(point.rate)}`;
+    dot.appendChild(tip);
+    svg.appendChild(dot);
+  });
+
+  // First and last reading dates along the bottom
+  [
+    { time: scale.minTime, anchor: 'start', x: padding.left },
+    { time: scale.maxTime, anchor: 'end', x: width - padding.right }
+  ].forEach(({ time, anchor, x }) => {
+    const text = svgElement('text', {
+      x,
+      y: height - 3,
+      'text-anchor': anchor,
+      'font-size': 9,
+      fill: COLORS.text
+    });
+    text.textContent = formatAxisDate(time);
+    svg.appendChild(text);
+  });
+
+  return svg;
+}
@@ -49,3 +49,6 @@ export {
   registerKeyboardShortcuts,
   addShortcutHint
 } from './KeyboardShortcuts.js';
+
+// Rate History Charts
+export { createSparkline, createRateChart } from './RateChart.js';
@@ -19,12 +19,21 @@ import { privacyManager } from '/utils/privacy-manager.js';
 
 // Import tab manager
 import { TabManager } from './tabs/tab-manager.js';
+import { showPrefilledConversion } from './tabs/settings/test-conversion.js';
+import {
+  OMNIBOX_PREFILL_KEY,
+  OMNIBOX_PREFILL_MAX_AGE_MS
+} from '/utils/omnibox-query.js';
+
+// The side panel loads this page as popup.html#sidepanel (manifest side_panel)
+const view = window.location.hash === '#sidepanel' ? 'sidepanel' : 'popup';
 
 // Global state
 let currentSettings = { ...DEFAULT_SETTINGS };
 let subscriptionManager = null;
 let userPlan = 'FREE';
 let tabManager = null;
+let popupWindowId = null;
 
 // Enhanced error handling and persistence for Chrome extension environment
 const pendingSettingsOperations = new Set();
@@ -67,12 +76,18 @@ async function initializePopup() {
     // Show loading state
     showLoadingState();
 
+    // Side panel or popup layout
+    applyView();
+
     // Initialize core services
     await initializeCoreServices();
 
     // Initialize tab manager
     await initializeTabManager();
 
+    // Opened from the omnibox: show and copy its conversion
+    await applyOmniboxPrefill();
+
     // Setup global event listeners
     setupGlobalEventListeners();
 
@@ -141,7 +156,9 @@ async function initializeCoreServices() {
 
         // Try to show interstitial, but catch any errors
         try {
-          await showInterstitialIfEligible('popup_open');
+          if (view === 'popup') {
+            await showInterstitialIfEligible('popup_open');
+          }
         } catch {
           // Non-critical error showing interstitial
         }
@@ -201,13 +218,47 @@ async function initializeCoreServices() {
  * Initialize tab manager and make it globally available
  */
 async function initializeTabManager() {
-  tabManager = new TabManager();
+  tabManager = new TabManager({ view });
   await tabManager.initialize();
 
   // Make tab manager globally available for cross-tab communication
   window.tabManager = tabManager;
 }
 
+/**
+ * Show the conversion entered in the omnibox ("cc 100 usd to eur") in the
+ * Settings tab's converter and copy it. The service worker leaves it in
+ * session storage before opening the popup.
+ */
+async function applyOmniboxPrefill() {
+  if (view !== 'popup' || !chrome.storage.session) {
+    return;
+  }
+
+  try {
+    const stored = await chrome.storage.session.get(OMNIBOX_PREFILL_KEY);
+    const prefill = stored[OMNIBOX_PREFILL_KEY];
+    if (!prefill) {
+      return;
+    }
+    await chrome.storage.session.remove(OMNIBOX_PREFILL_KEY);
+    if (Date.now() - prefill.createdAt > OMNIBOX_PREFILL_MAX_AGE_MS) {
+      return;
+    }
+
+    await tabManager.switchTab('settingsPanel');
+    showPrefilledConversion(prefill);
+    document
+      .getElementById('testConversionResult')
+      ?.scrollIntoView({ block: 'center' });
+
+    await window.navigator.clipboard.writeText(prefill.text);
+    showStatus(`Copied ${prefill.text.split('\n').join(', ')}`, 'success');
+  } catch (error) {
+    console.warn('Failed to apply omnibox conversion:', error);
+  }
+}
+
 /**
  * Setup global event listeners
  */
@@ -219,6 +270,31 @@ function setupGlobalEventListeners() {
   document.getElementById('rateUs')?.addEventListener('click', handleRateUs);
   document.getElementById('support')?.addEventListener('click', handleSupport);
   document.getElementById('help')?.addEventListener('click', handleHelp);
+  document
+    .getElementById('openSidePanel')
+    ?.addEventListener('click', handleOpenSidePanel);
+}
+
+/**
+ * Show the elements of the current view (data-view="popup|sidepanel");
+ * the side panel fills the browser's panel width instead of the popup's
+ */
+function applyView() {
+  document.querySelectorAll('[data-view]').forEach(element => {
+    element.classList.toggle('hidden', element.dataset.view !== view);
+  });
+
+  if (view === 'sidepanel') {
+    document.title = 'Currency Converter';
+    document.querySelector('.w-96')?.classList.replace('w-96', 'w-full');
+  } else {
+    chrome.windows
+      ?.getCurrent()
+      .then(currentWindow => {
+        popupWindowId = currentWindow.id;
+      })
+      .catch(() => {});
+  }
 }
 
 /**
@@ -369,6 +445,22 @@ function handleHelp() {
   chrome.tabs.create({ url: 'https://example.com/help' });
 }
 
+// sidePanel.open must be called synchronously from the click (user
+// gesture), so the window id is looked up when the popup loads
+function handleOpenSidePanel() {
+  if (!chrome.sidePanel || popupWindowId === null) {
+    showStatus('Side panel is not available in this browser', 'error');
+    return;
+  }
+  chrome.sidePanel
+    .open({ windowId: popupWindowId })
+    .then(() => window.close())
+    .catch(error => {
+      console.warn('Failed to open side panel:', error);
+      showStatus('Side panel is not available in this browser', 'error');
+    });
+}
+
 /**
  * Show status message to user
  */
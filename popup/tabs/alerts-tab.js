@@ -1,12 +1,27 @@
 /**
  * Alerts Tab - Handles rate alerts and notifications functionality
+ * Stored rate history is drawn as a sparkline per alert and as a full chart
+ * (min/max/average overlays, alert thresholds) in the Trend Analysis card.
  */
 
+import { createSparkline, createRateChart } from '../components/RateChart.js';
+import {
+  getPairSeries,
+  listHistoryPairs,
+  summarizeSeries,
+  getAlertThresholds,
+  formatChartRate
+} from '/utils/rate-chart.js';
+
+// Days of history the charts and trend analysis cover
+const TREND_DAYS = 30;
+
 export class AlertsTab {
   constructor() {
     this.initialized = false;
     this.alertsManager = null;
     this.subscriptionManager = null;
+    this.chartPair = null;
   }
 
   /**
@@ -85,6 +100,8 @@ export class AlertsTab {
       this.displayAlerts(alerts);
       this.loadAlertSettings(alertSettings);
       this.displayAlertHistory(alertHistory);
+      this.displayTrends(this.alertsManager.getTrendData(TREND_DAYS)?.trends);
+      this.populateChartPairs();
 
       // Update UI based on subscription
       this.updateUIForSubscription(subscription);
@@ -109,6 +126,9 @@ export class AlertsTab {
     // Alert settings
     this.setupAlertSettings();
 
+    // Trend analysis and rate chart
+    this.setupTrendAnalysis();
+
     // Alert action listeners (will be set up when alerts are displayed)
   }
 
@@ -644,6 +664,7 @@ export class AlertsTab {
     alertsList.innerHTML = alerts
       .map(alert => this.createAlertItemHTML(alert))
       .join('');
+    this.renderAlertSparklines(alertsList);
 
     // Setup event listeners for alert actions
     this.setupAlertActionListeners();
@@ -668,6 +689,11 @@ export class AlertsTab {
             </div>
             ${alert.label ? `<div class="text-xs text-gray-600 mt-1">${alert.label}</div>` : ''}
           </div>
+          <div
+            class="alert-sparkline mx-2"
+            data-from="${alert.fromCurrency}"
+            data-to="${alert.toCurrency}"
+          ></div>
           <div class="flex items-center gap-2">
             <span class="text-xs ${statusClass} font-medium">${statusText}</span>
             <button 
@@ -840,6 +866,208 @@ export class AlertsTab {
     }
   }
 
+  /**
+   * Draw each alert's recent rates next to it
+   * @param {HTMLElement} container - Alerts list
+   */
+  renderAlertSparklines(container) {
+    const history = this.alertsManager?.rateHistory || [];
+    container.querySelectorAll('.alert-sparkline').forEach(slot => {
+      const { from, to } = slot.dataset;
+      const points = getPairSeries(history, from, to, { days: TREND_DAYS });
+      if (points.length < 2) {
+        return;
+      }
+      slot.appendChild(createSparkline(points, { label: `${from}/${to}` }));
+      slot.title = 'Show rate chart';
+      slot.classList.add('cursor-pointer');
+      slot.addEventListener('click', () => this.showRateChart(`${from}/${to}`));
+    });
+  }
+
+  /**
+   * Setup the Trend Analysis card (refresh button, chart pair picker)
+   */
+  setupTrendAnalysis() {
+    document
+      .getElementById('refreshTrends')
+      ?.addEventListener('click', () => this.refreshTrends());
+
+    document
+      .getElementById('rateChartPair')
+      ?.addEventListener('change', event =>
+        this.showRateChart(event.target.value)
+      );
+
+    document.getElementById('trendsList')?.addEventListener('click', event => {
+      const item = event.target.closest('[data-pair]');
+      if (item) {
+        this.showRateChart(item.dataset.pair);
+      }
+    });
+  }
+
+  /**
+   * Re-run the trend analysis over the stored rate history
+   */
+  async refreshTrends() {
+    if (!this.alertsManager) {
+      return;
+    }
+    try {
+      const trends = await this.alertsManager.analyzeTrends(TREND_DAYS);
+      this.displayTrends(trends);
+      this.populateChartPairs();
+    } catch (error) {
+      console.error('❌ Failed to analyze trends:', error);
+      this.showError('Failed to analyze trends');
+    }
+  }
+
+  /**
+   * List analyzed pairs with a sparkline, change and volatility
+   * @param {Object|undefined} trends - analyzeTrends() result keyed by "FROM/TO"
+   */
+  displayTrends(trends) {
+    const list = document.getElementById('trendsList');
+    if (!list || !trends) {
+      return;
+    }
+
+    const pairs = Object.entries(trends);
+    if (pairs.length === 0) {
+      list.innerHTML = `
+        <div class="text-center text-gray-500 text-sm py-4">
+          Not enough rate history yet. Rates are recorded each time alerts are checked.
+        </div>
+      `;
+      return;
+    }
+
+    const history = this.alertsManager?.rateHistory || [];
+    list.innerHTML = '';
+    pairs.forEach(([pair, trend]) => {
+      const [from, to] = pair.split('/');
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.dataset.pair = pair;
+      item.className =
+        'w-full flex items-center justify-between gap-2 p-2 text-xs text-left rounded hover:bg-gray-50';
+
+      const name = document.createElement('span');
+      name.className = 'font-medium text-gray-900 w-20';
+      name.textContent = `${from} → ${to}`;
+
+      const change = document.createElement('span');
+      change.className = `w-16 text-right ${
+        trend.trend === 'rising'
+          ? 'text-green-700'
+          : trend.trend === 'falling'
+            ? 'text-red-600'
+            : 'text-gray-600'
+      }`;
+      change.textContent = `${trend.percentChange >= 0 ? '+' : ''}${trend.percentChange.toFixed(2)}%`;
+
+      const volatility = document.createElement('span');
+      volatility.className = 'text-gray-500 w-20 text-right';
+      volatility.textContent = `σ ${formatChartRate(trend.volatility)}`;
+
+      item.append(
+        name,
+        createSparkline(
+          getPairSeries(history, from, to, { days: TREND_DAYS }),
+          { label: pair }
+        ),
+        change,
+        volatility
+      );
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Fill the chart pair picker with every pair that has history
+   */
+  populateChartPairs() {
+    const select = document.getElementById('rateChartPair');
+    const section = document.getElementById('rateChartSection');
+    if (!select || !section) {
+      return;
+    }
+
+    const pairs = listHistoryPairs(this.alertsManager?.rateHistory);
+    section.classList.toggle('hidden', pairs.length === 0);
+    if (pairs.length === 0) {
+      return;
+    }
+
+    select.innerHTML = '';
+    pairs.forEach(({ fromCurrency, toCurrency, count }) => {
+      const option = document.createElement('option');
+      option.value = `${fromCurrency}/${toCurrency}`;
+      option.textContent = `${fromCurrency} → ${toCurrency} (${count})`;
+      select.appendChild(option);
+    });
+
+    const keep = pairs.some(
+      ({ fromCurrency, toCurrency }) =>
+        `${fromCurrency}/${toCurrency}` === this.chartPair
+    );
+    this.showRateChart(keep ? this.chartPair : select.options[0].value);
+  }
+
+  /**
+   * Draw the full chart for one pair
+   * @param {string} pair - "FROM/TO"
+   */
+  showRateChart(pair) {
+    const container = document.getElementById('rateChart');
+    const stats = document.getElementById('rateChartStats');
+    const select = document.getElementById('rateChartPair');
+    if (!container || !pair) {
+      return;
+    }
+
+    this.chartPair = pair;
+    if (select && select.value !== pair) {
+      select.value = pair;
+    }
+    document.getElementById('rateChartSection')?.classList.remove('hidden');
+
+    const [from, to] = pair.split('/');
+    const points = getPairSeries(this.alertsManager?.rateHistory, from, to, {
+      days: TREND_DAYS
+    });
+    const summary = summarizeSeries(points);
+    const thresholds = getAlertThresholds(
+      this.alertsManager?.alerts,
+      from,
+      to,
+      { reference: summary?.last ?? null }
+    );
+
+    container.innerHTML = '';
+    container.appendChild(
+      createRateChart(points, { thresholds, label: `${from}/${to}` })
+    );
+
+    if (stats) {
+      stats.innerHTML = '';
+      if (summary) {
+        [
+          ['Min', summary.min],
+          ['Avg', summary.average],
+          ['Max', summary.max]
+        ].forEach(([label, value]) => {
+          const cell = document.createElement('div');
+          cell.className = 'text-center';
+          cell.textContent = `${label} ${formatChartRate(value)}`;
+          stats.appendChild(cell);
+        });
+      }
+    }
+  }
+
   /**
    * Display alert history
    */
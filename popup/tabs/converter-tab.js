@@ -0,0 +1,270 @@
+/**
+ * Converter Tab - Side panel converter fed by live page selections
+ *
+ * The side panel (popup.html#sidepanel) stays open next to the page, so this
+ * tab lists the prices the content script detects as the user selects them
+ * in the window's active tab and previews the latest one from the cached
+ * rate table. Only clicking a detection or Convert counts as a conversion
+ * (usage and history). The form reuses the Settings tab's test conversion
+ * module with its own element ids.
+ */
+
+import { settingsManager } from '/utils/settings-manager.js';
+import { getSubscriptionManager } from '/utils/subscription-manager-v2.js';
+import {
+  setupConversionTestingCurrencies,
+  setupTestConversionButton,
+  performTestConversion,
+  previewTestConversion
+} from './settings/test-conversion.js';
+
+const CONVERTER_IDS = {
+  from: 'converterFromCurrency',
+  to: 'converterToCurrency',
+  amount: 'converterAmount',
+  date: 'converterDate',
+  button: 'converterConvert',
+  result: 'converterResult'
+};
+
+const MAX_DETECTIONS = 10;
+
+export class ConverterTab {
+  constructor() {
+    this.initialized = false;
+    this.subscriptionManager = null;
+    this.detections = [];
+    this.handleRuntimeMessage = this.handleRuntimeMessage.bind(this);
+  }
+
+  /**
+   * Initialize the converter tab
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      try {
+        this.subscriptionManager = await getSubscriptionManager();
+      } catch (error) {
+        console.warn('Converter tab: subscription manager unavailable', error);
+      }
+
+      setupConversionTestingCurrencies(
+        settingsManager.getSettings(),
+        CONVERTER_IDS
+      );
+      setupTestConversionButton({
+        subscriptionManager: this.subscriptionManager,
+        showStatus: (msg, type) => this.showStatusMessage(msg, type),
+        ids: CONVERTER_IDS,
+        historySource: 'side-panel'
+      });
+
+      document
+        .getElementById('detectedSelections')
+        ?.addEventListener('click', event => this.handleDetectionClick(event));
+
+      // The service worker forwards every currency selection on any tab;
+      // only the active tab of this window is shown
+      chrome.runtime.onMessage.addListener(this.handleRuntimeMessage);
+
+      this.initialized = true;
+      console.log('✅ Converter tab initialized');
+    } catch (error) {
+      console.error('❌ Failed to initialize converter tab:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load content for the converter tab
+   */
+  async loadContent() {
+    this.renderDetections();
+  }
+
+  handleRuntimeMessage(message) {
+    if (message?.action === 'selectionDetected' && message.currencyInfo) {
+      this.isActiveTab(message.tabId).then(active => {
+        if (active) {
+          this.addDetection(message.currencyInfo);
+        }
+      });
+    }
+  }
+
+  /**
+   * Whether a tab is the active tab of the window this panel belongs to
+   * @param {number|null} tabId - Tab the selection was made in
+   * @returns {Promise<boolean>}
+   */
+  async isActiveTab(tabId) {
+    if (typeof tabId !== 'number') {
+      return false;
+    }
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true
+      });
+      return tab?.id === tabId;
+    } catch (error) {
+      console.warn('Failed to read active tab:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record a detected selection and preview its conversion
+   * @param {Object} currencyInfo - Detection from the content script
+   */
+  addDetection(currencyInfo) {
+    const detection = {
+      amount: currencyInfo.amount,
+      currency: currencyInfo.currency,
+      originalText: currencyInfo.originalText || '',
+      detectedAt: Date.now()
+    };
+    this.detections = [
+      detection,
+      ...this.detections.filter(
+        d => d.amount !== detection.amount || d.currency !== detection.currency
+      )
+    ].slice(0, MAX_DETECTIONS);
+
+    this.renderDetections();
+    if (this.fillForm(detection)) {
+      previewTestConversion(CONVERTER_IDS);
+    }
+  }
+
+  handleDetectionClick(event) {
+    const item = event.target.closest('[data-detection]');
+    if (!item) {
+      return;
+    }
+    const detection = this.detections[Number(item.dataset.detection)];
+    if (detection) {
+      this.convertDetection(detection);
+    }
+  }
+
+  /**
+   * Fill the form with a detection
+   * @param {Object} detection - Detected amount and currency
+   * @returns {boolean} False when the form is missing
+   */
+  fillForm(detection) {
+    const amountInput = document.getElementById(CONVERTER_IDS.amount);
+    const fromSelect = document.getElementById(CONVERTER_IDS.from);
+    const toSelect = document.getElementById(CONVERTER_IDS.to);
+    if (!amountInput || !fromSelect || !toSelect) {
+      return false;
+    }
+
+    amountInput.value = String(detection.amount);
+    if (fromSelect.querySelector(`option[value="${detection.currency}"]`)) {
+      fromSelect.value = detection.currency;
+    }
+    // Converting a price already in the target flips to the base currency
+    if (fromSelect.value === toSelect.value) {
+      const { baseCurrency, secondaryCurrency } = settingsManager.getSettings();
+      toSelect.value =
+        fromSelect.value === baseCurrency ? secondaryCurrency : baseCurrency;
+    }
+    return true;
+  }
+
+  /**
+   * Fill the form with a detection the user picked and convert it (counted
+   * and saved to history like the Convert button)
+   * @param {Object} detection - Detected amount and currency
+   */
+  async convertDetection(detection) {
+    if (!this.fillForm(detection)) {
+      return;
+    }
+
+    const result = await performTestConversion({
+      subscriptionManager: this.subscriptionManager,
+      showStatus: () => {},
+      ids: CONVERTER_IDS,
+      historySource: 'side-panel'
+    });
+    if (result.error) {
+      this.showStatusMessage(result.error, 'error');
+    }
+  }
+
+  renderDetections() {
+    const list = document.getElementById('detectedSelections');
+    if (!list) {
+      return;
+    }
+
+    if (this.detections.length === 0) {
+      list.innerHTML = `
+        <div class="text-center text-gray-500 text-xs py-4">
+          Select a price on any page to convert it here
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = '';
+    this.detections.forEach((detection, index) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.dataset.detection = String(index);
+      item.className =
+        'w-full flex items-center justify-between gap-2 px-2 py-1 text-xs text-left rounded hover:bg-gray-100';
+
+      const text = document.createElement('span');
+      text.className = 'truncate text-gray-700';
+      text.textContent = detection.originalText || detection.amount;
+
+      const amount = document.createElement('span');
+      amount.className = 'font-medium text-gray-900 whitespace-nowrap';
+      amount.textContent = `${detection.amount} ${detection.currency}`;
+
+      item.append(text, amount);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show status message
+   */
+  showStatusMessage(message, type = 'success', duration = 3000) {
+    const statusDiv = document.getElementById('statusMessage');
+    if (!statusDiv) {
+      return;
+    }
+
+    statusDiv.textContent = message;
+    statusDiv.className = `fixed top-4 left-1/2 transform -translate-x-1/2 px-4 py-2 rounded-lg shadow-lg z-50 transition-all duration-300 ${
+      type === 'error' ? 'bg-red-500 text-white' : 'bg-green-500 text-white'
+    }`;
+
+    statusDiv.classList.remove('hidden');
+
+    setTimeout(() => {
+      statusDiv.classList.add('hidden');
+    }, duration);
+  }
+
+  /**
+   * Handle global events from other tabs
+   */
+  handleGlobalEvent(eventType, _data) {
+    if (eventType === 'settingsChanged') {
+      setupConversionTestingCurrencies(
+        settingsManager.getSettings(),
+        CONVERTER_IDS
+      );
+    }
+  }
+}
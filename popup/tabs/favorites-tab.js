@@ -2,6 +2,11 @@
  * Favorites Tab - Handles favorite currency pairs functionality
  */
 
+import {
+  looksLikeExpression,
+  evaluateAmountExpression
+} from '/utils/expression-evaluator.js';
+
 export class FavoritesTab {
   constructor() {
     this.initialized = false;
@@ -279,7 +284,10 @@ export class FavoritesTab {
         const amountInput = document.getElementById('quickConvertAmount');
         const amount = amountInput?.value;
 
-        if (!amount || parseFloat(amount) <= 0) {
+        if (
+          !amount ||
+          (!looksLikeExpression(amount) && !(parseFloat(amount) > 0))
+        ) {
           this.showError('Please enter a valid amount first');
           amountInput?.focus();
           return;
@@ -386,7 +394,27 @@ export class FavoritesTab {
     }
 
     try {
-      const numAmount = parseFloat(amount);
+      // Import and use the exchange rate service
+      const { exchangeRateService } = await import('/utils/api-service.js');
+
+      // A calculation ("3 * 49.99 - 10%", "20 EUR + 15 GBP") is totalled
+      // first; the pair's target currency still decides what it becomes
+      let expression = null;
+      if (looksLikeExpression(amount)) {
+        try {
+          expression = await evaluateAmountExpression(amount, {
+            fallbackCurrency: fromCurrency,
+            getRateTable: base => exchangeRateService.getRateTable(base)
+          });
+        } catch (error) {
+          this.showError(error.message);
+          return;
+        }
+        expression.text = String(amount).trim();
+        fromCurrency = expression.currency;
+      }
+
+      const numAmount = expression ? expression.value : parseFloat(amount);
       if (isNaN(numAmount) || numAmount <= 0) {
         this.showError('Please enter a valid amount');
         return;
@@ -397,9 +425,6 @@ export class FavoritesTab {
         `Converting ${numAmount} ${fromCurrency} to ${toCurrency}...`
       );
 
-      // Import and use the exchange rate service
-      const { exchangeRateService } = await import('/utils/api-service.js');
-
       // Perform the actual conversion
       const result = await exchangeRateService.convertCurrency(
         numAmount,
@@ -414,7 +439,8 @@ export class FavoritesTab {
           fromCurrency,
           result.convertedAmount,
           toCurrency,
-          result.rate
+          result.rate,
+          expression
         );
 
         // Add to history
@@ -474,7 +500,8 @@ export class FavoritesTab {
     fromCurrency,
     convertedAmount,
     toCurrency,
-    rate
+    rate,
+    expression = null
   ) {
     // Import formatting utilities
     import('/utils/conversion-utils.js')
@@ -505,7 +532,8 @@ export class FavoritesTab {
           fromCurrency,
           convertedAmount,
           toCurrency,
-          rate
+          rate,
+          expression
         );
       })
       .catch(() => {
@@ -515,6 +543,31 @@ export class FavoritesTab {
       });
   }
 
+  /**
+   * Calculation and per-currency terms for the result popup
+   */
+  renderExpressionBreakdown({ text, currency, terms }) {
+    const escape = value =>
+      String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    const rows = terms
+      .filter(term => term.currency !== currency)
+      .map(
+        term =>
+          `<div>${term.amount} ${term.currency} = ${term.convertedAmount.toFixed(2)} ${currency}</div>`
+      )
+      .join('');
+
+    return `
+      <div class="conversion-result-rate">
+        <div class="font-mono">${escape(text)}</div>
+        ${rows}
+      </div>
+    `;
+  }
+
   /**
    * Show detailed conversion result in a popup
    */
@@ -523,7 +576,8 @@ export class FavoritesTab {
     fromCurrency,
     convertedAmount,
     toCurrency,
-    rate
+    rate,
+    expression = null
   ) {
     // Create a temporary popup div
     const popup = document.createElement('div');
@@ -533,13 +587,14 @@ export class FavoritesTab {
       <div class="conversion-result-content">
         <div class="conversion-result-title">Conversion Result</div>
         <div class="conversion-result-display">
-          <div class="conversion-result-from">${originalAmount} ${fromCurrency}</div>
+          <div class="conversion-result-from">${expression ? Number(originalAmount.toFixed(2)) : originalAmount} ${fromCurrency}</div>
           <div class="conversion-result-equals">=</div>
           <div class="conversion-result-to">${convertedAmount.toFixed(2)} ${toCurrency}</div>
         </div>
         <div class="conversion-result-rate">
           Exchange Rate: 1 ${fromCurrency} = ${rate.toFixed(4)} ${toCurrency}
         </div>
+        ${expression ? this.renderExpressionBreakdown(expression) : ''}
         <button id="closeConversionPopup" class="conversion-result-close">
           Close
         </button>
@@ -235,6 +235,8 @@ export class HistoryTab {
       'settings-test':
         '<span class="source-icon" title="Test Conversion">🧪</span>',
       favorites: '<span class="source-icon" title="Favorites">⭐</span>',
+      omnibox: '<span class="source-icon" title="Address Bar">🔎</span>',
+      'side-panel': '<span class="source-icon" title="Side Panel">📑</span>',
       manual: '<span class="source-icon" title="Manual Entry">✏️</span>',
       api: '<span class="source-icon" title="API Call">🔗</span>',
       popup: '<span class="source-icon" title="Popup">🎚️</span>'
@@ -5,8 +5,13 @@
  * - settings/currency-config.js - Currency selection and management
  * - settings/preferences.js - Toggle switches and preferences
  * - settings/test-conversion.js - Test conversion functionality
+ * - settings/bulk-conversion.js - Pasted/CSV bulk conversion (Premium)
  * - settings/security-settings.js - Security features
  * - settings/privacy-settings.js - GDPR/privacy compliance
+ * - settings/page-annotation.js - Per-site page annotation toggle
+ * - settings/site-rules.js - Per-site symbol rules and disabled sites
+ * - settings/hover-convert.js - Hover-to-convert key and delay
+ * - settings/keyboard-shortcuts.js - Browser-wide keyboard command list
  * - settings/index.js - Main coordinator (SettingsTab class)
  */
 
@@ -17,5 +22,10 @@ export { SettingsTab } from './settings/index.js';
 export * from './settings/currency-config.js';
 export * from './settings/preferences.js';
 export * from './settings/test-conversion.js';
+export * from './settings/bulk-conversion.js';
 export * from './settings/security-settings.js';
 export * from './settings/privacy-settings.js';
+export * from './settings/page-annotation.js';
+export * from './settings/site-rules.js';
+export * from './settings/hover-convert.js';
+export * from './settings/keyboard-shortcuts.js';
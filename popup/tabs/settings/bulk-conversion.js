@@ -0,0 +1,300 @@
+/**
+ * Bulk Conversion Module
+ * Paste a column of amounts or pick a CSV file, choose the amount column and
+ * the source currency (or a currency column), and download the converted CSV.
+ * Premium/Pro only (bulkConversion feature).
+ */
+
+/* global Blob, URL */
+
+import {
+  parseDelimitedText,
+  guessColumns,
+  convertBulkRows,
+  toCsv
+} from '/utils/bulk-conversion.js';
+import { setupConversionTestingCurrencies } from './test-conversion.js';
+
+const BULK_IDS = {
+  from: 'bulkFromCurrency',
+  to: 'bulkToCurrency'
+};
+
+// Larger files are almost certainly not a price list
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const PREVIEW_ROWS = 5;
+
+// Parsed input and last result, shared by the handlers below
+const state = {
+  rows: [],
+  delimiter: null,
+  hasHeader: false,
+  fileName: null,
+  result: null
+};
+
+/**
+ * Check the plan allows bulk conversion
+ * @param {Object|null} subscriptionManager
+ * @returns {boolean}
+ */
+export function canUseBulkConversion(subscriptionManager) {
+  return Boolean(subscriptionManager?.hasFeature('bulkConversion'));
+}
+
+function columnLabel(index) {
+  const header = state.hasHeader ? state.rows[0]?.[index] : '';
+  const sample = state.rows[state.hasHeader ? 1 : 0]?.[index] ?? '';
+  return header || `Column ${index + 1}${sample ? ` (${sample})` : ''}`;
+}
+
+function fillColumnSelect(select, width, selected, { allowNone = false } = {}) {
+  select.innerHTML = '';
+  if (allowNone) {
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None - use source currency';
+    select.appendChild(none);
+  }
+  for (let index = 0; index < width; index++) {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = columnLabel(index);
+    select.appendChild(option);
+  }
+  select.value = selected === null ? '' : String(selected);
+}
+
+/**
+ * Parse the input and guess its columns
+ * @param {string} text - Pasted text or file contents
+ */
+export function loadBulkInput(text) {
+  const { delimiter, rows } = parseDelimitedText(text);
+  const { hasHeader, amountColumn, currencyColumn } = guessColumns(rows);
+  Object.assign(state, { rows, delimiter, hasHeader, result: null });
+
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const amountSelect = document.getElementById('bulkAmountColumn');
+  const currencySelect = document.getElementById('bulkCurrencyColumn');
+  if (amountSelect) {
+    fillColumnSelect(amountSelect, width, amountColumn);
+  }
+  if (currencySelect) {
+    fillColumnSelect(currencySelect, width, currencyColumn, {
+      allowNone: true
+    });
+  }
+
+  const headerToggle = document.getElementById('bulkHasHeader');
+  if (headerToggle) {
+    headerToggle.checked = hasHeader;
+  }
+
+  const count = rows.length - (hasHeader ? 1 : 0);
+  setText(
+    'bulkInputSummary',
+    rows.length ? `${count} row${count === 1 ? '' : 's'} found` : ''
+  );
+  document.getElementById('bulkDownload')?.classList.add('hidden');
+  renderBulkResult(null);
+}
+
+function setText(id, text) {
+  const element = document.getElementById(id);
+  if (element) {
+    element.textContent = text;
+  }
+}
+
+/**
+ * Convert the loaded rows
+ * @param {Object} options
+ * @param {Object|null} options.subscriptionManager
+ * @returns {Promise<{success?: boolean, error?: string, result?: Object}>}
+ */
+export async function performBulkConversion({ subscriptionManager }) {
+  if (!canUseBulkConversion(subscriptionManager)) {
+    document.getElementById('bulkUpgradeNotice')?.classList.remove('hidden');
+    return { error: 'Bulk conversion is available on Premium and Pro' };
+  }
+  if (state.rows.length === 0) {
+    return { error: 'Paste amounts or choose a CSV file first' };
+  }
+
+  const amountColumn = parseInt(
+    document.getElementById('bulkAmountColumn')?.value || '0',
+    10
+  );
+  const currencyValue = document.getElementById('bulkCurrencyColumn')?.value;
+  const sourceCurrency = document.getElementById(BULK_IDS.from)?.value;
+  const targetCurrency = document.getElementById(BULK_IDS.to)?.value;
+
+  try {
+    const { exchangeRateService } = await import('/utils/api-service.js');
+    state.result = await convertBulkRows(state.rows, {
+      hasHeader: state.hasHeader,
+      amountColumn,
+      currencyColumn: currencyValue ? parseInt(currencyValue, 10) : null,
+      sourceCurrency,
+      targetCurrency,
+      // Cache-first: a fresh table is reused, otherwise fetched once per base
+      getRateTable: base => exchangeRateService.getRateTable(base)
+    });
+  } catch (error) {
+    console.error('Bulk conversion failed:', error);
+    return { error: `Bulk conversion failed: ${error.message}` };
+  }
+
+  renderBulkResult(state.result);
+  document
+    .getElementById('bulkDownload')
+    ?.classList.toggle('hidden', state.result.converted === 0);
+  return { success: true, result: state.result };
+}
+
+/**
+ * Render the summary and a preview of the converted rows
+ * @param {Object|null} result - convertBulkRows() result
+ */
+export function renderBulkResult(result) {
+  const container = document.getElementById('bulkResult');
+  if (!container) {
+    return;
+  }
+  container.innerHTML = '';
+  if (!result) {
+    return;
+  }
+
+  const summary = document.createElement('p');
+  summary.className = `text-xs ${result.failed.length ? 'text-warning-700' : 'text-green-700'}`;
+  summary.textContent = `Converted ${result.converted} of ${result.rows.length} rows`;
+  container.appendChild(summary);
+
+  if (result.failed.length) {
+    const failures = document.createElement('ul');
+    failures.className = 'text-xs text-warning-700 list-disc ml-4';
+    result.failed.slice(0, 3).forEach(({ line, reason }) => {
+      const item = document.createElement('li');
+      item.textContent = `Line ${line}: ${reason}`;
+      failures.appendChild(item);
+    });
+    if (result.failed.length > 3) {
+      const more = document.createElement('li');
+      more.textContent = `${result.failed.length - 3} more`;
+      failures.appendChild(more);
+    }
+    container.appendChild(failures);
+  }
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'overflow-x-auto mt-2';
+  const table = document.createElement('table');
+  table.className = 'w-full text-xs text-left';
+  [result.header, ...result.rows.slice(0, PREVIEW_ROWS)].forEach(
+    (cells, index) => {
+      const row = document.createElement('tr');
+      cells.forEach(cell => {
+        const element = document.createElement(index === 0 ? 'th' : 'td');
+        element.className = 'px-1 py-0.5 whitespace-nowrap';
+        element.textContent = cell;
+        row.appendChild(element);
+      });
+      table.appendChild(row);
+    }
+  );
+  wrapper.appendChild(table);
+  container.appendChild(wrapper);
+}
+
+function downloadBulkResult() {
+  if (!state.result) {
+    return;
+  }
+  // Keep the input's delimiter so locale spreadsheets open it as-is
+  const delimiter = state.delimiter || ',';
+  const csv = toCsv([state.result.header, ...state.result.rows], delimiter);
+  const blob = new Blob([csv], { type: 'text/csv' });
+
+  const target = document.getElementById(BULK_IDS.to)?.value || 'converted';
+  const baseName = (state.fileName || 'amounts').replace(/\.[^.]+$/, '');
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${baseName}-${target}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Setup the bulk conversion section
+ * @param {Object} options - Setup options
+ * @param {Object} options.currentSettings - Current settings (default currencies)
+ * @param {Object|null} options.subscriptionManager - Subscription manager
+ * @param {Function} options.showStatus - Status display function
+ */
+export function setupBulkConversion({
+  currentSettings,
+  subscriptionManager,
+  showStatus
+}) {
+  if (!document.getElementById('bulkConversionSection')) {
+    return;
+  }
+
+  setupConversionTestingCurrencies(currentSettings, BULK_IDS);
+  document
+    .getElementById('bulkUpgradeNotice')
+    ?.classList.toggle('hidden', canUseBulkConversion(subscriptionManager));
+
+  const input = document.getElementById('bulkInput');
+  input?.addEventListener('input', () => {
+    state.fileName = null;
+    loadBulkInput(input.value);
+  });
+
+  document
+    .getElementById('bulkFile')
+    ?.addEventListener('change', async event => {
+      const [file] = event.target.files || [];
+      if (!file) {
+        return;
+      }
+      if (file.size > MAX_FILE_BYTES) {
+        showStatus('That file is too large for bulk conversion', 'error');
+        return;
+      }
+      try {
+        const text = await file.text();
+        if (input) {
+          input.value = text;
+        }
+        loadBulkInput(text);
+        state.fileName = file.name;
+      } catch (error) {
+        console.error('Failed to read CSV file:', error);
+        showStatus('Could not read that file', 'error');
+      }
+    });
+
+  document.getElementById('bulkHasHeader')?.addEventListener('change', e => {
+    state.hasHeader = e.target.checked;
+  });
+
+  document
+    .getElementById('bulkConvert')
+    ?.addEventListener('click', async () => {
+      showStatus('Converting...', 'info');
+      const result = await performBulkConversion({ subscriptionManager });
+      if (result.error) {
+        showStatus(result.error, 'error');
+      } else {
+        showStatus(`Converted ${result.result.converted} rows`, 'success');
+      }
+    });
+
+  document
+    .getElementById('bulkDownload')
+    ?.addEventListener('click', downloadBulkResult);
+}
@@ -0,0 +1,41 @@
+/**
+ * Hover Convert Module
+ * Modifier key and delay for the content script's hover-to-convert mode
+ * (the on/off switch is the autoConvert toggle in preferences.js)
+ */
+
+import { settingsManager } from '/utils/settings-manager.js';
+
+/**
+ * Setup the hover key and hover delay selectors
+ * @param {Object} options - Setup options
+ * @param {Function} options.showStatus - Status display function
+ */
+export function setupHoverConvertControls({ showStatus }) {
+  const modifierSelect = document.getElementById('hoverModifier');
+  const delaySelect = document.getElementById('hoverDelay');
+  if (!modifierSelect || !delaySelect) return;
+
+  const settings = settingsManager.getSettings();
+  modifierSelect.value = settings.hoverModifier || 'none';
+  delaySelect.value = String(settings.hoverDelay ?? 400);
+  // Custom delays saved elsewhere have no matching option
+  if (!delaySelect.value) delaySelect.value = '400';
+
+  const save = async (key, value) => {
+    try {
+      await settingsManager.updateSetting(key, value);
+      showStatus('Hover settings saved', 'success');
+    } catch (error) {
+      console.error('Failed to save hover setting:', error);
+      showStatus('Failed to save hover settings', 'error');
+    }
+  };
+
+  modifierSelect.addEventListener('change', event =>
+    save('hoverModifier', event.target.value)
+  );
+  delaySelect.addEventListener('change', event =>
+    save('hoverDelay', parseInt(event.target.value, 10))
+  );
+}
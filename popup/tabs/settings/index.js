@@ -32,6 +32,8 @@ import {
   setupTestConversionButton
 } from './test-conversion.js';
 
+import { setupBulkConversion } from './bulk-conversion.js';
+
 import {
   initializeSecurityFeatures,
   setupSecurityEventListeners
@@ -39,6 +41,14 @@ import {
 
 import { setupPrivacyEventListeners } from './privacy-settings.js';
 
+import { setupPageAnnotationToggle } from './page-annotation.js';
+
+import { setupSiteRulesEditor } from './site-rules.js';
+
+import { setupHoverConvertControls } from './hover-convert.js';
+import { setupRateSourceControls } from './rate-sources.js';
+import { setupKeyboardShortcutList } from './keyboard-shortcuts.js';
+
 /**
  * Settings Tab class - coordinates all settings functionality
  */
@@ -186,6 +196,31 @@ export class SettingsTab {
       .getElementById('settingsStats')
       ?.addEventListener('click', () => this.toggleSettingsStats());
 
+    // Hover-to-convert key and delay
+    setupHoverConvertControls({
+      showStatus: (msg, type) => this.showStatus(msg, type)
+    });
+
+    // Consensus mode options and provider drift
+    setupRateSourceControls({
+      showStatus: (msg, type) => this.showStatus(msg, type)
+    });
+
+    // Browser-wide keyboard commands
+    setupKeyboardShortcutList({
+      showStatus: (msg, type) => this.showStatus(msg, type)
+    });
+
+    // Per-site page annotation
+    setupPageAnnotationToggle({
+      showStatus: (msg, type) => this.showStatus(msg, type)
+    });
+
+    // Per-site detection rules and disabled sites
+    setupSiteRulesEditor({
+      showStatus: (msg, type) => this.showStatus(msg, type)
+    });
+
     // Test conversion
     setupConversionTestingCurrencies(this.currentSettings);
     setupTestConversionButton({
@@ -193,6 +228,13 @@ export class SettingsTab {
       showStatus: (msg, type) => this.showStatus(msg, type)
     });
 
+    // Bulk conversion (Premium/Pro)
+    setupBulkConversion({
+      currentSettings: this.currentSettings,
+      subscriptionManager: this.subscriptionManager,
+      showStatus: (msg, type) => this.showStatus(msg, type)
+    });
+
     // Security
     setupSecurityEventListeners({
       showStatus: (msg, type) => this.showStatus(msg, type),
@@ -0,0 +1,64 @@
+/**
+ * Keyboard Shortcuts Module
+ * Lists the browser-wide commands (manifest "commands") with their current
+ * keys; the on/off switch is the enableKeyboardShortcuts toggle in
+ * preferences.js. Chrome only lets users rebind keys on its own page.
+ */
+
+const SHORTCUT_SETTINGS_URL = 'chrome://extensions/shortcuts';
+
+/**
+ * Render the command list
+ * @returns {Promise<void>}
+ */
+export async function renderShortcutList() {
+  const list = document.getElementById('shortcutList');
+  if (!list || !chrome.commands?.getAll) return;
+
+  try {
+    const commands = await chrome.commands.getAll();
+    list.innerHTML = '';
+    commands
+      // _execute_action opens this popup; it isn't one of ours
+      .filter(command => command.description && !command.name.startsWith('_'))
+      .forEach(command => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between gap-2';
+
+        const label = document.createElement('span');
+        label.textContent = command.description;
+
+        const keys = document.createElement('kbd');
+        keys.className = command.shortcut
+          ? 'px-1.5 py-0.5 font-mono bg-gray-100 border border-gray-300 rounded text-gray-700'
+          : 'text-gray-400';
+        keys.textContent = command.shortcut || 'Not set';
+
+        item.append(label, keys);
+        list.appendChild(item);
+      });
+  } catch (error) {
+    console.warn('Failed to load keyboard shortcuts:', error);
+  }
+}
+
+/**
+ * Setup the shortcut list and the "Change keys" link
+ * @param {Object} options - Setup options
+ * @param {Function} options.showStatus - Status display function
+ */
+export function setupKeyboardShortcutList({ showStatus }) {
+  renderShortcutList();
+
+  document
+    .getElementById('openShortcutSettings')
+    ?.addEventListener('click', async () => {
+      try {
+        // chrome:// pages can't be linked to, only opened as a tab
+        await chrome.tabs.create({ url: SHORTCUT_SETTINGS_URL });
+      } catch (error) {
+        console.error('Failed to open shortcut settings:', error);
+        showStatus(`Open ${SHORTCUT_SETTINGS_URL} to change keys`, 'error');
+      }
+    });
+}
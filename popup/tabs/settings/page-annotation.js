@@ -0,0 +1,91 @@
+/**
+ * Page Annotation Module
+ * Per-site toggle for the content script's page-wide price annotation mode
+ */
+
+/* global URL */
+
+import { settingsManager } from '/utils/settings-manager.js';
+import { updateToggleState } from './preferences.js';
+
+/**
+ * Get the hostname of the active tab (only http/https pages can be annotated)
+ * @returns {Promise<string|null>} Hostname or null when not annotatable
+ */
+export async function getActiveTabHostname() {
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true
+    });
+    if (!tab?.url) return null;
+
+    const url = new URL(tab.url);
+    return /^https?:$/.test(url.protocol) ? url.hostname : null;
+  } catch (error) {
+    console.warn('Failed to read active tab hostname:', error);
+    return null;
+  }
+}
+
+/**
+ * Add or remove a hostname from the annotated sites list
+ * @param {string} hostname - Site hostname
+ * @param {boolean} enabled - Whether annotation should be on for the site
+ * @returns {Promise<string[]>} Updated site list
+ */
+export async function setPageAnnotationForSite(hostname, enabled) {
+  const settings = settingsManager.getSettings();
+  const sites = new Set(settings.pageAnnotationSites || []);
+
+  if (enabled) {
+    sites.add(hostname);
+  } else {
+    sites.delete(hostname);
+  }
+
+  const updated = [...sites];
+  await settingsManager.updateSetting('pageAnnotationSites', updated);
+  return updated;
+}
+
+/**
+ * Setup the "Annotate prices on this site" toggle
+ * @param {Object} options - Setup options
+ * @param {Function} options.showStatus - Status display function
+ */
+export async function setupPageAnnotationToggle({ showStatus }) {
+  const toggle = document.getElementById('pageAnnotation');
+  const hostLabel = document.getElementById('pageAnnotationHost');
+  if (!toggle) return;
+
+  const hostname = await getActiveTabHostname();
+  if (!hostname) {
+    toggle.disabled = true;
+    toggle.setAttribute('aria-disabled', 'true');
+    if (hostLabel) hostLabel.textContent = 'Not available on this page';
+    return;
+  }
+
+  if (hostLabel) hostLabel.textContent = hostname;
+
+  const sites = settingsManager.getSettings().pageAnnotationSites || [];
+  updateToggleState(toggle, sites.includes(hostname));
+
+  toggle.addEventListener('click', async () => {
+    const enabled = toggle.getAttribute('aria-checked') !== 'true';
+    try {
+      await setPageAnnotationForSite(hostname, enabled);
+      updateToggleState(toggle, enabled);
+      showStatus(
+        enabled
+          ? `Annotating prices on ${hostname}`
+          : `Price annotation off for ${hostname}`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Failed to toggle page annotation:', error);
+      showStatus('Failed to update page annotation', 'error');
+    }
+  });
+}
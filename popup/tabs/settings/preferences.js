@@ -10,9 +10,11 @@ export const TOGGLE_IDS = [
   'showConfidence',
   'autoConvert',
   'showNotifications',
+  'enableKeyboardShortcuts',
   // v1.1.0 caching preferences
   'enableOfflineMode',
-  'enableCacheAutoRefresh'
+  'enableCacheAutoRefresh',
+  'enableRateConsensus'
 ];
 
 /**
@@ -0,0 +1,330 @@
+/**
+ * Rate Sources Module
+ * Consensus mode options (provider count, outlier tolerance), how far each
+ * provider's quotes have drifted from the consensus, provider health
+ * with circuit breaker state, and API quota usage with threshold warnings
+ * (the on/off switch is the enableRateConsensus toggle in preferences.js)
+ */
+
+import { settingsManager } from '/utils/settings-manager.js';
+
+/**
+ * Create a deviation row for one provider
+ * @param {Object} stats - Provider deviation stats from getServiceStats()
+ * @returns {HTMLElement}
+ */
+function createDeviationItem(stats) {
+  const item = document.createElement('div');
+  item.className =
+    'flex items-center justify-between p-2 bg-gray-50 rounded-lg';
+
+  const name = document.createElement('span');
+  name.className = 'font-medium';
+  name.textContent = stats.name;
+
+  const value = document.createElement('span');
+  value.className = stats.rejected > 0 ? 'text-warning-700' : 'text-gray-600';
+  value.textContent =
+    `${stats.meanDeviation.toFixed(3)}% avg · ${stats.maxDeviation.toFixed(2)}% max` +
+    (stats.rejected > 0 ? ` · ${stats.rejected} rejected` : '');
+  value.title = `${stats.compared} rates compared over ${stats.rounds} fetches`;
+
+  item.append(name, value);
+  return item;
+}
+
+/**
+ * Render per-provider deviation from the consensus, most drift first
+ */
+export async function renderConsensusDeviation() {
+  const list = document.getElementById('consensusDeviationList');
+  if (!list) return;
+
+  try {
+    const { currencyApiService } = await import('/utils/api-service.js');
+    await currencyApiService.loadConsensusStats();
+    const providers = Object.values(
+      currencyApiService.getServiceStats().consensus.deviation
+    ).sort((a, b) => b.meanDeviation - a.meanDeviation);
+
+    list.innerHTML = '';
+    if (providers.length === 0) {
+      list.innerHTML =
+        '<div class="text-xs text-gray-500">No comparisons yet</div>';
+      return;
+    }
+    providers.forEach(stats => list.appendChild(createDeviationItem(stats)));
+  } catch (error) {
+    console.warn('Failed to load consensus stats:', error);
+    list.innerHTML =
+      '<div class="text-xs text-gray-500">Statistics unavailable</div>';
+  }
+}
+
+const CIRCUIT_LABELS = {
+  closed: { text: '● OK', className: 'text-success-700' },
+  'half-open': { text: '◐ Retrying', className: 'text-warning-700' },
+  open: { text: '○ Paused', className: 'text-red-600' }
+};
+
+/**
+ * One-line summary of a provider's health
+ * @param {Object} health - Provider entry from getServiceStats().health
+ * @returns {string}
+ */
+function describeHealth(health) {
+  const parts = [];
+  if (health.successRate !== null) {
+    parts.push(`${Math.round(health.successRate * 100)}% ok`);
+  }
+  if (health.p50 !== null) {
+    parts.push(`p50 ${health.p50} ms · p95 ${health.p95} ms`);
+  }
+  if (health.state === 'open') {
+    const until = new Date(health.openUntil).toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    parts.push(
+      health.quotaExhausted ? `quota used up, until ${until}` : `until ${until}`
+    );
+  } else if (health.lastErrorKind && health.consecutiveFailures > 0) {
+    parts.push(`last error: ${health.lastErrorKind}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Create a health row for one provider
+ * @param {string} id - Provider id
+ * @param {Object} health - Provider entry from getServiceStats().health
+ * @param {Function} onReset - Callback to close the circuit
+ * @returns {HTMLElement}
+ */
+function createHealthItem(id, health, onReset) {
+  const item = document.createElement('div');
+  item.className = 'p-2 bg-gray-50 rounded-lg';
+
+  const header = document.createElement('div');
+  header.className = 'flex items-center justify-between';
+
+  const name = document.createElement('span');
+  name.className = 'font-medium';
+  name.textContent = health.name;
+
+  const label = CIRCUIT_LABELS[health.state] || CIRCUIT_LABELS.closed;
+  const state = document.createElement('span');
+  state.className = label.className;
+  state.textContent = label.text;
+  state.title = health.lastErrorMessage || '';
+
+  header.append(name, state);
+
+  const details = document.createElement('div');
+  details.className = 'flex items-center justify-between text-gray-600';
+  const summary = document.createElement('span');
+  summary.textContent = describeHealth(health);
+  details.appendChild(summary);
+
+  if (health.state !== 'closed' || health.consecutiveFailures > 0) {
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'text-primary-600 hover:underline';
+    reset.textContent = 'Reset';
+    reset.setAttribute('aria-label', `Reset ${health.name} health`);
+    reset.addEventListener('click', () => onReset(id));
+    details.appendChild(reset);
+  }
+
+  item.append(header, details);
+  return item;
+}
+
+/**
+ * Render provider health and circuit state, least healthy first
+ * @param {Function} showStatus - Status display function
+ */
+export async function renderProviderHealth(showStatus) {
+  const list = document.getElementById('providerHealthList');
+  if (!list) return;
+
+  try {
+    const { currencyApiService } = await import('/utils/api-service.js');
+    await currencyApiService.health.load();
+    const entries = Object.entries(
+      currencyApiService.getServiceStats().health
+    ).sort(([, a], [, b]) => (a.successRate ?? 1) - (b.successRate ?? 1));
+
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      list.innerHTML =
+        '<div class="text-xs text-gray-500">No requests yet</div>';
+      return;
+    }
+    entries.forEach(([id, health]) =>
+      list.appendChild(
+        createHealthItem(id, health, async providerId => {
+          await currencyApiService.health.reset(providerId);
+          await renderProviderHealth(showStatus);
+          showStatus(`${health.name} will be tried again`, 'success');
+        })
+      )
+    );
+  } catch (error) {
+    console.warn('Failed to load provider health:', error);
+    list.innerHTML =
+      '<div class="text-xs text-gray-500">Health unavailable</div>';
+  }
+}
+
+const QUOTA_STYLES = {
+  ok: 'text-gray-600',
+  warning: 'text-warning-700',
+  critical: 'text-red-600',
+  exhausted: 'text-red-600 font-medium'
+};
+
+/**
+ * One-line summary of a provider key's usage
+ * @param {Object} usage - Entry from getServiceStats().quota
+ * @returns {string}
+ */
+function describeQuota(usage) {
+  const { minute, day, month } = usage.windows;
+  const parts = [];
+  if (month) {
+    parts.push(`${month.used}/${month.limit} this month`);
+    if (usage.projectedMonthEnd > month.used) {
+      parts.push(`~${usage.projectedMonthEnd} by month end`);
+    }
+  }
+  if (day) {
+    parts.push(`${day.used}/${day.limit} today`);
+  }
+  if (minute && !month && !day) {
+    parts.push(`${minute.limit} per minute`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Create a quota row for one provider key
+ * @param {Object} usage - Entry from getServiceStats().quota
+ * @returns {HTMLElement}
+ */
+function createQuotaItem(usage) {
+  const item = document.createElement('div');
+  item.className =
+    'flex items-center justify-between p-2 bg-gray-50 rounded-lg';
+
+  const name = document.createElement('span');
+  name.className = 'font-medium';
+  name.textContent = usage.name;
+  name.title = `Key ${usage.key}`;
+
+  const value = document.createElement('span');
+  value.className = QUOTA_STYLES[usage.level] || QUOTA_STYLES.ok;
+  value.textContent =
+    (usage.level === 'ok' ? '' : '⚠️ ') + describeQuota(usage);
+
+  item.append(name, value);
+  return item;
+}
+
+// Quota warnings, most severe first
+const QUOTA_ALERTS = [
+  { level: 'exhausted', message: 'API quota used up', type: 'error' },
+  { level: 'critical', message: 'API quota almost used up', type: 'error' },
+  { level: 'warning', message: 'API quota running low', type: 'info' }
+];
+
+/**
+ * Render API quota usage per provider key, most used first, and warn when
+ * one reaches a quota threshold
+ * @param {Function} showStatus - Status display function
+ */
+export async function renderProviderQuota(showStatus) {
+  const list = document.getElementById('providerQuotaList');
+  if (!list) return;
+
+  try {
+    const { currencyApiService } = await import('/utils/api-service.js');
+    await currencyApiService.quota.load();
+    const share = usage => {
+      const window = usage.windows.month || usage.windows.day;
+      return window ? window.used / window.limit : 0;
+    };
+    const entries = Object.values(
+      currencyApiService.getServiceStats().quota
+    ).sort((a, b) => share(b) - share(a));
+
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      list.innerHTML =
+        '<div class="text-xs text-gray-500">No keyed requests yet</div>';
+      return;
+    }
+    entries.forEach(usage => list.appendChild(createQuotaItem(usage)));
+
+    // One status line for the most severe level reached
+    const alert = QUOTA_ALERTS.find(({ level }) =>
+      entries.some(usage => usage.level === level)
+    );
+    if (alert) {
+      const names = entries
+        .filter(usage => usage.level === alert.level)
+        .map(usage => usage.name);
+      showStatus(`${alert.message}: ${names.join(', ')}`, alert.type);
+    }
+  } catch (error) {
+    console.warn('Failed to load API quota:', error);
+    list.innerHTML =
+      '<div class="text-xs text-gray-500">Quota unavailable</div>';
+  }
+}
+
+/**
+ * Setup the consensus selectors and the provider drift, health and quota lists
+ * @param {Object} options - Setup options
+ * @param {Function} options.showStatus - Status display function
+ */
+export function setupRateSourceControls({ showStatus }) {
+  const countSelect = document.getElementById('consensusProviderCount');
+  const toleranceSelect = document.getElementById('consensusTolerance');
+  if (!countSelect || !toleranceSelect) return;
+
+  const settings = settingsManager.getSettings();
+  countSelect.value = String(settings.consensusProviderCount ?? 3);
+  toleranceSelect.value = String(settings.consensusTolerance ?? 1);
+  // Custom tolerances saved elsewhere have no matching option
+  if (!toleranceSelect.value) toleranceSelect.value = '1';
+
+  const save = async (key, value) => {
+    try {
+      await settingsManager.updateSetting(key, value);
+      showStatus('Rate source settings saved', 'success');
+    } catch (error) {
+      console.error('Failed to save rate source setting:', error);
+      showStatus('Failed to save rate source settings', 'error');
+    }
+  };
+
+  countSelect.addEventListener('change', event =>
+    save('consensusProviderCount', parseInt(event.target.value, 10))
+  );
+  toleranceSelect.addEventListener('change', event =>
+    save('consensusTolerance', parseFloat(event.target.value))
+  );
+
+  renderConsensusDeviation();
+
+  renderProviderHealth(showStatus);
+  renderProviderQuota(showStatus);
+  document
+    .getElementById('refreshProviderHealth')
+    ?.addEventListener('click', () => {
+      renderConsensusDeviation();
+      renderProviderHealth(showStatus);
+      renderProviderQuota(showStatus);
+    });
+}
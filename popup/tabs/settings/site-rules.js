@@ -0,0 +1,192 @@
+/**
+ * Site Rules Module
+ * Edit per-site symbol rules (e.g. `$` on *.com.au → AUD) and the deny list
+ * of sites where the content script stays dormant
+ */
+
+import { settingsManager } from '/utils/settings-manager.js';
+import {
+  normalizeHostPattern,
+  validateSiteRule,
+  sanitizeDeniedSites
+} from '/utils/site-rules.js';
+
+/**
+ * Add a symbol rule, replacing any existing rule for the same pattern + symbol
+ * @param {Object} rule - {pattern, symbol, currency}
+ * @returns {Promise<Array>} Updated rules
+ */
+export async function addSiteRule(rule) {
+  const candidate = {
+    pattern: normalizeHostPattern(rule.pattern),
+    symbol: (rule.symbol || '').trim(),
+    currency: (rule.currency || '').trim().toUpperCase()
+  };
+
+  const validation = validateSiteRule(candidate);
+  if (!validation.isValid) {
+    throw new Error(validation.errors[0]);
+  }
+
+  const rules = (settingsManager.getSettings().siteCurrencyRules || []).filter(
+    r => !(r.pattern === candidate.pattern && r.symbol === candidate.symbol)
+  );
+  rules.push(candidate);
+
+  await settingsManager.updateSetting('siteCurrencyRules', rules);
+  return rules;
+}
+
+/**
+ * Remove a symbol rule by index
+ * @param {number} index - Rule index
+ * @returns {Promise<Array>} Updated rules
+ */
+export async function removeSiteRule(index) {
+  const rules = [...(settingsManager.getSettings().siteCurrencyRules || [])];
+  rules.splice(index, 1);
+  await settingsManager.updateSetting('siteCurrencyRules', rules);
+  return rules;
+}
+
+/**
+ * Add or remove a site from the deny list
+ * @param {string} site - Hostname or *.domain pattern
+ * @param {boolean} denied - Whether the site should be denied
+ * @returns {Promise<string[]>} Updated deny list
+ */
+export async function setSiteDenied(site, denied) {
+  const pattern = normalizeHostPattern(site);
+  const current = settingsManager.getSettings().deniedSites || [];
+  const next = denied
+    ? sanitizeDeniedSites([...current, pattern])
+    : current.filter(s => s !== pattern);
+
+  if (denied && !next.includes(pattern)) {
+    throw new Error('Site must be a hostname or *.domain');
+  }
+
+  await settingsManager.updateSetting('deniedSites', next);
+  return next;
+}
+
+/**
+ * Create a list row with a label and a remove button
+ * @param {string} label - Row text (user-provided, set as text)
+ * @param {Function} onRemove - Callback for removal
+ * @returns {HTMLElement}
+ */
+function createRuleItem(label, onRemove) {
+  const item = document.createElement('div');
+  item.className =
+    'flex items-center justify-between p-2 bg-gray-50 rounded-lg';
+
+  const text = document.createElement('span');
+  text.className = 'text-sm font-medium';
+  text.textContent = label;
+
+  const remove = document.createElement('button');
+  remove.className =
+    'remove-site-rule text-gray-400 hover:text-red-500 transition-colors';
+  remove.setAttribute('aria-label', `Remove ${label}`);
+  remove.innerHTML = `
+    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+    </svg>
+  `;
+  remove.addEventListener('click', onRemove);
+
+  item.append(text, remove);
+  return item;
+}
+
+/**
+ * Render the symbol rules and deny list from current settings
+ * @param {Function} showStatus - Status display function
+ */
+export function renderSiteRules(showStatus) {
+  const settings = settingsManager.getSettings();
+
+  const rulesList = document.getElementById('siteRulesList');
+  if (rulesList) {
+    rulesList.innerHTML = '';
+    (settings.siteCurrencyRules || []).forEach((rule, index) => {
+      rulesList.appendChild(
+        createRuleItem(
+          `${rule.pattern}: ${rule.symbol} → ${rule.currency}`,
+          async () => {
+            await removeSiteRule(index);
+            renderSiteRules(showStatus);
+            showStatus('Site rule removed', 'success');
+          }
+        )
+      );
+    });
+  }
+
+  const deniedList = document.getElementById('deniedSitesList');
+  if (deniedList) {
+    deniedList.innerHTML = '';
+    const sites = settings.deniedSites || [];
+    if (sites.length === 0) {
+      deniedList.innerHTML =
+        '<div class="text-xs text-gray-500">No disabled sites</div>';
+    }
+    sites.forEach(site => {
+      deniedList.appendChild(
+        createRuleItem(site, async () => {
+          await setSiteDenied(site, false);
+          renderSiteRules(showStatus);
+          showStatus(`Detection re-enabled on ${site}`, 'success');
+        })
+      );
+    });
+  }
+}
+
+/**
+ * Setup the site rules editor and deny list controls
+ * @param {Object} options - Setup options
+ * @param {Function} options.showStatus - Status display function
+ */
+export function setupSiteRulesEditor({ showStatus }) {
+  renderSiteRules(showStatus);
+
+  document
+    .getElementById('addSiteRule')
+    ?.addEventListener('click', async () => {
+      const patternInput = document.getElementById('siteRulePattern');
+      const symbolInput = document.getElementById('siteRuleSymbol');
+      const currencyInput = document.getElementById('siteRuleCurrency');
+
+      try {
+        const rule = {
+          pattern: patternInput?.value,
+          symbol: symbolInput?.value,
+          currency: currencyInput?.value
+        };
+        await addSiteRule(rule);
+        if (patternInput) patternInput.value = '';
+        if (symbolInput) symbolInput.value = '';
+        if (currencyInput) currencyInput.value = '';
+        renderSiteRules(showStatus);
+        showStatus('Site rule saved', 'success');
+      } catch (error) {
+        showStatus(error.message || 'Failed to save site rule', 'error');
+      }
+    });
+
+  document
+    .getElementById('addDeniedSite')
+    ?.addEventListener('click', async () => {
+      const input = document.getElementById('deniedSiteInput');
+      try {
+        await setSiteDenied(input?.value, true);
+        if (input) input.value = '';
+        renderSiteRules(showStatus);
+        showStatus('Detection disabled on site', 'success');
+      } catch (error) {
+        showStatus(error.message || 'Failed to update disabled sites', 'error');
+      }
+    });
+}
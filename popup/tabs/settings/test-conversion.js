@@ -7,17 +7,46 @@ import {
   getPopularCurrencies,
   getAllCurrencies
 } from '/utils/currency-data.js';
+import { detectionPipeline } from '/utils/detection-pipeline.js';
+import { parseAmount } from '/utils/number-parser.js';
+import {
+  looksLikeExpression,
+  evaluateAmountExpression
+} from '/utils/expression-evaluator.js';
+import {
+  normalizeDate,
+  isPastDate,
+  todayIsoDate,
+  formatShortDate
+} from '/utils/date-detection.js';
+
+/**
+ * Element ids of the Settings tab's test conversion form. The side panel's
+ * converter tab reuses this module with its own form ids.
+ */
+export const TEST_CONVERSION_IDS = {
+  from: 'testFromCurrency',
+  to: 'testToCurrency',
+  amount: 'testAmount',
+  date: 'testDate',
+  button: 'testConversion',
+  result: 'testConversionResult'
+};
 
 /**
  * Setup conversion testing currency selectors
  * @param {Object} currentSettings - Current settings object
+ * @param {Object} [ids] - Form element ids (defaults to TEST_CONVERSION_IDS)
  */
-export function setupConversionTestingCurrencies(currentSettings) {
+export function setupConversionTestingCurrencies(
+  currentSettings,
+  ids = TEST_CONVERSION_IDS
+) {
   const popularCurrencies = getPopularCurrencies();
   const allCurrencies = getAllCurrencies();
 
-  const fromSelect = document.getElementById('testFromCurrency');
-  const toSelect = document.getElementById('testToCurrency');
+  const fromSelect = document.getElementById(ids.from);
+  const toSelect = document.getElementById(ids.to);
 
   if (!fromSelect || !toSelect) return;
 
@@ -52,6 +81,50 @@ export function setupConversionTestingCurrencies(currentSettings) {
   // Set default values
   fromSelect.value = currentSettings.baseCurrency || 'USD';
   toSelect.value = currentSettings.secondaryCurrency || 'EUR';
+
+  // Rates exist up to today
+  const dateInput = ids.date && document.getElementById(ids.date);
+  if (dateInput) {
+    dateInput.max = todayIsoDate();
+  }
+}
+
+/**
+ * Past date picked in the form, or null for latest rates
+ * @param {Object} ids - Form element ids
+ * @returns {string|null} YYYY-MM-DD
+ */
+function readRateDate(ids) {
+  const value = ids.date && document.getElementById(ids.date)?.value;
+  return value && isPastDate(value) ? normalizeDate(value) : null;
+}
+
+/**
+ * Parse the amount field, which accepts plain numbers or pasted prices
+ * ("€1.234,56", "USD 99") through the shared detection pipeline
+ * @param {string} value - Raw input value
+ * @returns {{amount: number, currency: string|null}|null}
+ */
+export function parseAmountInput(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  const [best] = detectionPipeline.detect(text, { minConfidence: 0.7 });
+  if (best) {
+    return { amount: best.amount, currency: best.currency };
+  }
+
+  const amount = parseAmount(text);
+  return Number.isFinite(amount) && amount > 0
+    ? { amount, currency: null }
+    : null;
+}
+
+// Reflect a currency in a selector that lists it
+function selectCurrency(select, code) {
+  if (code && select.querySelector(`option[value="${code}"]`)) {
+    select.value = code;
+  }
 }
 
 /**
@@ -59,25 +132,62 @@ export function setupConversionTestingCurrencies(currentSettings) {
  * @param {Object} options - Conversion options
  * @param {Object} options.subscriptionManager - Subscription manager instance
  * @param {Function} options.showStatus - Function to show status messages
+ * @param {Object} [options.ids] - Form element ids
+ * @param {string} [options.historySource] - History entry source
  * @returns {Promise<Object>} Conversion result
  */
 export async function performTestConversion({
   subscriptionManager,
-  showStatus
+  showStatus,
+  ids = TEST_CONVERSION_IDS,
+  historySource = 'settings-test'
 }) {
-  const fromSelect = document.getElementById('testFromCurrency');
-  const toSelect = document.getElementById('testToCurrency');
-  const amountInput = document.getElementById('testAmount');
+  const fromSelect = document.getElementById(ids.from);
+  const toSelect = document.getElementById(ids.to);
+  const amountInput = document.getElementById(ids.amount);
 
   if (!fromSelect || !toSelect || !amountInput) {
     return { error: 'Test conversion form not found' };
   }
 
-  const fromCurrency = fromSelect.value;
-  const toCurrency = toSelect.value;
-  const amount = parseFloat(amountInput.value) || 100;
+  // "What was this worth on 2024-03-01": a past date uses that day's rates
+  const rateDate = readRateDate(ids);
+
+  // Calculations ("(1299 + 49.90) * 3 - 10%", "120 EUR + 80 GBP in USD")
+  // go through the expression evaluator; anything else is a single price
+  let expression = null;
+  if (looksLikeExpression(amountInput.value)) {
+    try {
+      const { exchangeRateService } = await import('/utils/api-service.js');
+      expression = await evaluateAmountExpression(amountInput.value, {
+        fallbackCurrency: fromSelect.value,
+        getRateTable: base =>
+          rateDate
+            ? exchangeRateService.getHistoricalRateTable(base, rateDate)
+            : exchangeRateService.getRateTable(base)
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (expression.value <= 0) {
+      return { error: 'The calculation must come to a positive amount' };
+    }
+    expression.text = amountInput.value.trim();
+    selectCurrency(fromSelect, expression.currency);
+    selectCurrency(toSelect, expression.targetCurrency);
+  }
 
-  if (fromCurrency === toCurrency) {
+  const parsed = expression ? null : parseAmountInput(amountInput.value);
+  const amount = expression ? expression.value : parsed?.amount || 100;
+
+  // A pasted price carries its own currency - reflect it in the selector
+  selectCurrency(fromSelect, parsed?.currency);
+
+  const fromCurrency = expression?.currency || fromSelect.value;
+  const toCurrency = expression?.targetCurrency || toSelect.value;
+
+  // "120 EUR + 80 GBP in EUR" is a sum, not a conversion
+  if (fromCurrency === toCurrency && !expression) {
     return { error: 'Please select different currencies for testing' };
   }
 
@@ -104,11 +214,18 @@ export async function performTestConversion({
     const { exchangeRateService } = await import('/utils/api-service.js');
 
     // Convert (returns cached/offline flags so we can show a freshness badge)
-    const conversion = await exchangeRateService.convertCurrency(
-      amount,
-      fromCurrency,
-      toCurrency
-    );
+    const conversion = rateDate
+      ? await exchangeRateService.convertCurrencyOnDate(
+          amount,
+          fromCurrency,
+          toCurrency,
+          rateDate
+        )
+      : await exchangeRateService.convertCurrency(
+          amount,
+          fromCurrency,
+          toCurrency
+        );
 
     if (!conversion || !conversion.rate) {
       throw new Error('Failed to get exchange rate');
@@ -117,19 +234,22 @@ export async function performTestConversion({
     const convertedAmount = conversion.convertedAmount;
 
     // Display result
-    displayTestResult({
+    displayTestResult(ids.result, {
       amount,
       fromCurrency,
       toCurrency,
       convertedAmount,
       rate: conversion.rate,
       cached: conversion.cached,
-      offline: conversion.offline
+      offline: conversion.offline,
+      rateDate: conversion.rateDate || null,
+      expression
     });
 
     // Track the test conversion
     await trackTestConversion({
       subscriptionManager,
+      historySource,
       fromCurrency,
       toCurrency,
       amount,
@@ -145,7 +265,9 @@ export async function performTestConversion({
       convertedAmount,
       rate: conversion.rate,
       cached: conversion.cached,
-      offline: conversion.offline
+      offline: conversion.offline,
+      rateDate: conversion.rateDate || null,
+      expression
     };
   } catch (error) {
     console.error('Test conversion failed:', error);
@@ -154,25 +276,83 @@ export async function performTestConversion({
 }
 
 /**
- * Display test conversion result
+ * Show what the form converts to, read from the cache-first rate table,
+ * without counting a conversion or saving history (used for live previews
+ * of detected selections).
+ * @param {Object} [ids] - Form element ids
+ * @returns {Promise<Object>} Preview result or {error}
+ */
+export async function previewTestConversion(ids = TEST_CONVERSION_IDS) {
+  const fromSelect = document.getElementById(ids.from);
+  const toSelect = document.getElementById(ids.to);
+  const amountInput = document.getElementById(ids.amount);
+
+  if (!fromSelect || !toSelect || !amountInput) {
+    return { error: 'Test conversion form not found' };
+  }
+
+  const parsed = parseAmountInput(amountInput.value);
+  const fromCurrency = fromSelect.value;
+  const toCurrency = toSelect.value;
+  if (!parsed || fromCurrency === toCurrency) {
+    return { error: 'Nothing to preview' };
+  }
+
+  try {
+    const { exchangeRateService } = await import('/utils/api-service.js');
+    const rateDate = readRateDate(ids);
+    const table = rateDate
+      ? await exchangeRateService.getHistoricalRateTable(fromCurrency, rateDate)
+      : await exchangeRateService.getRateTable(fromCurrency);
+    const rate = table.rates[toCurrency];
+    if (typeof rate !== 'number') {
+      throw new Error(`Rate not available for ${fromCurrency} → ${toCurrency}`);
+    }
+
+    const result = {
+      amount: parsed.amount,
+      fromCurrency,
+      toCurrency,
+      convertedAmount: exchangeRateService.calculateConversion(
+        parsed.amount,
+        rate
+      ),
+      rate,
+      cached: !!table.cached,
+      offline: !!table.stale,
+      rateDate: rateDate ? table.date || rateDate : null
+    };
+    displayTestResult(ids.result, result);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Conversion preview failed:', error);
+    return { error: `Preview failed: ${error.message}` };
+  }
+}
+
+/**
+ * Result card markup for one conversion
  * @param {Object} result - Conversion result
+ * @returns {string} HTML
  */
-function displayTestResult({
+function renderTestResult({
   amount,
   fromCurrency,
   toCurrency,
   convertedAmount,
   rate,
   cached = false,
-  offline = false
+  offline = false,
+  rateDate = null,
+  expression = null
 }) {
-  const resultDiv = document.getElementById('testConversionResult');
-  if (!resultDiv) return;
-
   // v1.1.0: Freshness badge so testers can see when a rate came from cache.
   let badgeLabel = '🟢 Live';
   let badgeClasses = 'bg-green-100 text-green-700';
-  if (offline) {
+  if (rateDate) {
+    badgeLabel = `📅 ${formatShortDate(rateDate)}`;
+    badgeClasses = 'bg-blue-100 text-blue-700';
+  } else if (offline) {
     badgeLabel = '📴 Offline rate';
     badgeClasses = 'bg-amber-100 text-amber-700';
   } else if (cached) {
@@ -180,17 +360,105 @@ function displayTestResult({
     badgeClasses = 'bg-blue-100 text-blue-700';
   }
 
-  resultDiv.innerHTML = `
+  return `
     <div class="p-3 bg-green-50 border border-green-200 rounded-lg">
       <div class="flex items-center justify-between">
         <div class="text-sm font-medium text-green-800">
-          ${amount} ${fromCurrency} = ${convertedAmount.toFixed(2)} ${toCurrency}
+          ${expression ? formatPlainAmount(amount) : amount} ${fromCurrency} = ${convertedAmount.toFixed(2)} ${toCurrency}
         </div>
         <span class="text-xs font-semibold px-2 py-0.5 rounded-full ${badgeClasses}">${badgeLabel}</span>
       </div>
       <div class="text-xs text-green-600 mt-1">
-        Rate: 1 ${fromCurrency} = ${rate.toFixed(4)} ${toCurrency}
+        ${rateDate ? `Rate on ${formatShortDate(rateDate)}` : 'Rate'}: 1 ${fromCurrency} = ${rate.toFixed(4)} ${toCurrency}
       </div>
+      ${expression ? renderExpressionBreakdown(expression) : ''}
+    </div>
+  `;
+}
+
+/**
+ * Breakdown of an evaluated calculation: each foreign-currency term in the
+ * calculation's currency, then the total that was converted
+ * @param {Object} expression - evaluateAmountExpression() result plus text
+ * @returns {string} HTML
+ */
+function renderExpressionBreakdown({ text, value, currency, terms }) {
+  const rows = terms
+    .filter(term => term.currency !== currency)
+    .map(
+      term => `
+        <div class="flex justify-between gap-2">
+          <span>${formatPlainAmount(term.amount)} ${term.currency}</span>
+          <span>${formatPlainAmount(term.convertedAmount)} ${currency}</span>
+        </div>
+      `
+    )
+    .join('');
+
+  return `
+    <div class="text-xs text-green-700 mt-2 pt-2 border-t border-green-200 space-y-0.5">
+      <div class="font-mono break-all">${escapeHtml(text)}</div>
+      ${rows}
+      <div class="flex justify-between gap-2 font-medium">
+        <span>Total</span>
+        <span>${formatPlainAmount(value)} ${currency}</span>
+      </div>
+    </div>
+  `;
+}
+
+function formatPlainAmount(amount) {
+  return amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Display test conversion result
+ * @param {string} resultId - Result container id
+ * @param {Object} result - Conversion result
+ */
+function displayTestResult(resultId, result) {
+  const resultDiv = document.getElementById(resultId);
+  if (!resultDiv) return;
+
+  resultDiv.innerHTML = renderTestResult(result);
+}
+
+/**
+ * Fill the form with conversions made elsewhere (the omnibox) and show their
+ * results without converting again
+ * @param {Object} prefill - {amount, fromCurrency, conversions: [{toCurrency,
+ *   convertedAmount, rate, cached, offline}]}
+ * @param {Object} [ids] - Form element ids
+ */
+export function showPrefilledConversion(
+  { amount, fromCurrency, conversions },
+  ids = TEST_CONVERSION_IDS
+) {
+  const fromSelect = document.getElementById(ids.from);
+  const toSelect = document.getElementById(ids.to);
+  const amountInput = document.getElementById(ids.amount);
+  const resultDiv = document.getElementById(ids.result);
+  if (!fromSelect || !toSelect || !amountInput || !resultDiv) return;
+
+  amountInput.value = String(amount);
+  fromSelect.value = fromCurrency;
+  toSelect.value = conversions[0]?.toCurrency || toSelect.value;
+
+  resultDiv.innerHTML = `
+    <div class="space-y-2">
+      ${conversions
+        .map(conversion =>
+          renderTestResult({ amount, fromCurrency, ...conversion })
+        )
+        .join('')}
     </div>
   `;
 }
@@ -201,6 +469,7 @@ function displayTestResult({
  */
 async function trackTestConversion({
   subscriptionManager,
+  historySource,
   fromCurrency,
   toCurrency,
   amount,
@@ -230,7 +499,7 @@ async function trackTestConversion({
       convertedAmount,
       exchangeRate: rate,
       timestamp: Date.now(),
-      source: 'settings-test',
+      source: historySource,
       confidence: 1.0,
       webpage: null
     });
@@ -246,15 +515,24 @@ async function trackTestConversion({
  * @param {Object} options - Setup options
  * @param {Object} options.subscriptionManager - Subscription manager
  * @param {Function} options.showStatus - Status display function
+ * @param {Object} [options.ids] - Form element ids
+ * @param {string} [options.historySource] - History entry source
  */
-export function setupTestConversionButton({ subscriptionManager, showStatus }) {
-  const testConversionBtn = document.getElementById('testConversion');
+export function setupTestConversionButton({
+  subscriptionManager,
+  showStatus,
+  ids = TEST_CONVERSION_IDS,
+  historySource
+}) {
+  const testConversionBtn = document.getElementById(ids.button);
   if (!testConversionBtn) return;
 
   testConversionBtn.addEventListener('click', async () => {
     const result = await performTestConversion({
       subscriptionManager,
-      showStatus
+      showStatus,
+      ids,
+      historySource
     });
 
     if (result.error) {
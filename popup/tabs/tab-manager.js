@@ -8,10 +8,34 @@ import { HistoryTab } from './history-tab.js';
 import { FavoritesTab } from './favorites-tab.js';
 import { AlertsTab } from './alerts-tab.js';
 import { SubscriptionTab } from './subscription-tab.js';
+import { ConverterTab } from './converter-tab.js';
+
+// Tabs each view hosts; the first one opens initially. The side panel
+// (popup.html#sidepanel) stays open beside the page, so it keeps to the
+// everyday tabs.
+const VIEW_TABS = {
+  popup: {
+    settings: SettingsTab,
+    history: HistoryTab,
+    favorites: FavoritesTab,
+    alerts: AlertsTab,
+    subscription: SubscriptionTab
+  },
+  sidepanel: {
+    converter: ConverterTab,
+    history: HistoryTab,
+    favorites: FavoritesTab
+  }
+};
 
 export class TabManager {
-  constructor() {
-    this.currentActiveTab = 'settings';
+  /**
+   * @param {Object} [options]
+   * @param {'popup'|'sidepanel'} [options.view] - Which UI hosts the tabs
+   */
+  constructor({ view = 'popup' } = {}) {
+    this.view = VIEW_TABS[view] ? view : 'popup';
+    this.currentActiveTab = Object.keys(VIEW_TABS[this.view])[0];
     this.tabs = {};
     this.initialized = false;
   }
@@ -25,27 +49,19 @@ export class TabManager {
     }
 
     try {
-      // Initialize tab instances
-      this.tabs.settings = new SettingsTab();
-      this.tabs.history = new HistoryTab();
-      this.tabs.favorites = new FavoritesTab();
-      this.tabs.alerts = new AlertsTab();
-      this.tabs.subscription = new SubscriptionTab();
+      // Initialize tab instances for this view
+      Object.entries(VIEW_TABS[this.view]).forEach(([name, TabClass]) => {
+        this.tabs[name] = new TabClass();
+      });
 
       // Initialize each tab
-      await Promise.all([
-        this.tabs.settings.initialize(),
-        this.tabs.history.initialize(),
-        this.tabs.favorites.initialize(),
-        this.tabs.alerts.initialize(),
-        this.tabs.subscription.initialize()
-      ]);
+      await Promise.all(Object.values(this.tabs).map(tab => tab.initialize()));
 
       // Setup tab navigation
       this.setupTabNavigation();
 
       // Set initial active tab
-      this.switchTab('settingsPanel');
+      this.switchTab(`${this.currentActiveTab}Panel`);
 
       this.initialized = true;
       console.log('✅ Tab manager initialized successfully');
@@ -125,6 +141,9 @@ export class TabManager {
   async loadTabContent(targetPanelId) {
     try {
       switch (targetPanelId) {
+        case 'converterPanel':
+          await this.tabs.converter.loadContent();
+          break;
         case 'historyPanel':
           await this.tabs.history.loadContent();
           break;
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { URL } from 'node:url';
+import {
+  parseEcbXml,
+  pickReferenceDay,
+  parseCnbFixing,
+  toCnbDate
+} from '../../utils/central-bank-feeds.js';
+import {
+  EcbProvider,
+  CnbProvider,
+  rateProviders
+} from '../../utils/rate-providers.js';
+import { CurrencyApiService } from '../../utils/api-service.js';
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+function textResponse(body, { status = 200 } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    text: async () => body
+  };
+}
+
+describe('central bank feed parsing', () => {
+  it('reads the ECB daily reference rates', () => {
+    const [day, ...rest] = parseEcbXml(fixture('ecb-daily.xml'));
+    expect(rest).toEqual([]);
+    expect(day.date).toBe('2024-03-01');
+    expect(day.rates).toMatchObject({ USD: 1.083, JPY: 162.51, GBP: 0.85553 });
+    expect(Object.keys(day.rates)).toHaveLength(6);
+  });
+
+  it('picks the last working day on or before a date from the history feed', () => {
+    const days = parseEcbXml(fixture('ecb-hist-90d.xml'));
+    expect(days.map(day => day.date)).toEqual([
+      '2024-03-04',
+      '2024-03-01',
+      '2024-02-29'
+    ]);
+    expect(pickReferenceDay(days).date).toBe('2024-03-04');
+    expect(pickReferenceDay(days, '2024-03-03').date).toBe('2024-03-01');
+    expect(pickReferenceDay(days, '2024-02-29').rates.USD).toBe(1.0813);
+    expect(pickReferenceDay(days, '2024-01-15')).toBeNull();
+  });
+
+  it('reads the CNB fixing, honouring the quoted amount', () => {
+    const fixing = parseCnbFixing(fixture('cnb-daily.txt'));
+    expect(fixing.date).toBe('2024-03-01');
+    expect(fixing.rates.EUR).toBeCloseTo(1 / 25.335, 10);
+    expect(fixing.rates.HUF).toBeCloseTo(100 / 6.432, 10);
+    expect(Object.keys(fixing.rates)).toHaveLength(6);
+    expect(parseCnbFixing('<html>Not found</html>')).toBeNull();
+    expect(toCnbDate('2024-03-01')).toBe('01.03.2024');
+  });
+});
+
+describe('keyless central bank providers', () => {
+  it('cross-computes any pair from the EUR table', async () => {
+    const fetch = vi.fn(async () => textResponse(fixture('ecb-daily.xml')));
+
+    const table = await new EcbProvider().fetchTable('USD', { fetch });
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml'
+    );
+    expect(table.source).toBe('European Central Bank');
+    expect(table.timestamp).toBe('2024-03-01T00:00:00.000Z');
+    expect(table.rates.USD).toBe(1);
+    expect(table.rates.EUR).toBeCloseTo(1 / 1.083, 10);
+    expect(table.rates.GBP).toBeCloseTo(0.85553 / 1.083, 10);
+  });
+
+  it('serves past dates from the ECB 90-day feed', async () => {
+    const fetch = vi.fn(async () => textResponse(fixture('ecb-hist-90d.xml')));
+    const ecb = new EcbProvider();
+
+    const table = await ecb.fetchTable('EUR', { date: '2024-03-02', fetch });
+    expect(fetch.mock.calls[0][0]).toContain('eurofxref-hist-90d.xml');
+    expect(table.rates.USD).toBe(1.083);
+    expect(table.timestamp).toBe('2024-03-01T00:00:00.000Z');
+
+    await expect(
+      ecb.fetchTable('EUR', { date: '2023-06-01', fetch })
+    ).rejects.toMatchObject({ kind: 'invalid' });
+  });
+
+  it('asks the CNB for a past fixing and rebases from CZK', async () => {
+    const fetch = vi.fn(async () => textResponse(fixture('cnb-daily.txt')));
+
+    const table = await new CnbProvider().fetchTable('EUR', {
+      date: '2024-03-01',
+      fetch
+    });
+
+    expect(fetch.mock.calls[0][0]).toMatch(/daily\.txt\?date=01\.03\.2024$/);
+    expect(table.rates.EUR).toBe(1);
+    expect(table.rates.CZK).toBeCloseTo(25.335, 10);
+    expect(table.rates.USD).toBeCloseTo(25.335 / 23.394, 10);
+  });
+
+  it('come after every keyed provider and need no key', () => {
+    const ids = rateProviders.list().map(provider => provider.id);
+    expect(ids.slice(-2)).toEqual(['ECB', 'CNB']);
+    expect(rateProviders.get('ECB').requiresApiKey).toBe(false);
+    expect(rateProviders.list({ crypto: true }).map(p => p.id)).not.toContain(
+      'ECB'
+    );
+  });
+});
+
+describe('CurrencyApiService without API keys', () => {
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('falls back to the ECB feed', async () => {
+    const service = new CurrencyApiService();
+    service.ensureApiKeysInitialized = vi.fn(async () => {});
+    service.apiKeyManager.getApiKey = vi.fn(async () => null);
+    const fetch = vi.fn(async () => textResponse(fixture('ecb-daily.xml')));
+    vi.stubGlobal('fetch', fetch);
+
+    const table = await service.fetchRateTable('GBP', 'USD');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(table).toMatchObject({
+      source: 'European Central Bank',
+      full: true
+    });
+    expect(table.rates.USD).toBeCloseTo(1.083 / 0.85553, 10);
+  });
+
+  it('falls through to the CNB when the ECB is unreachable', async () => {
+    const service = new CurrencyApiService();
+    service.ensureApiKeysInitialized = vi.fn(async () => {});
+    service.apiKeyManager.getApiKey = vi.fn(async () => null);
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url =>
+        url.includes('ecb.europa.eu')
+          ? textResponse('', { status: 503 })
+          : textResponse(fixture('cnb-daily.txt'))
+      )
+    );
+
+    const table = await service.fetchRateTable('USD', 'EUR');
+
+    expect(table.source).toBe('Czech National Bank');
+    expect(table.rates.EUR).toBeCloseTo(23.394 / 25.335, 10);
+  });
+});
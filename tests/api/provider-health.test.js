@@ -0,0 +1,224 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ProviderHealthTracker,
+  percentile,
+  HEALTH_STORAGE_KEY
+} from '../../utils/provider-health.js';
+import {
+  createProviderError,
+  PROVIDER_ERRORS
+} from '../../utils/rate-providers.js';
+import {
+  CurrencyApiService,
+  ExchangeRateService
+} from '../../utils/api-service.js';
+
+const MINUTE = 60 * 1000;
+
+function failure(kind, message = `${kind} failure`) {
+  return createProviderError(message, kind, 'ECB');
+}
+
+describe('provider health tracker', () => {
+  let now;
+  let tracker;
+
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+    now = Date.UTC(2024, 5, 1, 12);
+    tracker = new ProviderHealthTracker({ now: () => now });
+  });
+
+  it('computes nearest-rank latency percentiles', () => {
+    const samples = [120, 80, 300, 100, 90, 110, 95, 105, 2000, 85];
+    expect(percentile(samples, 50)).toBe(100);
+    expect(percentile(samples, 95)).toBe(2000);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('opens after repeated failures and probes again after the cooldown', async () => {
+    await tracker.recordFailure('ECB', failure('unavailable'), 50);
+    await tracker.recordFailure('ECB', failure('network'), 50);
+    expect((await tracker.check('ECB')).allowed).toBe(true);
+
+    await tracker.recordFailure('ECB', failure('unavailable'), 50);
+    expect(await tracker.check('ECB')).toMatchObject({
+      allowed: false,
+      state: 'open',
+      openUntil: now + 5 * MINUTE
+    });
+
+    now += 5 * MINUTE;
+    expect(await tracker.check('ECB')).toMatchObject({
+      allowed: true,
+      state: 'half-open'
+    });
+
+    // A failed probe backs off for twice as long
+    await tracker.recordFailure('ECB', failure('unavailable'), 50);
+    expect((await tracker.check('ECB')).openUntil).toBe(now + 10 * MINUTE);
+
+    now += 10 * MINUTE;
+    await tracker.recordSuccess('ECB', 40);
+    expect(await tracker.check('ECB')).toMatchObject({
+      allowed: true,
+      state: 'closed'
+    });
+  });
+
+  it('pauses a provider at once when its quota runs out', async () => {
+    await tracker.recordFailure('ECB', failure('quota', 'HTTP 429'), 30);
+
+    expect(await tracker.check('ECB')).toMatchObject({
+      allowed: false,
+      quotaExhausted: true,
+      openUntil: now + 60 * MINUTE
+    });
+  });
+
+  it('does not count request problems against the provider', async () => {
+    for (let i = 0; i < 5; i++) {
+      await tracker.recordFailure('ECB', failure('invalid'), 30);
+    }
+    const summary = tracker.getSummary().ECB;
+    expect(summary).toMatchObject({
+      state: 'closed',
+      requests: 5,
+      successRate: 0,
+      consecutiveFailures: 0,
+      lastErrorKind: 'invalid'
+    });
+  });
+
+  it('keeps health in storage for other contexts', async () => {
+    await tracker.recordSuccess('ECB', 100);
+    await tracker.recordSuccess('ECB', 300);
+    await tracker.recordFailure('ECB', failure('network'), 900);
+
+    const other = new ProviderHealthTracker({ now: () => now });
+    await other.load();
+    expect(other.getSummary().ECB).toMatchObject({
+      requests: 3,
+      p50: 300,
+      p95: 900,
+      lastErrorKind: 'network'
+    });
+    expect(other.getSummary().ECB.successRate).toBeCloseTo(2 / 3, 10);
+
+    await other.reset('ECB');
+    const stored = await chrome.storage.local.get(HEALTH_STORAGE_KEY);
+    expect(stored[HEALTH_STORAGE_KEY].ECB.successes).toBe(0);
+  });
+});
+
+describe('CurrencyApiService circuit breaker', () => {
+  const ECB_XML = `<Cube><Cube time='2024-03-01'><Cube currency='USD' rate='1.08'/></Cube></Cube>`;
+
+  function textResponse(body, status = 200) {
+    return {
+      ok: status === 200,
+      status,
+      statusText: status === 200 ? 'OK' : 'Service Unavailable',
+      text: async () => body
+    };
+  }
+
+  function createService() {
+    const service = new CurrencyApiService({
+      getSettings: () => ({})
+    });
+    service.ensureApiKeysInitialized = vi.fn(async () => {});
+    service.apiKeyManager.getApiKey = vi.fn(async () => null);
+    return service;
+  }
+
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('skips a provider whose circuit is open', async () => {
+    const service = createService();
+    const fetch = vi.fn(async url =>
+      url.includes('ecb.europa.eu')
+        ? textResponse('', 503)
+        : textResponse(
+            '01.03.2024 #44\nCountry|Currency|Amount|Code|Rate\nEMU|euro|1|EUR|25.335\n'
+          )
+    );
+    vi.stubGlobal('fetch', fetch);
+
+    for (let i = 0; i < 3; i++) {
+      expect((await service.fetchRateTable('EUR')).source).toBe(
+        'Czech National Bank'
+      );
+    }
+    expect(
+      fetch.mock.calls.filter(([url]) => url.includes('ecb'))
+    ).toHaveLength(3);
+
+    fetch.mockClear();
+    await service.fetchRateTable('EUR');
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      expect.stringContaining('cnb.cz')
+    ]);
+
+    const { health } = service.getServiceStats();
+    expect(health.ECB).toMatchObject({
+      name: 'European Central Bank',
+      state: 'open',
+      lastErrorKind: 'unavailable'
+    });
+    expect(health.CNB).toMatchObject({ state: 'closed', successRate: 1 });
+    // Providers without keys were never asked, so they have no record
+    expect(health.EXCHANGERATE_API).toBeUndefined();
+  });
+
+  it('does not retry when every provider is paused', async () => {
+    const service = createService();
+    await service.health.recordFailure(
+      'ECB',
+      createProviderError('HTTP 429', PROVIDER_ERRORS.QUOTA, 'ECB'),
+      10
+    );
+    await service.health.recordFailure(
+      'CNB',
+      createProviderError('HTTP 429', PROVIDER_ERRORS.QUOTA, 'CNB'),
+      10
+    );
+    vi.stubGlobal('fetch', vi.fn());
+
+    const error = await service.fetchRateTable('EUR').catch(caught => caught);
+
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(error.message).toContain('European Central Bank quota exhausted');
+    expect(error.retryable).toBe(false);
+    expect(new ExchangeRateService().shouldNotRetry(error)).toBe(true);
+  });
+
+  it('closes the circuit again after a successful probe', async () => {
+    let now = Date.now();
+    const service = createService();
+    service.health = new ProviderHealthTracker({ now: () => now });
+    for (let i = 0; i < 3; i++) {
+      await service.health.recordFailure(
+        'ECB',
+        createProviderError('HTTP 503', PROVIDER_ERRORS.UNAVAILABLE, 'ECB'),
+        10
+      );
+    }
+    now += 5 * MINUTE;
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => textResponse(ECB_XML))
+    );
+
+    const table = await service.fetchRateTable('EUR');
+
+    expect(table.source).toBe('European Central Bank');
+    expect((await service.health.check('ECB')).state).toBe('closed');
+  });
+});
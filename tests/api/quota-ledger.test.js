@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  QuotaLedger,
+  quotaLimits,
+  windowBounds,
+  projectMonthEnd,
+  keyFingerprint,
+  QUOTA_STORAGE_KEY
+} from '../../utils/quota-ledger.js';
+import { rateProviders } from '../../utils/rate-providers.js';
+import { CurrencyApiService } from '../../utils/api-service.js';
+
+const CURRENCYLAYER = rateProviders.get('CURRENCYLAYER'); // 100 per month
+const ALPHA_VANTAGE = rateProviders.get('ALPHA_VANTAGE'); // 5 per minute, 500 per day
+
+describe('quota ledger', () => {
+  let now;
+  let ledger;
+
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+    now = Date.UTC(2024, 5, 11); // 10 of June's 30 days gone
+    ledger = new QuotaLedger({ now: () => now });
+  });
+
+  it('reads the limits declared by each plan', () => {
+    expect(quotaLimits(CURRENCYLAYER.rateLimits)).toEqual({ month: 100 });
+    expect(quotaLimits(ALPHA_VANTAGE.rateLimits)).toEqual({
+      minute: 5,
+      day: 500
+    });
+    expect(quotaLimits(rateProviders.get('ECB').rateLimits)).toBeNull();
+  });
+
+  it('uses UTC calendar windows and projects the month-end total', () => {
+    expect(windowBounds('month', now)).toEqual({
+      start: Date.UTC(2024, 5, 1),
+      end: Date.UTC(2024, 6, 1)
+    });
+    expect(windowBounds('day', now + 5000).start).toBe(now);
+    expect(projectMonthEnd(40, now)).toBe(120);
+    // The first day is not extrapolated from a few minutes of use
+    expect(projectMonthEnd(2, Date.UTC(2024, 5, 1, 0, 5))).toBe(60);
+  });
+
+  it('refuses requests past the monthly limit until the month ends', async () => {
+    expect((await ledger.reserve(CURRENCYLAYER, 'key-1', 99)).allowed).toBe(
+      true
+    );
+    expect((await ledger.reserve(CURRENCYLAYER, 'key-1')).allowed).toBe(true);
+
+    expect(await ledger.reserve(CURRENCYLAYER, 'key-1')).toEqual({
+      allowed: false,
+      window: 'month',
+      label: 'monthly',
+      used: 100,
+      limit: 100,
+      resetAt: Date.UTC(2024, 6, 1)
+    });
+
+    now = Date.UTC(2024, 6, 1);
+    expect((await ledger.reserve(CURRENCYLAYER, 'key-1')).allowed).toBe(true);
+  });
+
+  it('enforces per-minute and daily windows together', async () => {
+    await ledger.reserve(ALPHA_VANTAGE, 'key-1', 5);
+    expect(await ledger.reserve(ALPHA_VANTAGE, 'key-1')).toMatchObject({
+      allowed: false,
+      window: 'minute'
+    });
+
+    now += 60 * 1000;
+    expect((await ledger.reserve(ALPHA_VANTAGE, 'key-1')).allowed).toBe(true);
+    expect(
+      ledger.getSummary()[`ALPHA_VANTAGE:${keyFingerprint('key-1')}`]
+    ).toMatchObject({
+      level: 'ok',
+      windows: {
+        minute: { used: 1, limit: 5 },
+        day: { used: 6, limit: 500, remaining: 494 }
+      },
+      projectedMonthEnd: null
+    });
+  });
+
+  it('keeps a separate ledger per key and stores it for other contexts', async () => {
+    await ledger.reserve(CURRENCYLAYER, 'key-1', 85);
+    await ledger.reserve(CURRENCYLAYER, 'key-2', 10);
+
+    const other = new QuotaLedger({ now: () => now });
+    await other.load();
+    const summary = other.getSummary();
+    expect(summary[`CURRENCYLAYER:${keyFingerprint('key-1')}`]).toMatchObject({
+      provider: 'CURRENCYLAYER',
+      level: 'warning',
+      windows: { month: { used: 85, remaining: 15 } },
+      projectedMonthEnd: 255
+    });
+    // 10 in a third of the month is on pace for 30 of 100
+    expect(other.levelOf(CURRENCYLAYER, 'key-2')).toBe('ok');
+
+    // Keys are never stored in the ledger itself
+    const stored = await chrome.storage.local.get(QUOTA_STORAGE_KEY);
+    expect(JSON.stringify(stored)).not.toContain('key-1');
+  });
+
+  it('marks a key as critical and exhausted near and at its limit', async () => {
+    await ledger.reserve(CURRENCYLAYER, 'key-1', 95);
+    expect(ledger.levelOf(CURRENCYLAYER, 'key-1')).toBe('critical');
+    await ledger.reserve(CURRENCYLAYER, 'key-1', 5);
+    expect(ledger.levelOf(CURRENCYLAYER, 'key-1')).toBe('exhausted');
+  });
+});
+
+describe('CurrencyApiService quota accounting', () => {
+  const ECB_XML = `<Cube><Cube time='2024-03-01'><Cube currency='USD' rate='1.08'/></Cube></Cube>`;
+
+  let service;
+
+  beforeEach(async () => {
+    globalThis.__resetChromeStorage();
+    await chrome.storage.local.set({
+      currency_api_keys: {
+        EXCHANGERATE_API: { key: 'exchange-key' },
+        CURRENCYLAYER: { key: 'layer-key' }
+      }
+    });
+    service = new CurrencyApiService({ getSettings: () => ({}) });
+    service.ensureApiKeysInitialized = vi.fn(async () => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('refuses to send a request past the limit', async () => {
+    await service.quota.reserve(CURRENCYLAYER, 'layer-key', 100);
+    vi.stubGlobal('fetch', vi.fn());
+
+    const error = await service
+      .fetchFromAdapter(CURRENCYLAYER, 'USD')
+      .catch(caught => caught);
+
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(error.message).toContain('currencylayer monthly quota reached');
+    expect(error.kind).toBe('quota');
+    // Nothing reached the provider, so its health is untouched
+    expect(service.health.getSummary().CURRENCYLAYER).toBeUndefined();
+  });
+
+  it('prefers providers with quota left', async () => {
+    const exchangeRateApi = rateProviders.get('EXCHANGERATE_API');
+    await service.quota.reserve(exchangeRateApi, 'exchange-key', 1450);
+
+    const order = await service.orderByQuota(rateProviders.list());
+    expect(order.map(provider => provider.id)).toEqual([
+      'FIXER_IO',
+      'CURRENCY_API',
+      'OPENEXCHANGERATES',
+      'CURRENCYLAYER',
+      'ALPHA_VANTAGE',
+      'ECB',
+      'CNB',
+      'EXCHANGERATE_API'
+    ]);
+  });
+
+  it('falls back to another provider when a quota is used up', async () => {
+    const exchangeRateApi = rateProviders.get('EXCHANGERATE_API');
+    await service.quota.reserve(exchangeRateApi, 'exchange-key', 1500);
+    await service.quota.reserve(CURRENCYLAYER, 'layer-key', 100);
+    const fetch = vi.fn(async url => ({
+      ok: url.includes('ecb.europa.eu'),
+      status: url.includes('ecb.europa.eu') ? 200 : 404,
+      statusText: 'Not Found',
+      text: async () => ECB_XML,
+      json: async () => ({})
+    }));
+    vi.stubGlobal('fetch', fetch);
+
+    const table = await service.fetchRateTable('EUR');
+
+    expect(table.source).toBe('European Central Bank');
+    const urls = fetch.mock.calls.map(([url]) => url);
+    expect(urls.some(url => url.includes('exchangerate-api.com'))).toBe(false);
+    expect(urls.some(url => url.includes('currencylayer.com'))).toBe(false);
+
+    const { quota } = service.getServiceStats();
+    expect(
+      quota[`EXCHANGERATE_API:${keyFingerprint('exchange-key')}`]
+    ).toMatchObject({ name: 'ExchangeRate-API', level: 'exhausted' });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  median,
+  buildConsensus,
+  accumulateDeviation,
+  CONSENSUS_STATS_KEY
+} from '../../utils/rate-consensus.js';
+import { CurrencyApiService } from '../../utils/api-service.js';
+
+describe('rate consensus', () => {
+  it('takes the median of odd and even lists', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+
+  it('rejects quotes beyond the tolerance and uses the median of the rest', () => {
+    const result = buildConsensus(
+      [
+        { provider: 'A', rates: { USD: 1, EUR: 0.92, GBP: 0.79 } },
+        { provider: 'B', rates: { USD: 1, EUR: 0.921, GBP: 0.79 } },
+        { provider: 'C', rates: { USD: 1, EUR: 0.98, GBP: 0.791, JPY: 150 } }
+      ],
+      { base: 'USD', tolerance: 1 }
+    );
+
+    expect(result.rates.USD).toBe(1);
+    expect(result.rates.EUR).toBeCloseTo(0.9205, 10);
+    expect(result.rates.GBP).toBe(0.79);
+    expect(result.rates.JPY).toBe(150); // single quote, nothing to compare
+    expect(result.rejected).toEqual({ A: [], B: [], C: ['EUR'] });
+    expect(result.disputed).toEqual([]);
+
+    // The base is not compared; EUR and GBP are
+    expect(result.deviations.C.compared).toBe(2);
+    expect(result.deviations.C.max).toBeCloseTo(
+      ((0.98 - 0.921) / 0.921) * 100,
+      6
+    );
+    expect(result.deviations.A.rejected).toBe(0);
+  });
+
+  it('falls back to the median when two quotes disagree', () => {
+    const result = buildConsensus(
+      [
+        { provider: 'A', rates: { EUR: 0.9 } },
+        { provider: 'B', rates: { EUR: 1.0 } }
+      ],
+      { tolerance: 1 }
+    );
+    expect(result.disputed).toEqual(['EUR']);
+    expect(result.rates.EUR).toBeCloseTo(0.95, 10);
+  });
+
+  it('accumulates a weighted mean deviation across rounds', () => {
+    const first = accumulateDeviation(
+      null,
+      { compared: 2, total: 1, max: 0.8, rejected: 0 },
+      1000
+    );
+    const second = accumulateDeviation(
+      first,
+      { compared: 2, total: 3, max: 2.5, rejected: 1 },
+      2000
+    );
+    expect(second).toEqual({
+      rounds: 2,
+      compared: 4,
+      meanDeviation: 1,
+      maxDeviation: 2.5,
+      lastDeviation: 1.5,
+      rejected: 1,
+      updatedAt: 2000
+    });
+  });
+});
+
+describe('CurrencyApiService consensus mode', () => {
+  const TABLES = {
+    EXCHANGERATE_API: { USD: 1, EUR: 0.92, GBP: 0.79 },
+    FIXER_IO: { USD: 1, EUR: 0.921, GBP: 0.791 },
+    CURRENCY_API: { USD: 1, EUR: 0.95, GBP: 0.79 }
+  };
+
+  let service;
+
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+    service = new CurrencyApiService({
+      getSettings: () => ({
+        enableRateConsensus: true,
+        consensusProviderCount: 3,
+        consensusTolerance: 1
+      })
+    });
+    service.ensureApiKeysInitialized = vi.fn(async () => {});
+    service.fetchFromAdapter = vi.fn(async provider => {
+      if (!TABLES[provider.id]) {
+        throw new Error(`${provider.name} API key not configured`);
+      }
+      return {
+        rates: TABLES[provider.id],
+        source: provider.name,
+        timestamp: '2024-06-01T12:00:00.000Z',
+        full: true
+      };
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('asks N providers and returns the median without outliers', async () => {
+    const table = await service.fetchRateTable('USD');
+
+    expect(service.fetchFromAdapter).toHaveBeenCalledTimes(3);
+    expect(table.source).toBe(
+      'Consensus (ExchangeRate-API, Fixer.io, CurrencyAPI)'
+    );
+    expect(table.rates.EUR).toBeCloseTo(0.9205, 10);
+    expect(table.rates.GBP).toBe(0.79);
+    expect(table.consensus).toMatchObject({
+      providers: ['EXCHANGERATE_API', 'FIXER_IO', 'CURRENCY_API'],
+      rejected: { CURRENCY_API: ['EUR'] },
+      disputed: []
+    });
+  });
+
+  it('persists per-provider deviation and reports it in the stats', async () => {
+    await service.fetchRateTable('USD');
+
+    const stored = await chrome.storage.local.get(CONSENSUS_STATS_KEY);
+    expect(stored[CONSENSUS_STATS_KEY].CURRENCY_API.rejected).toBe(1);
+
+    const fresh = new CurrencyApiService({
+      getSettings: () => ({ enableRateConsensus: true })
+    });
+    await fresh.loadConsensusStats();
+    const { consensus } = fresh.getServiceStats();
+    expect(consensus).toMatchObject({
+      enabled: true,
+      providerCount: 3,
+      tolerance: 1
+    });
+    expect(consensus.deviation.CURRENCY_API.name).toBe('CurrencyAPI');
+    expect(consensus.deviation.CURRENCY_API.meanDeviation).toBeGreaterThan(
+      consensus.deviation.FIXER_IO.meanDeviation
+    );
+  });
+
+  it('stops at the first provider when consensus mode is off', async () => {
+    service._getSettings = () => ({ enableRateConsensus: false });
+
+    const table = await service.fetchRateTable('USD');
+
+    expect(service.fetchFromAdapter).toHaveBeenCalledTimes(1);
+    expect(table.source).toBe('ExchangeRate-API');
+    expect(table.consensus).toBeUndefined();
+  });
+});
@@ -0,0 +1,298 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  rateProviders,
+  rebaseRates,
+  isRetryableError,
+  PROVIDER_ERRORS,
+  RateProviderRegistry,
+  FixerProvider,
+  OpenExchangeRatesProvider,
+  CurrencylayerProvider,
+  AlphaVantageProvider,
+  ExchangeRateApiProvider
+} from '../../utils/rate-providers.js';
+import {
+  CurrencyApiService,
+  ExchangeRateService,
+  API_PROVIDERS
+} from '../../utils/api-service.js';
+
+// Recorded response shapes, trimmed to a few currencies
+const FIXTURES = {
+  fixerLatest: {
+    success: true,
+    timestamp: 1717171200,
+    base: 'EUR',
+    rates: { USD: 1.25, GBP: 0.85, JPY: 170 }
+  },
+  fixerRestricted: {
+    success: false,
+    error: {
+      code: 105,
+      type: 'base_currency_access_restricted',
+      info: 'Access Restricted - Your current Subscription Plan does not support this API Function.'
+    }
+  },
+  oxrLatest: {
+    disclaimer: 'Usage subject to terms',
+    timestamp: 1717171200,
+    base: 'USD',
+    rates: { EUR: 0.8, GBP: 0.68, BTC: 0.000015 }
+  },
+  oxrInvalidAppId: {
+    error: true,
+    status: 401,
+    message: 'invalid_app_id',
+    description: 'Invalid App ID provided.'
+  },
+  currencylayerLive: {
+    success: true,
+    timestamp: 1717171200,
+    source: 'USD',
+    quotes: { USDEUR: 0.8, USDGBP: 0.68, USDJPY: 136 }
+  },
+  currencylayerQuota: {
+    success: false,
+    error: {
+      code: 104,
+      info: 'Your monthly usage limit has been reached.'
+    }
+  },
+  alphaVantage: {
+    'Realtime Currency Exchange Rate': {
+      '1. From_Currency Code': 'BTC',
+      '3. To_Currency Code': 'USD',
+      '5. Exchange Rate': '65000.12',
+      '6. Last Refreshed': '2024-06-01 12:00:00'
+    }
+  },
+  alphaVantageNote: {
+    Note: 'Thank you for using Alpha Vantage! Our standard API call frequency is 5 calls per minute.'
+  },
+  exchangeRateQuota: { result: 'error', 'error-type': 'quota-reached' }
+};
+
+function jsonResponse(body, { status = 200 } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: async () => body
+  };
+}
+
+describe('rate provider adapters', () => {
+  it('rebases a table through the pivot currency', () => {
+    const rebased = rebaseRates({ USD: 1.25, GBP: 0.85 }, 'EUR', 'USD');
+    expect(rebased.USD).toBe(1);
+    expect(rebased.EUR).toBeCloseTo(0.8);
+    expect(rebased.GBP).toBeCloseTo(0.68);
+    expect(() => rebaseRates({ GBP: 0.85 }, 'EUR', 'USD')).toThrow(
+      'Rate not available'
+    );
+  });
+
+  it('cross-computes non-EUR bases on the Fixer free plan', async () => {
+    const fixer = new FixerProvider();
+    const fetch = vi.fn(async () => jsonResponse(FIXTURES.fixerLatest));
+
+    const table = await fixer.fetchTable('USD', { apiKey: 'k', fetch });
+
+    expect(fetch.mock.calls[0][0]).toContain('base=EUR');
+    expect(table.source).toBe('Fixer.io');
+    expect(table.full).toBe(true);
+    expect(table.rates.EUR).toBeCloseTo(0.8);
+    expect(table.rates.JPY).toBeCloseTo(136);
+    expect(table.timestamp).toBe(new Date(1717171200 * 1000).toISOString());
+  });
+
+  it('normalizes Open Exchange Rates and currencylayer responses', async () => {
+    const oxr = new OpenExchangeRatesProvider();
+    const oxrTable = await oxr.fetchTable('EUR', {
+      apiKey: 'k',
+      fetch: async url => {
+        expect(url).toContain('/latest.json?app_id=k&base=USD');
+        return jsonResponse(FIXTURES.oxrLatest);
+      }
+    });
+    expect(oxrTable.rates.USD).toBeCloseTo(1.25);
+    expect(oxrTable.rates.GBP).toBeCloseTo(0.85);
+
+    const layer = new CurrencylayerProvider();
+    const layerTable = await layer.fetchTable('USD', {
+      apiKey: 'k',
+      date: '2024-03-01',
+      fetch: async url => {
+        expect(url).toContain('/historical?access_key=k&source=USD');
+        expect(url).toContain('date=2024-03-01');
+        return jsonResponse(FIXTURES.currencylayerLive);
+      }
+    });
+    expect(layerTable.rates).toEqual({ EUR: 0.8, GBP: 0.68, JPY: 136 });
+  });
+
+  it('asks pair-only providers for each target and needs one', async () => {
+    const alpha = new AlphaVantageProvider();
+    const fetch = vi.fn(async () => jsonResponse(FIXTURES.alphaVantage));
+
+    const table = await alpha.fetchTable('BTC', {
+      apiKey: 'k',
+      symbols: ['USD'],
+      fetch
+    });
+    expect(table).toMatchObject({ rates: { USD: 65000.12 }, full: false });
+    expect(fetch.mock.calls[0][0]).toContain(
+      'from_currency=BTC&to_currency=USD'
+    );
+
+    await expect(
+      alpha.fetchTable('BTC', { apiKey: 'k', fetch })
+    ).rejects.toMatchObject({
+      kind: PROVIDER_ERRORS.UNSUPPORTED
+    });
+  });
+
+  it('classifies errors reported in the body or the status', async () => {
+    const cases = [
+      [
+        new FixerProvider(),
+        jsonResponse(FIXTURES.fixerRestricted),
+        'unsupported'
+      ],
+      [
+        new OpenExchangeRatesProvider(),
+        jsonResponse(FIXTURES.oxrInvalidAppId, { status: 401 }),
+        'auth'
+      ],
+      [
+        new CurrencylayerProvider(),
+        jsonResponse(FIXTURES.currencylayerQuota),
+        'quota'
+      ],
+      [
+        new AlphaVantageProvider(),
+        jsonResponse(FIXTURES.alphaVantageNote),
+        'quota'
+      ],
+      [
+        new ExchangeRateApiProvider(),
+        jsonResponse(FIXTURES.exchangeRateQuota),
+        'quota'
+      ],
+      [
+        new ExchangeRateApiProvider(),
+        jsonResponse(null, { status: 503 }),
+        'unavailable'
+      ]
+    ];
+
+    for (const [provider, response, kind] of cases) {
+      const error = await provider
+        .fetchTable('USD', {
+          apiKey: 'k',
+          symbols: ['EUR'],
+          fetch: async () => response
+        })
+        .catch(caught => caught);
+      expect(error.kind, provider.name).toBe(kind);
+      expect(error.provider).toBe(provider.id);
+    }
+
+    const offline = await new FixerProvider()
+      .fetchTable('EUR', {
+        apiKey: 'k',
+        fetch: async () => {
+          throw new Error('Failed to fetch');
+        }
+      })
+      .catch(caught => caught);
+    expect(offline.kind).toBe(PROVIDER_ERRORS.NETWORK);
+    expect(isRetryableError(offline)).toBe(true);
+
+    await expect(
+      new FixerProvider().fetchTable('EUR', { fetch: vi.fn() })
+    ).rejects.toMatchObject({
+      kind: PROVIDER_ERRORS.AUTH,
+      message: 'Fixer.io API key not configured'
+    });
+  });
+
+  it('lists providers by priority and capability', () => {
+    expect(rateProviders.list().map(provider => provider.id)).toEqual([
+      'EXCHANGERATE_API',
+      'FIXER_IO',
+      'CURRENCY_API',
+      'OPENEXCHANGERATES',
+      'CURRENCYLAYER',
+      'ALPHA_VANTAGE',
+      'ECB',
+      'CNB'
+    ]);
+    expect(
+      rateProviders.list({ crypto: true }).map(provider => provider.id)
+    ).toEqual(['CURRENCY_API', 'OPENEXCHANGERATES', 'ALPHA_VANTAGE']);
+    expect(API_PROVIDERS.OPENEXCHANGERATES).toMatchObject({
+      name: 'Open Exchange Rates',
+      supportsHistorical: true
+    });
+
+    const registry = new RateProviderRegistry([new FixerProvider()]);
+    expect(registry.get('FIXER_IO').supportsBase('USD')).toBe(false);
+    expect(registry.get('NOPE')).toBeNull();
+  });
+});
+
+describe('CurrencyApiService with adapters', () => {
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function createService(keys) {
+    const service = new CurrencyApiService();
+    service.ensureApiKeysInitialized = vi.fn(async () => {});
+    service.apiKeyManager.getApiKey = vi.fn(async id => keys[id] || null);
+    return service;
+  }
+
+  it('falls back to the next configured provider', async () => {
+    const service = createService({ OPENEXCHANGERATES: 'oxr-key' });
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => jsonResponse(FIXTURES.oxrLatest))
+    );
+
+    const table = await service.fetchRateTable('USD', 'EUR');
+
+    expect(table).toMatchObject({ source: 'Open Exchange Rates', full: true });
+    expect(table.rates.EUR).toBe(0.8);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry when every provider failed for good', async () => {
+    const service = createService({ CURRENCYLAYER: 'layer-key' });
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url =>
+        url.includes('currencylayer')
+          ? jsonResponse(FIXTURES.currencylayerQuota)
+          : jsonResponse(null, { status: 404 })
+      )
+    );
+
+    const error = await service
+      .fetchRateTable('USD', 'EUR')
+      .catch(caught => caught);
+
+    expect(error.message).toContain('All API providers failed');
+    expect(error.message).toContain('currencylayer: Your monthly usage limit');
+    expect(error.retryable).toBe(false);
+    expect(
+      error.errors.find(entry => entry.provider === 'CURRENCYLAYER').kind
+    ).toBe('quota');
+    expect(new ExchangeRateService().shouldNotRetry(error)).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ExchangeRateService } from '../../utils/api-service.js';
+import { RateCache, rateCache } from '../../utils/rate-cache.js';
+
+const T0 = Date.UTC(2024, 5, 15, 12);
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+describe('historical rate tables', () => {
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+    vi.useFakeTimers();
+    vi.setSystemTime(T0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('stores historical tables apart from latest ones, without expiry', async () => {
+    const cache = new RateCache({ getSettings: () => ({}) });
+    await cache.setRateTable('USD', { EUR: 0.9 }, 'TestAPI');
+    await cache.setHistoricalTable('USD', '2024-03-01', { EUR: 0.92 }, 'Hist');
+
+    const table = await cache.getHistoricalTable('usd', '2024-03-01');
+    expect(table).toMatchObject({ date: '2024-03-01', rates: { EUR: 0.92 } });
+    expect(table.expiresAt).toBeUndefined();
+    expect((await cache.getRateTable('USD')).rates.EUR).toBe(0.9);
+    expect(await cache.getCachedBases()).toEqual(['USD']);
+
+    await cache.clear();
+    expect(await cache.getHistoricalTable('USD', '2024-03-01')).toBeNull();
+  });
+
+  it('fetches a date once and serves it from the cache afterwards', async () => {
+    const svc = new ExchangeRateService();
+    const spy = vi.fn(async (base, date) => ({
+      rates: { EUR: 0.92 },
+      source: 'TestAPI',
+      timestamp: `${date}T00:00:00.000Z`,
+      date
+    }));
+    svc.apiService.fetchHistoricalRateTable = spy;
+
+    const [a, b] = await Promise.all([
+      svc.getHistoricalRateTable('USD', '2024-03-01'),
+      svc.getHistoricalRateTable('USD', '2024-03-01')
+    ]);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(a).toMatchObject({ date: '2024-03-01', cached: false });
+    expect(b.rates.EUR).toBe(0.92);
+
+    // A year later the table is still served without a network call
+    vi.setSystemTime(T0 + YEAR);
+    const later = await svc.convertCurrencyOnDate(
+      100,
+      'usd',
+      'eur',
+      '2024-03-01'
+    );
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(later).toMatchObject({
+      convertedAmount: 92,
+      rate: 0.92,
+      rateDate: '2024-03-01',
+      cached: true
+    });
+  });
+
+  it("uses the latest table for today's date", async () => {
+    await rateCache.setRateTable('USD', { EUR: 0.9 }, 'TestAPI');
+    const svc = new ExchangeRateService();
+    svc.apiService.fetchHistoricalRateTable = vi.fn();
+
+    const result = await svc.convertCurrencyOnDate(
+      10,
+      'USD',
+      'EUR',
+      '2024-06-15'
+    );
+    expect(svc.apiService.fetchHistoricalRateTable).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ convertedAmount: 9, rateDate: null });
+  });
+
+  it('rejects invalid dates', async () => {
+    const svc = new ExchangeRateService();
+    await expect(
+      svc.getHistoricalRateTable('USD', '2024-02-30')
+    ).rejects.toThrow('Invalid date');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ExchangeRateService } from '../../utils/api-service.js';
+import { rateCache } from '../../utils/rate-cache.js';
+
+const T0 = 1_700_000_000_000;
+const HOUR = 60 * 60 * 1000;
+
+describe('ExchangeRateService.getRateTable (page annotation)', () => {
+  beforeEach(() => {
+    globalThis.__resetChromeStorage();
+    vi.useFakeTimers();
+    vi.setSystemTime(T0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('serves a fresh cached table without a network call', async () => {
+    await rateCache.setRateTable('USD', { EUR: 0.9, GBP: 0.8 }, 'TestAPI');
+
+    const svc = new ExchangeRateService();
+    const spy = vi.fn();
+    svc.apiService.fetchRateTable = spy;
+
+    const table = await svc.getRateTable('usd');
+    expect(spy).not.toHaveBeenCalled();
+    expect(table).toMatchObject({
+      base: 'USD',
+      rates: { EUR: 0.9, GBP: 0.8 },
+      cached: true,
+      stale: false
+    });
+  });
+
+  it('fetches the full table once on a miss and caches it', async () => {
+    const svc = new ExchangeRateService();
+    const spy = vi.fn(async () => ({
+      rates: { EUR: 0.9 },
+      source: 'TestAPI',
+      timestamp: new Date(T0).toISOString(),
+      full: true
+    }));
+    svc.apiService.fetchRateTable = spy;
+
+    const table = await svc.getRateTable('USD');
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(table).toMatchObject({ rates: { EUR: 0.9 }, cached: false });
+
+    await svc.getRateTable('USD');
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to a stale table when the fetch fails', async () => {
+    await rateCache.setRateTable('USD', { EUR: 0.9 }, 'TestAPI');
+    vi.setSystemTime(T0 + 2 * HOUR);
+
+    const svc = new ExchangeRateService();
+    svc.apiService.fetchRateTable = vi.fn(async () => {
+      throw new Error('HTTP 429: Too Many Requests');
+    });
+
+    const table = await svc.getRateTable('USD');
+    expect(table).toMatchObject({ rates: { EUR: 0.9 }, stale: true });
+  });
+});
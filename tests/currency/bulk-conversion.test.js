@@ -0,0 +1,169 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseDelimitedText,
+  parseAmountCell,
+  parseCurrencyCell,
+  guessColumns,
+  convertBulkRows,
+  toCsv,
+  MAX_BULK_ROWS
+} from '../../utils/bulk-conversion.js';
+
+// rates[X] = units of X per 1 base
+const TABLES = {
+  USD: { base: 'USD', rates: { EUR: 0.8, GBP: 0.5 }, source: 'TestAPI' },
+  GBP: { base: 'GBP', rates: { EUR: 1.2, USD: 2 }, source: 'TestAPI' }
+};
+
+const getRateTable = vi.fn(async base => {
+  if (!TABLES[base]) {
+    throw new Error(`No table for ${base}`);
+  }
+  return TABLES[base];
+});
+
+describe('parseDelimitedText', () => {
+  it('reads CSV, semicolon and tab separated text with quotes', () => {
+    expect(
+      parseDelimitedText('Item,Price\n"Desk, oak",99\n"Say ""hi""",5\n').rows
+    ).toEqual([
+      ['Item', 'Price'],
+      ['Desk, oak', '99'],
+      ['Say "hi"', '5']
+    ]);
+    expect(parseDelimitedText('a;1.234,56\r\nb;7').rows).toEqual([
+      ['a', '1.234,56'],
+      ['b', '7']
+    ]);
+    expect(parseDelimitedText('a\t1\nb\t2').delimiter).toBe('\t');
+  });
+
+  it('keeps a pasted column of amounts in one column', () => {
+    const { delimiter, rows } = parseDelimitedText('1,234.56\n€12,50\n\n450');
+    expect(delimiter).toBeNull();
+    expect(rows).toEqual([['1,234.56'], ['€12,50'], ['450']]);
+  });
+});
+
+describe('cell parsing', () => {
+  it('reads plain, priced and negative amounts', () => {
+    expect(parseAmountCell('1.234,56')).toEqual({
+      amount: 1234.56,
+      currency: null
+    });
+    expect(parseAmountCell('€12,50')).toEqual({
+      amount: 12.5,
+      currency: 'EUR'
+    });
+    expect(parseAmountCell('(45.00)')).toEqual({ amount: -45, currency: null });
+    expect(parseAmountCell('-USD 5')).toEqual({ amount: -5, currency: 'USD' });
+    expect(parseAmountCell('n/a')).toBeNull();
+  });
+
+  it('reads currency codes and symbols', () => {
+    expect(parseCurrencyCell('eur')).toBe('EUR');
+    expect(parseCurrencyCell('£')).toBe('GBP');
+    expect(parseCurrencyCell('Lamp')).toBeNull();
+  });
+});
+
+describe('guessColumns', () => {
+  it('finds the header, amount and currency columns', () => {
+    const { rows } = parseDelimitedText(
+      'Item;Price;Currency\nLamp;1.234,56;EUR\nDesk;99;USD'
+    );
+    expect(guessColumns(rows)).toEqual({
+      hasHeader: true,
+      amountColumn: 1,
+      currencyColumn: 2
+    });
+  });
+
+  it('handles a bare column without a header', () => {
+    expect(guessColumns([['10'], ['20']])).toEqual({
+      hasHeader: false,
+      amountColumn: 0,
+      currencyColumn: null
+    });
+  });
+});
+
+describe('convertBulkRows', () => {
+  it('fetches one rate table per base currency', async () => {
+    getRateTable.mockClear();
+    const rows = [
+      ['Item', 'Price', 'Currency'],
+      ['Lamp', '10', 'USD'],
+      ['Desk', '20', 'USD'],
+      ['Rug', '£5', ''],
+      ['Vase', '3', 'EUR']
+    ];
+
+    const result = await convertBulkRows(rows, {
+      hasHeader: true,
+      amountColumn: 1,
+      currencyColumn: 2,
+      sourceCurrency: 'USD',
+      targetCurrency: 'EUR',
+      getRateTable
+    });
+
+    expect(getRateTable).toHaveBeenCalledTimes(2);
+    expect(getRateTable.mock.calls.map(([base]) => base)).toEqual([
+      'USD',
+      'GBP'
+    ]);
+    expect(result.header).toEqual([
+      'Item',
+      'Price',
+      'Currency',
+      'Amount (EUR)',
+      'Rate to EUR'
+    ]);
+    expect(result.rows.map(row => row.slice(3))).toEqual([
+      ['8.00', '0.8'],
+      ['16.00', '0.8'],
+      ['6.00', '1.2'],
+      ['3.00', '1']
+    ]);
+    expect(result).toMatchObject({ converted: 4, failed: [] });
+  });
+
+  it('reports unreadable rows and bases without a rate', async () => {
+    const result = await convertBulkRows([['10'], ['oops'], ['CHF 5']], {
+      sourceCurrency: 'USD',
+      targetCurrency: 'GBP',
+      getRateTable
+    });
+
+    expect(result.header).toEqual(['Amount', 'Amount (GBP)', 'Rate to GBP']);
+    expect(result.rows[0]).toEqual(['10', '5.00', '0.5']);
+    expect(result.converted).toBe(1);
+    expect(result.failed).toEqual([
+      { line: 2, reason: '"oops" isn\'t an amount' },
+      { line: 3, reason: 'No table for CHF' }
+    ]);
+  });
+
+  it('refuses oversized input', async () => {
+    const rows = Array.from({ length: MAX_BULK_ROWS + 1 }, () => ['1']);
+    await expect(
+      convertBulkRows(rows, {
+        sourceCurrency: 'USD',
+        targetCurrency: 'EUR',
+        getRateTable
+      })
+    ).rejects.toThrow(`limited to ${MAX_BULK_ROWS} rows`);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells that need it', () => {
+    expect(
+      toCsv([
+        ['a', 'b,c'],
+        ['say "hi"', 'line\nbreak']
+      ])
+    ).toBe('a,"b,c"\r\n"say ""hi""","line\nbreak"');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toIsoDate,
+  normalizeDate,
+  isPastDate,
+  findDates,
+  findNearestDate,
+  formatShortDate
+} from '../../utils/date-detection.js';
+
+describe('toIsoDate / normalizeDate', () => {
+  it('builds ISO dates and rejects days that do not exist', () => {
+    expect(toIsoDate(2024, 3, 1)).toBe('2024-03-01');
+    expect(toIsoDate(2024, 2, 29)).toBe('2024-02-29');
+    expect(toIsoDate(2023, 2, 29)).toBeNull();
+    expect(toIsoDate(2024, 13, 1)).toBeNull();
+  });
+
+  it('normalizes input values', () => {
+    expect(normalizeDate('2024-3-1')).toBe('2024-03-01');
+    expect(normalizeDate(new Date(Date.UTC(2024, 2, 1)))).toBe('2024-03-01');
+    expect(normalizeDate('')).toBeNull();
+    expect(normalizeDate('01.03.2024')).toBeNull();
+  });
+
+  it('tells past dates from today and later', () => {
+    const now = new Date(2024, 5, 15, 12);
+    expect(isPastDate('2024-06-14', now)).toBe(true);
+    expect(isPastDate('2024-06-15', now)).toBe(false);
+    expect(isPastDate('2024-07-01', now)).toBe(false);
+    expect(isPastDate('nope', now)).toBe(false);
+  });
+});
+
+describe('findDates', () => {
+  it('reads ISO, numeric and written dates', () => {
+    expect(
+      findDates(
+        'Issued 2024-03-01, due 15.04.2024, paid March 20, 2024 (ref 3rd May 2024)'
+      ).map(found => found.date)
+    ).toEqual(['2024-03-01', '2024-04-15', '2024-03-20', '2024-05-03']);
+  });
+
+  it('reads day-first unless told otherwise or the numbers decide', () => {
+    expect(findDates('03/01/2024')[0].date).toBe('2024-01-03');
+    expect(findDates('03/01/2024', { monthFirst: true })[0].date).toBe(
+      '2024-03-01'
+    );
+    expect(findDates('12/25/2024')[0].date).toBe('2024-12-25');
+  });
+
+  it('ignores amounts and impossible dates', () => {
+    expect(findDates('Total €1.234,56 on 31.02.2024')).toEqual([]);
+  });
+});
+
+describe('findNearestDate', () => {
+  const text =
+    'Order date: 02.01.2024 ... Invoice date: 01.03.2024 Total: €499.00';
+
+  it('picks the date closest to the selection', () => {
+    const start = text.indexOf('€499.00');
+    expect(findNearestDate(text, { start, end: start + 7 })).toMatchObject({
+      date: '2024-03-01',
+      text: '01.03.2024'
+    });
+  });
+
+  it('ignores dates too far away', () => {
+    const start = text.indexOf('€499.00');
+    expect(findNearestDate(text, { start }, { maxDistance: 5 })).toBeNull();
+  });
+});
+
+describe('formatShortDate', () => {
+  it('formats menu labels', () => {
+    expect(formatShortDate('2024-03-01')).toBe('1 Mar 2024');
+  });
+});
@@ -0,0 +1,240 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DetectionPipeline,
+  detectionPipeline,
+  createSymbolStage,
+  groupDetectedAmounts
+} from '../../utils/detection-pipeline.js';
+import {
+  normalizeNumerals,
+  parseAmount,
+  parseScaledAmount,
+  parseSpelledNumber
+} from '../../utils/number-parser.js';
+import { smartCurrencyDetector } from '../../utils/smart-currency-detector.js';
+import {
+  SUFFIX_CASES,
+  SYMBOL_CASES,
+  CODE_AND_WORD_CASES,
+  CRYPTO_CASES,
+  MAGNITUDE_CASES,
+  SPELLED_CASES,
+  UNICODE_CASES,
+  NEGATIVE_CASES
+} from './fixtures/detection-cases.js';
+
+const best = text => detectionPipeline.detect(text, { minConfidence: 0.7 })[0];
+
+describe('parseAmount', () => {
+  it.each([
+    ['1,234.56', 1234.56],
+    ['1.234,56', 1234.56],
+    ["1'234.56", 1234.56],
+    ['1 234,56', 1234.56],
+    ['1,23,456.78', 123456.78],
+    ['1,234', 1234],
+    ['12,5', 12.5],
+    ['1.234.567', 1234567],
+    ['99', 99],
+    ['١٬٢٣٤٫٥٦', 1234.56],
+    ['१२३', 123],
+    ['۱٬۲۳۴٫۵', 1234.5],
+    ['१,२३,४५६.७८', 123456.78],
+    ['1\u202F234,56', 1234.56]
+  ])('parses %s', (input, expected) => {
+    expect(parseAmount(input)).toBeCloseTo(expected, 8);
+  });
+
+  it('rejects non-numbers', () => {
+    expect(parseAmount('abc')).toBeNaN();
+    expect(parseAmount(null)).toBeNaN();
+  });
+});
+
+describe('normalizeNumerals', () => {
+  it.each([
+    ['٠١٢٣٤٥٦٧٨٩', '0123456789'], // Arabic-Indic
+    ['۰۱۲۳۴۵۶۷۸۹', '0123456789'], // Persian
+    ['०१२३४५६७८९', '0123456789'], // Devanagari
+    ['١٢٣٫٤٥', '123.45'], // Arabic decimal separator
+    ['١٬٢٣٤', '1,234'] // Arabic thousands separator
+  ])('normalizes %s', (input, expected) => {
+    expect(normalizeNumerals(input)).toBe(expected);
+  });
+});
+
+describe('parseScaledAmount', () => {
+  it.each([
+    ['1.2M', 1200000, 'M'],
+    ['3,5 Mrd.', 3500000000, 'Mrd.'],
+    ['5 lakh', 500000, 'lakh'],
+    ['5万', 50000, '万'],
+    ['250', 250, null]
+  ])('parses %s', (input, amount, suffix) => {
+    expect(parseScaledAmount(input)).toMatchObject({ amount, suffix });
+  });
+
+  it('keeps the written amount next to the expanded one', () => {
+    expect(parseScaledAmount('1.2M')).toMatchObject({
+      baseAmount: 1.2,
+      multiplier: 1e6
+    });
+  });
+
+  it('parses spelled-out numbers', () => {
+    expect(parseSpelledNumber('ninety-nine')).toBe(99);
+    expect(parseSpelledNumber('one hundred and five')).toBe(105);
+    expect(parseSpelledNumber('three million two hundred thousand')).toBe(
+      3200000
+    );
+    expect(parseSpelledNumber('a dozen')).toBeNaN();
+    expect(parseScaledAmount('twenty')).toMatchObject({
+      amount: 20,
+      spelled: true
+    });
+  });
+});
+
+describe('detection fixtures', () => {
+  const groups = {
+    suffix: SUFFIX_CASES,
+    symbol: SYMBOL_CASES,
+    'code and word': CODE_AND_WORD_CASES,
+    crypto: CRYPTO_CASES,
+    magnitude: MAGNITUDE_CASES,
+    spelled: SPELLED_CASES,
+    unicode: UNICODE_CASES,
+    negative: NEGATIVE_CASES
+  };
+
+  Object.entries(groups).forEach(([group, cases]) => {
+    describe(group, () => {
+      it.each(cases)('$text', ({ text, expected }) => {
+        const result = best(text);
+        if (expected === null) {
+          expect(result).toBeUndefined();
+        } else {
+          expect(result).toMatchObject(expected);
+          expect(result.range).toEqual({ start: 0, end: text.length });
+        }
+      });
+    });
+  });
+});
+
+describe('DetectionPipeline', () => {
+  it('returns ranked, non-overlapping candidates with ranges', () => {
+    const text = 'Was $1,299.00, now €999 or 0.02 BTC';
+    const results = detectionPipeline.detect(text, { minConfidence: 0.7 });
+
+    expect(results.map(r => r.currency)).toEqual(['BTC', 'USD', 'EUR']);
+    results.forEach(r => {
+      expect(text.slice(r.range.start, r.range.end)).toBe(r.originalText);
+    });
+  });
+
+  it('keeps ranges valid against text with exotic spaces', () => {
+    const text = 'Prix\u00A0: 1\u202F234,56\u00A0€';
+    const [result] = detectionPipeline.detect(text);
+    expect(result).toMatchObject({ amount: 1234.56, currency: 'EUR' });
+    expect(text.slice(result.range.start, result.range.end)).toBe(
+      result.originalText
+    );
+  });
+
+  it('offers context-inferred candidates below the default floor', () => {
+    const results = detectionPipeline.detect('Our budget is 1,200 this year');
+    expect(results[0]).toMatchObject({ amount: 1200, stage: 'context' });
+    expect(results[0].confidence).toBeLessThan(0.7);
+    expect(smartCurrencyDetector.detectCurrencies('budget is 1,200')).toEqual(
+      []
+    );
+  });
+
+  it('supports registering and replacing custom stages', () => {
+    const pipeline = new DetectionPipeline({ stages: [createSymbolStage()] });
+    pipeline.registerStage({
+      name: 'points',
+      priority: 5,
+      detect: text => {
+        const match = /(\d+) pts/.exec(text);
+        return match
+          ? [
+              {
+                amount: Number(match[1]),
+                currency: 'PTS',
+                confidence: 0.99,
+                range: {
+                  start: match.index,
+                  end: match.index + match[0].length
+                }
+              }
+            ]
+          : [];
+      }
+    });
+
+    expect(pipeline.getStageNames()).toEqual(['points', 'symbol']);
+    expect(pipeline.detect('500 pts or $5')[0]).toMatchObject({
+      currency: 'PTS',
+      stage: 'points'
+    });
+
+    expect(pipeline.unregisterStage('points')).toBe(true);
+    expect(pipeline.detect('500 pts or $5')).toHaveLength(1);
+    expect(() => pipeline.registerStage({ name: 'bad' })).toThrow();
+  });
+});
+
+describe('groupDetectedAmounts', () => {
+  const group = text =>
+    groupDetectedAmounts(
+      text,
+      detectionPipeline.detect(text, { minConfidence: 0.7 })
+    );
+  const values = ({ amounts }) =>
+    amounts.map(a => [a.amount, a.currency, a.originalText]);
+
+  it('recognizes a priced range', () => {
+    const result = group('$10\u2013$20');
+    expect(result.isRange).toBe(true);
+    expect(values(result)).toEqual([
+      [10, 'USD', '$10'],
+      [20, 'USD', '$20']
+    ]);
+  });
+
+  it('gives a bare upper bound the lower bound currency', () => {
+    const result = group('€10-20');
+    expect(result.isRange).toBe(true);
+    expect(values(result)).toEqual([
+      [10, 'EUR', '€10'],
+      [20, 'EUR', '20']
+    ]);
+  });
+
+  it('gives a bare lower bound the upper bound currency', () => {
+    const result = group('10 to 20 EUR');
+    expect(result.isRange).toBe(true);
+    expect(values(result)).toEqual([
+      [10, 'EUR', '10'],
+      [20, 'EUR', '20 EUR']
+    ]);
+  });
+
+  it('lists several amounts in reading order', () => {
+    const result = group('€5 / €8 / €12');
+    expect(result.isRange).toBe(false);
+    expect(result.amounts.map(a => a.amount)).toEqual([5, 8, 12]);
+  });
+
+  it('applies an upper-bound magnitude to both ends', () => {
+    const result = group('$1.2-1.5M');
+    expect(result.isRange).toBe(true);
+    expect(result.amounts.map(a => a.amount)).toEqual([1200000, 1500000]);
+  });
+
+  it('does not treat mixed currencies as a range', () => {
+    expect(group('$10 - €20').isRange).toBe(false);
+  });
+});
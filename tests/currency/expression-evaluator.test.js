@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  looksLikeExpression,
+  tokenize,
+  parseExpression,
+  evaluateExpression,
+  createRateTableConverter,
+  getExpressionCurrency,
+  evaluateAmountExpression
+} from '../../utils/expression-evaluator.js';
+
+// rates[X] = units of X per 1 USD
+const USD_TABLE = { base: 'USD', rates: { EUR: 0.8, GBP: 0.5, JPY: 150 } };
+
+function evaluate(text, currency = 'USD', table = USD_TABLE) {
+  return evaluateExpression(parseExpression(text), {
+    currency,
+    convert: createRateTableConverter(table)
+  });
+}
+
+describe('looksLikeExpression', () => {
+  it('spots operators, percentages and targets', () => {
+    expect(looksLikeExpression('(1299 + 49.90) * 3 - 10%')).toBe(true);
+    expect(looksLikeExpression('120 EUR + 80 GBP')).toBe(true);
+    expect(looksLikeExpression('100 eur in usd')).toBe(true);
+    expect(looksLikeExpression('3 x 4')).toBe(true);
+    expect(looksLikeExpression('100 - 20 - 5')).toBe(true);
+    expect(looksLikeExpression('10 x 3 - 5')).toBe(true);
+  });
+
+  it('leaves single prices and ranges to the price parser', () => {
+    expect(looksLikeExpression('€1.234,56')).toBe(false);
+    expect(looksLikeExpression('USD 99')).toBe(false);
+    expect(looksLikeExpression('$10-$20')).toBe(false);
+    expect(looksLikeExpression('10 - 20')).toBe(false);
+    expect(looksLikeExpression('$10 - $20')).toBe(false);
+    expect(looksLikeExpression('10 − 20 EUR')).toBe(false);
+    expect(looksLikeExpression('100')).toBe(false);
+  });
+});
+
+describe('tokenize', () => {
+  it('reads numbers, operators, codes, symbols and words', () => {
+    expect(tokenize('€1,299.50 × 2 dollars').map(t => t.value)).toEqual([
+      'EUR',
+      1299.5,
+      '*',
+      2,
+      'USD'
+    ]);
+  });
+
+  it('reads magnitude suffixes on numbers', () => {
+    expect(tokenize('1.5k + 2').map(t => t.value)).toEqual([1500, '+', 2]);
+    expect(tokenize('€2 Mio. - 3 MXN').map(t => t.value)).toEqual([
+      'EUR',
+      2000000,
+      '-',
+      3,
+      'MXN'
+    ]);
+    expect(evaluate('1.5k + 2').value).toBe(1502);
+  });
+
+  it('rejects unknown words and characters', () => {
+    expect(() => tokenize('100 bananas')).toThrow('Unknown currency "bananas"');
+    expect(() => tokenize('2 ^ 3')).toThrow('Unexpected "^"');
+  });
+});
+
+describe('evaluateExpression', () => {
+  it('follows operator precedence and parentheses', () => {
+    expect(evaluate('2 + 3 * 4').value).toBe(14);
+    expect(evaluate('(2 + 3) * 4').value).toBe(20);
+    expect(evaluate('-(2 + 3) / 2').value).toBe(-2.5);
+  });
+
+  it('applies calculator percentages', () => {
+    expect(evaluate('(1299 + 49.90) * 3 - 10%').value).toBeCloseTo(3642.03, 2);
+    expect(evaluate('200 + 10%').value).toBeCloseTo(220);
+    expect(evaluate('200 * 10%').value).toBeCloseTo(20);
+  });
+
+  it('converts mixed-currency terms and lists them', () => {
+    const result = evaluate('120 EUR + 80 GBP');
+    expect(result.value).toBeCloseTo(150 + 160);
+    expect(result.terms).toEqual([
+      { amount: 120, currency: 'EUR', convertedAmount: 150, rate: 1.25 },
+      { amount: 80, currency: 'GBP', convertedAmount: 160, rate: 2 }
+    ]);
+  });
+
+  it('rejects meaningless money arithmetic', () => {
+    expect(() => evaluate('10 EUR * 2 GBP')).toThrow(
+      "Can't multiply two amounts of money"
+    );
+    expect(() => evaluate('10 / 2 EUR')).toThrow(
+      "Can't divide a number by an amount of money"
+    );
+    expect(() => evaluate('5 / (2 - 2)')).toThrow('Division by zero');
+  });
+
+  it('reports currencies without a rate', () => {
+    expect(() => evaluate('10 CHF + 1')).toThrow('No rate for CHF');
+  });
+});
+
+describe('parseExpression', () => {
+  it('splits off the target currency', () => {
+    const parsed = parseExpression('120 EUR + 80 GBP in USD');
+    expect(parsed.targetCurrency).toBe('USD');
+    expect(parsed.currencies).toEqual(['EUR', 'GBP']);
+  });
+
+  it('explains malformed input', () => {
+    expect(() => parseExpression('(1 + 2')).toThrow(
+      'Missing closing parenthesis'
+    );
+    expect(() => parseExpression('1 +')).toThrow('ends too early');
+    expect(() => parseExpression('1 2')).toThrow('Unexpected "2"');
+    expect(() => parseExpression('5 in')).toThrow(
+      '"in" must be followed by one currency'
+    );
+  });
+
+  it('picks the evaluation currency', () => {
+    expect(getExpressionCurrency(parseExpression('2 * 3'), 'CAD')).toBe('CAD');
+    expect(getExpressionCurrency(parseExpression('€2 + £3'), 'CAD')).toBe(
+      'EUR'
+    );
+    expect(
+      getExpressionCurrency(parseExpression('€2 + £3 to USD'), 'CAD')
+    ).toBe('USD');
+  });
+});
+
+describe('evaluateAmountExpression', () => {
+  it('loads one rate table only when terms need converting', async () => {
+    const getRateTable = vi.fn(async () => USD_TABLE);
+
+    const plain = await evaluateAmountExpression('2 * 50', {
+      fallbackCurrency: 'EUR',
+      getRateTable
+    });
+    expect(plain).toMatchObject({ value: 100, currency: 'EUR' });
+    expect(getRateTable).not.toHaveBeenCalled();
+
+    const mixed = await evaluateAmountExpression('120 EUR + 80 GBP in USD', {
+      fallbackCurrency: 'EUR',
+      getRateTable
+    });
+    expect(mixed).toMatchObject({
+      value: 310,
+      currency: 'USD',
+      targetCurrency: 'USD'
+    });
+    expect(getRateTable).toHaveBeenCalledTimes(1);
+    expect(getRateTable).toHaveBeenCalledWith('USD');
+  });
+});
@@ -0,0 +1,109 @@
+// Detection fixtures for the shared currency detection pipeline.
+//
+// The first groups replace the old ad-hoc scripts in debug/currency/
+// (debug-full, debug-regex, debug-suffix, debug-symbol), which printed regex
+// matches for cases that used to break. Each case is now an assertion:
+// `expected` is the best candidate, or null when nothing should be detected.
+
+// debug-suffix.js / debug-full.js: suffix symbols were missed
+export const SUFFIX_CASES = [
+  { text: '430$', expected: { amount: 430, currency: 'USD' } },
+  { text: '500€', expected: { amount: 500, currency: 'EUR' } },
+  { text: '75 £', expected: { amount: 75, currency: 'GBP' } },
+  { text: '1.234,56 €', expected: { amount: 1234.56, currency: 'EUR' } },
+  { text: '250 kr', expected: { amount: 250, currency: 'SEK' } },
+  { text: '99,90 zł', expected: { amount: 99.9, currency: 'PLN' } }
+];
+
+// debug-symbol.js / debug-regex.js: prefix symbols and multi-char dollars
+export const SYMBOL_CASES = [
+  { text: '$100', expected: { amount: 100, currency: 'USD' } },
+  { text: '€50', expected: { amount: 50, currency: 'EUR' } },
+  { text: '¥1000', expected: { amount: 1000, currency: 'JPY' } },
+  { text: 'A$50', expected: { amount: 50, currency: 'AUD' } },
+  { text: 'HK$ 1,200', expected: { amount: 1200, currency: 'HKD' } },
+  { text: 'R$ 29,90', expected: { amount: 29.9, currency: 'BRL' } },
+  { text: 'US$1,234.56', expected: { amount: 1234.56, currency: 'USD' } },
+  { text: '₹1,23,456.78', expected: { amount: 123456.78, currency: 'INR' } }
+];
+
+// The two old detectors disagreed on these
+export const CODE_AND_WORD_CASES = [
+  { text: 'USD 100', expected: { amount: 100, currency: 'USD' } },
+  { text: '1.234,56 EUR', expected: { amount: 1234.56, currency: 'EUR' } },
+  { text: "CHF 1'234.50", expected: { amount: 1234.5, currency: 'CHF' } },
+  { text: '100 dollars', expected: { amount: 100, currency: 'USD' } },
+  { text: 'euros 50', expected: { amount: 50, currency: 'EUR' } },
+  { text: '1 500 kroner', expected: { amount: 1500, currency: 'NOK' } }
+];
+
+export const CRYPTO_CASES = [
+  { text: '0.00012345 BTC', expected: { amount: 0.00012345, currency: 'BTC' } },
+  { text: '₿0.5', expected: { amount: 0.5, currency: 'BTC' } },
+  { text: '2 Ethereum', expected: { amount: 2, currency: 'ETH' } }
+];
+
+// Magnitude suffixes expand to the full amount
+export const MAGNITUDE_CASES = [
+  { text: '$1.2M', expected: { amount: 1200000, currency: 'USD' } },
+  { text: '€3.5bn', expected: { amount: 3500000000, currency: 'EUR' } },
+  { text: '5k USD', expected: { amount: 5000, currency: 'USD' } },
+  { text: '£10m', expected: { amount: 10000000, currency: 'GBP' } },
+  { text: 'USD 2.5B', expected: { amount: 2500000000, currency: 'USD' } },
+  { text: '₹5 lakh', expected: { amount: 500000, currency: 'INR' } },
+  { text: 'Rs. 2 crore', expected: { amount: 20000000, currency: 'INR' } },
+  { text: '3,5 Mio. €', expected: { amount: 3500000, currency: 'EUR' } },
+  { text: '1,2 Mrd. EUR', expected: { amount: 1200000000, currency: 'EUR' } },
+  { text: '3万円', expected: { amount: 30000, currency: 'JPY' } },
+  { text: '2億円', expected: { amount: 200000000, currency: 'JPY' } },
+  {
+    text: '1.5 million dollars',
+    expected: { amount: 1500000, currency: 'USD' }
+  },
+  // Words match in any case; single letters stay case-sensitive
+  { text: '$1.2 Billion', expected: { amount: 1200000000, currency: 'USD' } },
+  { text: '$5 Million', expected: { amount: 5000000, currency: 'USD' } },
+  { text: '$2.5 MILLION', expected: { amount: 2500000, currency: 'USD' } },
+  { text: 'Rs 5 Lakh', expected: { amount: 500000, currency: 'INR' } },
+  { text: '3 Crores INR', expected: { amount: 30000000, currency: 'INR' } },
+  { text: '€3 BN', expected: { amount: 3000000000, currency: 'EUR' } },
+  { text: '2 MIO. EUR', expected: { amount: 2000000, currency: 'EUR' } }
+];
+
+export const SPELLED_CASES = [
+  { text: 'twenty dollars', expected: { amount: 20, currency: 'USD' } },
+  { text: 'forty-five pounds', expected: { amount: 45, currency: 'GBP' } },
+  { text: 'a hundred euros', expected: { amount: 100, currency: 'EUR' } },
+  {
+    text: 'two thousand and fifty yen',
+    expected: { amount: 2050, currency: 'JPY' }
+  }
+];
+
+// Locale digits and separators (normalized before detection)
+export const UNICODE_CASES = [
+  { text: '$١٬٢٣٤٫٥٦', expected: { amount: 1234.56, currency: 'USD' } },
+  { text: '١٢٣٫٤٥ USD', expected: { amount: 123.45, currency: 'USD' } },
+  { text: '€۵۰', expected: { amount: 50, currency: 'EUR' } },
+  { text: '۱۲۵٫۵ EUR', expected: { amount: 125.5, currency: 'EUR' } },
+  { text: '₹१,२३,४५६', expected: { amount: 123456, currency: 'INR' } },
+  { text: '１２,０００円', expected: { amount: 12000, currency: 'JPY' } },
+  {
+    text: '1\u202F234,56\u202F€',
+    expected: { amount: 1234.56, currency: 'EUR' }
+  },
+  {
+    text: '12\u202F500\u00A0CHF',
+    expected: { amount: 12500, currency: 'CHF' }
+  }
+];
+
+// Things that must not be read as money
+export const NEGATIVE_CASES = [
+  { text: 'Chapter 12', expected: null },
+  { text: 'for 100 days', expected: null },
+  { text: 'top 10 tips', expected: null },
+  { text: 'Version 2.5', expected: null },
+  { text: 'a 500 MB download', expected: null },
+  { text: 'twenty minutes', expected: null }
+];
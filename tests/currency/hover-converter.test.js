@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HoverConverter } from '../../content/hover-converter.js';
+import { ANCHOR_GAP } from '../../content/tooltip-host.js';
+
+const PRICE = { left: 100, top: 100, right: 160, bottom: 120 };
+
+function move(x, y, target = null) {
+  return { clientX: x, clientY: y, buttons: 1, target };
+}
+
+describe('HoverConverter leaving a price', () => {
+  let hover;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    hover = new HoverConverter({
+      detect: () => [],
+      requestRateTable: vi.fn(),
+      formatAmount: String,
+      showTooltip: vi.fn(),
+      hideTooltip: vi.fn()
+    });
+    hover.active = { key: 'price', rect: PRICE };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps the tooltip while crossing the gap to it', () => {
+    hover.handleMouseMove(move(130, PRICE.top - ANCHOR_GAP));
+    vi.advanceTimersByTime(1000);
+    expect(hover.hideTooltip).not.toHaveBeenCalled();
+  });
+
+  it('gives the pointer time to reach a tooltip further away', () => {
+    hover.handleMouseMove(move(130, 40));
+    expect(hover.hideTooltip).not.toHaveBeenCalled();
+
+    const onTooltip = { closest: () => ({}) };
+    hover.handleMouseMove(move(130, 20, onTooltip));
+    vi.advanceTimersByTime(1000);
+    expect(hover.hideTooltip).not.toHaveBeenCalled();
+    expect(hover.active).not.toBeNull();
+  });
+
+  it('dismisses once the pointer stays away', () => {
+    hover.handleMouseMove(move(400, 400));
+    vi.advanceTimersByTime(1000);
+    expect(hover.hideTooltip).toHaveBeenCalledTimes(1);
+    expect(hover.active).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseOmniboxQuery,
+  resolveTargetCurrency,
+  getDefaultTargets,
+  formatOmniboxAmount,
+  escapeOmniboxText,
+  MAX_OMNIBOX_TARGETS
+} from '../../utils/omnibox-query.js';
+
+const SETTINGS = {
+  baseCurrency: 'USD',
+  secondaryCurrency: 'EUR',
+  additionalCurrencies: ['GBP', 'JPY']
+};
+
+describe('parseOmniboxQuery', () => {
+  it('reads "to", "in" and arrow syntax', () => {
+    for (const query of ['100 usd to eur', '100 USD in EUR', '100 usd → eur']) {
+      expect(parseOmniboxQuery(query, SETTINGS)).toEqual({
+        amount: 100,
+        fromCurrency: 'USD',
+        targets: ['EUR'],
+        unknownTargets: []
+      });
+    }
+    expect(parseOmniboxQuery('100 usd->eur', SETTINGS).targets).toEqual([
+      'EUR'
+    ]);
+  });
+
+  it('accepts several targets in one query', () => {
+    expect(parseOmniboxQuery('€50 in gbp, jpy', SETTINGS)).toMatchObject({
+      amount: 50,
+      fromCurrency: 'EUR',
+      targets: ['GBP', 'JPY']
+    });
+    expect(
+      parseOmniboxQuery('1.5k eur to usd chf and £', SETTINGS).targets
+    ).toEqual(['USD', 'CHF', 'GBP']);
+  });
+
+  it('understands symbols, words and magnitudes on the source side', () => {
+    expect(parseOmniboxQuery('100 dollars to yen', SETTINGS)).toMatchObject({
+      amount: 100,
+      fromCurrency: 'USD',
+      targets: ['JPY']
+    });
+    expect(parseOmniboxQuery('1.5k eur to usd', SETTINGS)).toMatchObject({
+      amount: 1500,
+      fromCurrency: 'EUR'
+    });
+  });
+
+  it('treats a bare amount as the base currency', () => {
+    expect(parseOmniboxQuery('250 to eur', SETTINGS)).toMatchObject({
+      amount: 250,
+      fromCurrency: 'USD',
+      targets: ['EUR']
+    });
+  });
+
+  it('falls back to the configured currencies without a target', () => {
+    expect(parseOmniboxQuery('100 usd', SETTINGS).targets).toEqual([
+      'EUR',
+      'GBP',
+      'JPY'
+    ]);
+    expect(parseOmniboxQuery('100 gbp', SETTINGS).targets).toEqual([
+      'USD',
+      'EUR',
+      'JPY'
+    ]);
+  });
+
+  it('reports unknown targets instead of guessing', () => {
+    expect(parseOmniboxQuery('100 usd to xyzzy', SETTINGS)).toMatchObject({
+      targets: [],
+      unknownTargets: ['xyzzy']
+    });
+  });
+
+  it('drops the source currency and duplicates from the targets', () => {
+    expect(
+      parseOmniboxQuery('100 usd to usd eur euro', SETTINGS).targets
+    ).toEqual(['EUR']);
+  });
+
+  it('caps the number of targets', () => {
+    const { targets } = parseOmniboxQuery(
+      '1 usd to eur gbp jpy chf cad aud nzd',
+      SETTINGS
+    );
+    expect(targets).toHaveLength(MAX_OMNIBOX_TARGETS);
+  });
+
+  it('returns null without an amount', () => {
+    expect(parseOmniboxQuery('', SETTINGS)).toBeNull();
+    expect(parseOmniboxQuery('usd to eur', SETTINGS)).toBeNull();
+  });
+});
+
+describe('omnibox helpers', () => {
+  it('resolves codes, symbols and words', () => {
+    expect(resolveTargetCurrency('eur')).toBe('EUR');
+    expect(resolveTargetCurrency('€')).toBe('EUR');
+    expect(resolveTargetCurrency('pounds')).toBe('GBP');
+    expect(resolveTargetCurrency('btc')).toBe('BTC');
+    expect(resolveTargetCurrency('nope')).toBeNull();
+  });
+
+  it('lists the configured currencies other than the source', () => {
+    expect(getDefaultTargets('EUR', SETTINGS)).toEqual(['USD', 'GBP', 'JPY']);
+  });
+
+  it('formats amounts and escapes descriptions', () => {
+    expect(formatOmniboxAmount(92.3149)).toBe('92.31');
+    expect(formatOmniboxAmount(1234.5)).toBe('1,234.5');
+    expect(formatOmniboxAmount(0.00041234)).toBe('0.000412');
+    expect(escapeOmniboxText('<b>&"\'')).toBe('&lt;b&gt;&amp;&quot;&apos;');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PageAnnotator } from '../../content/page-annotator.js';
+
+// Just enough DOM for start()/stop(); scanning is not exercised here
+class FakeObserver {
+  constructor() {
+    this.connected = false;
+    FakeObserver.instances.push(this);
+  }
+
+  observe() {
+    this.connected = true;
+  }
+
+  disconnect() {
+    this.connected = false;
+  }
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('PageAnnotator start/stop', () => {
+  const TABLE = { rates: { USD: 1, EUR: 0.9 } };
+
+  let pending;
+  let annotator;
+
+  beforeEach(() => {
+    FakeObserver.instances = [];
+    vi.stubGlobal('MutationObserver', FakeObserver);
+    vi.stubGlobal('document', { body: {}, querySelectorAll: () => [] });
+    pending = [];
+    annotator = new PageAnnotator({
+      detector: { detectCurrencies: () => [] },
+      requestRateTable: vi.fn(() => {
+        const request = deferred();
+        pending.push(request);
+        return request.promise;
+      }),
+      formatAmount: String
+    });
+    annotator.queueRoot = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('shares one start between overlapping calls', async () => {
+    const first = annotator.start('USD');
+    const second = annotator.start('USD');
+    pending[0].resolve(TABLE);
+    await Promise.all([first, second]);
+
+    expect(annotator.requestRateTable).toHaveBeenCalledTimes(1);
+    expect(FakeObserver.instances).toHaveLength(1);
+    expect(annotator.active).toBe(true);
+  });
+
+  it('does not attach when stopped while the rate table loads', async () => {
+    const start = annotator.start('USD');
+    expect(annotator.starting).not.toBeNull();
+    annotator.stop();
+    pending[0].resolve(TABLE);
+    await start;
+
+    expect(FakeObserver.instances).toHaveLength(0);
+    expect(annotator.active).toBe(false);
+    expect(annotator.rateTable).toBeNull();
+  });
+
+  it('keeps only the latest start when the base changes mid-load', async () => {
+    const usd = annotator.start('USD');
+    const eur = annotator.start('EUR');
+    pending[1].resolve(TABLE);
+    pending[0].resolve(TABLE);
+    await Promise.all([usd, eur]);
+
+    expect(FakeObserver.instances).toHaveLength(1);
+    expect(annotator.baseCurrency).toBe('EUR');
+    expect(annotator.starting).toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPairSeries,
+  listHistoryPairs,
+  summarizeSeries,
+  getAlertThresholds,
+  createChartScale,
+  toSvgPath,
+  formatChartRate
+} from '../../utils/rate-chart.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 5, 1);
+
+const entry = (from, to, rate, day) => ({
+  fromCurrency: from,
+  toCurrency: to,
+  rate,
+  timestamp: new Date(T0 + day * DAY).toISOString()
+});
+
+const history = [
+  entry('USD', 'EUR', 0.92, 2),
+  entry('USD', 'EUR', 0.9, 0),
+  entry('GBP', 'USD', 1.27, 1),
+  entry('USD', 'EUR', 0.94, 40)
+];
+
+describe('getPairSeries / listHistoryPairs', () => {
+  it('returns one pair in time order, optionally limited to recent days', () => {
+    expect(getPairSeries(history, 'USD', 'EUR').map(p => p.rate)).toEqual([
+      0.9, 0.92, 0.94
+    ]);
+    expect(
+      getPairSeries(history, 'USD', 'EUR', {
+        days: 30,
+        now: T0 + 41 * DAY
+      }).map(p => p.rate)
+    ).toEqual([0.94]);
+  });
+
+  it('lists pairs by amount of history', () => {
+    expect(listHistoryPairs(history)).toEqual([
+      { fromCurrency: 'USD', toCurrency: 'EUR', count: 3 },
+      { fromCurrency: 'GBP', toCurrency: 'USD', count: 1 }
+    ]);
+  });
+});
+
+describe('summarizeSeries', () => {
+  it('computes min, max, average and change', () => {
+    const summary = summarizeSeries(getPairSeries(history, 'USD', 'EUR'));
+    expect(summary).toMatchObject({ min: 0.9, max: 0.94, first: 0.9 });
+    expect(summary.average).toBeCloseTo(0.92);
+    expect(summary.percentChange).toBeCloseTo(4.444, 2);
+    expect(summarizeSeries([])).toBeNull();
+  });
+});
+
+describe('getAlertThresholds', () => {
+  const alerts = [
+    {
+      fromCurrency: 'USD',
+      toCurrency: 'EUR',
+      condition: 'above',
+      targetRate: 0.95,
+      enabled: true
+    },
+    {
+      fromCurrency: 'USD',
+      toCurrency: 'EUR',
+      condition: 'below',
+      targetRate: 0.88,
+      enabled: false
+    },
+    {
+      fromCurrency: 'USD',
+      toCurrency: 'EUR',
+      condition: 'change',
+      threshold: 2,
+      enabled: true
+    },
+    {
+      fromCurrency: 'GBP',
+      toCurrency: 'USD',
+      condition: 'above',
+      targetRate: 1.3,
+      enabled: true
+    }
+  ];
+
+  it('draws target rates and percentage bands around the latest rate', () => {
+    const lines = getAlertThresholds(alerts, 'USD', 'EUR', { reference: 1 });
+    expect(lines.map(line => [line.label, line.value])).toEqual([
+      ['Above 0.95', 0.95],
+      ['+2%', 1.02],
+      ['-2%', 0.98]
+    ]);
+  });
+
+  it('skips change alerts without a reference rate', () => {
+    expect(getAlertThresholds(alerts, 'USD', 'EUR')).toHaveLength(1);
+  });
+});
+
+describe('chart geometry', () => {
+  const points = [
+    { time: 0, rate: 1 },
+    { time: 10, rate: 2 }
+  ];
+
+  it('maps the series and extra values into the box', () => {
+    const scale = createChartScale({
+      points,
+      values: [3],
+      width: 100,
+      height: 50,
+      padding: { top: 0, right: 0, bottom: 0, left: 0 }
+    });
+    expect(scale.x(0)).toBe(0);
+    expect(scale.x(10)).toBe(100);
+    expect(scale.maxRate).toBeGreaterThan(3);
+    expect(scale.minRate).toBeLessThan(1);
+    expect(scale.y(scale.maxRate)).toBe(0);
+    expect(scale.y(scale.minRate)).toBe(50);
+  });
+
+  it('centers a flat single reading', () => {
+    const scale = createChartScale({
+      points: [{ time: 5, rate: 2 }],
+      width: 100,
+      height: 50
+    });
+    expect(scale.x(5)).toBe(50);
+    expect(scale.y(2)).toBe(25);
+  });
+
+  it('builds SVG path data', () => {
+    const scale = { x: t => t * 10, y: r => 50 - r * 10 };
+    expect(toSvgPath(points, scale)).toBe('M0 40 L100 30');
+  });
+
+  it('formats rates by magnitude', () => {
+    expect(formatChartRate(0.912345678)).toBe('0.912346');
+    expect(formatChartRate(1.2345678)).toBe('1.2346');
+    expect(formatChartRate(151.2345)).toBe('151.23');
+  });
+});
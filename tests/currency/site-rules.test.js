@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SiteRules,
+  siteRules,
+  matchesHostPattern,
+  resolveFrameHostname,
+  sanitizeSiteRules,
+  DEFAULT_SITE_CURRENCY_RULES
+} from '../../utils/site-rules.js';
+import { SmartCurrencyDetector } from '../../utils/smart-currency-detector.js';
+import { SettingsManager } from '../../utils/settings-manager.js';
+
+describe('matchesHostPattern', () => {
+  it('matches wildcard suffixes including the bare domain', () => {
+    expect(matchesHostPattern('www.amazon.com.au', '*.com.au')).toBe(true);
+    expect(matchesHostPattern('com.au', '*.com.au')).toBe(true);
+    expect(matchesHostPattern('amazon.com', '*.com.au')).toBe(false);
+    expect(matchesHostPattern('notcom.au', '*.com.au')).toBe(false);
+  });
+
+  it('matches exact hostnames only exactly', () => {
+    expect(matchesHostPattern('finn.no', 'finn.no')).toBe(true);
+    expect(matchesHostPattern('www.finn.no', 'finn.no')).toBe(false);
+  });
+});
+
+describe('resolveFrameHostname', () => {
+  const web = { protocol: 'https:', hostname: 'shop.example' };
+  const blank = origins => ({
+    protocol: 'about:',
+    hostname: '',
+    ancestorOrigins: origins
+  });
+  const crossOriginTop = {
+    get location() {
+      throw new Error('Blocked a frame from accessing a cross-origin frame');
+    }
+  };
+
+  it('uses the hostname of web pages', () => {
+    expect(resolveFrameHostname(web, null)).toBe('shop.example');
+    expect(resolveFrameHostname({ protocol: 'file:' }, null)).toBeNull();
+  });
+
+  it('gives about:blank frames their embedder hostname', () => {
+    expect(
+      resolveFrameHostname(blank(['https://mail.example']), crossOriginTop)
+    ).toBe('mail.example');
+    // No ancestorOrigins (Firefox): the same-origin top window
+    expect(
+      resolveFrameHostname(blank(undefined), {
+        location: { origin: 'https://docs.example' }
+      })
+    ).toBe('docs.example');
+  });
+
+  it('returns null when the embedder cannot be seen', () => {
+    expect(resolveFrameHostname(blank(['null']), crossOriginTop)).toBeNull();
+    expect(resolveFrameHostname(blank([]), crossOriginTop)).toBeNull();
+  });
+});
+
+describe('SiteRules', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new SiteRules();
+  });
+
+  it('resolves ambiguous symbols with the shipped defaults', () => {
+    expect(rules.resolveSymbol('$', 'www.ebay.com.au')).toBe('AUD');
+    expect(rules.resolveSymbol('kr', 'www.finn.no')).toBe('NOK');
+    expect(rules.resolveSymbol('¥', 'www.taobao.cn')).toBe('CNY');
+    expect(rules.resolveSymbol('$', 'www.amazon.com')).toBeNull();
+  });
+
+  it('prefers the most specific matching pattern', () => {
+    rules.configure({
+      siteCurrencyRules: [
+        { pattern: '*.com.au', symbol: '$', currency: 'AUD' },
+        { pattern: 'shop.example.com.au', symbol: '$', currency: 'USD' }
+      ]
+    });
+    expect(rules.resolveSymbol('$', 'shop.example.com.au')).toBe('USD');
+    expect(rules.resolveSymbol('$', 'other.com.au')).toBe('AUD');
+  });
+
+  it('reports denied sites', () => {
+    rules.configure({ deniedSites: ['*.bank.example', 'mail.example.com'] });
+    expect(rules.isDenied('online.bank.example')).toBe(true);
+    expect(rules.isDenied('mail.example.com')).toBe(true);
+    expect(rules.isDenied('example.com')).toBe(false);
+  });
+
+  it('drops invalid rules when sanitizing', () => {
+    const clean = sanitizeSiteRules([
+      { pattern: 'HTTPS://Shop.Example.com/', symbol: '$', currency: 'CAD' },
+      { pattern: 'bad pattern', symbol: '$', currency: 'CAD' },
+      { pattern: 'ok.com', symbol: '$', currency: 'cad' }
+    ]);
+    expect(clean).toEqual([
+      { pattern: 'shop.example.com', symbol: '$', currency: 'CAD' }
+    ]);
+  });
+});
+
+describe('SmartCurrencyDetector with site rules', () => {
+  beforeEach(() => {
+    siteRules.configure({ siteCurrencyRules: DEFAULT_SITE_CURRENCY_RULES });
+  });
+
+  it('maps $ to AUD on Australian sites and USD elsewhere', () => {
+    const detector = new SmartCurrencyDetector();
+
+    siteRules.setHostname('www.ebay.com.au');
+    expect(detector.symbolToCurrencyCode('$')).toBe('AUD');
+
+    siteRules.setHostname('www.amazon.com');
+    expect(detector.symbolToCurrencyCode('$')).toBe('USD');
+
+    siteRules.setHostname(null);
+  });
+});
+
+describe('SettingsManager site rule validation', () => {
+  it('ships the default rules and repairs invalid values', () => {
+    const manager = new SettingsManager();
+    expect(manager.DEFAULT_SETTINGS.siteCurrencyRules).toEqual(
+      DEFAULT_SITE_CURRENCY_RULES
+    );
+
+    const validated = manager.validateSettingsData({
+      ...manager.DEFAULT_SETTINGS,
+      siteCurrencyRules: 'nope',
+      deniedSites: ['Example.com', 'example.com', '']
+    });
+    expect(validated.siteCurrencyRules).toEqual(DEFAULT_SITE_CURRENCY_RULES);
+    expect(validated.deniedSites).toEqual(['example.com']);
+  });
+});
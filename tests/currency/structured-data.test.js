@@ -0,0 +1,213 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  extractJsonLdPrices,
+  parseStructuredPrice,
+  readStructuredPrices,
+  pickProductPrice,
+  getDeclaredCurrencies
+} from '../../utils/structured-data.js';
+import { siteRules } from '../../utils/site-rules.js';
+import { detectionPipeline } from '../../utils/detection-pipeline.js';
+
+// Just enough of the DOM for the reader: attributes, text, closest() and
+// selector lookups by the exact selectors the reader uses.
+function element({ tag = '', attrs = {}, text = '', parent = null } = {}) {
+  const el = {
+    tag,
+    attrs,
+    textContent: text,
+    parent,
+    getAttribute: name => (name in attrs ? attrs[name] : null),
+    closest: selector => {
+      for (let node = el; node; node = node.parent) {
+        if (matches(node, selector)) {
+          return node;
+        }
+      }
+      return null;
+    },
+    querySelector: selector =>
+      allElements.find(node => isInside(node, el) && matches(node, selector)) ||
+      null
+  };
+  allElements.push(el);
+  return el;
+}
+
+let allElements = [];
+
+function isInside(node, ancestor) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function matches(node, selector) {
+  const attr = /^(?:\w+)?\[([\w:-]+)(?:(\*?=)"([^"]*)")?\]$/.exec(selector);
+  if (!attr) {
+    return false;
+  }
+  const [, name, op, value] = attr;
+  const actual = node.attrs[name];
+  if (actual === undefined) {
+    return false;
+  }
+  if (!op) {
+    return true;
+  }
+  return op === '*=' ? actual.includes(value) : actual === value;
+}
+
+function fakeDocument() {
+  const find = selector => {
+    const [tag] = selector.split('[');
+    return allElements.filter(
+      node => matches(node, selector) && (!tag || node.tag === tag)
+    );
+  };
+  return {
+    querySelectorAll: selector => find(selector),
+    querySelector: selector => find(selector)[0] || null
+  };
+}
+
+describe('parseStructuredPrice', () => {
+  it('reads schema.org dot-decimal prices and formatted text', () => {
+    expect(parseStructuredPrice('1299.00')).toBe(1299);
+    expect(parseStructuredPrice(49.9)).toBe(49.9);
+    expect(parseStructuredPrice('1.299,00 €')).toBe(1299);
+    expect(parseStructuredPrice('')).toBeNaN();
+  });
+});
+
+describe('extractJsonLdPrices', () => {
+  it('reads Product offers, including @graph and priceSpecification', () => {
+    const prices = extractJsonLdPrices({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'WebPage', name: 'Shop' },
+        {
+          '@type': 'Product',
+          name: 'Kettle',
+          offers: [
+            { '@type': 'Offer', price: '49.95', priceCurrency: 'CAD' },
+            {
+              '@type': 'Offer',
+              priceSpecification: { price: 55, priceCurrency: 'usd' }
+            }
+          ]
+        }
+      ]
+    });
+
+    expect(prices).toEqual([
+      { amount: 49.95, currency: 'CAD', source: 'json-ld', name: 'Kettle' },
+      { amount: 55, currency: 'USD', source: 'json-ld', name: 'Kettle' }
+    ]);
+  });
+
+  it('keeps AggregateOffer price ranges', () => {
+    const [price] = extractJsonLdPrices([
+      {
+        '@type': ['Product'],
+        name: 'Tent',
+        offers: {
+          '@type': 'AggregateOffer',
+          lowPrice: '120',
+          highPrice: '180',
+          priceCurrency: 'EUR'
+        }
+      }
+    ]);
+    expect(price).toMatchObject({ amount: 120, highAmount: 180 });
+  });
+
+  it('ignores unknown currencies and non-product nodes', () => {
+    expect(
+      extractJsonLdPrices({
+        '@type': 'Product',
+        offers: { price: '10', priceCurrency: 'XYZ' }
+      })
+    ).toEqual([]);
+    expect(extractJsonLdPrices({ '@type': 'Organization' })).toEqual([]);
+  });
+});
+
+describe('readStructuredPrices', () => {
+  afterEach(() => {
+    allElements = [];
+  });
+
+  it('reads JSON-LD, microdata and OpenGraph in preference order', () => {
+    element({
+      tag: 'meta',
+      attrs: { property: 'product:price:amount', content: '19.99' }
+    });
+    element({
+      tag: 'meta',
+      attrs: { property: 'product:price:currency', content: 'AUD' }
+    });
+
+    const product = element({
+      attrs: { itemscope: '', itemtype: 'https://schema.org/Product' }
+    });
+    element({ attrs: { itemprop: 'name' }, text: 'Lamp', parent: product });
+    const offer = element({
+      attrs: { itemscope: '', itemprop: 'offers' },
+      parent: product
+    });
+    element({ attrs: { itemprop: 'price', content: '24.50' }, parent: offer });
+    element({
+      attrs: { itemprop: 'priceCurrency', content: 'NZD' },
+      parent: offer
+    });
+
+    element({
+      tag: 'script',
+      attrs: { type: 'application/ld+json' },
+      text: JSON.stringify({
+        '@type': 'Product',
+        name: 'Lamp',
+        offers: { price: '22', priceCurrency: 'NZD' }
+      })
+    });
+    element({
+      tag: 'script',
+      attrs: { type: 'application/ld+json' },
+      text: '{ not json'
+    });
+
+    const prices = readStructuredPrices(fakeDocument());
+
+    expect(prices.map(p => [p.source, p.amount, p.currency])).toEqual([
+      ['json-ld', 22, 'NZD'],
+      ['microdata', 24.5, 'NZD'],
+      ['opengraph', 19.99, 'AUD']
+    ]);
+    expect(prices[1].name).toBe('Lamp');
+    expect(pickProductPrice(prices)).toMatchObject({ source: 'json-ld' });
+    expect(getDeclaredCurrencies(prices)).toEqual(['NZD', 'AUD']);
+  });
+
+  it('returns nothing without a document', () => {
+    expect(readStructuredPrices(null)).toEqual([]);
+    expect(pickProductPrice([])).toBeNull();
+  });
+});
+
+describe('page currency disambiguation', () => {
+  afterEach(() => {
+    siteRules.setPageCurrencies([]);
+  });
+
+  it('resolves `$` to the currency the page declares', () => {
+    siteRules.setPageCurrencies(['CAD']);
+    expect(detectionPipeline.detect('$25')[0].currency).toBe('CAD');
+
+    siteRules.setPageCurrencies(['EUR']);
+    expect(detectionPipeline.detect('$25')[0].currency).toBe('USD');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectHeaderCurrency,
+  detectTableAmounts,
+  buildConvertedMatrix,
+  tableCellKey,
+  formatTableAsTsv,
+  formatTableAsMarkdown
+} from '../../utils/table-currency.js';
+
+describe('detectHeaderCurrency', () => {
+  it('reads codes and symbols in headers', () => {
+    expect(detectHeaderCurrency('Price (EUR)')).toBe('EUR');
+    expect(detectHeaderCurrency('USD amount')).toBe('USD');
+    expect(detectHeaderCurrency('Total €')).toBe('EUR');
+    expect(detectHeaderCurrency('Betrag [£]')).toBe('GBP');
+    expect(detectHeaderCurrency('Total in CHF')).toBe('CHF');
+    expect(detectHeaderCurrency('JPY')).toBe('JPY');
+  });
+
+  it('ignores capitalized words that only happen to be codes', () => {
+    // PEN is the Peruvian sol, CAD the Canadian dollar
+    expect(detectHeaderCurrency('PEN COLOR')).toBeNull();
+    expect(detectHeaderCurrency('CAD FILES')).toBeNull();
+    expect(detectHeaderCurrency('PEN')).toBe('PEN');
+  });
+
+  it('ignores headers without a currency', () => {
+    expect(detectHeaderCurrency('Qty')).toBeNull();
+    expect(detectHeaderCurrency('VAT rate')).toBeNull();
+    expect(detectHeaderCurrency(undefined)).toBeNull();
+  });
+});
+
+describe('detectTableAmounts', () => {
+  it('uses the header currency for bare numbers', () => {
+    const { cells, columns, currencies } = detectTableAmounts(
+      [
+        ['Lamp', '2', '49.90'],
+        ['Desk', '1', '1.299,00']
+      ],
+      { header: ['Item', 'Qty', 'Price (EUR)'] }
+    );
+
+    expect(cells.map(c => [c.row, c.column, c.amount, c.currency])).toEqual([
+      [0, 2, 49.9, 'EUR'],
+      [1, 2, 1299, 'EUR']
+    ]);
+    expect(columns).toEqual([{ column: 2, currency: 'EUR', count: 2 }]);
+    expect(currencies).toEqual(['EUR']);
+  });
+
+  it('lets a priced cell override its column and fills in from the column', () => {
+    const { cells } = detectTableAmounts([
+      ['Hosting', '$20.00'],
+      ['Domain', '£8'],
+      ['Support', '15'],
+      ['Email', '$5']
+    ]);
+
+    expect(cells.map(c => [c.amount, c.currency, c.confidence])).toEqual([
+      [20, 'USD', 0.9],
+      [8, 'GBP', 0.9],
+      [15, 'USD', 0.7],
+      [5, 'USD', 0.9]
+    ]);
+  });
+
+  it('leaves quantities under a header like "PEN COUNT" alone', () => {
+    const { cells } = detectTableAmounts(
+      [
+        ['Socks', '12'],
+        ['Hats', '3']
+      ],
+      { header: ['Product', 'PEN COUNT'] }
+    );
+    expect(cells).toEqual([]);
+  });
+
+  it('skips numeric columns with no currency', () => {
+    const { cells } = detectTableAmounts([
+      ['2019', '3'],
+      ['2020', '4']
+    ]);
+    expect(cells).toEqual([]);
+  });
+});
+
+describe('buildConvertedMatrix', () => {
+  const header = ['Item', 'Price'];
+  const rows = [
+    ['Lamp', '€10'],
+    ['Note', 'n/a']
+  ];
+  const conversions = new Map([[tableCellKey(0, 1), '$11.00']]);
+
+  it('adds a converted column after each amount column', () => {
+    expect(
+      buildConvertedMatrix(header, rows, conversions, {
+        mode: 'column',
+        targetCurrency: 'USD'
+      })
+    ).toEqual([
+      ['Item', 'Price', 'Price (USD)'],
+      ['Lamp', '€10', '$11.00'],
+      ['Note', 'n/a', '']
+    ]);
+  });
+
+  it('overlays converted values in place', () => {
+    expect(
+      buildConvertedMatrix(null, rows, conversions, {
+        mode: 'overlay',
+        targetCurrency: 'USD'
+      })
+    ).toEqual([
+      ['Lamp', '$11.00'],
+      ['Note', 'n/a']
+    ]);
+  });
+});
+
+describe('table formatting', () => {
+  const matrix = [
+    ['Item', 'Price'],
+    ['Pipe | fitting', '€1\t0']
+  ];
+
+  it('formats TSV', () => {
+    expect(formatTableAsTsv(matrix)).toBe('Item\tPrice\nPipe | fitting\t€1 0');
+  });
+
+  it('formats Markdown with escaped pipes', () => {
+    expect(formatTableAsMarkdown(matrix)).toBe(
+      '| Item | Price |\n| --- | --- |\n| Pipe \\| fitting | €1\t0 |'
+    );
+  });
+});
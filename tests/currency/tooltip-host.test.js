@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeTooltipPosition,
+  getThemeClass,
+  getAnimationDuration
+} from '../../content/tooltip-host.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+const SIZE = { width: 200, height: 100 };
+
+function rect(left, top, width, height) {
+  return {
+    left,
+    top,
+    width,
+    height,
+    right: left + width,
+    bottom: top + height
+  };
+}
+
+describe('computeTooltipPosition', () => {
+  it('centers above the anchor when there is room', () => {
+    expect(
+      computeTooltipPosition(rect(400, 300, 100, 20), SIZE, VIEWPORT)
+    ).toEqual({ left: 350, top: 190, placement: 'above' });
+  });
+
+  it('flips below when the top would be cut off', () => {
+    expect(
+      computeTooltipPosition(rect(400, 50, 100, 20), SIZE, VIEWPORT)
+    ).toEqual({ left: 350, top: 80, placement: 'below' });
+  });
+
+  it('takes the roomier side when neither fits', () => {
+    const short = { width: 1000, height: 200 };
+    const tall = { width: 200, height: 150 };
+
+    // More room above: pinned to the top margin
+    expect(
+      computeTooltipPosition(rect(400, 120, 100, 20), tall, short)
+    ).toEqual({ left: 350, top: 10, placement: 'above' });
+    // More room below: kept inside the bottom margin
+    expect(computeTooltipPosition(rect(400, 40, 100, 20), tall, short)).toEqual(
+      {
+        left: 350,
+        top: 40,
+        placement: 'below'
+      }
+    );
+  });
+
+  it("aligns to the anchor's left edge near the left side", () => {
+    expect(
+      computeTooltipPosition(rect(20, 300, 40, 20), SIZE, VIEWPORT).left
+    ).toBe(20);
+  });
+
+  it("aligns to the anchor's right edge near the right side", () => {
+    expect(
+      computeTooltipPosition(rect(940, 300, 40, 20), SIZE, VIEWPORT).left
+    ).toBe(780);
+  });
+
+  it('keeps the viewport margin when edge alignment is not enough', () => {
+    expect(
+      computeTooltipPosition(rect(0, 300, 40, 20), SIZE, VIEWPORT).left
+    ).toBe(10);
+    expect(
+      computeTooltipPosition(rect(960, 300, 40, 20), SIZE, VIEWPORT).left
+    ).toBe(790);
+  });
+
+  it('centers in the viewport without an anchor', () => {
+    const centered = { left: 400, top: 350, placement: 'above' };
+    expect(computeTooltipPosition(null, SIZE, VIEWPORT)).toEqual(centered);
+    expect(computeTooltipPosition(rect(0, 0, 0, 0), SIZE, VIEWPORT)).toEqual(
+      centered
+    );
+    // A tooltip wider than the viewport starts at the margin
+    expect(
+      computeTooltipPosition(null, SIZE, { width: 150, height: 80 })
+    ).toEqual({ left: 10, top: 10, placement: 'above' });
+  });
+});
+
+describe('getThemeClass', () => {
+  it.each([
+    ['dark', 'cc-theme-dark'],
+    ['light', 'cc-theme-light'],
+    ['auto', 'cc-theme-system'],
+    ['system', 'cc-theme-system'],
+    [undefined, 'cc-theme-light']
+  ])('maps %s to %s', (theme, expected) => {
+    expect(getThemeClass(theme)).toBe(expected);
+  });
+});
+
+describe('getAnimationDuration', () => {
+  it.each([
+    ['fast', 150],
+    ['normal', 300],
+    ['slow', 500],
+    ['bogus', 300],
+    [undefined, 300]
+  ])('maps %s to %i ms', (speed, expected) => {
+    expect(getAnimationDuration(speed)).toBe(expected);
+  });
+});
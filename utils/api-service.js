@@ -14,6 +14,23 @@ import { LOCAL_API_KEYS } from './api-keys.local.js';
 import { rateCache } from './rate-cache.js';
 // Phase 9, Task 9.1: Import security manager
 import { securityManager } from './security-manager.js';
+import { normalizeDate, isPastDate } from './date-detection.js';
+import {
+  rateProviders,
+  isCryptoCurrency,
+  isRetryableError,
+  createProviderError,
+  PROVIDER_ERRORS
+} from './rate-providers.js';
+import { ProviderHealthTracker } from './provider-health.js';
+import { QuotaLedger, QUOTA_LEVELS } from './quota-ledger.js';
+import {
+  buildConsensus,
+  accumulateDeviation,
+  CONSENSUS_STATS_KEY,
+  DEFAULT_CONSENSUS_TOLERANCE
+} from './rate-consensus.js';
+import { settingsManager } from './settings-manager.js';
 
 /**
  * Secure fetch wrapper for Chrome extension environment with security validation
@@ -57,7 +74,7 @@ async function safeFetch(url, options = {}) {
   try {
     if (securityManager) {
       securityManager.logSecurityEvent('api_request', {
-        url: url.replace(/([?&]access_key=)[^&]*/, '$1***'),
+        url: url.replace(/([?&](?:access_key|app_id|apikey)=)[^&]*/g, '$1***'),
         method: options.method || 'GET'
       });
     }
@@ -79,71 +96,10 @@ async function safeFetch(url, options = {}) {
 
 /**
  * API Provider configurations
- * Evaluated free currency APIs with their capabilities and limitations
+ * Evaluated currency APIs with their capabilities and limitations, as
+ * declared by the adapters in rate-providers.js
  */
-export const API_PROVIDERS = {
-  EXCHANGERATE_API: {
-    name: 'ExchangeRate-API',
-    baseUrl: 'https://v6.exchangerate-api.com/v6',
-    rateLimits: {
-      registered: { requests: 1500, period: 'month' },
-      features: [
-        'Real-time rates',
-        'Historical data',
-        'Premium features with API key'
-      ]
-    },
-    pros: ['High rate limit with API key', 'Reliable', 'Premium features'],
-    cons: ['Requires API key for best experience'],
-    priority: 1,
-    requiresApiKey: true,
-    isDefault: true
-  },
-  FIXER_IO: {
-    name: 'Fixer.io',
-    baseUrl: 'http://data.fixer.io/api/latest',
-    rateLimits: {
-      free: { requests: 1000, period: 'month' },
-      features: ['168 currencies', 'JSON format', 'HTTPS on paid plans']
-    },
-    pros: ['Many currencies', 'Good documentation', 'Reliable service'],
-    cons: ['Requires API key', 'HTTPS only on paid plans', 'Lower rate limit'],
-    priority: 2,
-    requiresApiKey: true
-  },
-  CURRENCY_API: {
-    name: 'CurrencyAPI',
-    baseUrl: 'https://api.currencyapi.com/v3/latest',
-    rateLimits: {
-      free: { requests: 300, period: 'month' },
-      features: ['180+ currencies', 'Real-time rates', 'Historical data']
-    },
-    pros: ['Many currencies', 'Good free tier features', 'Modern API'],
-    cons: ['Lower rate limit', 'Requires API key', 'Newer service'],
-    priority: 3,
-    requiresApiKey: true
-  },
-  ALPHA_VANTAGE: {
-    name: 'Alpha Vantage',
-    baseUrl: 'https://www.alphavantage.co/query',
-    rateLimits: {
-      free: { requests: 5, period: 'minute', daily: 500 },
-      features: ['Real-time rates', 'Historical data', 'Stock data integration']
-    },
-    pros: [
-      'Free API key',
-      'Comprehensive financial data',
-      'Good documentation'
-    ],
-    cons: [
-      'Very low rate limit',
-      'Complex response format',
-      'Designed for stocks'
-    ],
-    priority: 4,
-    requiresApiKey: true
-  }
-};
+export const API_PROVIDERS = rateProviders.describe();
 
 /**
  * API Key Management
@@ -246,15 +202,8 @@ export class ApiKeyManager {
       return false;
     }
 
-    const formatRules = {
-      EXCHANGERATE_API: /^[a-f0-9]{24}$/i, // 24-character hex string
-      FIXER_IO: /^[a-f0-9]{32}$/i, // 32-character hex string
-      CURRENCY_API: /^[a-zA-Z0-9]{40}$/, // 40-character alphanumeric
-      ALPHA_VANTAGE: /^[A-Z0-9]{16}$/ // 16-character uppercase alphanumeric
-    };
-
-    const rule = formatRules[provider];
-    return rule ? rule.test(apiKey) : apiKey.length >= 16; // Generic fallback
+    const adapter = rateProviders.get(provider);
+    return adapter ? adapter.validateKey(apiKey) : apiKey.length >= 16; // Generic fallback
   }
 
   /**
@@ -314,10 +263,49 @@ export class ApiKeyManager {
  * Manages API calls with fallback mechanisms. Caching now lives in RateCache.
  */
 export class CurrencyApiService {
-  constructor() {
+  /**
+   * @param {Object} [deps]
+   * @param {Function} [deps.getSettings] - Override settings source (used in tests).
+   * @param {ProviderHealthTracker} [deps.health] - Override health tracker (used in tests).
+   * @param {QuotaLedger} [deps.quota] - Override quota ledger (used in tests).
+   */
+  constructor({ getSettings, health, quota } = {}) {
     this.apiKeyManager = new ApiKeyManager();
+    // Persisted provider health and circuit breaker
+    this.health = health || new ProviderHealthTracker();
+    // Persisted request counts against each provider's plan limits
+    this.quota = quota || new QuotaLedger();
     this.requestQueue = [];
     this.isProcessing = false;
+    this._getSettings =
+      getSettings ||
+      (() => {
+        try {
+          return settingsManager.getSettings();
+        } catch {
+          return {};
+        }
+      });
+    // Per-provider deviation from consensus, loaded from storage on first use
+    this.consensusStats = null;
+  }
+
+  /**
+   * Consensus mode settings with safe fallbacks.
+   * @returns {{enabled: boolean, providerCount: number, tolerance: number}}
+   */
+  getConsensusConfig() {
+    const s = this._getSettings() || {};
+    return {
+      enabled: s.enableRateConsensus === true,
+      providerCount: Number.isInteger(s.consensusProviderCount)
+        ? Math.min(Math.max(s.consensusProviderCount, 2), 5)
+        : 3,
+      tolerance:
+        Number.isFinite(s.consensusTolerance) && s.consensusTolerance > 0
+          ? s.consensusTolerance
+          : DEFAULT_CONSENSUS_TOLERANCE
+    };
   }
 
   /**
@@ -340,234 +328,331 @@ export class CurrencyApiService {
   }
 
   /**
-   * Fetch a rate table for a base currency, trying providers in priority order.
-   * ExchangeRate-API returns the FULL conversion table for the base (one call
-   * serves every target). Other providers only support single pairs, so they
-   * return a partial table for the hinted target.
+   * Collect the failures of every provider tried into one error. It is only
+   * worth retrying when every failure was transient (network, server).
+   * @param {string} message - Summary
+   * @param {Array<{provider: Object, error: Error}>} failures
+   * @returns {Error}
+   */
+  createAggregateError(message, failures) {
+    const error = new Error(
+      `${message} Errors: ` +
+        failures
+          .map(
+            ({ provider, error: cause }) => `${provider.name}: ${cause.message}`
+          )
+          .join('; ')
+    );
+    error.retryable =
+      failures.length > 0 &&
+      failures.every(({ error: cause }) => isRetryableError(cause));
+    error.errors = failures.map(({ provider, error: cause }) => ({
+      provider: provider.id,
+      kind: cause.kind || null,
+      message: cause.message
+    }));
+    return error;
+  }
+
+  /**
+   * Fetch a rate table from one provider adapter.
+   * @param {Object} provider - RateProvider from the registry
    * @param {string} base - Base currency code
-   * @param {string|null} hintTarget - Target currency (needed by single-pair providers)
+   * @param {Object} [options]
+   * @param {string[]|null} [options.symbols] - Targets (pair-only providers)
+   * @param {string|null} [options.date] - YYYY-MM-DD for historical rates
    * @returns {Promise<{rates: Object, source: string, timestamp: string, full: boolean}>}
    */
-  async fetchRateTable(base, hintTarget = null) {
-    await this.ensureApiKeysInitialized();
-
-    const providers = Object.keys(API_PROVIDERS).sort(
-      (a, b) => API_PROVIDERS[a].priority - API_PROVIDERS[b].priority
-    );
+  async fetchFromAdapter(provider, base, { symbols = null, date = null } = {}) {
+    const apiKey = provider.requiresApiKey
+      ? await this.apiKeyManager.getApiKey(provider.id)
+      : null;
+    const request = { symbols, date, apiKey, fetch: safeFetch };
+
+    // Without a key nothing is sent, so there's no health to record
+    if (provider.requiresApiKey && !apiKey) {
+      return provider.fetchTable(base, request);
+    }
 
-    const errors = [];
+    // Pair-only providers make one call per target
+    const cost = provider.capabilities.fullTable ? 1 : symbols?.length || 1;
+    const allowance = await this.quota.reserve(provider, apiKey, cost);
+    if (!allowance.allowed) {
+      throw createProviderError(
+        `${provider.name} ${allowance.label} quota reached (${allowance.used}/${allowance.limit}), resets ${new Date(allowance.resetAt).toLocaleString()}`,
+        PROVIDER_ERRORS.QUOTA,
+        provider.id
+      );
+    }
 
-    for (const provider of providers) {
-      try {
-        if (provider === 'EXCHANGERATE_API') {
-          const full = await this.fetchTableFromExchangeRateApi(base);
-          if (full && full.rates) {
-            console.log(
-              `✅ Fetched full rate table for ${base} (${Object.keys(full.rates).length} currencies)`
-            );
-            return { ...full, full: true };
-          }
-        } else {
-          // Single-pair providers can't build a full table without a target.
-          if (!hintTarget) {
-            continue;
-          }
-          const pair = await this.fetchFromProvider(provider, base, hintTarget);
-          if (pair && typeof pair.rate === 'number') {
-            return {
-              rates: { [hintTarget.toUpperCase()]: pair.rate },
-              source: pair.source,
-              timestamp: pair.timestamp,
-              full: false
-            };
-          }
-        }
-      } catch (error) {
-        console.warn(
-          `⚠️ ${API_PROVIDERS[provider].name} failed:`,
-          error.message
-        );
-        errors.push(`${API_PROVIDERS[provider].name}: ${error.message}`);
-        continue; // Try next provider
-      }
+    const started = Date.now();
+    try {
+      const table = await provider.fetchTable(base, request);
+      await this.health.recordSuccess(provider.id, Date.now() - started);
+      return table;
+    } catch (error) {
+      await this.health.recordFailure(provider.id, error, Date.now() - started);
+      throw error;
     }
+  }
 
-    throw new Error(
-      'All API providers failed. Please check your internet connection and API keys. Errors: ' +
-        errors.join('; ')
+  /**
+   * Throw if the provider's circuit breaker is open.
+   * @param {Object} provider - RateProvider from the registry
+   */
+  async ensureProviderAvailable(provider) {
+    const { allowed, openUntil, quotaExhausted } = await this.health.check(
+      provider.id
     );
+    if (!allowed) {
+      const until = new Date(openUntil).toLocaleTimeString();
+      throw createProviderError(
+        quotaExhausted
+          ? `${provider.name} quota exhausted, skipped until ${until}`
+          : `${provider.name} failing repeatedly, skipped until ${until}`,
+        PROVIDER_ERRORS.CIRCUIT_OPEN,
+        provider.id
+      );
+    }
   }
 
   /**
-   * Fetch exchange rate from specific provider (single pair)
-   * @param {string} provider - API provider name
-   * @param {string} fromCurrency - Source currency code
-   * @param {string} toCurrency - Target currency code
-   * @returns {Promise<Object>} Exchange rate data
+   * Move providers whose daily or monthly quota is running out behind the
+   * ones with room left; priority order is kept within each group.
+   * @param {Object[]} providers - RateProviders in priority order
+   * @returns {Promise<Object[]>}
    */
-  async fetchFromProvider(provider, fromCurrency, toCurrency) {
-    switch (provider) {
-      case 'EXCHANGERATE_API':
-        return await this.fetchFromExchangeRateApi(fromCurrency, toCurrency);
-      case 'FIXER_IO':
-        return await this.fetchFromFixerIo(fromCurrency, toCurrency);
-      case 'CURRENCY_API':
-        return await this.fetchFromCurrencyApi(fromCurrency, toCurrency);
-      case 'ALPHA_VANTAGE':
-        return await this.fetchFromAlphaVantage(fromCurrency, toCurrency);
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
-    }
+  async orderByQuota(providers) {
+    await this.quota.load();
+    const keys = await this.apiKeyManager.getAllApiKeys();
+    const rank = {
+      [QUOTA_LEVELS.OK]: 0,
+      [QUOTA_LEVELS.WARNING]: 1,
+      [QUOTA_LEVELS.CRITICAL]: 2,
+      [QUOTA_LEVELS.EXHAUSTED]: 3
+    };
+    return providers
+      .map((provider, index) => ({
+        provider,
+        index,
+        rank: rank[this.quota.levelOf(provider, keys[provider.id]?.key)]
+      }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(({ provider }) => provider);
   }
 
   /**
-   * Fetch the full conversion table from ExchangeRate-API for a base currency.
+   * Fetch a rate table for a base currency, trying providers in priority order.
+   * Full-table providers return every currency for the base in one call;
+   * pair-only providers return a partial table for the hinted target.
+   * Crypto bases or targets only go to providers that list crypto. The
+   * keyless central-bank feeds come last, so rates still load when no key
+   * is configured or every keyed provider fails. Providers low on quota
+   * are tried after the others (see orderByQuota).
+   *
+   * In consensus mode the first N providers that answer are combined: each
+   * rate is the median of their quotes after outliers are dropped (see
+   * rate-consensus.js).
    * @param {string} base - Base currency code
-   * @returns {Promise<{rates: Object, source: string, timestamp: string}>}
+   * @param {string|null} hintTarget - Target currency (needed by single-pair providers)
+   * @returns {Promise<{rates: Object, source: string, timestamp: string, full: boolean, consensus?: Object}>}
    */
-  async fetchTableFromExchangeRateApi(base) {
-    const apiKey = await this.apiKeyManager.getApiKey('EXCHANGERATE_API');
-    if (!apiKey) {
-      throw new Error('ExchangeRate-API key not configured');
-    }
+  async fetchRateTable(base, hintTarget = null) {
+    await this.ensureApiKeysInitialized();
 
-    const url = `${API_PROVIDERS.EXCHANGERATE_API.baseUrl}/${apiKey}/latest/${base}`;
-    console.log('🌐 Making table request to:', url.replace(apiKey, '***'));
+    const target = hintTarget ? hintTarget.toUpperCase() : null;
+    const providers = await this.orderByQuota(
+      rateProviders.list({
+        crypto: isCryptoCurrency(base) || isCryptoCurrency(target)
+      })
+    );
+    const consensus = this.getConsensusConfig();
+    const wanted = consensus.enabled ? consensus.providerCount : 1;
+    const answers = [];
+    const failures = [];
 
-    const response = await safeFetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    for (const provider of providers) {
+      if (answers.length >= wanted) {
+        break;
+      }
+      // Single-pair providers can't build a table without a target.
+      if (!provider.capabilities.fullTable && !target) {
+        continue;
+      }
+      try {
+        await this.ensureProviderAvailable(provider);
+        const table = await this.fetchFromAdapter(provider, base, {
+          symbols: provider.capabilities.fullTable ? null : [target]
+        });
+        console.log(
+          `✅ Fetched rate table for ${base} from ${table.source} (${Object.keys(table.rates).length} currencies)`
+        );
+        answers.push({ provider, table });
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} failed:`, error.message);
+        failures.push({ provider, error });
+      }
     }
 
-    const data = await response.json();
-    if (data.result === 'error') {
-      throw new Error(`API Error: ${data['error-type']}`);
+    if (answers.length === 0) {
+      throw this.createAggregateError(
+        'All API providers failed. Please check your internet connection and API keys.',
+        failures
+      );
     }
-    if (!data.conversion_rates) {
-      throw new Error(`No conversion rates returned for ${base}`);
+    if (answers.length === 1) {
+      if (consensus.enabled) {
+        console.warn(
+          `⚠️ Consensus for ${base}: only ${answers[0].table.source} answered`
+        );
+      }
+      return answers[0].table;
     }
-
-    return {
-      rates: data.conversion_rates,
-      source: 'ExchangeRate-API',
-      timestamp: new Date().toISOString()
-    };
+    return this.combineTables(base, answers, consensus.tolerance);
   }
 
   /**
-   * Fetch a single pair from ExchangeRate-API (used by the per-pair fallback chain)
+   * Merge the tables of several providers into a consensus table and record
+   * how far each provider was from it.
+   * @param {string} base - Base currency code
+   * @param {Array<{provider: Object, table: Object}>} answers
+   * @param {number} tolerance - Outlier threshold in percent
+   * @returns {Promise<Object>} Rate table with a consensus summary
    */
-  async fetchFromExchangeRateApi(fromCurrency, toCurrency) {
-    const table = await this.fetchTableFromExchangeRateApi(fromCurrency);
-    if (typeof table.rates[toCurrency] !== 'number') {
-      throw new Error(`Rate not available for ${fromCurrency} → ${toCurrency}`);
+  async combineTables(base, answers, tolerance) {
+    const { rates, rejected, disputed, deviations } = buildConsensus(
+      answers.map(({ provider, table }) => ({
+        provider: provider.id,
+        rates: table.rates
+      })),
+      { base, tolerance }
+    );
+    await this.recordDeviations(deviations);
+
+    const outliers = Object.fromEntries(
+      Object.entries(rejected).filter(([, codes]) => codes.length > 0)
+    );
+    if (Object.keys(outliers).length > 0 || disputed.length > 0) {
+      console.warn(`⚠️ Consensus for ${base} rejected outliers:`, {
+        outliers,
+        disputed
+      });
     }
+
     return {
-      rate: table.rates[toCurrency],
-      source: table.source,
-      timestamp: table.timestamp,
-      fromCurrency,
-      toCurrency
+      rates,
+      source: `Consensus (${answers.map(({ table }) => table.source).join(', ')})`,
+      timestamp: answers
+        .map(({ table }) => table.timestamp)
+        .sort()
+        .pop(),
+      full: answers.some(({ table }) => table.full),
+      consensus: {
+        providers: answers.map(({ provider }) => provider.id),
+        tolerance,
+        rejected: outliers,
+        disputed
+      }
     };
   }
 
   /**
-   * Fetch from Fixer.io (requires API key)
+   * Load persisted consensus deviation stats.
+   * @returns {Promise<Object>} provider id → deviation stats
    */
-  async fetchFromFixerIo(fromCurrency, toCurrency) {
-    const apiKey = await this.apiKeyManager.getApiKey('FIXER_IO');
-    if (!apiKey) {
-      throw new Error('Fixer.io API key not configured');
-    }
-
-    const url = `${API_PROVIDERS.FIXER_IO.baseUrl}?access_key=${apiKey}&base=${fromCurrency}&symbols=${toCurrency}`;
-    const response = await safeFetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.success) {
-      throw new Error(data.error?.info || 'Fixer.io API error');
-    }
-
-    if (!data.rates || !data.rates[toCurrency]) {
-      throw new Error(`Rate not available for ${fromCurrency} → ${toCurrency}`);
+  async loadConsensusStats() {
+    if (!this.consensusStats) {
+      try {
+        const stored = await chrome.storage.local.get(CONSENSUS_STATS_KEY);
+        this.consensusStats = stored?.[CONSENSUS_STATS_KEY] || {};
+      } catch {
+        this.consensusStats = {};
+      }
     }
-
-    return {
-      rate: data.rates[toCurrency],
-      source: 'Fixer.io',
-      timestamp: new Date(data.timestamp * 1000).toISOString(),
-      fromCurrency,
-      toCurrency
-    };
+    return this.consensusStats;
   }
 
   /**
-   * Fetch from CurrencyAPI (requires API key)
+   * Add one consensus round to the persisted per-provider stats.
+   * @param {Object} deviations - From buildConsensus()
    */
-  async fetchFromCurrencyApi(fromCurrency, toCurrency) {
-    const apiKey = await this.apiKeyManager.getApiKey('CURRENCY_API');
-    if (!apiKey) {
-      throw new Error('CurrencyAPI key not configured');
-    }
-
-    const url = `${API_PROVIDERS.CURRENCY_API.baseUrl}?apikey=${apiKey}&base_currency=${fromCurrency}&currencies=${toCurrency}`;
-    const response = await safeFetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.data || !data.data[toCurrency]) {
-      throw new Error(`Rate not available for ${fromCurrency} → ${toCurrency}`);
+  async recordDeviations(deviations) {
+    const stats = { ...(await this.loadConsensusStats()) };
+    Object.entries(deviations).forEach(([provider, round]) => {
+      if (round.compared > 0) {
+        stats[provider] = accumulateDeviation(stats[provider], round);
+      }
+    });
+    this.consensusStats = stats;
+    try {
+      await chrome.storage.local.set({ [CONSENSUS_STATS_KEY]: stats });
+    } catch (error) {
+      console.warn('⚠️ Failed to save consensus stats:', error.message);
     }
-
-    return {
-      rate: data.data[toCurrency].value,
-      source: 'CurrencyAPI',
-      timestamp: new Date(data.meta.last_updated_at).toISOString(),
-      fromCurrency,
-      toCurrency
-    };
   }
 
   /**
-   * Fetch from Alpha Vantage (requires API key)
+   * Fetch the full rate table of a base currency as it was on a past date,
+   * trying the providers with a historical endpoint in priority order.
+   * @param {string} base - Base currency code
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<{rates: Object, source: string, timestamp: string, date: string}>}
    */
-  async fetchFromAlphaVantage(fromCurrency, toCurrency) {
-    const apiKey = await this.apiKeyManager.getApiKey('ALPHA_VANTAGE');
-    if (!apiKey) {
-      throw new Error('Alpha Vantage API key not configured');
-    }
+  async fetchHistoricalRateTable(base, date) {
+    await this.ensureApiKeysInitialized();
 
-    const url = `${API_PROVIDERS.ALPHA_VANTAGE.baseUrl}?function=CURRENCY_EXCHANGE_RATE&from_currency=${fromCurrency}&to_currency=${toCurrency}&apikey=${apiKey}`;
-    const response = await safeFetch(url);
+    const providers = await this.orderByQuota(
+      rateProviders.list({
+        historical: true,
+        fullTable: true,
+        crypto: isCryptoCurrency(base)
+      })
+    );
+    const failures = [];
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    for (const provider of providers) {
+      try {
+        await this.ensureProviderAvailable(provider);
+        const table = await this.fetchFromAdapter(provider, base, { date });
+        console.log(
+          `✅ Fetched ${date} rate table for ${base} from ${table.source} (${Object.keys(table.rates).length} currencies)`
+        );
+        return { ...table, date };
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} (historical) failed:`, error.message);
+        failures.push({ provider, error });
+      }
     }
 
-    const data = await response.json();
+    throw this.createAggregateError(
+      `No historical rates available for ${base} on ${date}.`,
+      failures
+    );
+  }
 
-    if (data['Error Message']) {
-      throw new Error(data['Error Message']);
+  /**
+   * Fetch exchange rate from specific provider (single pair)
+   * @param {string} provider - API provider id
+   * @param {string} fromCurrency - Source currency code
+   * @param {string} toCurrency - Target currency code
+   * @returns {Promise<Object>} Exchange rate data
+   */
+  async fetchFromProvider(provider, fromCurrency, toCurrency) {
+    const adapter = rateProviders.get(provider);
+    if (!adapter) {
+      throw new Error(`Unknown provider: ${provider}`);
     }
 
-    const exchangeData = data['Realtime Currency Exchange Rate'];
-    if (!exchangeData) {
+    const table = await this.fetchFromAdapter(adapter, fromCurrency, {
+      symbols: [toCurrency]
+    });
+    if (typeof table.rates[toCurrency] !== 'number') {
       throw new Error(`Rate not available for ${fromCurrency} → ${toCurrency}`);
     }
-
     return {
-      rate: parseFloat(exchangeData['5. Exchange Rate']),
-      source: 'Alpha Vantage',
-      timestamp: exchangeData['6. Last Refreshed'],
+      rate: table.rates[toCurrency],
+      source: table.source,
+      timestamp: table.timestamp,
       fromCurrency,
       toCurrency
     };
@@ -578,8 +663,35 @@ export class CurrencyApiService {
    */
   getServiceStats() {
     return {
-      availableProviders: Object.keys(API_PROVIDERS).length,
-      queueLength: this.requestQueue.length
+      availableProviders: rateProviders.list().length,
+      queueLength: this.requestQueue.length,
+      // Success rate, latency and circuit state per provider
+      health: Object.fromEntries(
+        Object.entries(this.health.getSummary()).map(([id, health]) => [
+          id,
+          { name: rateProviders.get(id)?.name || id, ...health }
+        ])
+      ),
+      // Requests counted against each provider key's plan limits
+      quota: Object.fromEntries(
+        Object.entries(this.quota.getSummary()).map(([id, usage]) => [
+          id,
+          {
+            name: rateProviders.get(usage.provider)?.name || usage.provider,
+            ...usage
+          }
+        ])
+      ),
+      // Which providers drift from the consensus (see combineTables)
+      consensus: {
+        ...this.getConsensusConfig(),
+        deviation: Object.fromEntries(
+          Object.entries(this.consensusStats || {}).map(([id, stats]) => [
+            id,
+            { name: rateProviders.get(id)?.name || id, ...stats }
+          ])
+        )
+      }
     };
   }
 
@@ -591,7 +703,7 @@ export class CurrencyApiService {
       const result = await this.fetchFromProvider(provider, 'USD', 'EUR');
       return {
         success: true,
-        provider: API_PROVIDERS[provider].name,
+        provider: rateProviders.get(provider).name,
         rate: result.rate,
         source: result.source,
         timestamp: result.timestamp
@@ -599,7 +711,7 @@ export class CurrencyApiService {
     } catch (error) {
       return {
         success: false,
-        provider: API_PROVIDERS[provider].name,
+        provider: rateProviders.get(provider)?.name || provider,
         error: error.message
       };
     }
@@ -796,6 +908,145 @@ export class ExchangeRateService {
     return { rate, source: own.source, timestamp: own.timestamp };
   }
 
+  /**
+   * Resolve the full rate table for a base currency, cache-first.
+   * Serves a fresh cached table when available, otherwise fetches once
+   * (deduplicated) and falls back to a stale table when offline mode allows.
+   * Used by bulk consumers (page annotation) that convert many amounts at once.
+   * @param {string} base - Base currency code
+   * @returns {Promise<{base:string, rates:Object, source:string, fetchedAt:number, cached:boolean, stale:boolean}>}
+   */
+  async getRateTable(base) {
+    base = String(base).toUpperCase();
+
+    const cached = await rateCache.getRateTable(base);
+    if (cached && cached.rates && Date.now() <= cached.expiresAt) {
+      return { ...cached, cached: true, stale: false };
+    }
+
+    try {
+      const fresh = await this._dedupFetch(base, null);
+      return {
+        base,
+        rates: fresh.rates,
+        source: fresh.source,
+        fetchedAt: Date.now(),
+        cached: false,
+        stale: false
+      };
+    } catch (error) {
+      const { offlineEnabled, offlineMaxAge } = rateCache.getConfig();
+      if (
+        offlineEnabled &&
+        cached &&
+        cached.rates &&
+        Date.now() - cached.fetchedAt <= offlineMaxAge
+      ) {
+        console.log(`📴 Offline fallback for ${base} rate table`);
+        return { ...cached, cached: true, stale: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the rate table of a base currency for a past date, cache-first.
+   * Historical tables never expire, so each base/date pair is fetched once.
+   * Today's date (or a later one) resolves to the latest table.
+   * @param {string} base - Base currency code
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<{base:string, date:string, rates:Object, source:string, fetchedAt:number, cached:boolean, stale:boolean}>}
+   */
+  async getHistoricalRateTable(base, date) {
+    base = String(base).toUpperCase();
+    const day = normalizeDate(date);
+    if (!day) {
+      throw new Error('Invalid date provided');
+    }
+    if (!isPastDate(day)) {
+      return { ...(await this.getRateTable(base)), date: null };
+    }
+
+    const cached = await rateCache.getHistoricalTable(base, day);
+    if (cached && cached.rates) {
+      return { ...cached, cached: true, stale: false };
+    }
+
+    const key = `${base}@${day}`;
+    if (!this.inFlight.has(key)) {
+      const promise = this.apiService
+        .fetchHistoricalRateTable(base, day)
+        .then(async fetched => {
+          await rateCache.setHistoricalTable(
+            base,
+            day,
+            fetched.rates,
+            fetched.source
+          );
+          return fetched;
+        })
+        .finally(() => {
+          this.inFlight.delete(key);
+        });
+      this.inFlight.set(key, promise);
+    }
+
+    const fresh = await this.inFlight.get(key);
+    return {
+      base,
+      date: day,
+      rates: fresh.rates,
+      source: fresh.source,
+      fetchedAt: Date.now(),
+      cached: false,
+      stale: false
+    };
+  }
+
+  /**
+   * Convert an amount at the rate of a past date ("what was this worth on
+   * 2024-03-01"). Same result shape as convertCurrency() plus the rate date.
+   * @param {number} amount - Amount to convert
+   * @param {string} fromCurrency - Source currency code
+   * @param {string} toCurrency - Target currency code
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object>} Conversion result with metadata
+   */
+  async convertCurrencyOnDate(amount, fromCurrency, toCurrency, date) {
+    if (!amount || isNaN(amount) || amount <= 0) {
+      throw new Error('Invalid amount provided');
+    }
+    if (!fromCurrency || !toCurrency) {
+      throw new Error('Currency codes are required');
+    }
+
+    fromCurrency = fromCurrency.toUpperCase();
+    toCurrency = toCurrency.toUpperCase();
+
+    const table = await this.getHistoricalRateTable(fromCurrency, date);
+    const rate = fromCurrency === toCurrency ? 1 : table.rates[toCurrency];
+    if (typeof rate !== 'number') {
+      throw new Error(
+        `Rate not available for ${fromCurrency} → ${toCurrency} on ${date}`
+      );
+    }
+
+    const convertedAmount = this.calculateConversion(amount, rate);
+    return {
+      originalAmount: amount,
+      convertedAmount,
+      rate,
+      fromCurrency,
+      toCurrency,
+      source: table.source,
+      timestamp: new Date(table.fetchedAt).toISOString(),
+      rateDate: table.date,
+      cached: table.cached || false,
+      offline: table.stale || false,
+      precision: this.getDecimalPlaces(convertedAmount)
+    };
+  }
+
   /**
    * Warm/refresh the cached table for a base currency (used by background refresh).
    * @param {string} base - Base currency code
@@ -950,6 +1201,14 @@ export class ExchangeRateService {
    * @returns {boolean} True if should not retry
    */
   shouldNotRetry(error) {
+    // Provider adapters classify their own errors
+    if (typeof error.retryable === 'boolean') {
+      return !error.retryable;
+    }
+    if (error.kind) {
+      return !isRetryableError(error);
+    }
+
     const noRetryMessages = [
       'API key not configured',
       'Invalid currency',
@@ -1017,6 +1276,9 @@ export class ExchangeRateService {
   async getServiceStats() {
     try {
       const cachedBases = await rateCache.getCachedBases();
+      await this.apiService.loadConsensusStats?.();
+      await this.apiService.health?.load();
+      await this.apiService.quota?.load();
       return {
         cache: {
           stats: rateCache.getStats(),
@@ -0,0 +1,352 @@
+// Bulk Conversion
+//
+// Converts a pasted column of amounts or a CSV/TSV file in one go:
+//
+//   Item;Price;Currency          Price
+//   Lamp;1.234,56;EUR            €12,50
+//   Desk;99;USD                  $1,299.00
+//                                450
+//
+// Each row's currency comes from the currency column, a symbol or code in the
+// amount cell itself, or the chosen source currency, in that order. Rows are
+// grouped by currency so every base needs exactly one rate table.
+
+import {
+  detectionPipeline,
+  isKnownCurrency,
+  symbolToCurrencyCode
+} from './detection-pipeline.js';
+import { parseAmount } from './number-parser.js';
+
+// Keeps a careless paste from freezing the popup
+export const MAX_BULK_ROWS = 5000;
+
+// Tried in order; the first that splits the sample lines consistently wins
+const DELIMITERS = ['\t', ';', ','];
+const SAMPLE_LINES = 5;
+
+// A line that is only a number: "1,234.56" must not be read as two columns
+const NUMBER_ONLY_LINE = /^\s*"?[-+(]?[\d\s.,']+\)?"?\s*$/;
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Guess the delimiter from the first few lines. Falls back to a single column.
+ * @param {string[]} lines - Non-empty lines
+ * @returns {string|null} Delimiter, or null for one column
+ */
+export function detectDelimiter(lines) {
+  const sample = lines.slice(0, SAMPLE_LINES);
+  for (const delimiter of DELIMITERS) {
+    const counts = sample.map(line => countOutsideQuotes(line, delimiter));
+    const consistent = counts[0] > 0 && counts.every(c => c === counts[0]);
+    if (!consistent) {
+      continue;
+    }
+    if (
+      delimiter === ',' &&
+      sample.every(line => NUMBER_ONLY_LINE.test(line))
+    ) {
+      continue;
+    }
+    return delimiter;
+  }
+  return null;
+}
+
+/**
+ * Split delimited text into rows of cells (RFC 4180 quoting).
+ * @param {string} text - Pasted text or file contents
+ * @returns {{delimiter: string|null, rows: string[][]}}
+ */
+export function parseDelimitedText(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const lines = source.split(/\r?\n/).filter(line => line.trim());
+  const delimiter = detectDelimiter(lines);
+  if (!delimiter) {
+    return { delimiter, rows: lines.map(line => [line.trim()]) };
+  }
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell.trim());
+      if (row.some(Boolean)) {
+        rows.push(row);
+      }
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) {
+    rows.push(row);
+  }
+
+  return { delimiter, rows };
+}
+
+/**
+ * Read one amount cell: "1.234,56", "€12,50", "-99", "(45.00)", "USD 5".
+ * @param {string} cell
+ * @returns {{amount: number, currency: string|null}|null}
+ */
+export function parseAmountCell(cell) {
+  let text = String(cell ?? '').trim();
+  // Accounting negatives: "-12.50" and "(12.50)"
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1).trim();
+  } else if (/^[-−]/.test(text)) {
+    sign = -1;
+    text = text.slice(1).trim();
+  }
+  if (!text) {
+    return null;
+  }
+
+  const plain = parseAmount(text);
+  if (Number.isFinite(plain)) {
+    return { amount: sign * plain, currency: null };
+  }
+
+  const [best] = detectionPipeline.detect(text);
+  if (best && Number.isFinite(best.amount)) {
+    return { amount: sign * best.amount, currency: best.currency };
+  }
+  return null;
+}
+
+/**
+ * Read a currency cell: "eur", "€", "USD".
+ * @param {string} cell
+ * @returns {string|null} Currency code
+ */
+export function parseCurrencyCell(cell) {
+  const text = String(cell ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  const code = text.toUpperCase();
+  if (/^[A-Z]{3,5}$/.test(code) && isKnownCurrency(code)) {
+    return code;
+  }
+  return symbolToCurrencyCode(text) || null;
+}
+
+function columnShare(rows, column, test) {
+  const cells = rows.map(row => row[column]).filter(Boolean);
+  if (cells.length === 0) {
+    return 0;
+  }
+  return cells.filter(test).length / cells.length;
+}
+
+/**
+ * Guess the header row and the amount/currency columns. A column counts when
+ * most of its non-empty cells read as amounts (or currencies).
+ * @param {string[][]} rows - Parsed rows
+ * @returns {{hasHeader: boolean, amountColumn: number, currencyColumn: number|null}}
+ */
+export function guessColumns(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const isAmount = cell => parseAmountCell(cell) !== null;
+
+  // A header has no amounts where the rows below it do
+  const [first = [], ...rest] = rows;
+  const hasHeader =
+    rest.length > 0 &&
+    !first.some(isAmount) &&
+    rest.slice(0, SAMPLE_LINES).some(row => row.some(isAmount));
+  const data = (hasHeader ? rest : rows).slice(0, 50);
+
+  let amountColumn = 0;
+  let currencyColumn = null;
+  let bestAmountShare = 0;
+  for (let column = 0; column < width; column++) {
+    const amountShare = columnShare(data, column, isAmount);
+    if (amountShare > 0.5 && amountShare > bestAmountShare) {
+      amountColumn = column;
+      bestAmountShare = amountShare;
+    }
+  }
+  for (let column = 0; column < width; column++) {
+    if (
+      column !== amountColumn &&
+      columnShare(data, column, cell => parseCurrencyCell(cell) !== null) > 0.5
+    ) {
+      currencyColumn = column;
+      break;
+    }
+  }
+
+  return { hasHeader, amountColumn, currencyColumn };
+}
+
+function formatNumber(value, decimals) {
+  return Number.isFinite(value) ? value.toFixed(decimals) : '';
+}
+
+/**
+ * Convert every row into the target currency, one rate table per base.
+ * @param {string[][]} rows - Parsed rows (header included when hasHeader)
+ * @param {Object} options
+ * @param {boolean} [options.hasHeader=false] - First row is a header
+ * @param {number} [options.amountColumn=0] - Column holding the amounts
+ * @param {number|null} [options.currencyColumn=null] - Column holding each row's currency
+ * @param {string} options.sourceCurrency - Currency of rows that don't name one
+ * @param {string} options.targetCurrency - Currency to convert into
+ * @param {number} [options.decimals=2] - Decimal places of converted amounts
+ * @param {Function} options.getRateTable - async base => {rates, source}
+ * @returns {Promise<{header: string[], rows: string[][], converted: number, failed: Array<{line: number, reason: string}>, sources: Object}>}
+ */
+export async function convertBulkRows(
+  rows,
+  {
+    hasHeader = false,
+    amountColumn = 0,
+    currencyColumn = null,
+    sourceCurrency,
+    targetCurrency,
+    decimals = 2,
+    getRateTable
+  }
+) {
+  const data = hasHeader ? rows.slice(1) : rows;
+  if (data.length > MAX_BULK_ROWS) {
+    throw new Error(`Bulk conversion is limited to ${MAX_BULK_ROWS} rows`);
+  }
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const target = String(targetCurrency).toUpperCase();
+
+  const plans = data.map((row, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const parsed = parseAmountCell(row[amountColumn]);
+    if (!parsed) {
+      return { line, reason: `"${row[amountColumn] ?? ''}" isn't an amount` };
+    }
+    const currency =
+      currencyColumn === null
+        ? parsed.currency || sourceCurrency
+        : parseCurrencyCell(row[currencyColumn]) ||
+          parsed.currency ||
+          sourceCurrency;
+    return { line, amount: parsed.amount, currency: currency.toUpperCase() };
+  });
+
+  // One table per base; a failed base only fails its own rows
+  const tables = new Map();
+  const bases = [
+    ...new Set(plans.filter(p => p.currency).map(p => p.currency))
+  ].filter(base => base !== target);
+  for (const base of bases) {
+    try {
+      tables.set(base, await getRateTable(base));
+    } catch (error) {
+      tables.set(base, { error: error.message });
+    }
+  }
+
+  const failed = [];
+  const sources = {};
+  const output = data.map((row, index) => {
+    const plan = plans[index];
+    const cells = Array.from({ length: width }, (_, i) => row[i] ?? '');
+    let rate = null;
+
+    if (plan.reason) {
+      failed.push({ line: plan.line, reason: plan.reason });
+    } else if (plan.currency === target) {
+      rate = 1;
+    } else {
+      const table = tables.get(plan.currency);
+      rate = table?.rates?.[target] ?? null;
+      if (table?.rates) {
+        sources[plan.currency] = table.source;
+      }
+      if (typeof rate !== 'number') {
+        rate = null;
+        failed.push({
+          line: plan.line,
+          reason: table?.error || `No rate for ${plan.currency} → ${target}`
+        });
+      }
+    }
+
+    return [
+      ...cells,
+      rate === null ? '' : formatNumber(plan.amount * rate, decimals),
+      rate === null ? '' : String(Number(rate.toFixed(6)))
+    ];
+  });
+
+  const header = hasHeader
+    ? Array.from({ length: width }, (_, i) => rows[0][i] ?? '')
+    : Array.from({ length: width }, (_, i) =>
+        i === amountColumn ? 'Amount' : `Column ${i + 1}`
+      );
+
+  return {
+    header: [...header, `Amount (${target})`, `Rate to ${target}`],
+    rows: output,
+    converted: output.length - failed.length,
+    failed,
+    sources
+  };
+}
+
+/**
+ * Serialize rows as CSV, quoting cells that need it.
+ * @param {string[][]} rows
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function toCsv(rows, delimiter = ',') {
+  return rows
+    .map(row =>
+      row
+        .map(cell => {
+          const text = String(cell ?? '');
+          return /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+        })
+        .join(delimiter)
+    )
+    .join('\r\n');
+}
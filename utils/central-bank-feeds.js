@@ -0,0 +1,96 @@
+// Central Bank Feeds
+//
+// Parsers for the reference rates central banks publish without an API key:
+// the European Central Bank's eurofxref XML (EUR based) and the Czech
+// National Bank's daily fixing text file (CZK based). Both return plain
+// tables of units per 1 base currency, ready for rebaseRates(). The
+// service worker has no DOMParser, so everything here is string parsing.
+
+const DAY_BLOCK =
+  /<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]\s*>([\s\S]*?)<\/Cube>/g;
+const RATE_ENTRY =
+  /<Cube\s+currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]\s*\/>/g;
+
+/**
+ * Every day in an ECB eurofxref document (daily or history feed).
+ * @param {string} xml
+ * @returns {Array<{date: string, rates: Object}>} Newest first; rates are
+ *   units per 1 EUR
+ */
+export function parseEcbXml(xml) {
+  const days = [];
+  for (const [, date, body] of String(xml ?? '').matchAll(DAY_BLOCK)) {
+    const rates = {};
+    for (const [, code, rate] of body.matchAll(RATE_ENTRY)) {
+      const value = Number(rate);
+      if (value > 0) {
+        rates[code] = value;
+      }
+    }
+    if (Object.keys(rates).length > 0) {
+      days.push({ date, rates });
+    }
+  }
+  return days.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * The rates in force on a date: that day's, or the last working day's
+ * before it (no rates are published on weekends and holidays).
+ * @param {Array<{date: string, rates: Object}>} days - From parseEcbXml()
+ * @param {string|null} date - YYYY-MM-DD, or null for the latest
+ * @returns {{date: string, rates: Object}|null}
+ */
+export function pickReferenceDay(days, date = null) {
+  if (!date) {
+    return days[0] || null;
+  }
+  return days.find(day => day.date <= date) || null;
+}
+
+/**
+ * Parse a Czech National Bank fixing file:
+ *
+ *   01.03.2024 #44
+ *   Country|Currency|Amount|Code|Rate
+ *   Hungary|forint|100|HUF|6.432
+ *
+ * Rate is CZK per Amount units, so the table holds Amount / Rate.
+ * @param {string} text
+ * @returns {{date: string, rates: Object}|null} Rates are units per 1 CZK
+ */
+export function parseCnbFixing(text) {
+  const lines = String(text ?? '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+  const heading = /^(\d{2})\.(\d{2})\.(\d{4})/.exec(lines[0] || '');
+  if (!heading) {
+    return null;
+  }
+
+  const rates = {};
+  lines.slice(1).forEach(line => {
+    const [, , amount, code, rate] = line.split('|');
+    const units = Number(amount);
+    const czk = Number(String(rate ?? '').replace(',', '.'));
+    if (/^[A-Z]{3}$/.test(code ?? '') && units > 0 && czk > 0) {
+      rates[code] = units / czk;
+    }
+  });
+
+  return {
+    date: `${heading[3]}-${heading[2]}-${heading[1]}`,
+    rates
+  };
+}
+
+/**
+ * Date parameter the CNB fixing endpoint expects (DD.MM.YYYY).
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export function toCnbDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}.${month}.${year}`;
+}
@@ -13,6 +13,8 @@
  * UTILITIES:
  * - CurrencyPreferences: User preferences class
  * - SmartCurrencyDetector: ML-like currency detection
+ * - DetectionPipeline: Pluggable detection stages shared by all detectors
+ * - parseAmount: Shared number parser (US, European, Swiss, Indian formats)
  * - Formatting functions: Format amounts, rates, timestamps
  *
  * SETTINGS:
@@ -61,6 +63,20 @@ export {
   smartCurrencyDetector
 } from '../smart-currency-detector.js';
 
+export {
+  DetectionPipeline,
+  detectionPipeline,
+  createDefaultPipeline,
+  createSymbolStage,
+  createIsoCodeStage,
+  createWordStage,
+  createCryptoStage,
+  createContextStage,
+  symbolToCurrencyCode
+} from '../detection-pipeline.js';
+
+export { parseAmount, detectNumberFormat } from '../number-parser.js';
+
 // ============================================
 // CONVERSION UTILITIES EXPORTS
 // ============================================
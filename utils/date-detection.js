@@ -0,0 +1,198 @@
+// Date Detection
+//
+// Finds calendar dates in page text ("Invoice date: 01.03.2024", "March 1,
+// 2024", "2024-03-01") so a price can be converted at the rate of the day it
+// was charged. All results are ISO dates (YYYY-MM-DD), the form historical
+// rate endpoints and RateCache keys use.
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12
+};
+
+const MONTH_NAME =
+  '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+const PATTERNS = [
+  // 2024-03-01, 2024/3/1
+  {
+    regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g,
+    read: m => [m[1], m[2], m[3]]
+  },
+  // 01.03.2024, 1/3/2024, 03-01-2024 (day or month first, see below)
+  {
+    regex: /\b(\d{1,2})([./-])(\d{1,2})\2(\d{4})\b/g,
+    read: (m, { monthFirst }) => {
+      const a = Number(m[1]);
+      const b = Number(m[3]);
+      const swap = a > 12 ? false : b > 12 ? true : monthFirst;
+      return swap ? [m[4], a, b] : [m[4], b, a];
+    }
+  },
+  // 1 March 2024, 1st Mar. 2024
+  {
+    regex: new RegExp(
+      `\\b(\\d{1,2})${ORDINAL}\\.?\\s+${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`,
+      'gi'
+    ),
+    read: m => [m[3], MONTHS[m[2].slice(0, 3).toLowerCase()], m[1]]
+  },
+  // March 1, 2024, Mar 1st 2024
+  {
+    regex: new RegExp(
+      `\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})${ORDINAL},?\\s+(\\d{4})\\b`,
+      'gi'
+    ),
+    read: m => [m[3], MONTHS[m[1].slice(0, 3).toLowerCase()], m[2]]
+  }
+];
+
+/**
+ * ISO date for a calendar day, or null when the day doesn't exist.
+ * @param {number|string} year
+ * @param {number|string} month - 1-12
+ * @param {number|string} day - 1-31
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function toIsoDate(year, month, day) {
+  const [y, m, d] = [year, month, day].map(Number);
+  if (![y, m, d].every(Number.isInteger) || y < 1000 || y > 9999) {
+    return null;
+  }
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date in the user's time zone.
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function todayIsoDate(now = new Date()) {
+  return toIsoDate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+}
+
+/**
+ * Normalize a date input value or Date to YYYY-MM-DD.
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+export function normalizeDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : toIsoDate(
+          value.getUTCFullYear(),
+          value.getUTCMonth() + 1,
+          value.getUTCDate()
+        );
+  }
+  const match = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})\s*$/.exec(String(value ?? ''));
+  return match ? toIsoDate(match[1], match[2], match[3]) : null;
+}
+
+/**
+ * True for a valid date before today, i.e. one that needs historical rates.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isPastDate(date, now = new Date()) {
+  const iso = normalizeDate(date);
+  return iso !== null && iso < todayIsoDate(now);
+}
+
+/**
+ * Every date written in a piece of text.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.monthFirst=false] - Read 03/01/2024 as March 1
+ *   (US order) when neither number is above 12
+ * @returns {Array<{date: string, index: number, length: number, text: string}>}
+ *   in reading order
+ */
+export function findDates(text, { monthFirst = false } = {}) {
+  const value = String(text ?? '');
+  const found = [];
+
+  for (const { regex, read } of PATTERNS) {
+    for (const match of value.matchAll(regex)) {
+      const date = toIsoDate(...read(match, { monthFirst }));
+      const end = match.index + match[0].length;
+      const overlaps = found.some(
+        other => match.index < other.index + other.length && end > other.index
+      );
+      if (date && !overlaps) {
+        found.push({
+          date,
+          index: match.index,
+          length: match[0].length,
+          text: match[0]
+        });
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * The date written closest to a span of text (the selected price).
+ * @param {string} text - Surrounding text
+ * @param {Object} span
+ * @param {number} span.start - Index where the selection starts
+ * @param {number} [span.end] - Index where it ends
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=400] - Ignore dates further away
+ * @param {boolean} [options.monthFirst=false] - See findDates()
+ * @returns {{date: string, index: number, length: number, text: string}|null}
+ */
+export function findNearestDate(
+  text,
+  { start, end = start },
+  { maxDistance = 400, monthFirst = false } = {}
+) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const found of findDates(text, { monthFirst })) {
+    const distance =
+      found.index >= end
+        ? found.index - end
+        : Math.max(0, start - (found.index + found.length));
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = found;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Short label for menus and tooltips ("1 Mar 2024").
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatShortDate(date) {
+  const iso = normalizeDate(date);
+  if (!iso) {
+    return String(date ?? '');
+  }
+  const [year, month, day] = iso.split('-').map(Number);
+  const name = Object.keys(MONTHS)[month - 1];
+  return `${day} ${name[0].toUpperCase()}${name.slice(1)} ${year}`;
+}
@@ -100,6 +100,26 @@ export const SETUP_INSTRUCTIONS = {
       'Add the key below for additional redundancy'
     ]
   },
+  OPENEXCHANGERATES: {
+    title: 'Open Exchange Rates (Additional Backup)',
+    description:
+      '1,000 free requests/month. The free plan quotes USD only; other bases are cross-computed.',
+    steps: [
+      'Visit https://openexchangerates.org/signup/free and create an account',
+      'Copy your App ID from the dashboard',
+      'Add the App ID below'
+    ]
+  },
+  CURRENCYLAYER: {
+    title: 'currencylayer (Additional Backup)',
+    description:
+      '100 free requests/month. The free plan quotes USD only; other bases are cross-computed.',
+    steps: [
+      'Visit https://currencylayer.com and sign up for the free plan',
+      'Copy your access key from the dashboard',
+      'Add the key below'
+    ]
+  },
   ALPHA_VANTAGE: {
     title: 'Alpha Vantage (Last Resort)',
     description: 'Financial data provider with very limited free tier.',
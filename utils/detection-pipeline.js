@@ -0,0 +1,765 @@
+// Currency Detection Pipeline
+//
+// The single detection module shared by the content script (selection, page
+// annotation) and the popup converter. Detection is split into registrable
+// stages - symbol, ISO code, currency words, crypto and context inference -
+// that each return candidates with a confidence and a text range. The pipeline
+// resolves overlaps (highest confidence wins) and returns a ranked list.
+//
+// Custom stages can be added with registerStage(); stages run in priority order
+// and later stages can see which ranges earlier stages already claimed.
+
+import { CURRENCIES, CRYPTOCURRENCIES } from './currency-data.js';
+import { siteRules } from './site-rules.js';
+import {
+  AMOUNT_SOURCE,
+  SCALED_AMOUNT_SOURCE,
+  SPELLED_NUMBER_SOURCE,
+  parseScaledAmount,
+  detectNumberFormat,
+  normalizeNumerals
+} from './number-parser.js';
+
+// Currency symbol to code mapping (ambiguous symbols use the most common
+// currency; site rules can override them per hostname)
+export const SYMBOL_TO_CODE = {
+  // Dollar variants
+  $: 'USD',
+  US$: 'USD',
+  A$: 'AUD',
+  AU$: 'AUD',
+  C$: 'CAD',
+  CA$: 'CAD',
+  NZ$: 'NZD',
+  S$: 'SGD',
+  HK$: 'HKD',
+  R$: 'BRL',
+  // Major currencies
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY', // Could also be CNY
+  '₹': 'INR',
+  '₽': 'RUB',
+  '¢': 'USD', // Cents
+  '₩': 'KRW',
+  '₦': 'NGN',
+  '₪': 'ILS',
+  '₨': 'PKR',
+  '₫': 'VND',
+  '₱': 'PHP',
+  '₡': 'CRC',
+  '₲': 'PYG',
+  '₴': 'UAH',
+  '₵': 'GHS',
+  '₸': 'KZT',
+  '₺': 'TRY',
+  '₾': 'GEL',
+  '฿': 'THB',
+  '₿': 'BTC',
+  円: 'JPY', // Written after the amount: 3万円
+  元: 'CNY',
+  // Letter symbols
+  CHF: 'CHF',
+  kr: 'SEK', // Could also be NOK or DKK
+  zł: 'PLN',
+  Kč: 'CZK',
+  Ft: 'HUF',
+  RM: 'MYR',
+  Rs: 'INR', // Also used in Pakistan and Sri Lanka
+  'Rs.': 'INR',
+  R: 'ZAR'
+};
+
+// Currency word to code mapping
+export const WORD_TO_CODE = {
+  dollars: 'USD',
+  dollar: 'USD',
+  euros: 'EUR',
+  euro: 'EUR',
+  pounds: 'GBP',
+  pound: 'GBP',
+  yen: 'JPY',
+  yuan: 'CNY',
+  pesos: 'MXN', // Could be other peso currencies
+  peso: 'MXN',
+  rupees: 'INR',
+  rupee: 'INR',
+  won: 'KRW',
+  rubles: 'RUB',
+  ruble: 'RUB',
+  francs: 'CHF',
+  franc: 'CHF',
+  krona: 'SEK',
+  kronor: 'SEK',
+  krone: 'NOK',
+  kroner: 'NOK',
+  zloty: 'PLN',
+  shekels: 'ILS',
+  shekel: 'ILS',
+  baht: 'THB',
+  ringgit: 'MYR',
+  rand: 'ZAR'
+};
+
+// Cryptocurrency markers: symbol, ticker (case-sensitive) and names
+export const CRYPTO_MARKERS = {
+  BTC: { symbols: ['₿'], tickers: ['BTC'], names: ['bitcoins?'] },
+  ETH: { symbols: ['Ξ'], tickers: ['ETH'], names: ['ethereum', 'ether'] },
+  LTC: { symbols: ['Ł'], tickers: ['LTC'], names: ['litecoins?'] },
+  ADA: { symbols: [], tickers: ['ADA'], names: ['cardano'] },
+  DOT: { symbols: [], tickers: ['DOT'], names: ['polkadot'] },
+  XRP: { symbols: [], tickers: ['XRP'], names: ['ripple'] },
+  SOL: { symbols: [], tickers: ['SOL'], names: ['solana'] },
+  MATIC: { symbols: [], tickers: ['MATIC'], names: ['polygon'] }
+};
+
+// Country/region and currency-name clues for context inference
+const CONTEXT_CURRENCY_CLUES = {
+  usa: 'USD',
+  america: 'USD',
+  dollar: 'USD',
+  usd: 'USD',
+  europe: 'EUR',
+  euro: 'EUR',
+  eur: 'EUR',
+  uk: 'GBP',
+  britain: 'GBP',
+  pound: 'GBP',
+  gbp: 'GBP',
+  japan: 'JPY',
+  yen: 'JPY',
+  jpy: 'JPY',
+  canada: 'CAD',
+  cad: 'CAD',
+  australia: 'AUD',
+  aud: 'AUD',
+  china: 'CNY',
+  yuan: 'CNY',
+  cny: 'CNY',
+  india: 'INR',
+  rupee: 'INR',
+  inr: 'INR'
+};
+
+// Business words that suggest a bare number is money (defaults to USD)
+const BUSINESS_CLUES = {
+  price: 0.8,
+  cost: 0.8,
+  pay: 0.7,
+  buy: 0.7,
+  sell: 0.7,
+  revenue: 0.9,
+  profit: 0.9,
+  loss: 0.8,
+  budget: 0.8,
+  invoice: 0.9,
+  receipt: 0.9,
+  bill: 0.8,
+  fee: 0.8
+};
+
+const CONTEXT_RADIUS = 50;
+
+// Crypto amounts often carry more than 4 decimals (0.00012345 BTC)
+const CRYPTO_AMOUNT_SOURCE = `\\d+\\.\\d{5,18}|${SCALED_AMOUNT_SOURCE}`;
+
+// "bitcoin" → bitcoin|Bitcoin|BITCOIN (names are matched case-insensitively)
+function caseVariants(name) {
+  return [
+    name,
+    name.charAt(0).toUpperCase() + name.slice(1),
+    name.toUpperCase()
+  ];
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest first so "US$" wins over "$" and "kr" over "R"
+function alternation(list) {
+  return [...list]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+}
+
+/**
+ * Resolve a currency symbol: per-site rules first, then the currency the page
+ * declares in its structured data, then the default table.
+ * @param {string} symbol - Symbol as written in the text
+ * @returns {string|null} Currency code
+ */
+export function symbolToCurrencyCode(symbol) {
+  return (
+    siteRules.resolveSymbol(symbol) ||
+    siteRules.resolvePageSymbol(symbol) ||
+    SYMBOL_TO_CODE[symbol] ||
+    null
+  );
+}
+
+/**
+ * Check whether a code is a known fiat or crypto currency.
+ * @param {string} code - Currency code
+ * @returns {boolean}
+ */
+export function isKnownCurrency(code) {
+  return (
+    Object.prototype.hasOwnProperty.call(CURRENCIES, code) ||
+    Object.prototype.hasOwnProperty.call(CRYPTOCURRENCIES, code)
+  );
+}
+
+/**
+ * Replace locale digits, exotic whitespace and dashes one-for-one so ranges
+ * stay valid against the caller's original text.
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text of identical length
+ */
+export function normalizeDetectionText(text) {
+  return normalizeNumerals(text)
+    .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
+    .replace(/[\u2012-\u2015\u2212]/g, '-');
+}
+
+/**
+ * Build a candidate from a regex match.
+ * @returns {Object|null} Candidate, or null if the amount is unusable
+ */
+function buildCandidate(match, amountStr, currency, confidence, extra = {}) {
+  const parsed = parseScaledAmount(amountStr);
+  if (!currency || !parsed || !(parsed.amount > 0)) {
+    return null;
+  }
+  const candidate = {
+    amount: parsed.amount,
+    currency,
+    originalText: match[0],
+    confidence,
+    range: { start: match.index, end: match.index + match[0].length },
+    amountFormat: parsed.spelled ? 'spelled' : detectNumberFormat(amountStr),
+    ...extra
+  };
+  // "$1.2M" → amount 1200000, magnitude {suffix: 'M', multiplier: 1e6, baseAmount: 1.2}
+  if (parsed.suffix) {
+    candidate.magnitude = {
+      suffix: parsed.suffix,
+      multiplier: parsed.multiplier,
+      baseAmount: parsed.baseAmount
+    };
+  }
+  return candidate;
+}
+
+function collectMatches(regex, text, toCandidate) {
+  const results = [];
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const candidate = toCandidate(match);
+    if (candidate) {
+      results.push(candidate);
+    }
+  }
+  return results;
+}
+
+/**
+ * Symbol stage: $100, €1.234,56, 100 kr, A$50
+ */
+export function createSymbolStage({
+  resolveSymbol = symbolToCurrencyCode
+} = {}) {
+  const symbols = alternation(Object.keys(SYMBOL_TO_CODE));
+  const before = new RegExp(
+    `(?<![A-Za-z])(${symbols})\\s?(${SCALED_AMOUNT_SOURCE})(?!\\d)`,
+    'g'
+  );
+  const after = new RegExp(
+    `(?<![\\d.,])(${SCALED_AMOUNT_SOURCE})\\s?(${symbols})(?![A-Za-z])`,
+    'g'
+  );
+
+  // A bare single letter (R) is weaker evidence than a real symbol
+  const confidenceFor = (symbol, base) =>
+    /^[A-Za-z]$/.test(symbol) ? base - 0.15 : base;
+
+  return {
+    name: 'symbol',
+    priority: 10,
+    detect(text) {
+      return [
+        ...collectMatches(before, text, m =>
+          buildCandidate(
+            m,
+            m[2],
+            resolveSymbol(m[1]),
+            confidenceFor(m[1], 0.9),
+            { type: 'symbol', format: 'symbol_before', symbol: m[1] }
+          )
+        ),
+        ...collectMatches(after, text, m =>
+          buildCandidate(
+            m,
+            m[1],
+            resolveSymbol(m[2]),
+            confidenceFor(m[2], 0.85),
+            { type: 'symbol', format: 'symbol_after', symbol: m[2] }
+          )
+        )
+      ];
+    }
+  };
+}
+
+/**
+ * ISO code stage: USD 100, 1.234,56 EUR (lowercase codes score lower)
+ */
+export function createIsoCodeStage() {
+  const before = new RegExp(
+    `(?<![A-Za-z])([A-Za-z]{3})\\s?(${SCALED_AMOUNT_SOURCE})(?!\\d)`,
+    'g'
+  );
+  const after = new RegExp(
+    `(?<![\\d.,])(${SCALED_AMOUNT_SOURCE})\\s?([A-Za-z]{3})(?![A-Za-z])`,
+    'g'
+  );
+
+  const toCandidate = (m, amountStr, codeStr, format) => {
+    const code = codeStr.toUpperCase();
+    if (!isKnownCurrency(code)) {
+      return null;
+    }
+    const confidence = codeStr === code ? 0.85 : 0.6;
+    return buildCandidate(m, amountStr, code, confidence, {
+      type: 'code',
+      format
+    });
+  };
+
+  return {
+    name: 'code',
+    priority: 20,
+    detect(text) {
+      return [
+        ...collectMatches(before, text, m =>
+          toCandidate(m, m[2], m[1], 'code_before')
+        ),
+        ...collectMatches(after, text, m =>
+          toCandidate(m, m[1], m[2], 'code_after')
+        )
+      ];
+    }
+  };
+}
+
+/**
+ * Word stage: 100 dollars, euros 50, 1.5 million dollars, twenty dollars
+ */
+export function createWordStage() {
+  const words = alternation(Object.keys(WORD_TO_CODE));
+  const before = new RegExp(
+    `\\b(${words})\\s?(${SCALED_AMOUNT_SOURCE})(?!\\d)`,
+    'gi'
+  );
+  const after = new RegExp(
+    `(?<![\\d.,])(${SCALED_AMOUNT_SOURCE})\\s?(${words})\\b`,
+    'gi'
+  );
+  const spelled = new RegExp(
+    `\\b(${SPELLED_NUMBER_SOURCE})\\s+(${words})\\b`,
+    'gi'
+  );
+
+  return {
+    name: 'word',
+    priority: 30,
+    detect(text) {
+      return [
+        ...collectMatches(before, text, m =>
+          buildCandidate(m, m[2], WORD_TO_CODE[m[1].toLowerCase()], 0.7, {
+            type: 'word',
+            format: 'word_before'
+          })
+        ),
+        ...collectMatches(after, text, m =>
+          buildCandidate(m, m[1], WORD_TO_CODE[m[2].toLowerCase()], 0.7, {
+            type: 'word',
+            format: 'word_after'
+          })
+        ),
+        ...collectMatches(spelled, text, m =>
+          buildCandidate(m, m[1], WORD_TO_CODE[m[2].toLowerCase()], 0.7, {
+            type: 'word',
+            format: 'word_spelled'
+          })
+        )
+      ];
+    }
+  };
+}
+
+/**
+ * Crypto stage: ₿0.5, 0.00012345 BTC, 2 ethereum
+ */
+export function createCryptoStage() {
+  const patterns = Object.entries(CRYPTO_MARKERS).map(([code, markers]) => {
+    const symbols = markers.symbols.map(escapeRegex);
+    const tickers = markers.tickers.map(escapeRegex);
+    // Names are case-insensitive; tickers stay uppercase so "5 dot" isn't Polkadot
+    const names = markers.names.flatMap(caseVariants);
+    const marker = [...symbols, ...tickers, ...names].join('|');
+    return {
+      code,
+      before: new RegExp(
+        `(?<![A-Za-z])(${marker})\\s?(${CRYPTO_AMOUNT_SOURCE})(?!\\d)`,
+        'g'
+      ),
+      after: new RegExp(
+        `(?<![\\d.,])(${CRYPTO_AMOUNT_SOURCE})\\s?(${marker})(?![A-Za-z])`,
+        'g'
+      )
+    };
+  });
+
+  return {
+    name: 'crypto',
+    priority: 40,
+    detect(text) {
+      const results = [];
+      patterns.forEach(({ code, before, after }) => {
+        const extra = {
+          type: 'crypto',
+          name: CRYPTOCURRENCIES[code]?.name,
+          decimals: CRYPTOCURRENCIES[code]?.decimals
+        };
+        results.push(
+          ...collectMatches(before, text, m =>
+            buildCandidate(m, m[2], code, 0.95, {
+              ...extra,
+              format: 'crypto_before'
+            })
+          ),
+          ...collectMatches(after, text, m =>
+            buildCandidate(m, m[1], code, 0.95, {
+              ...extra,
+              format: 'crypto_after'
+            })
+          )
+        );
+      });
+      return results;
+    }
+  };
+}
+
+/**
+ * Infer a currency for a bare number from the words around it.
+ * @param {string} text - Full text
+ * @param {number} position - Index of the number
+ * @returns {{currency: string, confidence: number, clue: string}|null}
+ */
+export function inferCurrencyFromContext(text, position) {
+  const start = Math.max(0, position - CONTEXT_RADIUS);
+  const end = Math.min(text.length, position + CONTEXT_RADIUS);
+  const context = text.substring(start, end).toLowerCase();
+
+  for (const [clue, currency] of Object.entries(CONTEXT_CURRENCY_CLUES)) {
+    if (new RegExp(`\\b${clue}`).test(context)) {
+      return { currency, confidence: 0.7, clue };
+    }
+  }
+
+  let best = null;
+  for (const [clue, confidence] of Object.entries(BUSINESS_CLUES)) {
+    if (
+      new RegExp(`\\b${clue}`).test(context) &&
+      (!best || confidence > best.confidence)
+    ) {
+      best = { currency: 'USD', confidence: confidence * 0.6, clue };
+    }
+  }
+  return best;
+}
+
+/**
+ * Context stage: bare numbers near currency clues ("budget of 1,200").
+ * Runs last and skips ranges other stages already claimed.
+ */
+export function createContextStage() {
+  const numberPattern = new RegExp(
+    `(?<![\\d.,])(${AMOUNT_SOURCE})(?![\\d])`,
+    'g'
+  );
+
+  return {
+    name: 'context',
+    priority: 100,
+    detect(text, { claimed = [] } = {}) {
+      return collectMatches(numberPattern, text, m => {
+        const range = { start: m.index, end: m.index + m[0].length };
+        if (rangesOverlap(range, claimed)) {
+          return null;
+        }
+        const inferred = inferCurrencyFromContext(text, m.index);
+        if (!inferred) {
+          return null;
+        }
+        return buildCandidate(
+          m,
+          m[1],
+          inferred.currency,
+          inferred.confidence * 0.6,
+          { type: 'context', format: 'context', contextClue: inferred.clue }
+        );
+      });
+    }
+  };
+}
+
+/**
+ * Check if a range overlaps any of the given ranges.
+ * @param {{start: number, end: number}} range
+ * @param {Array<{start: number, end: number}>} ranges
+ * @returns {boolean}
+ */
+export function rangesOverlap(range, ranges) {
+  return ranges.some(r => !(range.end <= r.start || range.start >= r.end));
+}
+
+// Words/dashes joining the two ends of a price range ("$10 - $20", "10 to 20 €")
+const RANGE_CONNECTOR = /^\s*(?:-|to|bis|à|a)\s*$/i;
+// Bare upper bound after a priced lower bound: "$10-20"
+const BARE_RANGE_END = new RegExp(
+  `^\\s*(?:-|to)\\s*(${SCALED_AMOUNT_SOURCE})(?!\\d)`,
+  'i'
+);
+// Bare lower bound before a priced upper bound: "10-20 EUR"
+const BARE_RANGE_START = new RegExp(
+  `(?<![\\d.,])(${AMOUNT_SOURCE})\\s*(?:-|to)\\s*$`,
+  'i'
+);
+
+/**
+ * Order the amounts found in a selection and recognize price ranges:
+ * "$10 – $20", "$10-20", "10 to 20 EUR". Anything else with several amounts
+ * ("€5 / €8 / €12") is a plain list.
+ * @param {string} text - Text the candidates were detected in
+ * @param {Array<Object>} candidates - Pipeline output for that text
+ * @returns {{amounts: Array<{amount: number, currency: string, originalText: string, range: Object}>, isRange: boolean}}
+ */
+export function groupDetectedAmounts(text, candidates) {
+  const normalized = normalizeDetectionText(text || '');
+  const amounts = [...candidates]
+    .sort((a, b) => a.range.start - b.range.start)
+    .map(({ amount, currency, originalText, range, magnitude }) => ({
+      amount,
+      currency,
+      originalText,
+      range,
+      ...(magnitude && { magnitude })
+    }));
+
+  const bareAmount = (match, offset, currency) => {
+    const parsed = parseScaledAmount(match[1]);
+    if (!parsed || !(parsed.amount > 0)) {
+      return null;
+    }
+    const start = offset + match.index + match[0].indexOf(match[1]);
+    const end = start + match[1].length;
+    return {
+      amount: parsed.amount,
+      currency,
+      originalText: text.slice(start, end),
+      range: { start, end },
+      ...(parsed.suffix && {
+        magnitude: {
+          suffix: parsed.suffix,
+          multiplier: parsed.multiplier,
+          baseAmount: parsed.baseAmount
+        }
+      })
+    };
+  };
+
+  if (amounts.length === 1) {
+    const [only] = amounts;
+
+    const after = BARE_RANGE_END.exec(normalized.slice(only.range.end));
+    const upper = after && bareAmount(after, only.range.end, only.currency);
+    // "$1.2-1.5M": the magnitude on the upper bound applies to both ends
+    const lowEnd =
+      upper?.magnitude && !only.magnitude
+        ? {
+            ...only,
+            amount: Number(
+              (only.amount * upper.magnitude.multiplier).toPrecision(15)
+            ),
+            magnitude: { ...upper.magnitude, baseAmount: only.amount }
+          }
+        : only;
+    if (upper && upper.amount > lowEnd.amount) {
+      return { amounts: [lowEnd, upper], isRange: true };
+    }
+
+    const before = BARE_RANGE_START.exec(normalized.slice(0, only.range.start));
+    const lower = before && bareAmount(before, 0, only.currency);
+    if (lower && lower.amount < only.amount) {
+      return { amounts: [lower, only], isRange: true };
+    }
+  }
+
+  const isRange =
+    amounts.length === 2 &&
+    amounts[0].currency === amounts[1].currency &&
+    amounts[0].amount < amounts[1].amount &&
+    RANGE_CONNECTOR.test(
+      normalized.slice(amounts[0].range.end, amounts[1].range.start)
+    );
+
+  return { amounts, isRange };
+}
+
+/**
+ * Pluggable currency detection pipeline.
+ */
+export class DetectionPipeline {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.stages] - Initial stages
+   */
+  constructor({ stages = [] } = {}) {
+    this.stages = [];
+    stages.forEach(stage => this.registerStage(stage));
+  }
+
+  /**
+   * Register (or replace, by name) a detection stage.
+   * A stage is {name, priority, detect(text, context) → candidates[]}.
+   * @param {Object} stage - Stage definition
+   * @returns {DetectionPipeline} this, for chaining
+   */
+  registerStage(stage) {
+    if (!stage || !stage.name || typeof stage.detect !== 'function') {
+      throw new Error('Detection stage needs a name and a detect() function');
+    }
+    this.stages = this.stages.filter(s => s.name !== stage.name);
+    this.stages.push({ priority: 50, ...stage });
+    this.stages.sort((a, b) => a.priority - b.priority);
+    return this;
+  }
+
+  /**
+   * Remove a stage by name.
+   * @param {string} name - Stage name
+   * @returns {boolean} True if a stage was removed
+   */
+  unregisterStage(name) {
+    const before = this.stages.length;
+    this.stages = this.stages.filter(s => s.name !== name);
+    return this.stages.length !== before;
+  }
+
+  /** Names of the registered stages, in run order. */
+  getStageNames() {
+    return this.stages.map(s => s.name);
+  }
+
+  /**
+   * Detect currency amounts in text.
+   * @param {string} text - Text to analyze
+   * @param {Object} [options]
+   * @param {number} [options.minConfidence=0] - Drop weaker candidates
+   * @param {string[]} [options.stages] - Only run these stages
+   * @returns {Array<Object>} Non-overlapping candidates, best first
+   *   ({amount, currency, originalText, confidence, type, format, stage, range})
+   */
+  detect(text, { minConfidence = 0, stages = null } = {}) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const normalized = normalizeDetectionText(text);
+    const context = { originalText: text, claimed: [] };
+    const candidates = [];
+
+    for (const stage of this.stages) {
+      if (stages && !stages.includes(stage.name)) {
+        continue;
+      }
+
+      let found;
+      try {
+        found = stage.detect(normalized, context) || [];
+      } catch (error) {
+        console.warn(`⚠️ Detection stage "${stage.name}" failed:`, error);
+        continue;
+      }
+
+      found.forEach(candidate => {
+        candidate.stage = stage.name;
+        candidate.originalText = text.slice(
+          candidate.range.start,
+          candidate.range.end
+        );
+        candidates.push(candidate);
+        context.claimed.push(candidate.range);
+      });
+    }
+
+    return this.rank(candidates, minConfidence);
+  }
+
+  /**
+   * Keep the most confident candidate for each stretch of text.
+   * @param {Array<Object>} candidates - Raw stage output
+   * @param {number} minConfidence - Confidence floor
+   * @returns {Array<Object>} Ranked, non-overlapping candidates
+   */
+  rank(candidates, minConfidence = 0) {
+    const byStrength = candidates
+      .filter(c => c.confidence >= minConfidence)
+      .sort(
+        (a, b) =>
+          b.confidence - a.confidence ||
+          b.range.end - b.range.start - (a.range.end - a.range.start) ||
+          a.range.start - b.range.start
+      );
+
+    const accepted = [];
+    for (const candidate of byStrength) {
+      if (
+        !rangesOverlap(
+          candidate.range,
+          accepted.map(c => c.range)
+        )
+      ) {
+        accepted.push(candidate);
+      }
+    }
+
+    return accepted.sort(
+      (a, b) => b.confidence - a.confidence || a.range.start - b.range.start
+    );
+  }
+}
+
+/**
+ * Create a pipeline with the built-in stages.
+ * @returns {DetectionPipeline}
+ */
+export function createDefaultPipeline() {
+  return new DetectionPipeline({
+    stages: [
+      createSymbolStage(),
+      createIsoCodeStage(),
+      createWordStage(),
+      createCryptoStage(),
+      createContextStage()
+    ]
+  });
+}
+
+// Shared pipeline used by the content script, SmartCurrencyDetector and popup.
+export const detectionPipeline = createDefaultPipeline();
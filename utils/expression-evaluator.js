@@ -0,0 +1,438 @@
+// Arithmetic Expression Evaluator
+//
+// Lets the popup converters take small calculations instead of one number:
+//
+//   (1299 + 49.90) * 3 - 10%      120 EUR + 80 GBP in USD      €15 / 3
+//
+// A hand-written tokenizer and recursive-descent parser - never eval() or
+// Function(), which the extension CSP forbids anyway. Amounts may carry a
+// currency (code, symbol or word, before or after the number); every such
+// term is converted into one currency before the arithmetic, so the caller
+// supplies a synchronous converter, usually built from one cached rate table
+// with createRateTableConverter().
+//
+// Percentages follow calculator rules: "a + 10%" adds 10% of a, "a * 10%"
+// multiplies by 0.1.
+
+import {
+  SYMBOL_TO_CODE,
+  WORD_TO_CODE,
+  isKnownCurrency
+} from './detection-pipeline.js';
+import { SCALED_AMOUNT_SOURCE, parseScaledAmount } from './number-parser.js';
+
+const OPERATORS = {
+  '+': '+',
+  '-': '-',
+  '−': '-',
+  '*': '*',
+  '×': '*',
+  '/': '/',
+  '÷': '/'
+};
+
+// Longest first so "US$" wins over "$"
+const SYMBOLS = Object.keys(SYMBOL_TO_CODE)
+  .filter(symbol => !/^[A-Za-z]+$/.test(symbol))
+  .sort((a, b) => b.length - a.length);
+
+// Same amount grammar as price detection, magnitudes included ("1.5k")
+const NUMBER = new RegExp(SCALED_AMOUNT_SOURCE, 'y');
+const WORD = /[A-Za-zÀ-ɏ]+/y;
+const TARGET_WORDS = ['in', 'to', 'into'];
+
+/**
+ * Whether text should go through the evaluator rather than the price parser:
+ * it has an operator, parentheses, a percentage or an "in USD" target.
+ * A leading minus or a single dash between two amounts ("10 - 20",
+ * "$10 - $20", a range) doesn't count.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function looksLikeExpression(text) {
+  const value = String(text || '').trim();
+  if (/[+*/×÷%()]/.test(value) || /\s(?:in|to|into)\s+\S+$/i.test(value)) {
+    return true;
+  }
+  const spaced = value.match(/\d\s+[-−x](?=\s+\S)/g) || [];
+  return spaced.length > 1 || spaced.some(operator => operator.endsWith('x'));
+}
+
+function resolveCurrencyWord(word) {
+  const code = word.toUpperCase();
+  if (/^[A-Z]{3,5}$/.test(code) && isKnownCurrency(code)) {
+    return code;
+  }
+  return WORD_TO_CODE[word.toLowerCase()] || SYMBOL_TO_CODE[word] || null;
+}
+
+/**
+ * Split an expression into tokens.
+ * @param {string} text
+ * @returns {Array<{type: string, value: *, index: number}>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    NUMBER.lastIndex = index;
+    const number = NUMBER.exec(text);
+    if (number) {
+      const scaled = parseScaledAmount(number[0]);
+      if (!scaled) {
+        throw new Error(`Can't read the number "${number[0]}"`);
+      }
+      tokens.push({ type: 'number', value: scaled.amount, index });
+      index += number[0].length;
+      continue;
+    }
+
+    if ('()%'.includes(char)) {
+      tokens.push({ type: char, value: char, index });
+      index++;
+      continue;
+    }
+
+    // Before words: × sits inside the Latin-1 letter range
+    if (OPERATORS[char]) {
+      tokens.push({ type: 'operator', value: OPERATORS[char], index });
+      index++;
+      continue;
+    }
+
+    WORD.lastIndex = index;
+    const word = WORD.exec(text);
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (TARGET_WORDS.includes(lower)) {
+        tokens.push({ type: 'target', value: lower, index });
+      } else if (lower === 'x') {
+        tokens.push({ type: 'operator', value: '*', index });
+      } else {
+        const currency = resolveCurrencyWord(word[0]);
+        if (!currency) {
+          throw new Error(`Unknown currency "${word[0]}"`);
+        }
+        tokens.push({ type: 'currency', value: currency, index });
+      }
+      index += word[0].length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => text.startsWith(s, index));
+    if (symbol) {
+      tokens.push({ type: 'currency', value: SYMBOL_TO_CODE[symbol], index });
+      index += symbol.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${char}"`);
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isOperator(...values) {
+    const token = this.peek();
+    return token?.type === 'operator' && values.includes(token.value);
+  }
+
+  // expression := term (('+' | '-') term)*
+  parseExpression() {
+    let node = this.parseTerm();
+    while (this.isOperator('+', '-')) {
+      const operator = this.next().value;
+      node = { type: 'binary', operator, left: node, right: this.parseTerm() };
+    }
+    return node;
+  }
+
+  // term := factor (('*' | '/') factor)*
+  parseTerm() {
+    let node = this.parseFactor();
+    while (this.isOperator('*', '/')) {
+      const operator = this.next().value;
+      node = {
+        type: 'binary',
+        operator,
+        left: node,
+        right: this.parseFactor()
+      };
+    }
+    return node;
+  }
+
+  // factor := ('-' | '+') factor | primary '%'?
+  parseFactor() {
+    if (this.isOperator('-', '+')) {
+      const sign = this.next().value;
+      const operand = this.parseFactor();
+      return sign === '-' ? { type: 'negate', operand } : operand;
+    }
+    const node = this.parsePrimary();
+    if (this.peek()?.type === '%') {
+      this.next();
+      if (node.currency) {
+        throw new Error('A percentage cannot have a currency');
+      }
+      return { type: 'percent', operand: node };
+    }
+    return node;
+  }
+
+  // primary := currency? number currency? | '(' expression ')'
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new Error('The expression ends too early');
+    }
+
+    if (token.type === '(') {
+      const node = this.parseExpression();
+      if (this.next()?.type !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      return node;
+    }
+
+    let currency = null;
+    let numberToken = token;
+    if (token.type === 'currency') {
+      currency = token.value;
+      numberToken = this.next();
+    }
+    if (numberToken?.type !== 'number') {
+      throw new Error(
+        numberToken
+          ? `Expected a number at position ${numberToken.index + 1}`
+          : 'The expression ends too early'
+      );
+    }
+    if (!currency && this.peek()?.type === 'currency') {
+      currency = this.next().value;
+    }
+    return { type: 'amount', value: numberToken.value, currency };
+  }
+}
+
+function collectCurrencies(node, found = []) {
+  if (!node) return found;
+  if (
+    node.type === 'amount' &&
+    node.currency &&
+    !found.includes(node.currency)
+  ) {
+    found.push(node.currency);
+  }
+  collectCurrencies(node.left, found);
+  collectCurrencies(node.right, found);
+  collectCurrencies(node.operand, found);
+  return found;
+}
+
+/**
+ * Parse an expression, with an optional "in USD" / "to USD" target at the end.
+ * @param {string} text
+ * @returns {{ast: Object, currencies: string[], targetCurrency: string|null}}
+ * @throws {Error} With a user-facing message when the text can't be parsed
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(String(text || ''));
+  if (tokens.length === 0) {
+    throw new Error('Enter an amount or a calculation');
+  }
+
+  let targetCurrency = null;
+  const targetIndex = tokens.findIndex(token => token.type === 'target');
+  if (targetIndex !== -1) {
+    const target = tokens.slice(targetIndex + 1);
+    if (target.length !== 1 || target[0].type !== 'currency') {
+      throw new Error(
+        `"${tokens[targetIndex].value}" must be followed by one currency`
+      );
+    }
+    targetCurrency = target[0].value;
+    tokens.length = targetIndex;
+  }
+
+  const parser = new Parser(tokens);
+  const ast = parser.parseExpression();
+  const extra = parser.peek();
+  if (extra) {
+    throw new Error(`Unexpected "${text.slice(extra.index).split(/\s/)[0]}"`);
+  }
+
+  return { ast, currencies: collectCurrencies(ast), targetCurrency };
+}
+
+/**
+ * Converter into a rate table's base currency.
+ * @param {{base: string, rates: Object}} table - rates[X] = units of X per 1 base
+ * @returns {Function} (amount, from) => {convertedAmount, rate}
+ */
+export function createRateTableConverter(table) {
+  return (amount, fromCurrency) => {
+    if (fromCurrency === table.base) {
+      return { convertedAmount: amount, rate: 1 };
+    }
+    const perBase = table.rates?.[fromCurrency];
+    if (typeof perBase !== 'number' || perBase <= 0) {
+      throw new Error(`No rate for ${fromCurrency}`);
+    }
+    return { convertedAmount: amount / perBase, rate: 1 / perBase };
+  };
+}
+
+/**
+ * Evaluate a parsed expression in one currency.
+ * @param {Object} parsed - parseExpression() result
+ * @param {Object} options
+ * @param {string} options.currency - Currency of the result; plain numbers
+ *   count as this currency
+ * @param {Function} [options.convert] - (amount, fromCurrency) =>
+ *   {convertedAmount, rate} into options.currency
+ * @returns {{value: number, currency: string, terms: Array<Object>}}
+ *   terms: each currency amount with its converted value, for a breakdown
+ * @throws {Error} On division by zero or meaningless money arithmetic
+ */
+export function evaluateExpression(parsed, { currency, convert }) {
+  const terms = [];
+
+  // Returns {value, money}; money marks values that carry the currency
+  const visit = node => {
+    switch (node.type) {
+      case 'amount': {
+        if (!node.currency) {
+          return { value: node.value, money: false };
+        }
+        let converted = { convertedAmount: node.value, rate: 1 };
+        if (node.currency !== currency) {
+          if (!convert) {
+            throw new Error(`No rate for ${node.currency}`);
+          }
+          converted = convert(node.value, node.currency);
+        }
+        terms.push({
+          amount: node.value,
+          currency: node.currency,
+          convertedAmount: converted.convertedAmount,
+          rate: converted.rate
+        });
+        return { value: converted.convertedAmount, money: true };
+      }
+      case 'negate': {
+        const operand = visit(node.operand);
+        return { value: -operand.value, money: operand.money };
+      }
+      case 'percent':
+        return { value: visit(node.operand).value / 100, money: false };
+      case 'binary':
+        return visitBinary(node);
+      default:
+        throw new Error('Invalid expression');
+    }
+  };
+
+  const visitBinary = ({ operator, left, right }) => {
+    const a = visit(left);
+
+    // "a + 10%" / "a - 10%": a percentage of the left side
+    if ((operator === '+' || operator === '-') && right.type === 'percent') {
+      const share = a.value * visit(right).value;
+      return {
+        value: operator === '+' ? a.value + share : a.value - share,
+        money: a.money
+      };
+    }
+
+    const b = visit(right);
+    switch (operator) {
+      case '+':
+        return { value: a.value + b.value, money: a.money || b.money };
+      case '-':
+        return { value: a.value - b.value, money: a.money || b.money };
+      case '*':
+        if (a.money && b.money) {
+          throw new Error("Can't multiply two amounts of money");
+        }
+        return { value: a.value * b.value, money: a.money || b.money };
+      case '/':
+        if (b.value === 0) {
+          throw new Error('Division by zero');
+        }
+        if (b.money && !a.money) {
+          throw new Error("Can't divide a number by an amount of money");
+        }
+        // money / money is a plain ratio
+        return { value: a.value / b.value, money: a.money && !b.money };
+      default:
+        throw new Error(`Unknown operator "${operator}"`);
+    }
+  };
+
+  const { value } = visit(parsed.ast);
+  if (!Number.isFinite(value)) {
+    throw new Error('The result is not a number');
+  }
+  return { value, currency, terms };
+}
+
+/**
+ * Currency a parsed expression should be evaluated in: with currencies
+ * written, the "in X" target (else the first one) so every term converts
+ * straight into the answer; plain arithmetic stays in the fallback.
+ * @param {Object} parsed - parseExpression() result
+ * @param {string} fallback - e.g. the converter's "from" currency
+ * @returns {string}
+ */
+export function getExpressionCurrency(parsed, fallback) {
+  if (parsed.currencies.length === 0) {
+    return fallback;
+  }
+  return parsed.targetCurrency || parsed.currencies[0];
+}
+
+/**
+ * Parse and evaluate text, loading one rate table when terms need converting.
+ * @param {string} text - Expression as typed
+ * @param {Object} options
+ * @param {string} options.fallbackCurrency - Currency of plain arithmetic
+ * @param {Function} options.getRateTable - async (base) => {base, rates}
+ * @returns {Promise<{value: number, currency: string, terms: Array<Object>, targetCurrency: string|null}>}
+ */
+export async function evaluateAmountExpression(
+  text,
+  { fallbackCurrency, getRateTable }
+) {
+  const parsed = parseExpression(text);
+  const currency = getExpressionCurrency(parsed, fallbackCurrency);
+  const needsRates = parsed.currencies.some(code => code !== currency);
+  const convert = needsRates
+    ? createRateTableConverter(await getRateTable(currency))
+    : null;
+  return {
+    ...evaluateExpression(parsed, { currency, convert }),
+    targetCurrency: parsed.targetCurrency
+  };
+}
@@ -0,0 +1,364 @@
+// Shared number parser for currency detection
+//
+// One place that knows how amounts are written: US (1,234.56), European
+// (1.234,56), Swiss (1'234.56), space-grouped (1 234,56) and Indian lakh
+// grouping (1,23,456.78), plus magnitudes ("$1.2M", "5 lakh", "3万") and
+// spelled-out numbers ("twenty"). Used by every detection stage so the content
+// script and the popup agree on what "1.234" means.
+
+// Characters used to group thousands besides , and .
+const GROUP_SPACES = ' \u00A0\u2009\u202F';
+const APOSTROPHES = "'’";
+
+// First code point (the zero) of each non-ASCII decimal digit block
+const DIGIT_ZEROS = [
+  0x0660, // Arabic-Indic ٠-٩
+  0x06f0, // Extended Arabic-Indic (Persian, Urdu) ۰-۹
+  0x0966, // Devanagari ०-९
+  0x09e6, // Bengali ০-৯
+  0xff10 // Fullwidth ０-９
+];
+
+const LOCALE_DIGIT =
+  /[\u0660-\u0669\u06F0-\u06F9\u0966-\u096F\u09E6-\u09EF\uFF10-\uFF19]/g;
+
+/**
+ * Map locale digits and separators to ASCII so one set of amount patterns
+ * covers every script: Arabic-Indic, Persian, Devanagari, Bengali and
+ * fullwidth digits, the Arabic decimal (٫) and thousands (٬) separators.
+ * One character in, one character out, so text ranges stay valid.
+ * @param {string} text - Raw text
+ * @returns {string} Text with ASCII digits and separators
+ */
+export function normalizeNumerals(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return text
+    .replace(LOCALE_DIGIT, digit => {
+      const code = digit.charCodeAt(0);
+      const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+      return String(code - zero);
+    })
+    .replace(/\u066B/g, '.')
+    .replace(/\u066C/g, ',');
+}
+
+/**
+ * Regex source matching a single amount. Alternatives are ordered so the
+ * longest grouping wins: Indian lakh grouping, then 3-digit grouping with any
+ * separator, then a plain number with an optional decimal part.
+ */
+export const AMOUNT_SOURCE = [
+  '\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,4})?',
+  `\\d{1,3}(?:[,.${GROUP_SPACES}${APOSTROPHES}]\\d{3})+(?:[.,]\\d{1,4})?`,
+  '\\d+(?:[.,]\\d{1,4})?'
+].join('|');
+
+/**
+ * Classify how a number string is grouped.
+ * @param {string} numberStr - Raw amount text
+ * @returns {'european'|'us'|'swiss'|'indian'|'spaced'|'standard'}
+ */
+export function detectNumberFormat(numberStr) {
+  if (!numberStr) {
+    return 'standard';
+  }
+  if (/\d{1,2}(?:,\d{2})+,\d{3}/.test(numberStr)) {
+    return 'indian';
+  }
+  if (/\d['’]\d{3}/.test(numberStr)) {
+    return 'swiss';
+  }
+  if (/\d[ \u00A0\u2009\u202F]\d{3}/.test(numberStr)) {
+    return 'spaced';
+  }
+  if (/\d\.\d{3}.*,\d/.test(numberStr) || /^\d+,\d{1,2}$/.test(numberStr)) {
+    return 'european';
+  }
+  if (/\d,\d{3}/.test(numberStr)) {
+    return 'us';
+  }
+  return 'standard';
+}
+
+/**
+ * Parse an amount written in any supported grouping convention.
+ *
+ * Ambiguous single separators follow the historical behavior of both
+ * detectors: "1,234" is one thousand two hundred thirty-four, "1,23" is one
+ * point two three, and "1.234" is one point two three four.
+ *
+ * @param {string} numberStr - Raw amount text
+ * @returns {number} Parsed value, or NaN if unparseable
+ */
+export function parseAmount(numberStr) {
+  if (typeof numberStr !== 'string') {
+    return NaN;
+  }
+
+  const clean = normalizeNumerals(numberStr)
+    .trim()
+    .replace(new RegExp(`[${GROUP_SPACES}${APOSTROPHES}]`, 'g'), '');
+  if (!/^\d[\d,.]*$/.test(clean)) {
+    return NaN;
+  }
+
+  const lastComma = clean.lastIndexOf(',');
+  const lastDot = clean.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    return lastComma > lastDot
+      ? parseFloat(clean.replace(/\./g, '').replace(',', '.'))
+      : parseFloat(clean.replace(/,/g, ''));
+  }
+
+  if (lastComma !== -1) {
+    const parts = clean.split(',');
+    const isDecimal = parts.length === 2 && parts[1].length !== 3;
+    return isDecimal
+      ? parseFloat(clean.replace(',', '.'))
+      : parseFloat(clean.replace(/,/g, ''));
+  }
+
+  if (lastDot !== -1 && clean.split('.').length > 2) {
+    // 1.234.567 - dots can only be thousands separators
+    return parseFloat(clean.replace(/\./g, ''));
+  }
+
+  return parseFloat(clean);
+}
+
+// Magnitude multipliers. Single letters are case-sensitive (k/K, M/m, B);
+// words and locale abbreviations are looked up lowercased without the dot.
+const MAGNITUDES = {
+  k: 1e3,
+  K: 1e3,
+  thousand: 1e3,
+  万: 1e4,
+  lakh: 1e5,
+  lakhs: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  M: 1e6,
+  m: 1e6,
+  mn: 1e6,
+  MM: 1e6,
+  mio: 1e6,
+  million: 1e6,
+  crore: 1e7,
+  crores: 1e7,
+  億: 1e8,
+  亿: 1e8,
+  B: 1e9,
+  bn: 1e9,
+  mrd: 1e9,
+  mia: 1e9,
+  billion: 1e9,
+  tn: 1e12,
+  trillion: 1e12
+};
+
+// Regex source matching a word in any letter case ("million", "Million",
+// "MILLION"); the sources are embedded in patterns without the i flag.
+function anyCase(word) {
+  return word.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+}
+
+/**
+ * Regex source matching a magnitude suffix: k, M, bn, lakh, crore, Mio.,
+ * Mrd., 万, 億... Longer alternatives come first so "Mio." wins over "M".
+ * Words and multi-letter abbreviations match in any case; single letters
+ * (and MM) only as listed.
+ */
+export const MAGNITUDE_SOURCE = [
+  anyCase('trillion'),
+  anyCase('thousand'),
+  anyCase('billion'),
+  anyCase('million'),
+  `${anyCase('crore')}[sS]?`,
+  `${anyCase('lakh')}[sS]?`,
+  `${anyCase('lac')}[sS]?`,
+  `${anyCase('mio')}\\.?`,
+  `${anyCase('mrd')}\\.?`,
+  `${anyCase('mia')}\\.?`,
+  anyCase('mn'),
+  'MM',
+  anyCase('bn'),
+  anyCase('tn'),
+  'k',
+  'K',
+  'M',
+  'm',
+  'B',
+  '万',
+  '億',
+  '亿'
+].join('|');
+
+/**
+ * Regex source matching an amount with an optional magnitude ("1.2M",
+ * "3,5 Mrd.", "5万"). The suffix must not run into a word, so "500 kr" and
+ * "20 MXN" keep their currency.
+ */
+export const SCALED_AMOUNT_SOURCE = `(?:${AMOUNT_SOURCE})(?:\\s?(?:${MAGNITUDE_SOURCE})(?![A-Za-z\\u00C0-\\u024F]))?`;
+
+const SPELLED_UNITS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90
+};
+
+const SPELLED_SCALES = {
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9,
+  trillion: 1e12
+};
+
+const NUMBER_WORD_SOURCE = [
+  ...Object.keys(SPELLED_UNITS),
+  'hundred',
+  ...Object.keys(SPELLED_SCALES)
+]
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+/**
+ * Regex source matching a spelled-out English number: "twenty",
+ * "forty-five", "a hundred", "two thousand and fifty". Use with the i flag.
+ */
+export const SPELLED_NUMBER_SOURCE = `(?:an?[\\s-]+)?(?:${NUMBER_WORD_SOURCE})(?:[\\s-]+(?:and[\\s-]+)?(?:${NUMBER_WORD_SOURCE}))*`;
+
+/**
+ * Parse a spelled-out English number.
+ * @param {string} text - e.g. "twenty", "one hundred and five"
+ * @returns {number} Value, or NaN if the words don't form a number
+ */
+export function parseSpelledNumber(text) {
+  if (typeof text !== 'string') {
+    return NaN;
+  }
+
+  const words = text
+    .trim()
+    .toLowerCase()
+    .split(/[\s-]+/)
+    .filter(word => word && word !== 'and');
+  if (words.length === 0) {
+    return NaN;
+  }
+
+  let total = 0;
+  let current = 0;
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (word === 'a' || word === 'an') {
+      // Only "a hundred", "a million"...
+      const next = words[i + 1];
+      if (i !== 0 || (next !== 'hundred' && !SPELLED_SCALES[next])) {
+        return NaN;
+      }
+      current = 1;
+    } else if (word in SPELLED_UNITS) {
+      current += SPELLED_UNITS[word];
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+    } else if (word in SPELLED_SCALES) {
+      total += (current || 1) * SPELLED_SCALES[word];
+      current = 0;
+    } else {
+      return NaN;
+    }
+  }
+  return total + current;
+}
+
+/**
+ * Look up the multiplier for a magnitude suffix.
+ * @param {string} suffix - e.g. "k", "bn", "Mio.", "lakh", "万"
+ * @returns {number|null} Multiplier, or null if unknown
+ */
+export function getMagnitudeMultiplier(suffix) {
+  if (typeof suffix !== 'string') {
+    return null;
+  }
+  const key = suffix.trim();
+  return (
+    MAGNITUDES[key] ?? MAGNITUDES[key.toLowerCase().replace(/\.$/, '')] ?? null
+  );
+}
+
+const SCALED_AMOUNT = new RegExp(
+  `^(${AMOUNT_SOURCE})\\s?(${MAGNITUDE_SOURCE})$`,
+  'i'
+);
+
+/**
+ * Parse an amount that may carry a magnitude ("1.2M", "5 lakh") or be
+ * spelled out ("twenty").
+ * @param {string} str - Amount text as matched by SCALED_AMOUNT_SOURCE or
+ *   SPELLED_NUMBER_SOURCE
+ * @returns {{amount: number, baseAmount: number, multiplier: number, suffix: string|null, spelled: boolean}|null}
+ */
+export function parseScaledAmount(str) {
+  if (typeof str !== 'string') {
+    return null;
+  }
+  const text = str.trim();
+
+  if (/^[A-Za-z]/.test(text)) {
+    const amount = parseSpelledNumber(text);
+    return Number.isFinite(amount)
+      ? {
+          amount,
+          baseAmount: amount,
+          multiplier: 1,
+          suffix: null,
+          spelled: true
+        }
+      : null;
+  }
+
+  const match = SCALED_AMOUNT.exec(text);
+  const baseAmount = parseAmount(match ? match[1] : text);
+  const multiplier = match ? getMagnitudeMultiplier(match[2]) : 1;
+  if (!Number.isFinite(baseAmount) || !multiplier) {
+    return null;
+  }
+
+  return {
+    // Round away float noise (1.2 * 1e6 = 1199999.9999999998)
+    amount: Number((baseAmount * multiplier).toPrecision(15)),
+    baseAmount,
+    multiplier,
+    suffix: match ? match[2] : null,
+    spelled: false
+  };
+}
@@ -0,0 +1,161 @@
+// Omnibox Query Parser
+//
+// Reads what the user types after the "cc" omnibox keyword:
+//
+//   100 usd to eur        €50 in gbp, jpy        1.5k eur → usd chf
+//   100 usd               (converts to the user's configured currencies)
+//   250                   (an amount alone is in the base currency)
+//
+// The source side goes through the shared detection pipeline, so anything the
+// selection converter understands (symbols, codes, words, magnitudes) works
+// here too.
+
+import {
+  detectionPipeline,
+  isKnownCurrency,
+  symbolToCurrencyCode,
+  WORD_TO_CODE
+} from './detection-pipeline.js';
+import { parseScaledAmount } from './number-parser.js';
+
+// "to", "in", "into" or an arrow between the amount and the targets
+const TARGET_SEPARATOR = /\s+(?:to|in|into)\s+|\s*(?:→|->|=>)\s*/i;
+// Targets may be listed with commas, spaces, "and", "&" or "+"
+const TARGET_LIST_SEPARATOR = /\s*(?:,|;|&|\+|\s+and\s+|\s)\s*/i;
+
+// Omnibox dropdowns only show a handful of rows
+export const MAX_OMNIBOX_TARGETS = 5;
+
+// Session storage key for the conversion the popup opens with after Enter
+export const OMNIBOX_PREFILL_KEY = 'omniboxPrefill';
+// An unclaimed prefill (popup didn't open) is dropped after this long
+export const OMNIBOX_PREFILL_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Resolve one target token ("eur", "€", "euros") to a currency code.
+ * @param {string} token - Target as typed
+ * @returns {string|null} Currency code
+ */
+export function resolveTargetCurrency(token) {
+  const text = String(token || '').trim();
+  if (!text) {
+    return null;
+  }
+  const code = text.toUpperCase();
+  if (/^[A-Z]{3,5}$/.test(code) && isKnownCurrency(code)) {
+    return code;
+  }
+  return symbolToCurrencyCode(text) || WORD_TO_CODE[text.toLowerCase()] || null;
+}
+
+function parseSource(text, baseCurrency) {
+  const [best] = detectionPipeline.detect(text);
+  if (best && Number.isFinite(best.amount) && best.amount > 0) {
+    return { amount: best.amount, fromCurrency: best.currency };
+  }
+  // A bare amount is in the base currency
+  const scaled = parseScaledAmount(text);
+  if (scaled && Number.isFinite(scaled.amount) && scaled.amount > 0) {
+    return { amount: scaled.amount, fromCurrency: baseCurrency };
+  }
+  return null;
+}
+
+/**
+ * Default targets: the configured currencies other than the source, with the
+ * base currency first unless it is the source.
+ * @param {string} fromCurrency - Source currency
+ * @param {Object} settings - baseCurrency, secondaryCurrency, additionalCurrencies
+ * @returns {string[]}
+ */
+export function getDefaultTargets(
+  fromCurrency,
+  { baseCurrency, secondaryCurrency, additionalCurrencies = [] }
+) {
+  return [
+    ...new Set([baseCurrency, secondaryCurrency, ...additionalCurrencies])
+  ].filter(code => code && code !== fromCurrency);
+}
+
+/**
+ * Parse an omnibox query.
+ * @param {string} text - Text typed after the keyword
+ * @param {Object} [settings] - User currencies (baseCurrency,
+ *   secondaryCurrency, additionalCurrencies) for defaults
+ * @returns {{amount: number, fromCurrency: string, targets: string[], unknownTargets: string[]}|null}
+ *   null when no amount could be read
+ */
+export function parseOmniboxQuery(text, settings = {}) {
+  const {
+    baseCurrency = 'USD',
+    secondaryCurrency = 'EUR',
+    additionalCurrencies = []
+  } = settings;
+  const query = String(text || '').trim();
+  if (!query) {
+    return null;
+  }
+
+  const separator = TARGET_SEPARATOR.exec(query);
+  const sourceText = separator ? query.slice(0, separator.index) : query;
+  const targetText = separator
+    ? query.slice(separator.index + separator[0].length)
+    : '';
+
+  const source = parseSource(sourceText, baseCurrency);
+  if (!source) {
+    return null;
+  }
+
+  const targets = [];
+  const unknownTargets = [];
+  targetText
+    .split(TARGET_LIST_SEPARATOR)
+    .filter(Boolean)
+    .forEach(token => {
+      const code = resolveTargetCurrency(token);
+      if (!code) {
+        unknownTargets.push(token);
+      } else if (code !== source.fromCurrency && !targets.includes(code)) {
+        targets.push(code);
+      }
+    });
+
+  return {
+    ...source,
+    targets: (targets.length || unknownTargets.length
+      ? targets
+      : getDefaultTargets(source.fromCurrency, {
+          baseCurrency,
+          secondaryCurrency,
+          additionalCurrencies
+        })
+    ).slice(0, MAX_OMNIBOX_TARGETS),
+    unknownTargets
+  };
+}
+
+/**
+ * Plain number for omnibox rows: "92.31", "1,234.5", "0.000412".
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatOmniboxAmount(amount) {
+  return amount.toLocaleString('en-US', {
+    maximumFractionDigits: Math.abs(amount) >= 1 ? 2 : 6
+  });
+}
+
+/**
+ * Escape text for an omnibox description, which is parsed as XML.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeOmniboxText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,78 @@
+// Persisted Records
+//
+// A map of records kept in one chrome.storage.local key and shared by the
+// popup and the service worker. Reads refresh an in-memory copy for
+// synchronous summaries; updates are read-modify-write cycles serialized
+// within the context. Provider health and the quota ledger build on it.
+
+/**
+ * Records stored under one chrome.storage.local key.
+ */
+export class PersistedRecordStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - chrome.storage.local key
+   * @param {string} options.label - Name used in warnings ("provider health")
+   * @param {Function} [options.emptyRecord] - () => Object, defaults for a new record
+   */
+  constructor({ storageKey, label, emptyRecord = () => ({}) }) {
+    this.storageKey = storageKey;
+    this.label = label;
+    this.emptyRecord = emptyRecord;
+    // Last records read from storage, for synchronous summaries
+    this.records = {};
+    // Serializes read-modify-write cycles within this context
+    this.queue = Promise.resolve();
+  }
+
+  /** True if chrome.storage.local is usable in this context. */
+  get available() {
+    return (
+      typeof chrome !== 'undefined' &&
+      !!chrome.storage &&
+      !!chrome.storage.local
+    );
+  }
+
+  /**
+   * Read the stored records.
+   * @returns {Promise<Object>} id → record
+   */
+  async load() {
+    if (this.available) {
+      try {
+        const stored = await chrome.storage.local.get(this.storageKey);
+        this.records = stored?.[this.storageKey] || {};
+      } catch (error) {
+        console.warn(`⚠️ Failed to read ${this.label}:`, error.message);
+      }
+    }
+    return this.records;
+  }
+
+  /**
+   * Apply a change to one record and store it.
+   * @param {string} id - Record id
+   * @param {Function} change - (record) => void, mutates the record
+   * @returns {Promise<Object>} The updated record
+   */
+  update(id, change) {
+    const run = async () => {
+      const records = { ...(await this.load()) };
+      const record = { ...this.emptyRecord(), ...records[id] };
+      change(record);
+      records[id] = record;
+      this.records = records;
+      if (this.available) {
+        try {
+          await chrome.storage.local.set({ [this.storageKey]: records });
+        } catch (error) {
+          console.warn(`⚠️ Failed to save ${this.label}:`, error.message);
+        }
+      }
+      return record;
+    };
+    this.queue = this.queue.then(run, run);
+    return this.queue;
+  }
+}
@@ -0,0 +1,222 @@
+// Provider Health
+//
+// Remembers how each rate provider has been doing across calls and service
+// worker restarts (chrome.storage.local): success rate, recent latencies,
+// the last error and whether its quota ran out. A circuit breaker skips a
+// provider for a cooldown after repeated failures, or straight away on a
+// 429/quota error. Once the cooldown ends the next request is a probe
+// (half-open): success closes the circuit, failure backs off for longer.
+
+import { PersistedRecordStore } from './persisted-records.js';
+import { PROVIDER_ERRORS } from './rate-providers.js';
+
+export const HEALTH_STORAGE_KEY = 'provider_health';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_OPTIONS = {
+  failureThreshold: 3, // consecutive failures that open the circuit
+  cooldownMs: 5 * 60 * 1000, // first cooldown; doubles each time it reopens
+  maxCooldownMs: 60 * 60 * 1000,
+  quotaCooldownMs: 60 * 60 * 1000, // after a 429 or quota error
+  sampleSize: 50 // latencies kept for percentiles
+};
+
+// Kinds that say the provider (not the request) is in trouble. Unknown
+// currencies or plan restrictions are recorded but don't trip the breaker.
+const STRIKE_KINDS = new Set([
+  PROVIDER_ERRORS.NETWORK,
+  PROVIDER_ERRORS.UNAVAILABLE,
+  PROVIDER_ERRORS.AUTH,
+  PROVIDER_ERRORS.QUOTA
+]);
+
+/**
+ * Nearest-rank percentile.
+ * @param {number[]} values
+ * @param {number} percent - 0-100
+ * @returns {number|null}
+ */
+export function percentile(values, percent) {
+  if (!values?.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((percent / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+function emptyRecord() {
+  return {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    latencies: [],
+    lastErrorKind: null,
+    lastErrorMessage: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    quotaExhausted: false,
+    openUntil: null,
+    trips: 0
+  };
+}
+
+/**
+ * Circuit state of a health record at a point in time.
+ * @param {Object|null} record
+ * @param {number} [now]
+ * @returns {string} One of CIRCUIT_STATES
+ */
+export function circuitState(record, now = Date.now()) {
+  if (!record?.openUntil) {
+    return CIRCUIT_STATES.CLOSED;
+  }
+  return now < record.openUntil
+    ? CIRCUIT_STATES.OPEN
+    : CIRCUIT_STATES.HALF_OPEN;
+}
+
+/**
+ * Persisted per-provider health with a circuit breaker.
+ */
+export class ProviderHealthTracker extends PersistedRecordStore {
+  /**
+   * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+   * @param {Function} [options.now] - Clock (used in tests)
+   */
+  constructor({ now = () => Date.now(), ...options } = {}) {
+    super({
+      storageKey: HEALTH_STORAGE_KEY,
+      label: 'provider health',
+      emptyRecord
+    });
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = now;
+  }
+
+  /**
+   * Whether a provider may be asked now. Closed and half-open circuits let
+   * requests through; an open one doesn't until its cooldown ends.
+   * @param {string} id - Provider id
+   * @returns {Promise<{allowed: boolean, state: string, openUntil: number|null, quotaExhausted: boolean}>}
+   */
+  async check(id) {
+    const record = (await this.load())[id] || null;
+    const state = circuitState(record, this.now());
+    return {
+      allowed: state !== CIRCUIT_STATES.OPEN,
+      state,
+      openUntil: record?.openUntil ?? null,
+      quotaExhausted: !!record?.quotaExhausted
+    };
+  }
+
+  /**
+   * @param {string} id - Provider id
+   * @param {number} latency - Milliseconds the request took
+   */
+  recordSuccess(id, latency) {
+    return this.update(id, record => {
+      record.successes++;
+      record.consecutiveFailures = 0;
+      record.latencies = [...record.latencies, Math.round(latency)].slice(
+        -this.options.sampleSize
+      );
+      record.lastSuccessAt = this.now();
+      record.quotaExhausted = false;
+      record.openUntil = null;
+      record.trips = 0;
+    });
+  }
+
+  /**
+   * @param {string} id - Provider id
+   * @param {Error} error - Error with a PROVIDER_ERRORS kind
+   * @param {number} latency - Milliseconds until it failed
+   */
+  recordFailure(id, error, latency) {
+    return this.update(id, record => {
+      const now = this.now();
+      const kind = error?.kind || PROVIDER_ERRORS.UNAVAILABLE;
+      const halfOpen = circuitState(record, now) === CIRCUIT_STATES.HALF_OPEN;
+
+      record.failures++;
+      record.lastErrorKind = kind;
+      record.lastErrorMessage = error?.message || null;
+      record.lastFailureAt = now;
+      if (Number.isFinite(latency)) {
+        record.latencies = [...record.latencies, Math.round(latency)].slice(
+          -this.options.sampleSize
+        );
+      }
+      if (!STRIKE_KINDS.has(kind)) {
+        return;
+      }
+
+      record.consecutiveFailures++;
+      if (kind === PROVIDER_ERRORS.QUOTA) {
+        record.quotaExhausted = true;
+        record.trips++;
+        record.openUntil = now + this.options.quotaCooldownMs;
+      } else if (
+        halfOpen ||
+        record.consecutiveFailures >= this.options.failureThreshold
+      ) {
+        // A failed probe backs off for longer each time
+        const cooldown = Math.min(
+          this.options.cooldownMs * 2 ** record.trips,
+          this.options.maxCooldownMs
+        );
+        record.trips++;
+        record.openUntil = now + cooldown;
+      }
+    });
+  }
+
+  /**
+   * Close a provider's circuit and clear its counters.
+   * @param {string} id - Provider id
+   */
+  reset(id) {
+    return this.update(id, record => {
+      Object.assign(record, emptyRecord());
+    });
+  }
+
+  /**
+   * Health of every provider with a record, from the last read.
+   * @returns {Object} provider id → {state, successRate, requests, p50, p95,
+   *   lastErrorKind, lastErrorMessage, lastSuccessAt, lastFailureAt,
+   *   quotaExhausted, openUntil, consecutiveFailures}
+   */
+  getSummary() {
+    const now = this.now();
+    return Object.fromEntries(
+      Object.entries(this.records).map(([id, record]) => {
+        const requests = record.successes + record.failures;
+        return [
+          id,
+          {
+            state: circuitState(record, now),
+            requests,
+            successRate: requests ? record.successes / requests : null,
+            p50: percentile(record.latencies, 50),
+            p95: percentile(record.latencies, 95),
+            lastErrorKind: record.lastErrorKind,
+            lastErrorMessage: record.lastErrorMessage,
+            lastSuccessAt: record.lastSuccessAt,
+            lastFailureAt: record.lastFailureAt,
+            quotaExhausted: record.quotaExhausted,
+            openUntil: record.openUntil,
+            consecutiveFailures: record.consecutiveFailures
+          }
+        ];
+      })
+    );
+  }
+}
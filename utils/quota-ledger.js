@@ -0,0 +1,276 @@
+// Quota Ledger
+//
+// Counts the requests sent to each provider, per API key, in the windows
+// its plan declares (rateLimits: requests per minute or month, plus an
+// optional daily cap) and keeps the counts in chrome.storage.local so they
+// survive service worker restarts. A request that would go past a limit is
+// refused before it is sent. Windows follow UTC calendar boundaries; the
+// month-end projection extrapolates this month's usage so far. Keyless
+// providers declare no limits and are never counted.
+
+import { PersistedRecordStore } from './persisted-records.js';
+
+export const QUOTA_STORAGE_KEY = 'provider_quota';
+
+// Share of a daily or monthly allowance at which the popup warns
+export const QUOTA_THRESHOLDS = {
+  warning: 0.8,
+  critical: 0.95
+};
+
+export const QUOTA_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+  EXHAUSTED: 'exhausted'
+};
+
+const WINDOWS = ['minute', 'day', 'month'];
+
+const WINDOW_LABELS = {
+  minute: 'per-minute',
+  day: 'daily',
+  month: 'monthly'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Request limits of a provider plan, by window.
+ * @param {Object} [rateLimits] - Provider rateLimits ({free|registered: {requests, period, daily?}, features})
+ * @returns {{minute?: number, day?: number, month?: number}|null} null when unlimited
+ */
+export function quotaLimits(rateLimits) {
+  const plan = Object.values(rateLimits || {}).find(
+    entry => Number.isFinite(entry?.requests) && WINDOWS.includes(entry.period)
+  );
+  if (!plan) {
+    return null;
+  }
+  const limits = { [plan.period]: plan.requests };
+  if (Number.isFinite(plan.daily)) {
+    limits.day = plan.daily;
+  }
+  return limits;
+}
+
+/**
+ * UTC bounds of the window containing a time.
+ * @param {string} window - 'minute', 'day' or 'month'
+ * @param {number} [now]
+ * @returns {{start: number, end: number}}
+ */
+export function windowBounds(window, now = Date.now()) {
+  if (window === 'minute') {
+    const start = now - (now % 60000);
+    return { start, end: start + 60000 };
+  }
+  const date = new Date(now);
+  if (window === 'day') {
+    const start = Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate()
+    );
+    return { start, end: start + DAY_MS };
+  }
+  return {
+    start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+    end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+  };
+}
+
+/**
+ * Requests expected by the end of the month at the current pace. The first
+ * day counts as a whole day so a few early requests don't explode the pace.
+ * @param {number} used - Requests so far this month
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function projectMonthEnd(used, now = Date.now()) {
+  const { start, end } = windowBounds('month', now);
+  const elapsed = Math.max(now - start, DAY_MS);
+  return Math.round((used * (end - start)) / elapsed);
+}
+
+/**
+ * Short, non-reversible tag for an API key (FNV-1a), so usage is kept per
+ * key without storing the key twice.
+ * @param {string|null} apiKey
+ * @returns {string}
+ */
+export function keyFingerprint(apiKey) {
+  if (!apiKey) {
+    return 'none';
+  }
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < apiKey.length; i++) {
+    hash ^= apiKey.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+function usedIn(record, window, now) {
+  const entry = record?.windows?.[window];
+  return entry && entry.start === windowBounds(window, now).start
+    ? entry.used
+    : 0;
+}
+
+/**
+ * How close a ledger record is to its daily or monthly allowance.
+ * @param {Object|null} record
+ * @param {number} [now]
+ * @returns {string} One of QUOTA_LEVELS
+ */
+export function quotaLevel(record, now = Date.now()) {
+  const severity = Object.values(QUOTA_LEVELS);
+  let level = QUOTA_LEVELS.OK;
+  ['day', 'month'].forEach(window => {
+    const limit = record?.limits?.[window];
+    if (!limit) {
+      return;
+    }
+    const used = usedIn(record, window, now);
+    let windowLevel = QUOTA_LEVELS.OK;
+    if (used >= limit) {
+      windowLevel = QUOTA_LEVELS.EXHAUSTED;
+    } else if (used >= limit * QUOTA_THRESHOLDS.critical) {
+      windowLevel = QUOTA_LEVELS.CRITICAL;
+    } else if (
+      used >= limit * QUOTA_THRESHOLDS.warning ||
+      (window === 'month' && projectMonthEnd(used, now) > limit)
+    ) {
+      windowLevel = QUOTA_LEVELS.WARNING;
+    }
+    if (severity.indexOf(windowLevel) > severity.indexOf(level)) {
+      level = windowLevel;
+    }
+  });
+  return level;
+}
+
+/**
+ * Persisted request counts per provider and API key.
+ */
+export class QuotaLedger extends PersistedRecordStore {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock (used in tests)
+   */
+  constructor({ now = () => Date.now() } = {}) {
+    super({
+      storageKey: QUOTA_STORAGE_KEY,
+      label: 'quota ledger',
+      emptyRecord: () => ({ windows: {} })
+    });
+    this.now = now;
+  }
+
+  /**
+   * Ledger entry id for a provider and key.
+   * @param {Object} provider - RateProvider from the registry
+   * @param {string|null} apiKey
+   * @returns {string}
+   */
+  entryId(provider, apiKey) {
+    return `${provider.id}:${keyFingerprint(apiKey)}`;
+  }
+
+  /**
+   * Count requests against the provider's limits, unless that would go
+   * past one of them; then nothing is counted.
+   * @param {Object} provider - RateProvider from the registry
+   * @param {string|null} apiKey
+   * @param {number} [cost] - Requests about to be sent
+   * @returns {Promise<{allowed: boolean, window?: string, label?: string, used?: number, limit?: number, resetAt?: number}>}
+   */
+  async reserve(provider, apiKey, cost = 1) {
+    const limits = quotaLimits(provider.rateLimits);
+    if (!limits) {
+      return { allowed: true };
+    }
+
+    let result = { allowed: true };
+    await this.update(this.entryId(provider, apiKey), record => {
+      const now = this.now();
+      const blocked = WINDOWS.find(
+        window =>
+          limits[window] && usedIn(record, window, now) + cost > limits[window]
+      );
+      if (blocked) {
+        result = {
+          allowed: false,
+          window: blocked,
+          label: WINDOW_LABELS[blocked],
+          used: usedIn(record, blocked, now),
+          limit: limits[blocked],
+          resetAt: windowBounds(blocked, now).end
+        };
+        return;
+      }
+
+      record.provider = provider.id;
+      record.key = keyFingerprint(apiKey);
+      record.limits = limits;
+      Object.keys(limits).forEach(window => {
+        record.windows[window] = {
+          start: windowBounds(window, now).start,
+          used: usedIn(record, window, now) + cost
+        };
+      });
+      record.updatedAt = now;
+    });
+    return result;
+  }
+
+  /**
+   * Quota level of a provider key from the last read, for ordering.
+   * @param {Object} provider - RateProvider from the registry
+   * @param {string|null} apiKey
+   * @returns {string} One of QUOTA_LEVELS
+   */
+  levelOf(provider, apiKey) {
+    return quotaLevel(this.records[this.entryId(provider, apiKey)], this.now());
+  }
+
+  /**
+   * Usage of every counted provider key, from the last read.
+   * @returns {Object} entry id → {provider, key, level, windows: {window:
+   *   {used, limit, remaining, resetAt}}, projectedMonthEnd}
+   */
+  getSummary() {
+    const now = this.now();
+    return Object.fromEntries(
+      Object.entries(this.records).map(([id, record]) => {
+        const windows = Object.fromEntries(
+          Object.entries(record.limits || {}).map(([window, limit]) => {
+            const used = usedIn(record, window, now);
+            return [
+              window,
+              {
+                used,
+                limit,
+                remaining: Math.max(limit - used, 0),
+                resetAt: windowBounds(window, now).end
+              }
+            ];
+          })
+        );
+        return [
+          id,
+          {
+            provider: record.provider,
+            key: record.key,
+            level: quotaLevel(record, now),
+            windows,
+            projectedMonthEnd: windows.month
+              ? projectMonthEnd(windows.month.used, now)
+              : null
+          }
+        ];
+      })
+    );
+  }
+}
@@ -259,14 +259,15 @@ export class RateAlertsManager {
         alert.toCurrency
       );
 
-      if (!result.success) {
+      // convertCurrency() throws on failure; it has no success flag
+      if (!result || typeof result.rate !== 'number') {
         console.warn(
           `⚠️ Failed to get rate for ${alert.fromCurrency}/${alert.toCurrency}`
         );
         return;
       }
 
-      const currentRate = result.convertedAmount;
+      const currentRate = result.rate;
       const previousRate = alert.currentRate;
 
       // Update alert with current rate
@@ -7,10 +7,14 @@
 // Service-worker safe: no localStorage / window usage (unlike the retired
 // ConversionCache). The TTL and offline thresholds are read from user settings
 // at call time, so changing them in the popup takes effect immediately.
+//
+// Historical tables (rates for a past date) live in their own namespace and
+// never expire: a closing rate for 2024-03-01 doesn't change.
 
 import { settingsManager } from './settings-manager.js';
 
 const KEY_PREFIX = 'rate_table_';
+const HISTORICAL_PREFIX = 'rate_history_';
 // Pre-1.1.0 cache keys, removed on upgrade by migrateLegacy().
 const LEGACY_PREFIX = 'exchange_rate_cache_';
 
@@ -58,6 +62,10 @@ export class RateCache {
     return `${KEY_PREFIX}${String(base).toUpperCase()}`;
   }
 
+  historicalKeyFor(base, date) {
+    return `${HISTORICAL_PREFIX}${String(base).toUpperCase()}_${date}`;
+  }
+
   /** True if chrome.storage.local is usable in this context. */
   get available() {
     return (
@@ -120,6 +128,67 @@ export class RateCache {
     }
   }
 
+  /**
+   * Get the stored rate table of a base currency for a past date.
+   * @param {string} base - Base currency code
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object|null>}
+   */
+  async getHistoricalTable(base, date) {
+    if (!this.available) {
+      return null;
+    }
+    const key = this.historicalKeyFor(base, date);
+    try {
+      const result = await chrome.storage.local.get(key);
+      if (result[key]) {
+        this.stats.hits++;
+        return result[key];
+      }
+      this.stats.misses++;
+      return null;
+    } catch (error) {
+      console.warn('⚠️ RateCache.getHistoricalTable failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the conversion table of a base currency for a past date. Unlike
+   * latest tables it has no expiresAt.
+   * @param {string} base - Base currency code
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} rates - Map of target code -> rate
+   * @param {string} [source] - API provider name
+   * @returns {Promise<boolean>}
+   */
+  async setHistoricalTable(base, date, rates, source = 'unknown') {
+    if (!this.available) {
+      return false;
+    }
+    if (!rates || typeof rates !== 'object') {
+      return false;
+    }
+
+    const table = {
+      base: String(base).toUpperCase(),
+      date,
+      rates,
+      source,
+      fetchedAt: Date.now()
+    };
+
+    try {
+      await chrome.storage.local.set({
+        [this.historicalKeyFor(base, date)]: table
+      });
+      return true;
+    } catch (error) {
+      console.warn('⚠️ RateCache.setHistoricalTable failed:', error);
+      return false;
+    }
+  }
+
   /**
    * Resolve a single exchange rate from the cache.
    * Fresh tables are always served. Stale tables are served only when
@@ -198,7 +267,7 @@ export class RateCache {
   }
 
   /**
-   * Remove all cached rate tables.
+   * Remove all cached rate tables, historical ones included.
    * @returns {Promise<void>}
    */
   async clear() {
@@ -207,7 +276,9 @@ export class RateCache {
     }
     try {
       const all = await chrome.storage.local.get(null);
-      const keys = Object.keys(all).filter(k => k.startsWith(KEY_PREFIX));
+      const keys = Object.keys(all).filter(
+        k => k.startsWith(KEY_PREFIX) || k.startsWith(HISTORICAL_PREFIX)
+      );
       if (keys.length) {
         await chrome.storage.local.remove(keys);
       }
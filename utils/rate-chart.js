@@ -0,0 +1,221 @@
+// Rate Chart Data
+//
+// Turns RateAlertsManager.rateHistory entries ({fromCurrency, toCurrency,
+// rate, timestamp}) into chart series, summary overlays (min/max/average)
+// and alert threshold lines, and maps them onto an SVG coordinate space.
+// Drawing lives in popup/components/RateChart.js; everything here is plain
+// data so it can be tested without a DOM.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Chronological rate points of one currency pair.
+ * @param {Array<Object>} history - rateHistory entries
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {Object} [options]
+ * @param {number} [options.days] - Only the last N days
+ * @param {number} [options.now] - Reference time for days
+ * @returns {Array<{time: number, rate: number}>}
+ */
+export function getPairSeries(
+  history,
+  fromCurrency,
+  toCurrency,
+  { days = null, now = Date.now() } = {}
+) {
+  const cutoff = days ? now - days * DAY_MS : -Infinity;
+  return (history || [])
+    .filter(
+      entry =>
+        entry.fromCurrency === fromCurrency && entry.toCurrency === toCurrency
+    )
+    .map(entry => ({
+      time: new Date(entry.timestamp).getTime(),
+      rate: Number(entry.rate)
+    }))
+    .filter(
+      point =>
+        Number.isFinite(point.time) &&
+        Number.isFinite(point.rate) &&
+        point.time >= cutoff
+    )
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Currency pairs that have stored history, most data first.
+ * @param {Array<Object>} history - rateHistory entries
+ * @returns {Array<{fromCurrency: string, toCurrency: string, count: number}>}
+ */
+export function listHistoryPairs(history) {
+  const pairs = new Map();
+  (history || []).forEach(({ fromCurrency, toCurrency }) => {
+    const key = `${fromCurrency}/${toCurrency}`;
+    const pair = pairs.get(key) || { fromCurrency, toCurrency, count: 0 };
+    pair.count++;
+    pairs.set(key, pair);
+  });
+  return [...pairs.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Min, max, average and change over a series.
+ * @param {Array<{time: number, rate: number}>} points
+ * @returns {{min: number, max: number, average: number, first: number, last: number, percentChange: number, count: number}|null}
+ */
+export function summarizeSeries(points) {
+  if (!points?.length) {
+    return null;
+  }
+  const rates = points.map(point => point.rate);
+  const first = rates[0];
+  const last = rates[rates.length - 1];
+  return {
+    min: Math.min(...rates),
+    max: Math.max(...rates),
+    average: rates.reduce((sum, rate) => sum + rate, 0) / rates.length,
+    first,
+    last,
+    percentChange: first ? ((last - first) / first) * 100 : 0,
+    count: rates.length
+  };
+}
+
+/**
+ * Threshold lines for the enabled alerts on a pair. "Above"/"below" alerts
+ * draw their target rate; "change" alerts draw the rates a move of their
+ * percentage from the reference (latest) rate would reach.
+ * @param {Array<Object>} alerts - RateAlertsManager alerts
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {Object} [options]
+ * @param {number|null} [options.reference] - Rate "change" alerts move from
+ * @returns {Array<{value: number, label: string, condition: string}>}
+ */
+export function getAlertThresholds(
+  alerts,
+  fromCurrency,
+  toCurrency,
+  { reference = null } = {}
+) {
+  const lines = [];
+  (alerts || []).forEach(alert => {
+    const enabled = alert.enabled ?? alert.active ?? true;
+    if (
+      !enabled ||
+      alert.fromCurrency !== fromCurrency ||
+      alert.toCurrency !== toCurrency
+    ) {
+      return;
+    }
+    const condition = alert.condition || alert.type;
+    const target = Number(alert.targetRate);
+
+    if ((condition === 'above' || condition === 'below') && target > 0) {
+      lines.push({
+        value: target,
+        label: `${condition === 'above' ? 'Above' : 'Below'} ${target}`,
+        condition
+      });
+    } else if (condition === 'change' && reference > 0) {
+      const percent = Number(alert.threshold ?? alert.targetRate);
+      if (percent > 0) {
+        lines.push(
+          {
+            value: reference * (1 + percent / 100),
+            label: `+${percent}%`,
+            condition
+          },
+          {
+            value: reference * (1 - percent / 100),
+            label: `-${percent}%`,
+            condition
+          }
+        );
+      }
+    }
+  });
+  return lines;
+}
+
+/**
+ * Map times and rates onto a chart box. The rate range covers the series
+ * and every line so thresholds outside the history stay visible.
+ * @param {Object} options
+ * @param {Array<{time: number, rate: number}>} options.points
+ * @param {number[]} [options.values] - Extra rates to keep in view
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {{top: number, right: number, bottom: number, left: number}} [options.padding]
+ * @returns {{x: Function, y: Function, minRate: number, maxRate: number, minTime: number, maxTime: number}}
+ */
+export function createChartScale({
+  points,
+  values = [],
+  width,
+  height,
+  padding = { top: 0, right: 0, bottom: 0, left: 0 }
+}) {
+  const rates = [...points.map(point => point.rate), ...values].filter(
+    Number.isFinite
+  );
+  let minRate = Math.min(...rates);
+  let maxRate = Math.max(...rates);
+  if (minRate === maxRate) {
+    const spread = Math.abs(minRate) * 0.01 || 1;
+    minRate -= spread;
+    maxRate += spread;
+  } else {
+    const margin = (maxRate - minRate) * 0.05;
+    minRate -= margin;
+    maxRate += margin;
+  }
+
+  const minTime = points.length ? points[0].time : 0;
+  const maxTime = points.length ? points[points.length - 1].time : 0;
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
+
+  return {
+    x: time =>
+      maxTime === minTime
+        ? padding.left + innerWidth / 2
+        : padding.left + ((time - minTime) / (maxTime - minTime)) * innerWidth,
+    y: rate =>
+      padding.top + ((maxRate - rate) / (maxRate - minRate)) * innerHeight,
+    minRate,
+    maxRate,
+    minTime,
+    maxTime
+  };
+}
+
+/**
+ * SVG path data for a line through the points.
+ * @param {Array<{time: number, rate: number}>} points
+ * @param {{x: Function, y: Function}} scale
+ * @returns {string}
+ */
+export function toSvgPath(points, scale) {
+  return points
+    .map(
+      (point, index) =>
+        `${index === 0 ? 'M' : 'L'}${round(scale.x(point.time))} ${round(scale.y(point.rate))}`
+    )
+    .join(' ');
+}
+
+/**
+ * Rate label with enough digits to tell nearby lines apart.
+ * @param {number} rate
+ * @returns {string}
+ */
+export function formatChartRate(rate) {
+  const digits = Math.abs(rate) >= 100 ? 2 : Math.abs(rate) >= 1 ? 4 : 6;
+  return rate.toFixed(digits);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,126 @@
+// Rate Consensus
+//
+// Combines the rate tables of several providers into one: every currency
+// takes the median of the quotes, quotes further than the tolerance from
+// that median are rejected as outliers, and the median of the remaining
+// quotes is the consensus rate. Each provider's deviation from the median
+// is recorded so drifting providers show up in the service stats.
+
+export const DEFAULT_CONSENSUS_TOLERANCE = 1; // percent
+export const CONSENSUS_STATS_KEY = 'rate_consensus_stats';
+
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+export function median(values) {
+  if (!values?.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Merge provider tables into consensus rates.
+ * @param {Array<{provider: string, rates: Object}>} tables - Same base currency
+ * @param {Object} [options]
+ * @param {string} [options.base] - Base currency (always 1, not compared)
+ * @param {number} [options.tolerance] - Max deviation from the median, in percent
+ * @returns {{rates: Object, rejected: Object, disputed: string[], deviations: Object}}
+ *   rejected: provider → codes dropped as outliers; disputed: codes where no
+ *   quote was within tolerance (the median of all quotes is used);
+ *   deviations: provider → {compared, total, max, rejected} in percent
+ */
+export function buildConsensus(
+  tables,
+  { base = null, tolerance = DEFAULT_CONSENSUS_TOLERANCE } = {}
+) {
+  const quotes = new Map();
+  tables.forEach(({ provider, rates }) => {
+    Object.entries(rates || {}).forEach(([code, rate]) => {
+      if (code !== base && typeof rate === 'number' && rate > 0) {
+        if (!quotes.has(code)) {
+          quotes.set(code, []);
+        }
+        quotes.get(code).push({ provider, rate });
+      }
+    });
+  });
+
+  const rates = base ? { [base]: 1 } : {};
+  const rejected = {};
+  const disputed = [];
+  const deviations = {};
+  tables.forEach(({ provider }) => {
+    rejected[provider] = [];
+    deviations[provider] = { compared: 0, total: 0, max: 0, rejected: 0 };
+  });
+
+  quotes.forEach((entries, code) => {
+    const middle = median(entries.map(entry => entry.rate));
+    if (entries.length < 2) {
+      rates[code] = middle;
+      return;
+    }
+
+    const accepted = [];
+    entries.forEach(({ provider, rate }) => {
+      const deviation = (Math.abs(rate - middle) / middle) * 100;
+      const stats = deviations[provider];
+      stats.compared++;
+      stats.total += deviation;
+      stats.max = Math.max(stats.max, deviation);
+      if (deviation > tolerance) {
+        stats.rejected++;
+        rejected[provider].push(code);
+      } else {
+        accepted.push(rate);
+      }
+    });
+
+    if (accepted.length === 0) {
+      disputed.push(code);
+      rates[code] = middle;
+    } else {
+      rates[code] = median(accepted);
+    }
+  });
+
+  return { rates, rejected, disputed, deviations };
+}
+
+/**
+ * Add one consensus round to a provider's running deviation stats.
+ * @param {Object|null} stats - Previous stats for the provider
+ * @param {{compared: number, total: number, max: number, rejected: number}} round
+ * @param {number} [now]
+ * @returns {Object} {rounds, compared, meanDeviation, maxDeviation,
+ *   lastDeviation, rejected, updatedAt}
+ */
+export function accumulateDeviation(stats, round, now = Date.now()) {
+  const previous = stats || {
+    rounds: 0,
+    compared: 0,
+    meanDeviation: 0,
+    maxDeviation: 0,
+    lastDeviation: null,
+    rejected: 0
+  };
+  const compared = previous.compared + round.compared;
+  return {
+    rounds: previous.rounds + 1,
+    compared,
+    meanDeviation: compared
+      ? (previous.meanDeviation * previous.compared + round.total) / compared
+      : 0,
+    maxDeviation: Math.max(previous.maxDeviation, round.max),
+    lastDeviation: round.compared ? round.total / round.compared : null,
+    rejected: previous.rejected + round.rejected,
+    updatedAt: now
+  };
+}
@@ -0,0 +1,966 @@
+/**
+ * Exchange Rate Provider Adapters
+ *
+ * Every rate API behind one interface. An adapter declares what its plan
+ * can do (full tables or single pairs, historical dates, crypto, which base
+ * currencies it accepts), builds its URLs, turns its response into a plain
+ * rate table ({CODE: units per 1 base}) and classifies its errors so the
+ * retry logic knows a bad key or an exhausted quota from a flaky network.
+ *
+ * Base-restricted free tiers (Fixer: EUR only; Open Exchange Rates and
+ * currencylayer: USD only) are handled here: the table is fetched for the
+ * allowed base and rebased, so callers can ask for any base. The same goes
+ * for the keyless central-bank feeds (ECB: EUR, CNB: CZK), which come last
+ * so a fresh install without keys still gets rates.
+ */
+
+import { CRYPTOCURRENCIES } from './currency-data.js';
+import {
+  parseEcbXml,
+  pickReferenceDay,
+  parseCnbFixing,
+  toCnbDate
+} from './central-bank-feeds.js';
+
+/**
+ * Error kinds set on provider errors (error.kind)
+ */
+export const PROVIDER_ERRORS = {
+  AUTH: 'auth', // missing, invalid or inactive key
+  QUOTA: 'quota', // request allowance used up or rate limited
+  UNSUPPORTED: 'unsupported', // plan or API can't serve this request
+  INVALID: 'invalid', // unknown currency, bad date
+  UNAVAILABLE: 'unavailable', // server error or unexpected response
+  NETWORK: 'network', // request never completed
+  CIRCUIT_OPEN: 'circuit-open' // skipped while the provider cools down
+};
+
+const RETRYABLE = new Set([
+  PROVIDER_ERRORS.UNAVAILABLE,
+  PROVIDER_ERRORS.NETWORK
+]);
+
+/**
+ * Create an Error carrying its provider and kind.
+ * @param {string} message
+ * @param {string} kind - One of PROVIDER_ERRORS
+ * @param {string} [provider] - Provider id
+ * @returns {Error}
+ */
+export function createProviderError(message, kind, provider = null) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.provider = provider;
+  return error;
+}
+
+/**
+ * Whether trying the same request again could succeed.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return !error?.kind || RETRYABLE.has(error.kind);
+}
+
+/**
+ * Kind of an HTTP failure status.
+ * @param {number} status
+ * @returns {string} One of PROVIDER_ERRORS
+ */
+export function classifyHttpStatus(status) {
+  if (status === 401 || status === 403) {
+    return PROVIDER_ERRORS.AUTH;
+  }
+  if (status === 429) {
+    return PROVIDER_ERRORS.QUOTA;
+  }
+  if (status === 400 || status === 404 || status === 422) {
+    return PROVIDER_ERRORS.INVALID;
+  }
+  return PROVIDER_ERRORS.UNAVAILABLE;
+}
+
+/**
+ * Re-express a rate table in another base currency.
+ * @param {Object} rates - Units of each currency per 1 of the table's base
+ * @param {string} tableBase - The table's base currency
+ * @param {string} base - Wanted base currency (must be in the table)
+ * @returns {Object} Units of each currency per 1 base
+ */
+export function rebaseRates(rates, tableBase, base) {
+  if (tableBase === base) {
+    return { ...rates };
+  }
+  const pivot = rates[base];
+  if (typeof pivot !== 'number' || pivot <= 0) {
+    throw createProviderError(
+      `Rate not available for ${tableBase} → ${base}`,
+      PROVIDER_ERRORS.INVALID
+    );
+  }
+  const rebased = { [tableBase]: 1 / pivot };
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (typeof rate === 'number' && rate > 0) {
+      rebased[code] = rate / pivot;
+    }
+  });
+  rebased[base] = 1;
+  return rebased;
+}
+
+/**
+ * True for currency codes the extension lists as cryptocurrencies.
+ * @param {string|null} code
+ * @returns {boolean}
+ */
+export function isCryptoCurrency(code) {
+  return (
+    !!code &&
+    Object.prototype.hasOwnProperty.call(CRYPTOCURRENCIES, code.toUpperCase())
+  );
+}
+
+/**
+ * Base class for rate providers
+ */
+export class RateProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.id - Key used for API keys and settings
+   * @param {string} config.name - Display name
+   * @param {number} config.priority - Lower is tried first
+   * @param {boolean} config.requiresApiKey
+   * @param {RegExp} [config.keyPattern] - Expected API key format
+   * @param {'json'|'text'} [config.format='json'] - Response body format
+   * @param {Object} config.capabilities
+   * @param {boolean} config.capabilities.fullTable - One call returns every currency
+   * @param {boolean} config.capabilities.historical - Rates for past dates
+   * @param {boolean} config.capabilities.crypto - Cryptocurrency rates
+   * @param {string[]|null} config.capabilities.bases - Accepted base currencies (null: any)
+   * @param {Object} [config.rateLimits] - Plan limits ({free|registered: {requests, period, daily?}}) and features
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  get id() {
+    return this.config.id;
+  }
+
+  get name() {
+    return this.config.name;
+  }
+
+  get priority() {
+    return this.config.priority;
+  }
+
+  get requiresApiKey() {
+    return this.config.requiresApiKey;
+  }
+
+  get capabilities() {
+    return this.config.capabilities;
+  }
+
+  get rateLimits() {
+    return this.config.rateLimits || null;
+  }
+
+  /**
+   * Whether the provider accepts a base currency directly.
+   * @param {string} base
+   * @returns {boolean}
+   */
+  supportsBase(base) {
+    const { bases } = this.capabilities;
+    return !bases || bases.includes(base);
+  }
+
+  /**
+   * Whether an API key looks like one this provider issues.
+   * @param {string} apiKey
+   * @returns {boolean}
+   */
+  validateKey(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      return false;
+    }
+    return this.config.keyPattern
+      ? this.config.keyPattern.test(apiKey)
+      : apiKey.length >= 16;
+  }
+
+  /**
+   * URL of the latest rates.
+   * @param {Object} request - {base, symbols: string[]|null, apiKey}
+   * @returns {string}
+   */
+  buildLatestUrl(_request) {
+    throw new Error('buildLatestUrl() must be implemented by rate provider');
+  }
+
+  /**
+   * URL of the rates for a past date.
+   * @param {Object} request - {base, date, symbols, apiKey}
+   * @returns {string}
+   */
+  buildHistoricalUrl(_request) {
+    throw createProviderError(
+      `${this.name} has no historical rates`,
+      PROVIDER_ERRORS.UNSUPPORTED,
+      this.id
+    );
+  }
+
+  /**
+   * Turn a response body into a rate table.
+   * @param {Object|string} data - Parsed JSON or text
+   * @param {Object} request - The request it answers
+   * @returns {{rates: Object, timestamp: string}}
+   */
+  parseRates(_data, _request) {
+    throw new Error('parseRates() must be implemented by rate provider');
+  }
+
+  /**
+   * Spot an error reported in a response body (many APIs answer 200 OK).
+   * @param {Object|string} data - Parsed JSON or text
+   * @returns {{message: string, kind: string}|null}
+   */
+  detectError(_data) {
+    return null;
+  }
+
+  /**
+   * Request a URL and return its rate table, throwing classified errors.
+   * @param {string} url
+   * @param {Object} request
+   * @param {Function} fetchImpl - fetch-compatible function
+   * @returns {Promise<{rates: Object, timestamp: string}>}
+   */
+  async request(url, request, fetchImpl) {
+    let response;
+    try {
+      response = await fetchImpl(url);
+    } catch (error) {
+      throw createProviderError(
+        error.message || 'Network error',
+        PROVIDER_ERRORS.NETWORK,
+        this.id
+      );
+    }
+
+    let data = null;
+    try {
+      data =
+        this.config.format === 'text'
+          ? await response.text()
+          : await response.json();
+    } catch {
+      // Non-JSON body (HTML error page) - classified by status below
+    }
+
+    const reported = data ? this.detectError(data) : null;
+    if (reported) {
+      throw createProviderError(reported.message, reported.kind, this.id);
+    }
+    if (!response.ok) {
+      throw createProviderError(
+        `HTTP ${response.status}: ${response.statusText}`,
+        classifyHttpStatus(response.status),
+        this.id
+      );
+    }
+    if (!data) {
+      throw createProviderError(
+        `${this.name} returned an unreadable response`,
+        PROVIDER_ERRORS.UNAVAILABLE,
+        this.id
+      );
+    }
+
+    const parsed = this.parseRates(data, request);
+    if (!parsed?.rates || Object.keys(parsed.rates).length === 0) {
+      throw createProviderError(
+        `Rate not available for ${request.base}${request.date ? ` on ${request.date}` : ''}`,
+        PROVIDER_ERRORS.INVALID,
+        this.id
+      );
+    }
+    return parsed;
+  }
+
+  /**
+   * Fetch the latest table (or the requested symbols) for a base currency.
+   * Bases the plan doesn't accept are fetched in an accepted base and
+   * rebased.
+   * @param {string} base
+   * @param {Object} options
+   * @param {string[]|null} [options.symbols] - Targets (needed by pair-only providers)
+   * @param {string|null} [options.apiKey]
+   * @param {string|null} [options.date] - YYYY-MM-DD for historical rates
+   * @param {Function} options.fetch - fetch-compatible function
+   * @returns {Promise<{rates: Object, source: string, timestamp: string, full: boolean}>}
+   */
+  async fetchTable(
+    base,
+    { symbols = null, apiKey = null, date = null, fetch: fetchImpl }
+  ) {
+    if (this.requiresApiKey && !apiKey) {
+      throw createProviderError(
+        `${this.name} API key not configured`,
+        PROVIDER_ERRORS.AUTH,
+        this.id
+      );
+    }
+    if (date && !this.capabilities.historical) {
+      throw createProviderError(
+        `${this.name} has no historical rates`,
+        PROVIDER_ERRORS.UNSUPPORTED,
+        this.id
+      );
+    }
+    if (!this.capabilities.fullTable && !symbols?.length) {
+      throw createProviderError(
+        `${this.name} needs a target currency`,
+        PROVIDER_ERRORS.UNSUPPORTED,
+        this.id
+      );
+    }
+
+    const tableBase = this.supportsBase(base)
+      ? base
+      : this.capabilities.bases[0];
+    const wanted = symbols && tableBase !== base ? [...symbols, base] : symbols;
+    const request = { base: tableBase, symbols: wanted, apiKey, date };
+    const url = date
+      ? this.buildHistoricalUrl(request)
+      : this.buildLatestUrl(request);
+
+    const { rates, timestamp } = await this.request(url, request, fetchImpl);
+    return {
+      rates: rebaseRates(rates, tableBase, base),
+      source: this.name,
+      timestamp:
+        timestamp ||
+        (date ? `${date}T00:00:00.000Z` : new Date().toISOString()),
+      full: this.capabilities.fullTable && !symbols
+    };
+  }
+
+  /**
+   * Public description (the shape API_PROVIDERS has always had).
+   * @returns {Object}
+   */
+  describe() {
+    const config = { ...this.config };
+    delete config.keyPattern;
+    return { ...config, supportsHistorical: config.capabilities.historical };
+  }
+}
+
+function unixToIso(seconds) {
+  return Number.isFinite(seconds)
+    ? new Date(seconds * 1000).toISOString()
+    : null;
+}
+
+function symbolsParam(symbols) {
+  return symbols?.length ? symbols.join(',') : null;
+}
+
+/**
+ * ExchangeRate-API (v6): full tables for any base, history on paid plans
+ */
+export class ExchangeRateApiProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'EXCHANGERATE_API',
+      name: 'ExchangeRate-API',
+      baseUrl: 'https://v6.exchangerate-api.com/v6',
+      rateLimits: {
+        registered: { requests: 1500, period: 'month' },
+        features: [
+          'Real-time rates',
+          'Historical data',
+          'Premium features with API key'
+        ]
+      },
+      pros: ['High rate limit with API key', 'Reliable', 'Premium features'],
+      cons: ['Requires API key for best experience'],
+      priority: 1,
+      requiresApiKey: true,
+      isDefault: true,
+      keyPattern: /^[a-f0-9]{24}$/i,
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: false,
+        bases: null
+      }
+    });
+  }
+
+  buildLatestUrl({ base, apiKey }) {
+    return `${this.config.baseUrl}/${apiKey}/latest/${base}`;
+  }
+
+  buildHistoricalUrl({ base, date, apiKey }) {
+    const [year, month, day] = date.split('-').map(Number);
+    return `${this.config.baseUrl}/${apiKey}/history/${base}/${year}/${month}/${day}`;
+  }
+
+  detectError(data) {
+    if (data.result !== 'error') {
+      return null;
+    }
+    const type = data['error-type'] || 'unknown-error';
+    const kinds = {
+      'invalid-key': PROVIDER_ERRORS.AUTH,
+      'inactive-account': PROVIDER_ERRORS.AUTH,
+      'quota-reached': PROVIDER_ERRORS.QUOTA,
+      'plan-upgrade-required': PROVIDER_ERRORS.UNSUPPORTED,
+      'no-data-available': PROVIDER_ERRORS.UNSUPPORTED,
+      'unsupported-code': PROVIDER_ERRORS.INVALID,
+      'malformed-request': PROVIDER_ERRORS.INVALID
+    };
+    return {
+      message: `API Error: ${type}`,
+      kind: kinds[type] || PROVIDER_ERRORS.UNAVAILABLE
+    };
+  }
+
+  parseRates(data) {
+    return {
+      rates: data.conversion_rates,
+      timestamp: unixToIso(data.time_last_update_unix)
+    };
+  }
+}
+
+// Fixer and currencylayer (both apilayer) share their error codes
+const APILAYER_ERROR_KINDS = {
+  101: PROVIDER_ERRORS.AUTH, // missing or invalid key
+  102: PROVIDER_ERRORS.AUTH, // inactive account
+  104: PROVIDER_ERRORS.QUOTA, // monthly allowance reached
+  105: PROVIDER_ERRORS.UNSUPPORTED, // not available on the current plan
+  106: PROVIDER_ERRORS.INVALID, // no results
+  201: PROVIDER_ERRORS.INVALID, // invalid base/source
+  202: PROVIDER_ERRORS.INVALID, // invalid symbols
+  301: PROVIDER_ERRORS.INVALID, // no date
+  302: PROVIDER_ERRORS.INVALID // invalid date
+};
+
+function detectApilayerError(data) {
+  if (data.success !== false) {
+    return null;
+  }
+  const code = data.error?.code;
+  return {
+    message: data.error?.info || data.error?.type || `API error ${code}`,
+    kind: APILAYER_ERROR_KINDS[code] || PROVIDER_ERRORS.UNAVAILABLE
+  };
+}
+
+/**
+ * Fixer.io: full tables; the free plan only accepts EUR as base
+ */
+export class FixerProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'FIXER_IO',
+      name: 'Fixer.io',
+      baseUrl: 'http://data.fixer.io/api',
+      rateLimits: {
+        free: { requests: 1000, period: 'month' },
+        features: ['168 currencies', 'JSON format', 'HTTPS on paid plans']
+      },
+      pros: ['Many currencies', 'Good documentation', 'Reliable service'],
+      cons: [
+        'Requires API key',
+        'HTTPS only on paid plans',
+        'Lower rate limit',
+        'EUR base only on the free plan'
+      ],
+      priority: 2,
+      requiresApiKey: true,
+      keyPattern: /^[a-f0-9]{32}$/i,
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: false,
+        bases: ['EUR']
+      }
+    });
+  }
+
+  buildUrl(path, { base, symbols, apiKey }) {
+    const symbolList = symbolsParam(symbols);
+    return `${this.config.baseUrl}/${path}?access_key=${apiKey}&base=${base}${symbolList ? `&symbols=${symbolList}` : ''}`;
+  }
+
+  buildLatestUrl(request) {
+    return this.buildUrl('latest', request);
+  }
+
+  buildHistoricalUrl(request) {
+    return this.buildUrl(request.date, request);
+  }
+
+  detectError(data) {
+    return detectApilayerError(data);
+  }
+
+  parseRates(data) {
+    return { rates: data.rates, timestamp: unixToIso(data.timestamp) };
+  }
+}
+
+/**
+ * CurrencyAPI (v3): full tables for any base, including crypto
+ */
+export class CurrencyApiProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'CURRENCY_API',
+      name: 'CurrencyAPI',
+      baseUrl: 'https://api.currencyapi.com/v3',
+      rateLimits: {
+        free: { requests: 300, period: 'month' },
+        features: ['180+ currencies', 'Real-time rates', 'Historical data']
+      },
+      pros: ['Many currencies', 'Good free tier features', 'Modern API'],
+      cons: ['Lower rate limit', 'Requires API key', 'Newer service'],
+      priority: 3,
+      requiresApiKey: true,
+      keyPattern: /^[a-zA-Z0-9]{40}$/,
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: true,
+        bases: null
+      }
+    });
+  }
+
+  buildUrl(path, { base, symbols, apiKey, date }) {
+    const symbolList = symbolsParam(symbols);
+    return `${this.config.baseUrl}/${path}?apikey=${apiKey}&base_currency=${base}${symbolList ? `&currencies=${symbolList}` : ''}${date ? `&date=${date}` : ''}`;
+  }
+
+  buildLatestUrl(request) {
+    return this.buildUrl('latest', request);
+  }
+
+  buildHistoricalUrl(request) {
+    return this.buildUrl('historical', request);
+  }
+
+  detectError(data) {
+    if (data.data || !data.message) {
+      return null;
+    }
+    const message = String(data.message);
+    return {
+      message,
+      kind: /limit|quota/i.test(message)
+        ? PROVIDER_ERRORS.QUOTA
+        : /key|unauthori[sz]ed/i.test(message)
+          ? PROVIDER_ERRORS.AUTH
+          : PROVIDER_ERRORS.INVALID
+    };
+  }
+
+  parseRates(data) {
+    const rates = {};
+    Object.entries(data.data || {}).forEach(([code, entry]) => {
+      if (typeof entry?.value === 'number') {
+        rates[code] = entry.value;
+      }
+    });
+    const updated = data.meta?.last_updated_at;
+    return {
+      rates,
+      timestamp: updated ? new Date(updated).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Open Exchange Rates: full tables; the free plan only accepts USD as base
+ */
+export class OpenExchangeRatesProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'OPENEXCHANGERATES',
+      name: 'Open Exchange Rates',
+      baseUrl: 'https://openexchangerates.org/api',
+      rateLimits: {
+        free: { requests: 1000, period: 'month' },
+        features: ['170+ currencies', 'Hourly updates', 'Historical data']
+      },
+      pros: ['Historical data on the free plan', 'Includes BTC', 'Stable API'],
+      cons: ['Requires App ID', 'USD base only on the free plan'],
+      priority: 4,
+      requiresApiKey: true,
+      keyPattern: /^[a-f0-9]{32}$/i,
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: true,
+        bases: ['USD']
+      }
+    });
+  }
+
+  buildUrl(path, { base, symbols, apiKey }) {
+    const symbolList = symbolsParam(symbols);
+    return `${this.config.baseUrl}/${path}?app_id=${apiKey}&base=${base}${symbolList ? `&symbols=${symbolList}` : ''}`;
+  }
+
+  buildLatestUrl(request) {
+    return this.buildUrl('latest.json', request);
+  }
+
+  buildHistoricalUrl(request) {
+    return this.buildUrl(`historical/${request.date}.json`, request);
+  }
+
+  detectError(data) {
+    if (!data.error) {
+      return null;
+    }
+    const kinds = {
+      missing_app_id: PROVIDER_ERRORS.AUTH,
+      invalid_app_id: PROVIDER_ERRORS.AUTH,
+      not_allowed: PROVIDER_ERRORS.AUTH,
+      access_restricted: PROVIDER_ERRORS.UNSUPPORTED,
+      invalid_base: PROVIDER_ERRORS.INVALID,
+      not_found: PROVIDER_ERRORS.INVALID
+    };
+    return {
+      message: data.description || data.message || 'Open Exchange Rates error',
+      kind:
+        data.status === 429
+          ? PROVIDER_ERRORS.QUOTA
+          : kinds[data.message] || classifyHttpStatus(data.status)
+    };
+  }
+
+  parseRates(data) {
+    return { rates: data.rates, timestamp: unixToIso(data.timestamp) };
+  }
+}
+
+/**
+ * currencylayer: full tables as "USDEUR"-style quotes; the free plan only
+ * accepts USD as source
+ */
+export class CurrencylayerProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'CURRENCYLAYER',
+      name: 'currencylayer',
+      baseUrl: 'https://api.currencylayer.com',
+      rateLimits: {
+        free: { requests: 100, period: 'month' },
+        features: ['168 currencies', 'Historical data', 'Source switching']
+      },
+      pros: ['Historical data on the free plan', 'Long track record'],
+      cons: [
+        'Requires API key',
+        'Low free allowance',
+        'USD source only on the free plan'
+      ],
+      priority: 5,
+      requiresApiKey: true,
+      keyPattern: /^[a-f0-9]{32}$/i,
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: false,
+        bases: ['USD']
+      }
+    });
+  }
+
+  buildUrl(path, { base, symbols, apiKey, date }) {
+    const symbolList = symbolsParam(symbols);
+    return `${this.config.baseUrl}/${path}?access_key=${apiKey}&source=${base}${symbolList ? `&currencies=${symbolList}` : ''}${date ? `&date=${date}` : ''}`;
+  }
+
+  buildLatestUrl(request) {
+    return this.buildUrl('live', request);
+  }
+
+  buildHistoricalUrl(request) {
+    return this.buildUrl('historical', request);
+  }
+
+  detectError(data) {
+    return detectApilayerError(data);
+  }
+
+  parseRates(data, { base }) {
+    const source = data.source || base;
+    const rates = {};
+    Object.entries(data.quotes || {}).forEach(([pair, rate]) => {
+      if (pair.startsWith(source) && typeof rate === 'number') {
+        rates[pair.slice(source.length)] = rate;
+      }
+    });
+    return { rates, timestamp: unixToIso(data.timestamp) };
+  }
+}
+
+/**
+ * Alpha Vantage: one pair per call (fiat or crypto), tight rate limits
+ */
+export class AlphaVantageProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'ALPHA_VANTAGE',
+      name: 'Alpha Vantage',
+      baseUrl: 'https://www.alphavantage.co/query',
+      rateLimits: {
+        free: { requests: 5, period: 'minute', daily: 500 },
+        features: [
+          'Real-time rates',
+          'Historical data',
+          'Stock data integration'
+        ]
+      },
+      pros: [
+        'Free API key',
+        'Comprehensive financial data',
+        'Good documentation'
+      ],
+      cons: [
+        'Very low rate limit',
+        'Complex response format',
+        'Designed for stocks'
+      ],
+      priority: 6,
+      requiresApiKey: true,
+      keyPattern: /^[A-Z0-9]{16}$/,
+      capabilities: {
+        fullTable: false,
+        historical: false,
+        crypto: true,
+        bases: null
+      }
+    });
+  }
+
+  buildLatestUrl({ base, symbols, apiKey }) {
+    return `${this.config.baseUrl}?function=CURRENCY_EXCHANGE_RATE&from_currency=${base}&to_currency=${symbols[0]}&apikey=${apiKey}`;
+  }
+
+  /**
+   * One call per target currency.
+   */
+  async request(url, request, fetchImpl) {
+    const rates = {};
+    let timestamp = null;
+    for (const symbol of request.symbols) {
+      const single = { ...request, symbols: [symbol] };
+      const parsed = await super.request(
+        this.buildLatestUrl(single),
+        single,
+        fetchImpl
+      );
+      Object.assign(rates, parsed.rates);
+      timestamp = parsed.timestamp;
+    }
+    return { rates, timestamp };
+  }
+
+  detectError(data) {
+    if (data['Error Message']) {
+      return { message: data['Error Message'], kind: PROVIDER_ERRORS.INVALID };
+    }
+    // "Note"/"Information" replace the payload when the call allowance is used
+    const notice = data.Note || data.Information;
+    if (notice && !data['Realtime Currency Exchange Rate']) {
+      return {
+        message: `Alpha Vantage rate limit: ${notice}`,
+        kind: PROVIDER_ERRORS.QUOTA
+      };
+    }
+    return null;
+  }
+
+  parseRates(data) {
+    const exchange = data['Realtime Currency Exchange Rate'];
+    if (!exchange) {
+      return null;
+    }
+    const rate = parseFloat(exchange['5. Exchange Rate']);
+    const refreshed = exchange['6. Last Refreshed'];
+    return {
+      rates: Number.isFinite(rate)
+        ? { [exchange['3. To_Currency Code']]: rate }
+        : {},
+      timestamp: refreshed
+        ? new Date(`${refreshed.replace(' ', 'T')}Z`).toISOString()
+        : null
+    };
+  }
+}
+
+/**
+ * European Central Bank reference rates: keyless, EUR based, published on
+ * working days around 16:00 CET. Past dates come from the 90-day feed.
+ */
+export class EcbProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'ECB',
+      name: 'European Central Bank',
+      baseUrl: 'https://www.ecb.europa.eu/stats/eurofxref',
+      rateLimits: {
+        features: ['~30 currencies', 'Daily reference rates', 'No API key']
+      },
+      pros: ['No API key', 'Official reference rates', 'Free'],
+      cons: [
+        'Updated once per working day',
+        'Major currencies only',
+        'Past rates limited to 90 days'
+      ],
+      priority: 7,
+      requiresApiKey: false,
+      format: 'text',
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: false,
+        bases: ['EUR']
+      }
+    });
+  }
+
+  buildLatestUrl() {
+    return `${this.config.baseUrl}/eurofxref-daily.xml`;
+  }
+
+  buildHistoricalUrl() {
+    return `${this.config.baseUrl}/eurofxref-hist-90d.xml`;
+  }
+
+  parseRates(xml, { date }) {
+    const day = pickReferenceDay(parseEcbXml(xml), date);
+    return day
+      ? { rates: day.rates, timestamp: `${day.date}T00:00:00.000Z` }
+      : null;
+  }
+}
+
+/**
+ * Czech National Bank daily fixing: keyless, CZK based, any past date.
+ */
+export class CnbProvider extends RateProvider {
+  constructor() {
+    super({
+      id: 'CNB',
+      name: 'Czech National Bank',
+      baseUrl:
+        'https://www.cnb.cz/en/financial-markets/foreign-exchange-market/central-bank-exchange-rate-fixing/central-bank-exchange-rate-fixing/daily.txt',
+      rateLimits: {
+        features: ['~30 currencies', 'Daily fixing', 'No API key']
+      },
+      pros: ['No API key', 'Official fixing', 'Full history'],
+      cons: ['Updated once per working day', 'Major currencies only'],
+      priority: 8,
+      requiresApiKey: false,
+      format: 'text',
+      capabilities: {
+        fullTable: true,
+        historical: true,
+        crypto: false,
+        bases: ['CZK']
+      }
+    });
+  }
+
+  buildLatestUrl() {
+    return this.config.baseUrl;
+  }
+
+  buildHistoricalUrl({ date }) {
+    return `${this.config.baseUrl}?date=${toCnbDate(date)}`;
+  }
+
+  parseRates(text) {
+    const fixing = parseCnbFixing(text);
+    return fixing
+      ? { rates: fixing.rates, timestamp: `${fixing.date}T00:00:00.000Z` }
+      : null;
+  }
+}
+
+/**
+ * Registry of rate providers, in priority order
+ */
+export class RateProviderRegistry {
+  constructor(providers = []) {
+    this.providers = new Map();
+    providers.forEach(provider => this.register(provider));
+  }
+
+  /**
+   * Add (or replace) a provider.
+   * @param {RateProvider} provider
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {RateProvider|null}
+   */
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  /**
+   * Providers by priority, optionally only those with every capability
+   * asked for.
+   * @param {Object} [required] - e.g. {historical: true, crypto: true}
+   * @returns {RateProvider[]}
+   */
+  list(required = {}) {
+    return [...this.providers.values()]
+      .filter(provider =>
+        Object.entries(required).every(
+          ([name, wanted]) => !wanted || provider.capabilities[name]
+        )
+      )
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Provider descriptions keyed by id.
+   * @returns {Object}
+   */
+  describe() {
+    return Object.fromEntries(
+      this.list().map(provider => [provider.id, provider.describe()])
+    );
+  }
+}
+
+// Shared registry used by the rest of the extension.
+export const rateProviders = new RateProviderRegistry([
+  new ExchangeRateApiProvider(),
+  new FixerProvider(),
+  new CurrencyApiProvider(),
+  new OpenExchangeRatesProvider(),
+  new CurrencylayerProvider(),
+  new AlphaVantageProvider(),
+  // Keyless fallbacks
+  new EcbProvider(),
+  new CnbProvider()
+]);
@@ -424,7 +424,9 @@ export class SecurityManager {
         'v6.exchangerate-api.com',
         'api.fixer.io',
         'openexchangerates.org',
-        'api.currencylayer.com'
+        'api.currencylayer.com',
+        'ecb.europa.eu',
+        'cnb.cz'
       ];
 
       return allowedDomains.some(
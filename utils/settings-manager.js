@@ -1,6 +1,12 @@
 // Phase 3, Task 3.3: Enhanced Settings Persistence
 // Comprehensive settings management for Chrome extension
 
+import {
+  DEFAULT_SITE_CURRENCY_RULES,
+  sanitizeSiteRules,
+  sanitizeDeniedSites
+} from './site-rules.js';
+
 export class SettingsManager {
   constructor() {
     this.SETTINGS_VERSION = '1.0.0';
@@ -21,9 +27,11 @@ export class SettingsManager {
 
       // UI preferences
       showConfidence: true,
-      autoConvert: false, // Premium feature
+      autoConvert: false, // Hover a price to convert it (content/hover-converter.js)
+      hoverModifier: 'none', // none, alt, ctrl, shift, meta - key to hold while hovering
+      hoverDelay: 400, // ms the pointer rests on a price before converting
       showNotifications: true, // Premium feature
-      theme: 'light',
+      theme: 'light', // light, dark, system (auto) - follows prefers-color-scheme
       precision: 2,
 
       // Advanced features
@@ -31,12 +39,20 @@ export class SettingsManager {
       contextMenuPosition: 'smart',
       enableTooltips: true,
       animationSpeed: 'normal', // fast, normal, slow
+      pageAnnotationSites: [], // Hostnames where prices are annotated page-wide (opt-in)
+
+      // Per-site detection (hostname pattern → symbol meaning, dormant sites)
+      siteCurrencyRules: DEFAULT_SITE_CURRENCY_RULES.map(rule => ({ ...rule })),
+      deniedSites: [],
 
       // Performance settings (v1.1.0 caching)
       cacheTimeout: 3600000, // 1 hour — exchange-rate cache TTL (configurable)
       offlineMaxAgeMs: 604800000, // 7 days — max age a stale rate may serve offline
       enableOfflineMode: true, // Use cached rates when a fresh fetch fails
       enableCacheAutoRefresh: false, // v1.1.1: background refresh retired (caused API over-consumption); kept off
+      enableRateConsensus: false, // Combine several providers' rates (median, outliers dropped)
+      consensusProviderCount: 3, // Providers asked per fetch in consensus mode (2-5)
+      consensusTolerance: 1, // Percent a quote may differ from the median before it's rejected
       maxHistoryEntries: 100,
       enableAnalytics: true,
 
@@ -310,7 +326,7 @@ export class SettingsManager {
     }
 
     // Validate theme
-    if (!['light', 'dark', 'auto'].includes(validated.theme)) {
+    if (!['light', 'dark', 'auto', 'system'].includes(validated.theme)) {
       validated.theme = this.DEFAULT_SETTINGS.theme;
     }
 
@@ -319,6 +335,52 @@ export class SettingsManager {
       validated.animationSpeed = this.DEFAULT_SETTINGS.animationSpeed;
     }
 
+    // Validate hover-to-convert options
+    if (
+      !['none', 'alt', 'ctrl', 'shift', 'meta'].includes(
+        validated.hoverModifier
+      )
+    ) {
+      validated.hoverModifier = this.DEFAULT_SETTINGS.hoverModifier;
+    }
+    if (
+      typeof validated.hoverDelay !== 'number' ||
+      validated.hoverDelay < 0 ||
+      validated.hoverDelay > 3000
+    ) {
+      validated.hoverDelay = this.DEFAULT_SETTINGS.hoverDelay;
+    }
+
+    // Validate rate consensus options
+    if (
+      !Number.isInteger(validated.consensusProviderCount) ||
+      validated.consensusProviderCount < 2 ||
+      validated.consensusProviderCount > 5
+    ) {
+      validated.consensusProviderCount =
+        this.DEFAULT_SETTINGS.consensusProviderCount;
+    }
+    if (
+      typeof validated.consensusTolerance !== 'number' ||
+      !(validated.consensusTolerance > 0) ||
+      validated.consensusTolerance > 10
+    ) {
+      validated.consensusTolerance = this.DEFAULT_SETTINGS.consensusTolerance;
+    }
+
+    // Validate page annotation site list
+    if (!Array.isArray(validated.pageAnnotationSites)) {
+      validated.pageAnnotationSites = [
+        ...this.DEFAULT_SETTINGS.pageAnnotationSites
+      ];
+    }
+
+    // Validate per-site detection rules and deny list
+    validated.siteCurrencyRules =
+      sanitizeSiteRules(validated.siteCurrencyRules) ||
+      this.DEFAULT_SETTINGS.siteCurrencyRules.map(rule => ({ ...rule }));
+    validated.deniedSites = sanitizeDeniedSites(validated.deniedSites) || [];
+
     return validated;
   }
 
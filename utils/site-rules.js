@@ -0,0 +1,278 @@
+// Per-site currency detection rules and deny list
+//
+// Ambiguous symbols ($, kr, ¥, R) default to one currency everywhere
+// (USD, SEK, JPY, ZAR). Site rules override that per hostname pattern, e.g.
+// `$` on `*.com.au` means AUD. The deny list keeps the content script dormant
+// on listed sites.
+//
+// A page can also declare its currency in structured data (JSON-LD, microdata,
+// OpenGraph); setPageCurrencies() lets that pick among an ambiguous symbol's
+// currencies when no site rule applies.
+//
+// Rules and the deny list live in user settings (siteCurrencyRules,
+// deniedSites); callers push them in with configure(), so this module has no
+// storage dependency and works in the content script, popup and tests alike.
+
+/* global URL */
+
+// Shipped defaults (copied into DEFAULT_SETTINGS.siteCurrencyRules).
+export const DEFAULT_SITE_CURRENCY_RULES = [
+  { pattern: '*.com.au', symbol: '$', currency: 'AUD' },
+  { pattern: '*.no', symbol: 'kr', currency: 'NOK' },
+  { pattern: '*.dk', symbol: 'kr', currency: 'DKK' },
+  { pattern: '*.cn', symbol: '¥', currency: 'CNY' },
+  { pattern: '*.ca', symbol: '$', currency: 'CAD' },
+  { pattern: '*.com.mx', symbol: '$', currency: 'MXN' }
+];
+
+// Currencies an ambiguous symbol can stand for
+export const AMBIGUOUS_SYMBOL_CURRENCIES = {
+  $: ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN', 'ARS', 'CLP', 'COP'],
+  kr: ['SEK', 'NOK', 'DKK', 'ISK'],
+  '¥': ['JPY', 'CNY'],
+  '£': ['GBP', 'EGP'],
+  R: ['ZAR'],
+  '₨': ['PKR', 'INR', 'LKR', 'NPR'],
+  Rs: ['INR', 'PKR', 'LKR', 'NPR'],
+  'Rs.': ['INR', 'PKR', 'LKR', 'NPR']
+};
+
+const HOST_PATTERN_REGEX = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Normalize a user-entered host pattern ("https://Shop.Example.com/" → "shop.example.com").
+ * @param {string} pattern - Hostname or "*.suffix" pattern
+ * @returns {string} Normalized pattern (empty string if unusable)
+ */
+export function normalizeHostPattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return '';
+  }
+  return pattern
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:].*$/, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Check whether a hostname matches a pattern.
+ * "example.com" matches exactly; "*.com.au" matches "com.au" and any subdomain.
+ * @param {string} hostname - Page hostname
+ * @param {string} pattern - Normalized host pattern
+ * @returns {boolean}
+ */
+export function matchesHostPattern(hostname, pattern) {
+  if (!hostname || !pattern) {
+    return false;
+  }
+  const host = hostname.toLowerCase();
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(2);
+    return host === suffix || host.endsWith(`.${suffix}`);
+  }
+  return host === pattern;
+}
+
+/**
+ * Validate a single rule ({pattern, symbol, currency}).
+ * @param {Object} rule - Rule to validate
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validateSiteRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return { isValid: false, errors: ['Rule must be an object'] };
+  }
+  if (!HOST_PATTERN_REGEX.test(normalizeHostPattern(rule.pattern))) {
+    errors.push('Site pattern must be a hostname or *.domain');
+  }
+  if (
+    typeof rule.symbol !== 'string' ||
+    !rule.symbol.trim() ||
+    rule.symbol.trim().length > 4
+  ) {
+    errors.push('Symbol must be 1-4 characters');
+  }
+  if (typeof rule.currency !== 'string' || !/^[A-Z]{3}$/.test(rule.currency)) {
+    errors.push('Currency must be a 3-letter code');
+  }
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Drop invalid rules and normalize the rest (used by settings validation).
+ * @param {Array} rules - Raw rules from storage
+ * @returns {Array|null} Clean rules, or null if not an array
+ */
+export function sanitizeSiteRules(rules) {
+  if (!Array.isArray(rules)) {
+    return null;
+  }
+  return rules
+    .filter(rule => validateSiteRule(rule).isValid)
+    .map(rule => ({
+      pattern: normalizeHostPattern(rule.pattern),
+      symbol: rule.symbol.trim(),
+      currency: rule.currency
+    }));
+}
+
+/**
+ * Drop invalid deny-list entries and normalize the rest.
+ * @param {Array} sites - Raw host patterns
+ * @returns {string[]|null} Clean list, or null if not an array
+ */
+export function sanitizeDeniedSites(sites) {
+  if (!Array.isArray(sites)) {
+    return null;
+  }
+  const clean = sites
+    .map(normalizeHostPattern)
+    .filter(site => HOST_PATTERN_REGEX.test(site));
+  return [...new Set(clean)];
+}
+
+// Exact hostnames beat wildcards; longer suffixes beat shorter ones.
+function patternSpecificity(pattern) {
+  return pattern.startsWith('*.') ? pattern.length : pattern.length + 1000;
+}
+
+/**
+ * Hostname the rules apply to in a frame. about:blank and about:srcdoc
+ * frames (rich-text editors, ads) have none of their own and take their
+ * embedder's: the nearest web ancestor origin, else the top window's when
+ * it is reachable (same origin).
+ * @param {Location} [page] - The frame's location
+ * @param {Window|null} [top] - The top window
+ * @returns {string|null} null when there is no web hostname to resolve
+ */
+export function resolveFrameHostname(
+  page = globalThis.location,
+  top = globalThis.top
+) {
+  if (!page) {
+    return null;
+  }
+  if (/^https?:$/.test(page.protocol)) {
+    return page.hostname;
+  }
+  if (page.protocol !== 'about:') {
+    return null;
+  }
+
+  const origins = Array.from(page.ancestorOrigins || []);
+  try {
+    if (top?.location?.origin) {
+      origins.push(top.location.origin);
+    }
+  } catch {
+    // Cross-origin top window
+  }
+  for (const origin of origins) {
+    try {
+      const url = new URL(origin);
+      if (/^https?:$/.test(url.protocol)) {
+        return url.hostname;
+      }
+    } catch {
+      // Opaque ("null") origin of a sandboxed ancestor
+    }
+  }
+  return null;
+}
+
+/**
+ * Rule engine consulted by both currency detectors.
+ */
+export class SiteRules {
+  constructor() {
+    this.rules = [...DEFAULT_SITE_CURRENCY_RULES];
+    this.deniedSites = [];
+    this.pageCurrencies = [];
+    this.hostname = resolveFrameHostname();
+  }
+
+  /**
+   * Load rules and deny list from a settings object.
+   * @param {Object} settings - User settings
+   */
+  configure(settings = {}) {
+    if (Array.isArray(settings.siteCurrencyRules)) {
+      this.rules = sanitizeSiteRules(settings.siteCurrencyRules);
+    }
+    if (Array.isArray(settings.deniedSites)) {
+      this.deniedSites = sanitizeDeniedSites(settings.deniedSites);
+    }
+  }
+
+  /**
+   * Override the hostname rules are evaluated against (defaults to the page's).
+   * @param {string|null} hostname
+   */
+  setHostname(hostname) {
+    this.hostname = hostname ? hostname.toLowerCase() : null;
+  }
+
+  /**
+   * Resolve a symbol using the most specific rule matching the hostname.
+   * @param {string} symbol - Currency symbol as found in the text
+   * @param {string} [hostname] - Defaults to the current page hostname
+   * @returns {string|null} Currency code, or null when no rule applies
+   */
+  resolveSymbol(symbol, hostname = this.hostname) {
+    if (!hostname || !symbol) {
+      return null;
+    }
+    let best = null;
+    for (const rule of this.rules) {
+      if (
+        rule.symbol === symbol &&
+        matchesHostPattern(hostname, rule.pattern) &&
+        (!best ||
+          patternSpecificity(rule.pattern) > patternSpecificity(best.pattern))
+      ) {
+        best = rule;
+      }
+    }
+    return best ? best.currency : null;
+  }
+
+  /**
+   * Record the currencies the page declares in its structured data.
+   * @param {string[]} currencies - Declared currency codes, most frequent first
+   */
+  setPageCurrencies(currencies) {
+    this.pageCurrencies = Array.isArray(currencies) ? [...currencies] : [];
+  }
+
+  /**
+   * Resolve an ambiguous symbol to a currency the page declares, e.g. `$` on a
+   * page whose JSON-LD offers are priced in CAD.
+   * @param {string} symbol - Currency symbol as found in the text
+   * @returns {string|null} Currency code, or null when the page says nothing
+   */
+  resolvePageSymbol(symbol) {
+    const candidates = AMBIGUOUS_SYMBOL_CURRENCIES[symbol];
+    if (!candidates) {
+      return null;
+    }
+    return this.pageCurrencies.find(code => candidates.includes(code)) || null;
+  }
+
+  /**
+   * Whether the content script should stay dormant on a site.
+   * @param {string} [hostname] - Defaults to the current page hostname
+   * @returns {boolean}
+   */
+  isDenied(hostname = this.hostname) {
+    return (
+      !!hostname &&
+      this.deniedSites.some(pattern => matchesHostPattern(hostname, pattern))
+    );
+  }
+}
+
+// Shared singleton used by the content script and SmartCurrencyDetector.
+export const siteRules = new SiteRules();
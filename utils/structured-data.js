@@ -0,0 +1,225 @@
+// Structured product price reader
+//
+// Shop pages often state the price and currency explicitly: schema.org
+// Product/Offer JSON-LD, microdata (itemprop="price" / "priceCurrency") and
+// OpenGraph product tags (product:price:amount / product:price:currency).
+// The content script uses these to disambiguate symbols like `$` and to
+// convert the page's product price without a text selection.
+
+import { parseAmount } from './number-parser.js';
+import { isKnownCurrency } from './detection-pipeline.js';
+
+const OFFER_TYPES = ['Offer', 'AggregateOffer'];
+
+// Source order is also preference order when picking the page's main price
+const SOURCE_PRIORITY = ['json-ld', 'microdata', 'opengraph'];
+
+function hasType(node, types) {
+  const nodeTypes = Array.isArray(node['@type'])
+    ? node['@type']
+    : [node['@type']];
+  return nodeTypes.some(
+    type =>
+      typeof type === 'string' &&
+      types.includes(type.replace(/^https?:\/\/schema\.org\//, ''))
+  );
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parse a structured price value. schema.org prices use a dot decimal
+ * ("1299.00"), but pages also put formatted text in microdata.
+ * @param {string|number} value - Raw price
+ * @returns {number} Price, or NaN
+ */
+export function parseStructuredPrice(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return NaN;
+  }
+  const plain = value.trim();
+  if (/^\d+(?:\.\d+)?$/.test(plain)) {
+    return Number(plain);
+  }
+  const match = /\d[\d\s.,'’]*/.exec(plain);
+  return match ? parseAmount(match[0].trim()) : NaN;
+}
+
+function normalizeCurrency(value) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return isKnownCurrency(code) ? code : null;
+}
+
+function buildPrice({ amount, currency, name, source, low, high }) {
+  const price = parseStructuredPrice(amount ?? low);
+  const code = normalizeCurrency(currency);
+  if (!code || !Number.isFinite(price) || price <= 0) {
+    return null;
+  }
+  const entry = { amount: price, currency: code, source, name: name || null };
+  const highPrice = parseStructuredPrice(high);
+  if (Number.isFinite(highPrice) && highPrice > price) {
+    entry.highAmount = highPrice;
+  }
+  return entry;
+}
+
+function offerToPrice(offer, name) {
+  if (!offer || typeof offer !== 'object') {
+    return null;
+  }
+  // priceSpecification carries the price when the offer itself doesn't
+  const spec = toArray(offer.priceSpecification)[0] || {};
+  return buildPrice({
+    amount: offer.price ?? spec.price,
+    currency: offer.priceCurrency ?? spec.priceCurrency,
+    low: offer.lowPrice,
+    high: offer.highPrice,
+    name,
+    source: 'json-ld'
+  });
+}
+
+/**
+ * Collect product prices from parsed JSON-LD (objects, arrays and @graph).
+ * @param {Object|Array} data - Parsed JSON-LD document
+ * @returns {Array<{amount: number, currency: string, source: string, name: string|null, highAmount?: number}>}
+ */
+export function extractJsonLdPrices(data) {
+  const prices = [];
+  const visit = (node, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 10) {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, depth + 1));
+      return;
+    }
+    if (node['@graph']) {
+      visit(node['@graph'], depth + 1);
+    }
+    if (hasType(node, ['Product', 'ProductGroup'])) {
+      toArray(node.offers).forEach(offer => {
+        const price = offerToPrice(offer, node.name);
+        if (price) {
+          prices.push(price);
+        }
+      });
+      toArray(node.hasVariant).forEach(variant => visit(variant, depth + 1));
+    } else if (hasType(node, OFFER_TYPES)) {
+      const price = offerToPrice(node, node.itemOffered?.name);
+      if (price) {
+        prices.push(price);
+      }
+    }
+  };
+  visit(data);
+  return prices;
+}
+
+// itemprop values live in content/value attributes or the element text
+function itempropValue(element) {
+  return (
+    element.getAttribute('content') ??
+    element.getAttribute('value') ??
+    element.textContent ??
+    ''
+  ).trim();
+}
+
+function readJsonLd(doc) {
+  const prices = [];
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      prices.push(...extractJsonLdPrices(JSON.parse(script.textContent)));
+    } catch {
+      // Malformed JSON-LD is common - skip the block
+    }
+  });
+  return prices;
+}
+
+function readMicrodata(doc) {
+  const prices = [];
+  doc.querySelectorAll('[itemprop="price"]').forEach(priceElement => {
+    const scope = priceElement.closest('[itemscope]') || doc;
+    const currencyElement = scope.querySelector('[itemprop="priceCurrency"]');
+    const nameElement = priceElement
+      .closest('[itemtype*="Product"]')
+      ?.querySelector('[itemprop="name"]');
+    const price = buildPrice({
+      amount: itempropValue(priceElement),
+      currency: currencyElement ? itempropValue(currencyElement) : null,
+      name: nameElement ? itempropValue(nameElement) : null,
+      source: 'microdata'
+    });
+    if (price) {
+      prices.push(price);
+    }
+  });
+  return prices;
+}
+
+function readOpenGraph(doc) {
+  const meta = property =>
+    doc
+      .querySelector(`meta[property="${property}"]`)
+      ?.getAttribute('content') ?? null;
+  const price = buildPrice({
+    amount: meta('product:price:amount') ?? meta('og:price:amount'),
+    currency: meta('product:price:currency') ?? meta('og:price:currency'),
+    name: meta('og:title'),
+    source: 'opengraph'
+  });
+  return price ? [price] : [];
+}
+
+/**
+ * Read every structured product price on a page.
+ * @param {Document} doc - Document to read (anything with querySelector/querySelectorAll)
+ * @returns {Array<Object>} Prices ordered JSON-LD, microdata, OpenGraph
+ */
+export function readStructuredPrices(doc = globalThis.document) {
+  if (!doc?.querySelectorAll) {
+    return [];
+  }
+  return [...readJsonLd(doc), ...readMicrodata(doc), ...readOpenGraph(doc)];
+}
+
+/**
+ * The page's main product price: the first price from the most reliable source.
+ * @param {Array<Object>} prices - Output of readStructuredPrices
+ * @returns {Object|null}
+ */
+export function pickProductPrice(prices) {
+  for (const source of SOURCE_PRIORITY) {
+    const price = prices.find(entry => entry.source === source);
+    if (price) {
+      return price;
+    }
+  }
+  return null;
+}
+
+/**
+ * Currencies the page declares for its prices, most frequent first.
+ * @param {Array<Object>} prices - Output of readStructuredPrices
+ * @returns {string[]}
+ */
+export function getDeclaredCurrencies(prices) {
+  const counts = new Map();
+  prices.forEach(({ currency }) =>
+    counts.set(currency, (counts.get(currency) || 0) + 1)
+  );
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([currency]) => currency);
+}
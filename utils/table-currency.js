@@ -0,0 +1,257 @@
+// Table Currency Detection
+//
+// Reads the amounts out of a selected HTML table (invoices, price lists).
+// Cells are read like bulk-conversion cells ("1.234,56", "€12,50",
+// "(45.00)"); a bare number takes the currency named in its column header
+// ("Price (EUR)", "Total €") or, failing that, the currency most of the
+// column's priced cells use. Columns with neither (quantities, years) are
+// left alone.
+
+import { parseAmountCell } from './bulk-conversion.js';
+import { isKnownCurrency, symbolToCurrencyCode } from './detection-pipeline.js';
+
+// Longer tables are read up to here; the rest is left unconverted
+export const MAX_TABLE_ROWS = 500;
+
+const HEADER_CODE = /\b[A-Z]{3}\b/g;
+const HEADER_TOKEN_SEPARATOR = /[\s()[\]{}/,:;|]+/;
+// Header words a currency code sits next to ("USD amount", "Total EUR")
+const MONEY_WORDS = new Set([
+  'price',
+  'prices',
+  'total',
+  'subtotal',
+  'amount',
+  'cost',
+  'costs',
+  'fee',
+  'fees',
+  'value',
+  'sum',
+  'balance',
+  'payment',
+  'revenue',
+  'preis',
+  'betrag',
+  'summe',
+  'prix',
+  'montant',
+  'precio',
+  'importe',
+  'prezzo',
+  'importo'
+]);
+
+/**
+ * Whether an uppercase word in a header is placed like a currency code: in
+ * brackets, alone, or next to a money word ("in" may come between). Other
+ * capitals that happen to be codes ("PEN COLOR", "CAD FILES") don't count.
+ * @param {string} value - Header text
+ * @param {number} index - Position of the code
+ * @returns {boolean}
+ */
+function isCodePlacement(value, index) {
+  const before = value.slice(0, index).trim();
+  const after = value.slice(index + 3).trim();
+  if (/[([{]$/.test(before) && /^[)\]}]/.test(after)) {
+    return true;
+  }
+  if (!before && !after) {
+    return true;
+  }
+  const words = text =>
+    text
+      .split(HEADER_TOKEN_SEPARATOR)
+      .filter(Boolean)
+      .map(word => word.toLowerCase());
+  const previous = words(before).filter(word => word !== 'in');
+  const [next] = words(after);
+  return MONEY_WORDS.has(previous.pop()) || MONEY_WORDS.has(next);
+}
+
+/**
+ * Currency named in a column header: an ISO code placed as one ("Price
+ * (EUR)", "USD amount") or a symbol ("Total €", "Betrag [£]").
+ * @param {string} text - Header cell text
+ * @returns {string|null} Currency code
+ */
+export function detectHeaderCurrency(text) {
+  const value = String(text ?? '');
+  for (const match of value.matchAll(HEADER_CODE)) {
+    const [code] = match;
+    if (isKnownCurrency(code) && isCodePlacement(value, match.index)) {
+      return code;
+    }
+  }
+  for (const token of value.split(HEADER_TOKEN_SEPARATOR)) {
+    const code = token && symbolToCurrencyCode(token);
+    if (code) {
+      return code;
+    }
+  }
+  return null;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) {
+      best = value;
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the amounts in a table's cell texts.
+ * @param {string[][]} rows - Cell texts of the data rows (header excluded)
+ * @param {Object} [options]
+ * @param {string[]|null} [options.header] - Header cell texts
+ * @returns {{cells: Array<{row: number, column: number, amount: number, currency: string, originalText: string, confidence: number}>, columns: Array<{column: number, currency: string, count: number}>, currencies: string[]}}
+ *   cells in reading order, the columns holding amounts, every source currency
+ */
+export function detectTableAmounts(rows, { header = null } = {}) {
+  const data = rows.slice(0, MAX_TABLE_ROWS);
+  const parsed = data.map(row => row.map(text => parseAmountCell(text)));
+  const width = Math.max(0, ...data.map(row => row.length));
+
+  const columnCurrencies = Array.from({ length: width }, (_, column) => {
+    const fromHeader = detectHeaderCurrency(header?.[column]);
+    if (fromHeader) {
+      return { currency: fromHeader, fromHeader: true };
+    }
+    const priced = parsed.map(row => row[column]?.currency).filter(Boolean);
+    return { currency: mostCommon(priced), fromHeader: false };
+  });
+
+  const cells = [];
+  parsed.forEach((row, rowIndex) => {
+    row.forEach((value, column) => {
+      if (!value) {
+        return;
+      }
+      const columnCurrency = columnCurrencies[column];
+      const currency = value.currency || columnCurrency.currency;
+      if (!currency) {
+        return;
+      }
+      cells.push({
+        row: rowIndex,
+        column,
+        amount: value.amount,
+        currency,
+        originalText: data[rowIndex][column],
+        // Symbols/codes in the cell beat a header, which beats a guess
+        confidence: value.currency
+          ? 0.9
+          : columnCurrency.fromHeader
+            ? 0.85
+            : 0.7
+      });
+    });
+  });
+
+  const columns = [];
+  columnCurrencies.forEach(({ currency }, column) => {
+    const count = cells.filter(cell => cell.column === column).length;
+    if (count > 0) {
+      columns.push({ column, currency, count });
+    }
+  });
+
+  return {
+    cells,
+    columns,
+    currencies: [...new Set(cells.map(cell => cell.currency))]
+  };
+}
+
+/**
+ * Key of a cell in a conversion map.
+ * @param {number} row
+ * @param {number} column
+ * @returns {string}
+ */
+export function tableCellKey(row, column) {
+  return `${row}:${column}`;
+}
+
+/**
+ * The table as it reads after conversion, for copying.
+ * @param {string[]|null} header - Header cell texts
+ * @param {string[][]} rows - Data cell texts
+ * @param {Map<string, string>} conversions - tableCellKey() → converted text
+ * @param {Object} options
+ * @param {'column'|'overlay'} options.mode - Extra columns or values in place
+ * @param {string} options.targetCurrency - Currency converted into
+ * @returns {string[][]} Rows of cell texts, header first when there is one
+ */
+export function buildConvertedMatrix(
+  header,
+  rows,
+  conversions,
+  { mode, targetCurrency }
+) {
+  if (mode === 'overlay') {
+    return [
+      ...(header ? [header] : []),
+      ...rows.map((row, r) =>
+        row.map((text, c) => conversions.get(tableCellKey(r, c)) ?? text)
+      )
+    ];
+  }
+
+  const converted = new Set(
+    [...conversions.keys()].map(key => Number(key.split(':')[1]))
+  );
+  const widen = (row, extra) =>
+    row.flatMap((text, c) => (converted.has(c) ? [text, extra(c)] : [text]));
+
+  return [
+    ...(header
+      ? [widen(header, c => `${header[c] || 'Amount'} (${targetCurrency})`)]
+      : []),
+    ...rows.map((row, r) =>
+      widen(row, c => conversions.get(tableCellKey(r, c)) ?? '')
+    )
+  ];
+}
+
+/**
+ * Tab-separated text (pastes into spreadsheets as a table).
+ * @param {string[][]} matrix
+ * @returns {string}
+ */
+export function formatTableAsTsv(matrix) {
+  return matrix
+    .map(row =>
+      row.map(text => String(text).replace(/[\t\r\n]+/g, ' ')).join('\t')
+    )
+    .join('\n');
+}
+
+/**
+ * GitHub-flavored Markdown table; the first row is the header.
+ * @param {string[][]} matrix
+ * @returns {string}
+ */
+export function formatTableAsMarkdown(matrix) {
+  if (matrix.length === 0) {
+    return '';
+  }
+  const width = Math.max(...matrix.map(row => row.length));
+  const line = row =>
+    `| ${Array.from({ length: width }, (_, i) =>
+      String(row[i] ?? '')
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/\|/g, '\\|')
+    ).join(' | ')} |`;
+
+  return [
+    line(matrix[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...matrix.slice(1).map(line)
+  ].join('\n');
+}